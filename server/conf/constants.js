@@ -77,4 +77,17 @@ export const TOKEN_TYPES = {
   PASSWORD_RESET: 'password_reset',
 };
 
-
+export const ARCHIVOS = {
+  TAMANO_MAXIMO: 10 * 1024 * 1024, // 10 MB
+  TIPOS_PERMITIDOS: {
+    documentos: [
+      'application/pdf',
+      'image/jpeg',
+      'image/png',
+      'application/msword',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    ],
+    fotos: ['image/jpeg', 'image/png', 'image/webp'],
+    adjuntos: ['application/pdf', 'image/jpeg', 'image/png', 'image/webp'],
+  },
+};
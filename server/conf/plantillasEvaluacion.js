@@ -0,0 +1,154 @@
+/**
+ * Plantillas de evaluación predefinidas
+ * Los cuestionarios traen la estructura de ítems y el cálculo del puntaje;
+ * el texto completo de cada pregunta y respuesta lo carga la clínica en una
+ * nueva versión de la plantilla con la traducción que tenga licenciada.
+ */
+
+const items = (prefijo, cantidad, opciones = {}) =>
+  Array.from({ length: cantidad }, (_, i) => ({
+    codigo: `${prefijo}${i + 1}`,
+    texto: `${opciones.texto || 'Ítem'} ${i + 1}`,
+    ...opciones.item,
+  }));
+
+const secciones = (nombres, item) =>
+  nombres.map((texto, i) => ({ codigo: `S${i + 1}`, texto, ...item }));
+
+// Rangos articulares normales de referencia (AAOS)
+const MOVIMIENTOS_GONIOMETRIA = [
+  ['columna_cervical_flexion', 'Columna cervical - Flexión', 45, false],
+  ['columna_cervical_extension', 'Columna cervical - Extensión', 45, false],
+  ['columna_cervical_rotacion', 'Columna cervical - Rotación', 80, true],
+  ['columna_cervical_inclinacion', 'Columna cervical - Inclinación lateral', 45, true],
+  ['hombro_flexion', 'Hombro - Flexión', 180, true],
+  ['hombro_extension', 'Hombro - Extensión', 60, true],
+  ['hombro_abduccion', 'Hombro - Abducción', 180, true],
+  ['hombro_rotacion_interna', 'Hombro - Rotación interna', 70, true],
+  ['hombro_rotacion_externa', 'Hombro - Rotación externa', 90, true],
+  ['codo_flexion', 'Codo - Flexión', 150, true],
+  ['muneca_flexion', 'Muñeca - Flexión', 80, true],
+  ['muneca_extension', 'Muñeca - Extensión', 70, true],
+  ['cadera_flexion', 'Cadera - Flexión', 120, true],
+  ['cadera_extension', 'Cadera - Extensión', 30, true],
+  ['cadera_abduccion', 'Cadera - Abducción', 45, true],
+  ['cadera_rotacion_interna', 'Cadera - Rotación interna', 45, true],
+  ['cadera_rotacion_externa', 'Cadera - Rotación externa', 45, true],
+  ['rodilla_flexion', 'Rodilla - Flexión', 135, true],
+  ['rodilla_extension', 'Rodilla - Extensión (negativo = déficit)', 0, true],
+  ['tobillo_dorsiflexion', 'Tobillo - Dorsiflexión', 20, true],
+  ['tobillo_flexion_plantar', 'Tobillo - Flexión plantar', 50, true],
+];
+
+const GRUPOS_MUSCULARES = [
+  ['flexores_hombro', 'Flexores de hombro'],
+  ['abductores_hombro', 'Abductores de hombro'],
+  ['flexores_codo', 'Flexores de codo'],
+  ['extensores_codo', 'Extensores de codo'],
+  ['extensores_muneca', 'Extensores de muñeca'],
+  ['flexores_cadera', 'Flexores de cadera'],
+  ['extensores_cadera', 'Extensores de cadera'],
+  ['abductores_cadera', 'Abductores de cadera'],
+  ['extensores_rodilla', 'Extensores de rodilla (cuádriceps)'],
+  ['flexores_rodilla', 'Flexores de rodilla (isquiotibiales)'],
+  ['dorsiflexores_tobillo', 'Dorsiflexores de tobillo'],
+  ['flexores_plantares', 'Flexores plantares'],
+];
+
+const ESCALA_DANIELS = [
+  { valor: 0, texto: '0 - Sin contracción' },
+  { valor: 1, texto: '1 - Contracción sin movimiento' },
+  { valor: 2, texto: '2 - Movimiento completo sin gravedad' },
+  { valor: 3, texto: '3 - Movimiento completo contra gravedad' },
+  { valor: 4, texto: '4 - Contra resistencia moderada' },
+  { valor: 5, texto: '5 - Fuerza normal' },
+];
+
+export const PLANTILLAS_EVALUACION_PREDEFINIDAS = [
+  {
+    clave: 'goniometria',
+    nombre: 'Goniometría',
+    descripcion: 'Rango de movimiento articular en grados por articulación y lado',
+    tipo: 'goniometria',
+    items: MOVIMIENTOS_GONIOMETRIA.map(([codigo, texto, valorNormal, porLado]) => ({
+      codigo,
+      texto,
+      min: codigo === 'rodilla_extension' ? -45 : 0,
+      max: codigo === 'rodilla_extension' ? 30 : 200,
+      porLado,
+      valorNormal,
+    })),
+  },
+  {
+    clave: 'fuerza-daniels',
+    nombre: 'Fuerza muscular (Daniels)',
+    descripcion: 'Escala de Daniels de 0 a 5 por grupo muscular y lado',
+    tipo: 'fuerza',
+    items: GRUPOS_MUSCULARES.map(([codigo, texto]) => ({
+      codigo,
+      texto,
+      min: 0,
+      max: 5,
+      porLado: true,
+      valorNormal: 5,
+      opciones: ESCALA_DANIELS,
+    })),
+  },
+  {
+    clave: 'oswestry',
+    nombre: 'Índice de discapacidad de Oswestry (ODI)',
+    descripcion: 'Discapacidad por dolor lumbar. 10 secciones de 0 a 5; resultado en % (0 = sin discapacidad)',
+    tipo: 'cuestionario',
+    items: secciones([
+      'Intensidad del dolor', 'Cuidados personales', 'Levantar peso', 'Caminar', 'Estar sentado',
+      'Estar de pie', 'Dormir', 'Vida sexual', 'Vida social', 'Viajar',
+    ], { min: 0, max: 5 }),
+    puntuacion: { metodo: 'porcentaje', minimoRespondidas: 8 },
+  },
+  {
+    clave: 'ndi',
+    nombre: 'Índice de discapacidad cervical (NDI)',
+    descripcion: 'Discapacidad por dolor cervical. 10 secciones de 0 a 5; resultado en % (0 = sin discapacidad)',
+    tipo: 'cuestionario',
+    items: secciones([
+      'Intensidad del dolor', 'Cuidados personales', 'Levantar peso', 'Lectura', 'Dolor de cabeza',
+      'Concentración', 'Trabajo', 'Conducir', 'Dormir', 'Actividades recreativas',
+    ], { min: 0, max: 5 }),
+    puntuacion: { metodo: 'porcentaje', minimoRespondidas: 8 },
+  },
+  {
+    clave: 'dash',
+    nombre: 'DASH (miembro superior)',
+    descripcion: 'Discapacidad de brazo, hombro y mano. 30 ítems de 1 a 5; resultado de 0 (sin discapacidad) a 100',
+    tipo: 'cuestionario',
+    items: items('D', 30, { item: { min: 1, max: 5 } }),
+    puntuacion: { metodo: 'porcentaje', minimoRespondidas: 27 },
+  },
+  {
+    clave: 'koos',
+    nombre: 'KOOS (rodilla)',
+    descripcion: 'Knee injury and Osteoarthritis Outcome Score. 42 ítems de 0 a 4 en 5 subescalas; cada una de 0 a 100 (100 = sin síntomas)',
+    tipo: 'cuestionario',
+    items: [
+      ...items('P', 9, { texto: 'Dolor', item: { min: 0, max: 4, subescala: 'dolor' } }),
+      ...items('S', 7, { texto: 'Síntomas', item: { min: 0, max: 4, subescala: 'sintomas' } }),
+      ...items('A', 17, { texto: 'Actividades de la vida diaria', item: { min: 0, max: 4, subescala: 'avd' } }),
+      ...items('SP', 5, { texto: 'Deporte y recreación', item: { min: 0, max: 4, subescala: 'deporte' } }),
+      ...items('Q', 4, { texto: 'Calidad de vida', item: { min: 0, max: 4, subescala: 'calidad_vida' } }),
+    ],
+    puntuacion: {
+      metodo: 'porcentaje_inverso',
+      minimoRespondidas: 1,
+      puntajeTotal: false,
+      mayorEsMejor: true,
+      // Una subescala no se puntúa si le faltan más de 2 respuestas
+      subescalas: [
+        { clave: 'dolor', nombre: 'Dolor', minimoRespondidas: 7 },
+        { clave: 'sintomas', nombre: 'Síntomas', minimoRespondidas: 5 },
+        { clave: 'avd', nombre: 'Actividades de la vida diaria', minimoRespondidas: 15 },
+        { clave: 'deporte', nombre: 'Deporte y recreación', minimoRespondidas: 3 },
+        { clave: 'calidad_vida', nombre: 'Calidad de vida', minimoRespondidas: 2 },
+      ],
+    },
+  },
+];
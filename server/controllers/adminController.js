@@ -511,6 +511,60 @@ export const eliminarRegistroPago = asyncHandler(async (req, res) => {
   return ApiResponse.success(res, HTTP_STATUS.OK, resultado.message);
 });
 
+/**
+ * Leer año/mes de la planilla a generar (null si no son válidos)
+ */
+const obtenerPeriodoPlanilla = (datos) => {
+  const año = parseInt(datos.año);
+  const mes = parseInt(datos.mes);
+
+  return año && mes >= 1 && mes <= 12 ? { año, mes } : null;
+};
+
+/**
+ * @desc    Vista previa de la planilla del mes generada desde los pagos de los pacientes
+ * @route   GET /api/admin/pagos-personal/generar?año=2025&mes=7
+ * @access  Private (Solo Administrador)
+ */
+export const previsualizarPagosDesdeSesiones = asyncHandler(async (req, res) => {
+  const periodo = obtenerPeriodoPlanilla(req.query);
+
+  if (!periodo) {
+    return ApiResponse.error(res, HTTP_STATUS.BAD_REQUEST, 'Debe indicar un año y un mes (1-12) válidos');
+  }
+
+  const resultado = await PagoPersonalService.previsualizarDesdeSesiones(periodo.año, periodo.mes);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    'Vista previa de la planilla obtenida exitosamente',
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Crear o actualizar los días del mes con el monto cobrado a los pacientes
+ * @route   POST /api/admin/pagos-personal/generar
+ * @access  Private (Solo Administrador)
+ */
+export const generarPagosDesdeSesiones = asyncHandler(async (req, res) => {
+  const periodo = obtenerPeriodoPlanilla(req.body);
+
+  if (!periodo) {
+    return ApiResponse.error(res, HTTP_STATUS.BAD_REQUEST, 'Debe indicar un año y un mes (1-12) válidos');
+  }
+
+  const resultado = await PagoPersonalService.generarDesdeSesiones(periodo.año, periodo.mes, req.user._id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    resultado.message,
+    resultado.data
+  );
+});
+
 /**
  * @desc    Obtener estadísticas de pagos del personal
  * @route   GET /api/admin/pagos-personal/estadisticas
@@ -0,0 +1,91 @@
+import ArchivoService from '../services/archivoService.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import ApiResponse from '../utils/ApiResponse.js';
+import { HTTP_STATUS } from '../conf/constants.js';
+
+/**
+ * Los controladores reciben la colección ('documentos', 'fotos' o 'adjuntos')
+ * para poder reutilizarse en las rutas de pacientes y de sesiones
+ */
+
+/**
+ * @desc    Subir un archivo (campo multipart "archivo")
+ * @route   POST /api/pacientes/:id/documentos | /api/pacientes/:id/fotos | /api/sesiones/:id/adjuntos
+ * @access  Private (empleado/admin)
+ */
+export const subirArchivo = (coleccion) => asyncHandler(async (req, res) => {
+  const resultado = await ArchivoService.subirArchivo(
+    coleccion,
+    req.params.id,
+    req.file,
+    req.body,
+    req.user._id
+  );
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.CREATED,
+    resultado.message,
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Listar archivos
+ * @route   GET /api/pacientes/:id/documentos | /api/pacientes/:id/fotos | /api/sesiones/:id/adjuntos
+ * @access  Private (empleado/admin)
+ */
+export const listarArchivos = (coleccion) => asyncHandler(async (req, res) => {
+  const resultado = await ArchivoService.listarArchivos(coleccion, req.params.id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    'Archivos obtenidos exitosamente',
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Descargar un archivo
+ * @route   GET /api/pacientes/:id/documentos/:archivoId | .../fotos/:archivoId | /api/sesiones/:id/adjuntos/:archivoId
+ * @access  Private (empleado/admin)
+ */
+export const descargarArchivo = (coleccion) => asyncHandler(async (req, res) => {
+  const resultado = await ArchivoService.obtenerArchivo(
+    coleccion,
+    req.params.id,
+    req.params.archivoId
+  );
+
+  const { archivo, stream } = resultado.data;
+
+  res.attachment(archivo.nombreOriginal);
+  res.type(archivo.mimetype);
+  res.setHeader('Cache-Control', 'private, no-store');
+  if (archivo.tamano) {
+    res.setHeader('Content-Length', archivo.tamano);
+  }
+
+  stream.on('error', (error) => res.destroy(error));
+  stream.pipe(res);
+});
+
+/**
+ * @desc    Eliminar un archivo
+ * @route   DELETE /api/pacientes/:id/documentos/:archivoId | .../fotos/:archivoId | /api/sesiones/:id/adjuntos/:archivoId
+ * @access  Private (empleado/admin)
+ */
+export const eliminarArchivo = (coleccion) => asyncHandler(async (req, res) => {
+  const resultado = await ArchivoService.eliminarArchivo(
+    coleccion,
+    req.params.id,
+    req.params.archivoId
+  );
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    resultado.message
+  );
+});
@@ -0,0 +1,91 @@
+import AsistenciaService from '../services/asistenciaService.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import ApiResponse from '../utils/ApiResponse.js';
+import { HTTP_STATUS } from '../conf/constants.js';
+
+/**
+ * @desc    Obtener la política de asistencia
+ * @route   GET /api/sesiones/politica-asistencia
+ * @access  Private
+ */
+export const obtenerPolitica = asyncHandler(async (req, res) => {
+  const resultado = await AsistenciaService.obtenerPolitica();
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    'Política de asistencia obtenida exitosamente',
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Configurar la política de asistencia (ausencias máximas, período y cargo por ausencia)
+ * @route   PUT /api/sesiones/politica-asistencia
+ * @access  Private (admin)
+ */
+export const actualizarPolitica = asyncHandler(async (req, res) => {
+  const { activa, maxAusencias, periodoDias, notificarAdministradores, cargoAusencia } = req.body;
+
+  const resultado = await AsistenciaService.actualizarPolitica(
+    { activa, maxAusencias, periodoDias, notificarAdministradores, cargoAusencia },
+    req.user._id
+  );
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    resultado.message,
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Estadísticas de asistencia de un paciente
+ * @route   GET /api/pacientes/:id/asistencia
+ * @access  Private
+ */
+export const obtenerAsistenciaPaciente = asyncHandler(async (req, res) => {
+  const resultado = await AsistenciaService.obtenerAsistenciaPaciente(req.params.id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    'Asistencia del paciente obtenida exitosamente',
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Listar pacientes marcados por ausencias reiteradas
+ * @route   GET /api/pacientes/alertas-ausencias
+ * @access  Private
+ */
+export const obtenerPacientesConAlerta = asyncHandler(async (req, res) => {
+  const { page, limit } = req.query;
+
+  const resultado = await AsistenciaService.obtenerPacientesConAlerta({ page, limit });
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    'Pacientes con ausencias reiteradas obtenidos exitosamente',
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Quitar la marca por ausencias de un paciente
+ * @route   DELETE /api/pacientes/:id/alerta-ausencias
+ * @access  Private (admin)
+ */
+export const quitarAlertaAusencias = asyncHandler(async (req, res) => {
+  const resultado = await AsistenciaService.quitarAlerta(req.params.id, req.user._id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    resultado.message,
+    resultado.data
+  );
+});
@@ -149,6 +149,50 @@ export const refreshToken = asyncHandler(async (req, res) => {
   );
 });
 
+/**
+ * @desc    Solicitar recuperación de contraseña
+ * @route   POST /api/auth/forgot-password
+ * @access  Public
+ */
+export const forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  const resultado = await AuthService.solicitarRecuperacionPassword(email);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    resultado.message
+  );
+});
+
+/**
+ * @desc    Restablecer contraseña con el token recibido por email
+ * @route   POST /api/auth/reset-password/:token
+ * @access  Public
+ */
+export const resetPassword = asyncHandler(async (req, res) => {
+  const { password } = req.body;
+
+  const resultado = await AuthService.restablecerPassword(req.params.token, password);
+  const { usuario } = resultado.data;
+
+  // Registrar acción de auditoría
+  req.user = { _id: usuario.id }; // Temporalmente para auditoría
+  await registrarAccionManual(
+    req,
+    'cambiar_password',
+    `Restablecimiento de contraseña del usuario ${usuario.email}`,
+    { tipo: 'usuario', id: usuario.id, nombre: usuario.email }
+  );
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    resultado.message
+  );
+});
+
 /**
  * @desc    Obtener usuario actual
  * @route   GET /api/auth/me
@@ -0,0 +1,94 @@
+import AutorizacionService from '../services/autorizacionService.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import ApiResponse from '../utils/ApiResponse.js';
+import { HTTP_STATUS } from '../conf/constants.js';
+
+/**
+ * @desc    Registrar una autorización (orden médica) de obra social
+ * @route   POST /api/autorizaciones
+ * @access  Private
+ */
+export const crearAutorizacion = asyncHandler(async (req, res) => {
+  const resultado = await AutorizacionService.crearAutorizacion(req.body, req.user._id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.CREATED,
+    resultado.message,
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Listar autorizaciones
+ * @route   GET /api/autorizaciones?paciente=&episodio=&estado=&porVencer=true
+ * @access  Private
+ */
+export const obtenerAutorizaciones = asyncHandler(async (req, res) => {
+  const { paciente, episodio, estado, porVencer } = req.query;
+
+  const resultado = await AutorizacionService.obtenerAutorizaciones({ paciente, episodio, estado, porVencer });
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    'Autorizaciones obtenidas exitosamente',
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Obtener una autorización con sus sesiones
+ * @route   GET /api/autorizaciones/:id
+ * @access  Private
+ */
+export const obtenerAutorizacionPorId = asyncHandler(async (req, res) => {
+  const resultado = await AutorizacionService.obtenerAutorizacionPorId(req.params.id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    'Autorización obtenida exitosamente',
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Actualizar una autorización
+ * @route   PUT /api/autorizaciones/:id
+ * @access  Private
+ */
+export const actualizarAutorizacion = asyncHandler(async (req, res) => {
+  const resultado = await AutorizacionService.actualizarAutorizacion(
+    req.params.id,
+    req.body,
+    req.user._id
+  );
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    resultado.message,
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Anular una autorización
+ * @route   DELETE /api/autorizaciones/:id
+ * @access  Private (admin)
+ */
+export const anularAutorizacion = asyncHandler(async (req, res) => {
+  const resultado = await AutorizacionService.anularAutorizacion(
+    req.params.id,
+    req.body.motivo,
+    req.user._id
+  );
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    resultado.message,
+    resultado.data
+  );
+});
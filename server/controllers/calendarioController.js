@@ -1,7 +1,8 @@
 import CalendarioService from '../services/calendarioService.js';
+import AgendaService from '../services/agendaService.js';
 import asyncHandler from '../utils/asyncHandler.js';
 import ApiResponse from '../utils/ApiResponse.js';
-import { HTTP_STATUS } from '../conf/constants.js';
+import { HTTP_STATUS, ROLES } from '../conf/constants.js';
 
 /**
  * @desc    Obtener sesiones por rango de fechas (para calendario)
@@ -62,3 +63,113 @@ export const obtenerSesionesAgrupadas = asyncHandler(async (req, res) => {
     resultado.data
   );
 });
+
+/**
+ * @desc    Obtener turnos libres por profesional y por día
+ * @route   GET /api/calendario/disponibilidad
+ * @access  Private
+ */
+export const obtenerDisponibilidad = asyncHandler(async (req, res) => {
+  const { fecha, fechaInicio, fechaFin, profesionalId } = req.query;
+
+  const resultado = await AgendaService.obtenerDisponibilidad({
+    fecha,
+    fechaInicio,
+    fechaFin,
+    profesionalId,
+  });
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    'Disponibilidad obtenida exitosamente',
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Obtener la agenda de un profesional
+ * @route   GET /api/calendario/agendas/:profesionalId
+ * @access  Private
+ */
+export const obtenerAgenda = asyncHandler(async (req, res) => {
+  const resultado = await AgendaService.obtenerAgenda(req.params.profesionalId);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    'Agenda obtenida exitosamente',
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Crear o actualizar la agenda de un profesional
+ * @route   PUT /api/calendario/agendas/:profesionalId
+ * @access  Private (admin o el propio profesional)
+ */
+export const actualizarAgenda = asyncHandler(async (req, res) => {
+  const { profesionalId } = req.params;
+
+  if (req.user.rol !== ROLES.ADMIN && req.user._id.toString() !== profesionalId) {
+    return ApiResponse.forbidden(res, 'Solo puedes modificar tu propia agenda');
+  }
+
+  const resultado = await AgendaService.actualizarAgenda(profesionalId, req.body, req.user._id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    resultado.message,
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Listar feriados
+ * @route   GET /api/calendario/feriados
+ * @access  Private
+ */
+export const listarFeriados = asyncHandler(async (req, res) => {
+  const { fechaInicio, fechaFin } = req.query;
+
+  const resultado = await AgendaService.listarFeriados({ fechaInicio, fechaFin });
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    'Feriados obtenidos exitosamente',
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Registrar un feriado
+ * @route   POST /api/calendario/feriados
+ * @access  Private (admin)
+ */
+export const crearFeriado = asyncHandler(async (req, res) => {
+  const resultado = await AgendaService.crearFeriado(req.body, req.user._id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.CREATED,
+    resultado.message,
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Eliminar un feriado
+ * @route   DELETE /api/calendario/feriados/:id
+ * @access  Private (admin)
+ */
+export const eliminarFeriado = asyncHandler(async (req, res) => {
+  const resultado = await AgendaService.eliminarFeriado(req.params.id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    resultado.message
+  );
+});
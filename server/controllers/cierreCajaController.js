@@ -0,0 +1,105 @@
+import CierreCajaService from '../services/cierreCajaService.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import ApiResponse from '../utils/ApiResponse.js';
+import { registrarAccionManual } from '../middlewares/auditMiddleware.js';
+import { HTTP_STATUS } from '../conf/constants.js';
+
+/**
+ * @desc    Resumen de caja de un día (totales por método de pago y pagos registrados)
+ * @route   GET /api/caja/resumen?fecha=2025-01-15
+ * @access  Private (admin/empleado)
+ */
+export const obtenerResumenDia = asyncHandler(async (req, res) => {
+  const resultado = await CierreCajaService.obtenerResumenDia(req.query.fecha || new Date());
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    'Resumen de caja obtenido exitosamente',
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Cerrar la caja de un día con los montos contados
+ * @route   POST /api/caja/cierres
+ * @access  Private (admin/empleado)
+ */
+export const cerrarCaja = asyncHandler(async (req, res) => {
+  const resultado = await CierreCajaService.cerrarCaja(req.body, req.user._id);
+  const { cierre } = resultado.data;
+
+  await registrarAccionManual(
+    req,
+    'cerrar_caja',
+    `Cierre de caja del ${cierre.fecha.toISOString().split('T')[0]}: esperado $${cierre.totalEsperado}, contado $${cierre.totalContado}, diferencia $${cierre.diferencia}`,
+    { tipo: 'caja', id: cierre._id, nombre: cierre.fecha.toISOString().split('T')[0] },
+    null,
+    cierre.toObject()
+  );
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.CREATED,
+    resultado.message,
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Listar cierres de caja
+ * @route   GET /api/caja/cierres?fechaInicio=&fechaFin=&estado=&page=&limit=
+ * @access  Private (admin/empleado)
+ */
+export const obtenerCierres = asyncHandler(async (req, res) => {
+  const { fechaInicio, fechaFin, estado, page, limit } = req.query;
+
+  const resultado = await CierreCajaService.obtenerCierres({ fechaInicio, fechaFin, estado, page, limit });
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    'Cierres de caja obtenidos exitosamente',
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Obtener un cierre de caja
+ * @route   GET /api/caja/cierres/:id
+ * @access  Private (admin/empleado)
+ */
+export const obtenerCierrePorId = asyncHandler(async (req, res) => {
+  const resultado = await CierreCajaService.obtenerCierrePorId(req.params.id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    'Cierre de caja obtenido exitosamente',
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Reabrir la caja de un día para modificar sus pagos
+ * @route   PUT /api/caja/cierres/:id/reabrir
+ * @access  Private (Solo Administrador)
+ */
+export const reabrirCaja = asyncHandler(async (req, res) => {
+  const resultado = await CierreCajaService.reabrirCaja(req.params.id, req.body.motivo, req.user._id);
+  const { cierre } = resultado.data;
+
+  await registrarAccionManual(
+    req,
+    'reabrir_caja',
+    `Caja del ${cierre.fecha.toISOString().split('T')[0]} reabierta: ${req.body.motivo}`,
+    { tipo: 'caja', id: cierre._id, nombre: cierre.fecha.toISOString().split('T')[0] }
+  );
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    resultado.message,
+    resultado.data
+  );
+});
@@ -0,0 +1,106 @@
+import CuentaPacienteService from '../services/cuentaPacienteService.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import ApiResponse from '../utils/ApiResponse.js';
+import { HTTP_STATUS } from '../conf/constants.js';
+
+/**
+ * @desc    Obtener la cuenta corriente de un paciente (saldo, movimientos y cargos impagos)
+ * @route   GET /api/pacientes/:id/cuenta
+ * @access  Private
+ */
+export const obtenerCuenta = asyncHandler(async (req, res) => {
+  const { page, limit, incluirAnulados } = req.query;
+
+  const resultado = await CuentaPacienteService.obtenerCuenta(req.params.id, {
+    page,
+    limit,
+    incluirAnulados,
+  });
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    'Cuenta del paciente obtenida exitosamente',
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Registrar un pago del paciente (parcial, de varias sesiones o a cuenta)
+ * @route   POST /api/pacientes/:id/cuenta/pagos
+ * @access  Private
+ */
+export const registrarPagoCuenta = asyncHandler(async (req, res) => {
+  const { monto, metodoPago, fecha, concepto, aplicaciones } = req.body;
+
+  const resultado = await CuentaPacienteService.registrarPago(
+    req.params.id,
+    { monto, metodoPago, fecha, concepto, aplicaciones },
+    req.user._id
+  );
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.CREATED,
+    resultado.message,
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Reintegrar al paciente parte de su saldo a favor
+ * @route   POST /api/pacientes/:id/cuenta/reintegros
+ * @access  Private (admin)
+ */
+export const registrarReintegro = asyncHandler(async (req, res) => {
+  const { monto, metodoPago, fecha, concepto } = req.body;
+
+  const resultado = await CuentaPacienteService.registrarReintegro(
+    req.params.id,
+    { monto, metodoPago, fecha, concepto },
+    req.user._id
+  );
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.CREATED,
+    resultado.message,
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Anular un pago o reintegro de la cuenta
+ * @route   DELETE /api/pacientes/cuenta/movimientos/:movimientoId
+ * @access  Private (admin)
+ */
+export const anularMovimiento = asyncHandler(async (req, res) => {
+  const resultado = await CuentaPacienteService.anularMovimiento(
+    req.params.movimientoId,
+    req.body.motivo,
+    req.user._id
+  );
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    resultado.message,
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Pasar a la cuenta corriente las sesiones registradas antes de que existiera
+ * @route   POST /api/pacientes/cuenta/migrar
+ * @access  Private (admin)
+ */
+export const migrarCuentas = asyncHandler(async (req, res) => {
+  const resultado = await CuentaPacienteService.migrarSesiones();
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    resultado.message,
+    resultado.data
+  );
+});
@@ -0,0 +1,116 @@
+import EpisodioService from '../services/episodioService.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import ApiResponse from '../utils/ApiResponse.js';
+import { HTTP_STATUS } from '../conf/constants.js';
+
+/**
+ * @desc    Abrir un episodio de tratamiento nuevo para un paciente
+ * @route   POST /api/episodios
+ * @access  Private
+ */
+export const abrirEpisodio = asyncHandler(async (req, res) => {
+  const resultado = await EpisodioService.abrirEpisodio(req.body, req.user._id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.CREATED,
+    resultado.message,
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Crear el episodio inicial de los pacientes registrados antes de los episodios
+ * @route   POST /api/episodios/migrar
+ * @access  Private (admin)
+ */
+export const migrarEpisodios = asyncHandler(async (req, res) => {
+  const resultado = await EpisodioService.migrarEpisodios();
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    resultado.message,
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Listar los episodios de tratamiento de un paciente
+ * @route   GET /api/episodios/paciente/:pacienteId
+ * @access  Private
+ */
+export const obtenerEpisodiosPaciente = asyncHandler(async (req, res) => {
+  const resultado = await EpisodioService.obtenerEpisodiosPaciente(req.params.pacienteId);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    'Episodios obtenidos exitosamente',
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Obtener un episodio con sus autorizaciones y planes
+ * @route   GET /api/episodios/:id
+ * @access  Private
+ */
+export const obtenerEpisodioPorId = asyncHandler(async (req, res) => {
+  const resultado = await EpisodioService.obtenerEpisodioPorId(req.params.id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    'Episodio obtenido exitosamente',
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Actualizar el diagnóstico o el tratamiento de un episodio
+ * @route   PUT /api/episodios/:id
+ * @access  Private
+ */
+export const actualizarEpisodio = asyncHandler(async (req, res) => {
+  const resultado = await EpisodioService.actualizarEpisodio(req.params.id, req.body);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    resultado.message,
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Dar el alta médica de un episodio
+ * @route   PUT /api/episodios/:id/alta
+ * @access  Private
+ */
+export const darAltaEpisodio = asyncHandler(async (req, res) => {
+  const resultado = await EpisodioService.darAltaEpisodio(req.params.id, req.body, req.user._id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    resultado.message,
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Cerrar un episodio sin alta médica (abandono, derivación)
+ * @route   PUT /api/episodios/:id/cerrar
+ * @access  Private
+ */
+export const cerrarEpisodio = asyncHandler(async (req, res) => {
+  const resultado = await EpisodioService.cerrarEpisodio(req.params.id, req.body, req.user._id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    resultado.message,
+    resultado.data
+  );
+});
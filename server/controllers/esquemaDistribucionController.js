@@ -0,0 +1,119 @@
+import EsquemaDistribucionService from '../services/esquemaDistribucionService.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import ApiResponse from '../utils/ApiResponse.js';
+import { HTTP_STATUS } from '../conf/constants.js';
+
+/**
+ * @desc    Crear una versión del esquema de distribución de la planilla del personal
+ * @route   POST /api/esquemas-distribucion
+ * @access  Private (Solo Administrador)
+ */
+export const crearEsquema = asyncHandler(async (req, res) => {
+  const resultado = await EsquemaDistribucionService.crearEsquema(req.body, req.user._id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.CREATED,
+    resultado.message,
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Listar las versiones del esquema de distribución
+ * @route   GET /api/esquemas-distribucion
+ * @access  Private (Solo Administrador)
+ */
+export const obtenerEsquemas = asyncHandler(async (req, res) => {
+  const resultado = await EsquemaDistribucionService.obtenerEsquemas();
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    'Esquemas de distribución obtenidos exitosamente',
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Obtener la versión del esquema vigente para una fecha
+ * @route   GET /api/esquemas-distribucion/vigente?fecha=2025-01-15
+ * @access  Private (Solo Administrador)
+ */
+export const obtenerEsquemaVigente = asyncHandler(async (req, res) => {
+  const resultado = await EsquemaDistribucionService.obtenerEsquemaVigente(req.query.fecha || new Date());
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    'Esquema de distribución vigente obtenido exitosamente',
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Migrar la planilla con el reparto anterior (Farfan/Mica/FFMA) al esquema configurable
+ * @route   POST /api/esquemas-distribucion/migrar
+ * @access  Private (Solo Administrador)
+ */
+export const migrarRegistrosAnteriores = asyncHandler(async (req, res) => {
+  const { farfan, mica, ffma } = req.body;
+  const resultado = await EsquemaDistribucionService.migrarRegistrosAnteriores(
+    { farfan, mica, ffma },
+    req.user._id
+  );
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    resultado.message,
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Obtener una versión del esquema de distribución
+ * @route   GET /api/esquemas-distribucion/:id
+ * @access  Private (Solo Administrador)
+ */
+export const obtenerEsquemaPorId = asyncHandler(async (req, res) => {
+  const resultado = await EsquemaDistribucionService.obtenerEsquemaPorId(req.params.id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    'Esquema de distribución obtenido exitosamente',
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Actualizar una versión del esquema que todavía no se usó
+ * @route   PUT /api/esquemas-distribucion/:id
+ * @access  Private (Solo Administrador)
+ */
+export const actualizarEsquema = asyncHandler(async (req, res) => {
+  const resultado = await EsquemaDistribucionService.actualizarEsquema(req.params.id, req.body, req.user._id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    resultado.message,
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Eliminar una versión del esquema que todavía no se usó
+ * @route   DELETE /api/esquemas-distribucion/:id
+ * @access  Private (Solo Administrador)
+ */
+export const eliminarEsquema = asyncHandler(async (req, res) => {
+  const resultado = await EsquemaDistribucionService.eliminarEsquema(req.params.id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    resultado.message
+  );
+});
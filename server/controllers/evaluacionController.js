@@ -0,0 +1,200 @@
+import EvaluacionService from '../services/evaluacionService.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import ApiResponse from '../utils/ApiResponse.js';
+import { HTTP_STATUS } from '../conf/constants.js';
+
+/**
+ * @desc    Crear una plantilla de evaluación
+ * @route   POST /api/evaluaciones/plantillas
+ * @access  Private (admin)
+ */
+export const crearPlantilla = asyncHandler(async (req, res) => {
+  const resultado = await EvaluacionService.crearPlantilla(req.body, req.user._id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.CREATED,
+    resultado.message,
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Cargar las plantillas predefinidas (goniometría, Daniels, Oswestry, NDI, DASH, KOOS)
+ * @route   POST /api/evaluaciones/plantillas/predefinidas
+ * @access  Private (admin)
+ */
+export const cargarPlantillasPredefinidas = asyncHandler(async (req, res) => {
+  const resultado = await EvaluacionService.cargarPlantillasPredefinidas(req.user._id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    resultado.message,
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Listar plantillas de evaluación
+ * @route   GET /api/evaluaciones/plantillas?tipo=goniometria|fuerza|cuestionario&clave=&todasLasVersiones=true&incluirInactivas=true
+ * @access  Private
+ */
+export const obtenerPlantillas = asyncHandler(async (req, res) => {
+  const { tipo, clave, todasLasVersiones, incluirInactivas } = req.query;
+
+  const resultado = await EvaluacionService.obtenerPlantillas({
+    tipo,
+    clave,
+    todasLasVersiones,
+    incluirInactivas,
+  });
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    'Plantillas de evaluación obtenidas exitosamente',
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Obtener una plantilla de evaluación por ID
+ * @route   GET /api/evaluaciones/plantillas/:id
+ * @access  Private
+ */
+export const obtenerPlantillaPorId = asyncHandler(async (req, res) => {
+  const resultado = await EvaluacionService.obtenerPlantillaPorId(req.params.id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    'Plantilla de evaluación obtenida exitosamente',
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Modificar una plantilla (crea una nueva versión)
+ * @route   PUT /api/evaluaciones/plantillas/:id
+ * @access  Private (admin)
+ */
+export const crearVersionPlantilla = asyncHandler(async (req, res) => {
+  const resultado = await EvaluacionService.crearVersion(req.params.id, req.body, req.user._id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.CREATED,
+    resultado.message,
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Activar o desactivar una plantilla (todas sus versiones)
+ * @route   PUT /api/evaluaciones/plantillas/:id/estado
+ * @access  Private (admin)
+ */
+export const cambiarEstadoPlantilla = asyncHandler(async (req, res) => {
+  const { activa } = req.body;
+
+  if (typeof activa !== 'boolean') {
+    return ApiResponse.error(res, HTTP_STATUS.BAD_REQUEST, 'El campo activa debe ser true o false');
+  }
+
+  const resultado = await EvaluacionService.cambiarEstadoPlantilla(req.params.id, activa);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    resultado.message,
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Registrar una evaluación de un paciente
+ * @route   POST /api/evaluaciones
+ * @access  Private
+ */
+export const registrarEvaluacion = asyncHandler(async (req, res) => {
+  const resultado = await EvaluacionService.registrarEvaluacion(req.body, req.user._id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.CREATED,
+    resultado.message,
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Listar las evaluaciones de un paciente
+ * @route   GET /api/evaluaciones/paciente/:pacienteId?clave=&tipo=&sesion=&page=1&limit=20
+ * @access  Private
+ */
+export const obtenerEvaluacionesPaciente = asyncHandler(async (req, res) => {
+  const { clave, tipo, sesion, page, limit } = req.query;
+
+  const resultado = await EvaluacionService.obtenerEvaluaciones(req.params.pacienteId, {
+    clave,
+    tipo,
+    sesion,
+    page,
+    limit,
+  });
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    'Evaluaciones obtenidas exitosamente',
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Obtener una evaluación por ID
+ * @route   GET /api/evaluaciones/:id
+ * @access  Private
+ */
+export const obtenerEvaluacionPorId = asyncHandler(async (req, res) => {
+  const resultado = await EvaluacionService.obtenerEvaluacionPorId(req.params.id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    'Evaluación obtenida exitosamente',
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Corregir una evaluación
+ * @route   PUT /api/evaluaciones/:id
+ * @access  Private
+ */
+export const actualizarEvaluacion = asyncHandler(async (req, res) => {
+  const resultado = await EvaluacionService.actualizarEvaluacion(
+    req.params.id,
+    req.body,
+    req.user._id
+  );
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    resultado.message,
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Eliminar una evaluación
+ * @route   DELETE /api/evaluaciones/:id
+ * @access  Private (admin)
+ */
+export const eliminarEvaluacion = asyncHandler(async (req, res) => {
+  const resultado = await EvaluacionService.eliminarEvaluacion(req.params.id);
+
+  return ApiResponse.success(res, HTTP_STATUS.OK, resultado.message);
+});
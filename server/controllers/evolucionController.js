@@ -5,16 +5,17 @@ import { HTTP_STATUS } from '../conf/constants.js';
 
 /**
  * @desc    Obtener datos de evolución de un paciente
- * @route   GET /api/evolucion/paciente/:pacienteId
+ * @route   GET /api/evolucion/paciente/:pacienteId?fechaInicio=&fechaFin=&episodio=<id>|todos
  * @access  Private
  */
 export const obtenerDatosEvolucion = asyncHandler(async (req, res) => {
   const { pacienteId } = req.params;
-  const { fechaInicio, fechaFin } = req.query;
+  const { fechaInicio, fechaFin, episodio } = req.query;
 
   const resultado = await EvolucionService.obtenerDatosEvolucion(pacienteId, {
     fechaInicio,
     fechaFin,
+    episodio,
   });
 
   return ApiResponse.success(
@@ -1,15 +1,44 @@
 import ExportService from '../services/exportService.js';
+import ReporteService from '../services/reporteService.js';
 import asyncHandler from '../utils/asyncHandler.js';
 import ApiResponse from '../utils/ApiResponse.js';
-import { HTTP_STATUS } from '../conf/constants.js';
+import ExportadorTabular, { FORMATOS_TABULARES } from '../utils/exportadorTabular.js';
+import { HTTP_STATUS, ROLES } from '../conf/constants.js';
 
 /**
- * @desc    Generar PDF de planilla diaria
+ * Preparar la respuesta y transmitir una planilla (Excel/CSV)
+ * @param {Object} res - Response de Express
+ * @param {String} formato - 'xlsx' o 'csv'
+ * @param {String} nombreArchivo - Nombre del archivo sin extensión
+ * @param {Function} exportar - (stream) => Promise<void>
+ */
+const enviarPlanilla = async (res, formato, nombreArchivo, exportar) => {
+  const { contentType, extension } = FORMATOS_TABULARES[formato];
+
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${nombreArchivo}.${extension}"`);
+
+  try {
+    await exportar(res);
+  } catch (error) {
+    // Si ya se enviaron datos no se puede responder con JSON: cortar la descarga
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+
+    res.removeHeader('Content-Disposition');
+    throw error;
+  }
+};
+
+/**
+ * @desc    Generar PDF de planilla diaria (o JSON con ?formato=json)
  * @route   GET /api/exportar/planilla-diaria
  * @access  Private
  */
 export const generarPDFPlanillaDiaria = asyncHandler(async (req, res) => {
-  const { fecha } = req.query;
+  const { fecha, formato } = req.query;
 
   if (!fecha) {
     return ApiResponse.error(
@@ -21,28 +50,165 @@ export const generarPDFPlanillaDiaria = asyncHandler(async (req, res) => {
 
   const resultado = await ExportService.generarPDFPlanillaDiaria(fecha);
 
-  return ApiResponse.success(
-    res,
-    HTTP_STATUS.OK,
-    resultado.message,
-    resultado.data
-  );
+  // Mantener la respuesta JSON para clientes que arman su propia vista
+  if (formato === 'json') {
+    return ApiResponse.success(
+      res,
+      HTTP_STATUS.OK,
+      resultado.message,
+      resultado.data
+    );
+  }
+
+  const doc = ExportService.crearPDFPlanillaDiaria(resultado.data);
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="planilla-diaria-${fecha}.pdf"`);
+
+  doc.pipe(res);
+  doc.end();
 });
 
 /**
- * @desc    Generar PDF de ficha de paciente
+ * @desc    Generar PDF de ficha de paciente (o JSON con ?formato=json)
  * @route   GET /api/exportar/ficha-paciente/:pacienteId
  * @access  Private
  */
 export const generarPDFFichaPaciente = asyncHandler(async (req, res) => {
   const { pacienteId } = req.params;
+  const { formato } = req.query;
 
   const resultado = await ExportService.generarPDFFichaPaciente(pacienteId);
 
-  return ApiResponse.success(
-    res,
-    HTTP_STATUS.OK,
-    resultado.message,
-    resultado.data
+  if (formato === 'json') {
+    return ApiResponse.success(
+      res,
+      HTTP_STATUS.OK,
+      resultado.message,
+      resultado.data
+    );
+  }
+
+  const doc = ExportService.crearPDFFichaPaciente(resultado.data);
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="ficha-paciente-${resultado.data.paciente.dni}.pdf"`);
+
+  doc.pipe(res);
+  doc.end();
+});
+
+/**
+ * @desc    Exportar sesiones a Excel o CSV (mismos filtros que el listado)
+ * @route   GET /api/exportar/sesiones?formato=xlsx|csv
+ * @access  Private
+ */
+export const exportarSesiones = asyncHandler(async (req, res) => {
+  const { formato = 'xlsx', sortBy, pacienteId, fecha, fechaInicio, fechaFin, estado, pagado } = req.query;
+
+  if (!ExportadorTabular.esFormatoValido(formato)) {
+    return ApiResponse.error(res, HTTP_STATUS.BAD_REQUEST, 'Formato inválido (xlsx o csv)');
+  }
+
+  const opciones = { sortBy, pacienteId, fecha, fechaInicio, fechaFin, estado, pagado };
+  const sufijo = fecha || [fechaInicio, fechaFin].filter(Boolean).join('_a_') || 'todas';
+
+  await enviarPlanilla(res, formato, `sesiones-${sufijo}`, stream =>
+    ExportService.exportarSesiones(stream, formato, opciones)
+  );
+});
+
+/**
+ * @desc    Exportar pacientes a Excel o CSV (mismos filtros que el listado)
+ * @route   GET /api/exportar/pacientes?formato=xlsx|csv
+ * @access  Private
+ */
+export const exportarPacientes = asyncHandler(async (req, res) => {
+  const { formato = 'xlsx', sortBy, estado, obraSocial, busqueda } = req.query;
+
+  if (!ExportadorTabular.esFormatoValido(formato)) {
+    return ApiResponse.error(res, HTTP_STATUS.BAD_REQUEST, 'Formato inválido (xlsx o csv)');
+  }
+
+  const opciones = { sortBy, estado, obraSocial, busqueda };
+
+  await enviarPlanilla(res, formato, 'pacientes', stream =>
+    ExportService.exportarPacientes(stream, formato, opciones)
+  );
+});
+
+/**
+ * @desc    Descargar el detalle de una liquidación de obra social en PDF, Excel o CSV
+ * @route   GET /api/exportar/liquidacion/:liquidacionId?formato=pdf|xlsx|csv
+ * @access  Private (admin/empleado)
+ */
+export const exportarLiquidacion = asyncHandler(async (req, res) => {
+  const { formato = 'pdf' } = req.query;
+
+  if (formato !== 'pdf' && !ExportadorTabular.esFormatoValido(formato)) {
+    return ApiResponse.error(res, HTTP_STATUS.BAD_REQUEST, 'Formato inválido (pdf, xlsx o csv)');
+  }
+
+  const resultado = await ExportService.generarDetalleLiquidacion(req.params.liquidacionId);
+
+  if (formato !== 'pdf') {
+    return enviarPlanilla(res, formato, resultado.data.nombreArchivo, stream =>
+      ExportService.exportarLiquidacion(stream, formato, resultado.data)
+    );
+  }
+
+  const doc = ExportService.crearPDFLiquidacion(resultado.data);
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${resultado.data.nombreArchivo}.pdf"`);
+
+  doc.pipe(res);
+  doc.end();
+});
+
+/**
+ * @desc    Exportar la planilla mensual de pagos al personal a Excel o CSV
+ * @route   GET /api/exportar/planilla-personal?año=2025&mes=1&formato=xlsx|csv
+ * @access  Private (Solo Administrador)
+ */
+export const exportarPlanillaPersonal = asyncHandler(async (req, res) => {
+  const { formato = 'xlsx' } = req.query;
+  const año = parseInt(req.query.año);
+  const mes = parseInt(req.query.mes);
+
+  if (!ExportadorTabular.esFormatoValido(formato)) {
+    return ApiResponse.error(res, HTTP_STATUS.BAD_REQUEST, 'Formato inválido (xlsx o csv)');
+  }
+
+  if (!año || !mes || mes < 1 || mes > 12) {
+    return ApiResponse.error(res, HTTP_STATUS.BAD_REQUEST, 'El año y el mes (1-12) son requeridos');
+  }
+
+  await enviarPlanilla(res, formato, `planilla-personal-${año}-${String(mes).padStart(2, '0')}`, stream =>
+    ExportService.exportarPlanillaPersonal(stream, formato, año, mes)
+  );
+});
+
+/**
+ * @desc    Exportar el reporte de productividad y comisiones por profesional a Excel o CSV
+ *          (los que no son administradores solo exportan su propia fila)
+ * @route   GET /api/exportar/reporte-profesionales?fechaInicio=&fechaFin=&profesional=&formato=xlsx|csv
+ * @access  Private
+ */
+export const exportarReporteProfesionales = asyncHandler(async (req, res) => {
+  const { fechaInicio, fechaFin, formato = 'xlsx' } = req.query;
+  const profesional = req.user.rol === ROLES.ADMIN ? req.query.profesional : req.user._id;
+
+  if (!ExportadorTabular.esFormatoValido(formato)) {
+    return ApiResponse.error(res, HTTP_STATUS.BAD_REQUEST, 'Formato inválido (xlsx o csv)');
+  }
+
+  const { data } = await ReporteService.obtenerReporteProfesionales({ fechaInicio, fechaFin, profesional });
+  const periodo = [data.periodo.fechaInicio, data.periodo.fechaFin]
+    .map(fecha => fecha.toISOString().split('T')[0])
+    .join('_');
+
+  await enviarPlanilla(res, formato, `reporte-profesionales-${periodo}`, stream =>
+    ExportService.exportarReporteProfesionales(stream, formato, data)
   );
 });
@@ -0,0 +1,199 @@
+import FormularioService from '../services/formularioService.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import ApiResponse from '../utils/ApiResponse.js';
+import { HTTP_STATUS } from '../conf/constants.js';
+
+/**
+ * @desc    Crear una plantilla de formulario
+ * @route   POST /api/formularios/plantillas
+ * @access  Private (admin)
+ */
+export const crearPlantilla = asyncHandler(async (req, res) => {
+  const resultado = await FormularioService.crearPlantilla(req.body, req.user._id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.CREATED,
+    resultado.message,
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Listar plantillas de formulario
+ * @route   GET /api/formularios/plantillas?ambito=paciente|sesion&tipoSesion=&diagnostico=&incluirInactivas=true
+ * @access  Private
+ */
+export const obtenerPlantillas = asyncHandler(async (req, res) => {
+  const { ambito, tipoSesion, diagnostico, incluirInactivas } = req.query;
+
+  const resultado = await FormularioService.obtenerPlantillas({
+    ambito,
+    tipoSesion,
+    diagnostico,
+    incluirInactivas,
+  });
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    'Plantillas de formulario obtenidas exitosamente',
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Plantillas que corresponden al diagnóstico del paciente o al tipo de la sesión
+ * @route   GET /api/formularios/plantillas/aplicables?paciente=&sesion=
+ * @access  Private
+ */
+export const obtenerPlantillasAplicables = asyncHandler(async (req, res) => {
+  const { paciente, sesion } = req.query;
+
+  if (!paciente && !sesion) {
+    return ApiResponse.error(res, HTTP_STATUS.BAD_REQUEST, 'Debe indicar el paciente o la sesión');
+  }
+
+  const resultado = await FormularioService.obtenerPlantillasAplicables({ paciente, sesion });
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    'Plantillas aplicables obtenidas exitosamente',
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Obtener una plantilla de formulario por ID
+ * @route   GET /api/formularios/plantillas/:id
+ * @access  Private
+ */
+export const obtenerPlantillaPorId = asyncHandler(async (req, res) => {
+  const resultado = await FormularioService.obtenerPlantillaPorId(req.params.id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    'Plantilla de formulario obtenida exitosamente',
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Actualizar una plantilla de formulario
+ * @route   PUT /api/formularios/plantillas/:id
+ * @access  Private (admin)
+ */
+export const actualizarPlantilla = asyncHandler(async (req, res) => {
+  const resultado = await FormularioService.actualizarPlantilla(
+    req.params.id,
+    req.body,
+    req.user._id
+  );
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    resultado.message,
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Desactivar una plantilla de formulario
+ * @route   DELETE /api/formularios/plantillas/:id
+ * @access  Private (admin)
+ */
+export const desactivarPlantilla = asyncHandler(async (req, res) => {
+  const resultado = await FormularioService.desactivarPlantilla(req.params.id, req.user._id);
+
+  return ApiResponse.success(res, HTTP_STATUS.OK, resultado.message);
+});
+
+/**
+ * @desc    Completar un formulario para un paciente o una sesión
+ * @route   POST /api/formularios
+ * @access  Private
+ */
+export const completarFormulario = asyncHandler(async (req, res) => {
+  const resultado = await FormularioService.completarFormulario(req.body, req.user._id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.CREATED,
+    resultado.message,
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Listar los formularios completados de un paciente
+ * @route   GET /api/formularios/paciente/:pacienteId?plantilla=&sesion=&ambito=&page=1&limit=20
+ * @access  Private
+ */
+export const obtenerFormulariosPaciente = asyncHandler(async (req, res) => {
+  const { plantilla, sesion, ambito, page, limit } = req.query;
+
+  const resultado = await FormularioService.obtenerFormularios(req.params.pacienteId, {
+    plantilla,
+    sesion,
+    ambito,
+    page,
+    limit,
+  });
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    'Formularios obtenidos exitosamente',
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Obtener un formulario completado por ID
+ * @route   GET /api/formularios/:id
+ * @access  Private
+ */
+export const obtenerFormularioPorId = asyncHandler(async (req, res) => {
+  const resultado = await FormularioService.obtenerFormularioPorId(req.params.id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    'Formulario obtenido exitosamente',
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Actualizar los valores de un formulario completado
+ * @route   PUT /api/formularios/:id
+ * @access  Private
+ */
+export const actualizarFormulario = asyncHandler(async (req, res) => {
+  const resultado = await FormularioService.actualizarFormulario(
+    req.params.id,
+    req.body,
+    req.user._id
+  );
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    resultado.message,
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Eliminar un formulario completado
+ * @route   DELETE /api/formularios/:id
+ * @access  Private (admin)
+ */
+export const eliminarFormulario = asyncHandler(async (req, res) => {
+  const resultado = await FormularioService.eliminarFormulario(req.params.id);
+
+  return ApiResponse.success(res, HTTP_STATUS.OK, resultado.message);
+});
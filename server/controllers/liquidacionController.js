@@ -0,0 +1,153 @@
+import LiquidacionService from '../services/liquidacionService.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import ApiResponse from '../utils/ApiResponse.js';
+import { HTTP_STATUS } from '../conf/constants.js';
+
+/**
+ * @desc    Obtener las sesiones realizadas de un período pendientes de liquidar
+ * @route   GET /api/liquidaciones/pendientes?obraSocial=&año=&mes=
+ * @access  Private (admin/empleado)
+ */
+export const obtenerSesionesPendientes = asyncHandler(async (req, res) => {
+  const { obraSocial, año, mes } = req.query;
+
+  const resultado = await LiquidacionService.obtenerSesionesPendientes(
+    obraSocial,
+    Number(año),
+    Number(mes)
+  );
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    'Sesiones pendientes de liquidar obtenidas exitosamente',
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Generar la liquidación mensual de una obra social
+ * @route   POST /api/liquidaciones
+ * @access  Private (admin)
+ */
+export const generarLiquidacion = asyncHandler(async (req, res) => {
+  const { obraSocial, año, mes, observaciones } = req.body;
+
+  const resultado = await LiquidacionService.generarLiquidacion(
+    { obraSocial, año: Number(año), mes: Number(mes), observaciones },
+    req.user._id
+  );
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.CREATED,
+    resultado.message,
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Listar liquidaciones
+ * @route   GET /api/liquidaciones
+ * @access  Private (admin/empleado)
+ */
+export const obtenerLiquidaciones = asyncHandler(async (req, res) => {
+  const { obraSocial, estado, año, mes } = req.query;
+
+  const resultado = await LiquidacionService.obtenerLiquidaciones({ obraSocial, estado, año, mes });
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    'Liquidaciones obtenidas exitosamente',
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Obtener una liquidación con su detalle
+ * @route   GET /api/liquidaciones/:id
+ * @access  Private (admin/empleado)
+ */
+export const obtenerLiquidacionPorId = asyncHandler(async (req, res) => {
+  const resultado = await LiquidacionService.obtenerLiquidacionPorId(req.params.id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    'Liquidación obtenida exitosamente',
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Eliminar una liquidación en borrador (libera las sesiones)
+ * @route   DELETE /api/liquidaciones/:id
+ * @access  Private (admin)
+ */
+export const eliminarLiquidacion = asyncHandler(async (req, res) => {
+  const resultado = await LiquidacionService.eliminarLiquidacion(req.params.id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    resultado.message,
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Marcar una liquidación como presentada a la obra social
+ * @route   PUT /api/liquidaciones/:id/presentar
+ * @access  Private (admin)
+ */
+export const presentarLiquidacion = asyncHandler(async (req, res) => {
+  const resultado = await LiquidacionService.presentarLiquidacion(
+    req.params.id,
+    req.user._id,
+    req.body.observacion
+  );
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    resultado.message,
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Registrar pagos y débitos de una liquidación presentada
+ * @route   PUT /api/liquidaciones/:id/pago
+ * @access  Private (admin)
+ */
+export const registrarPagoLiquidacion = asyncHandler(async (req, res) => {
+  const resultado = await LiquidacionService.registrarPago(req.params.id, req.body, req.user._id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    resultado.message,
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Rechazar las sesiones pendientes de una liquidación presentada
+ * @route   PUT /api/liquidaciones/:id/rechazar
+ * @access  Private (admin)
+ */
+export const rechazarLiquidacion = asyncHandler(async (req, res) => {
+  const resultado = await LiquidacionService.rechazarLiquidacion(
+    req.params.id,
+    req.body.motivo,
+    req.user._id
+  );
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    resultado.message,
+    resultado.data
+  );
+});
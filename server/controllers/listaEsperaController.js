@@ -0,0 +1,136 @@
+import ListaEsperaService from '../services/listaEsperaService.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import ApiResponse from '../utils/ApiResponse.js';
+import { HTTP_STATUS, ROLES } from '../conf/constants.js';
+
+/**
+ * @desc    Agregar una entrada a la lista de espera
+ * @route   POST /api/lista-espera
+ * @access  Private (empleado/admin)
+ */
+export const crearEntrada = asyncHandler(async (req, res) => {
+  const resultado = await ListaEsperaService.crearEntrada(req.body, req.user._id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.CREATED,
+    resultado.message,
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Listar la lista de espera (por prioridad y antigüedad)
+ * @route   GET /api/lista-espera?estado=pendiente|asignada|cancelada|todas&prioridad=&profesional=&paciente=&page=&limit=
+ * @access  Private (empleado/admin)
+ */
+export const obtenerEntradas = asyncHandler(async (req, res) => {
+  const { estado, prioridad, profesional, paciente, page, limit } = req.query;
+
+  const resultado = await ListaEsperaService.obtenerEntradas({
+    estado,
+    prioridad,
+    profesional,
+    paciente,
+    page,
+    limit,
+  });
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    'Lista de espera obtenida exitosamente',
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Sugerir pacientes de la lista de espera para un turno libre
+ * @route   GET /api/lista-espera/sugerencias?fecha=2025-01-15&horaEntrada=10:00&profesional=
+ * @access  Private (empleado/admin)
+ */
+export const obtenerSugerencias = asyncHandler(async (req, res) => {
+  const { fecha, horaEntrada, profesional } = req.query;
+
+  if (!fecha) {
+    return ApiResponse.error(res, HTTP_STATUS.BAD_REQUEST, 'La fecha es requerida (formato: YYYY-MM-DD)');
+  }
+
+  const resultado = await ListaEsperaService.obtenerSugerencias({ fecha, horaEntrada, profesional });
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    'Sugerencias de la lista de espera obtenidas exitosamente',
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Obtener una entrada de la lista de espera
+ * @route   GET /api/lista-espera/:id
+ * @access  Private (empleado/admin)
+ */
+export const obtenerEntradaPorId = asyncHandler(async (req, res) => {
+  const resultado = await ListaEsperaService.obtenerEntradaPorId(req.params.id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    'Entrada de la lista de espera obtenida exitosamente',
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Actualizar una entrada pendiente de la lista de espera
+ * @route   PUT /api/lista-espera/:id
+ * @access  Private (empleado/admin)
+ */
+export const actualizarEntrada = asyncHandler(async (req, res) => {
+  const resultado = await ListaEsperaService.actualizarEntrada(req.params.id, req.body, req.user._id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    resultado.message,
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Quitar una entrada de la lista de espera
+ * @route   DELETE /api/lista-espera/:id
+ * @access  Private (empleado/admin)
+ */
+export const cancelarEntrada = asyncHandler(async (req, res) => {
+  const resultado = await ListaEsperaService.cancelarEntrada(req.params.id, req.user._id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    resultado.message,
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Convertir una entrada de la lista de espera en una sesión
+ * @route   POST /api/lista-espera/:id/convertir
+ * @access  Private (empleado/admin)
+ */
+export const convertirEnSesion = asyncHandler(async (req, res) => {
+  const { permitirSuperposicion, permitirSinAutorizacion, ...datos } = req.body;
+
+  const resultado = await ListaEsperaService.convertirEnSesion(req.params.id, datos, req.user._id, {
+    permitirSuperposicion: permitirSuperposicion === true && req.user.rol === ROLES.ADMIN,
+    permitirSinAutorizacion: permitirSinAutorizacion === true && req.user.rol === ROLES.ADMIN,
+  });
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.CREATED,
+    resultado.message,
+    resultado.data
+  );
+});
@@ -0,0 +1,106 @@
+import ObraSocialService from '../services/obraSocialService.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import ApiResponse from '../utils/ApiResponse.js';
+import { HTTP_STATUS } from '../conf/constants.js';
+
+/**
+ * @desc    Crear una obra social
+ * @route   POST /api/obras-sociales
+ * @access  Private (admin)
+ */
+export const crearObraSocial = asyncHandler(async (req, res) => {
+  const resultado = await ObraSocialService.crearObraSocial(req.body, req.user._id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.CREATED,
+    resultado.message,
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Listar obras sociales
+ * @route   GET /api/obras-sociales
+ * @access  Private
+ */
+export const obtenerObrasSociales = asyncHandler(async (req, res) => {
+  const { activa, busqueda } = req.query;
+
+  const resultado = await ObraSocialService.obtenerObrasSociales({ activa, busqueda });
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    'Obras sociales obtenidas exitosamente',
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Obtener una obra social por ID
+ * @route   GET /api/obras-sociales/:id
+ * @access  Private
+ */
+export const obtenerObraSocialPorId = asyncHandler(async (req, res) => {
+  const resultado = await ObraSocialService.obtenerObraSocialPorId(req.params.id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    'Obra social obtenida exitosamente',
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Actualizar una obra social (planes, montos, tope anual, autorización)
+ * @route   PUT /api/obras-sociales/:id
+ * @access  Private (admin)
+ */
+export const actualizarObraSocial = asyncHandler(async (req, res) => {
+  const resultado = await ObraSocialService.actualizarObraSocial(
+    req.params.id,
+    req.body,
+    req.user._id
+  );
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    resultado.message,
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Desactivar una obra social
+ * @route   DELETE /api/obras-sociales/:id
+ * @access  Private (admin)
+ */
+export const desactivarObraSocial = asyncHandler(async (req, res) => {
+  const resultado = await ObraSocialService.desactivarObraSocial(req.params.id, req.user._id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    resultado.message,
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Vincular al catálogo los pacientes cargados con el nombre de la obra social en texto libre
+ * @route   POST /api/obras-sociales/vincular-pacientes
+ * @access  Private (admin)
+ */
+export const vincularPacientes = asyncHandler(async (req, res) => {
+  const resultado = await ObraSocialService.vincularPacientes();
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    resultado.message,
+    resultado.data
+  );
+});
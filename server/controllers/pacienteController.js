@@ -138,7 +138,7 @@ export const actualizarEstadoPaciente = asyncHandler(async (req, res) => {
  * @access  Private (empleado/admin)
  */
 export const darAltaMedica = asyncHandler(async (req, res) => {
-  const resultado = await PacienteService.darAltaMedica(req.params.id, req.body);
+  const resultado = await PacienteService.darAltaMedica(req.params.id, req.body, req.user._id);
 
   return ApiResponse.success(
     res,
@@ -0,0 +1,150 @@
+import PaqueteService from '../services/paqueteService.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import ApiResponse from '../utils/ApiResponse.js';
+import { HTTP_STATUS } from '../conf/constants.js';
+
+/**
+ * @desc    Crear un paquete de sesiones en el catálogo
+ * @route   POST /api/paquetes
+ * @access  Private (admin)
+ */
+export const crearPaquete = asyncHandler(async (req, res) => {
+  const resultado = await PaqueteService.crearPaquete(req.body, req.user._id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.CREATED,
+    resultado.message,
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Listar paquetes del catálogo
+ * @route   GET /api/paquetes?activo=true
+ * @access  Private
+ */
+export const obtenerPaquetes = asyncHandler(async (req, res) => {
+  const resultado = await PaqueteService.obtenerPaquetes({ activo: req.query.activo });
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    'Paquetes obtenidos exitosamente',
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Actualizar un paquete del catálogo
+ * @route   PUT /api/paquetes/:id
+ * @access  Private (admin)
+ */
+export const actualizarPaquete = asyncHandler(async (req, res) => {
+  const resultado = await PaqueteService.actualizarPaquete(req.params.id, req.body, req.user._id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    resultado.message,
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Desactivar un paquete del catálogo
+ * @route   DELETE /api/paquetes/:id
+ * @access  Private (admin)
+ */
+export const desactivarPaquete = asyncHandler(async (req, res) => {
+  const resultado = await PaqueteService.desactivarPaquete(req.params.id, req.user._id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    resultado.message,
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Vender un paquete a un paciente
+ * @route   POST /api/paquetes/ventas
+ * @access  Private
+ */
+export const venderPaquete = asyncHandler(async (req, res) => {
+  const resultado = await PaqueteService.venderPaquete(req.body, req.user._id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.CREATED,
+    resultado.message,
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Listar paquetes vendidos
+ * @route   GET /api/paquetes/ventas?paciente=&estado=
+ * @access  Private
+ */
+export const obtenerVentas = asyncHandler(async (req, res) => {
+  const { paciente, estado } = req.query;
+
+  const resultado = await PaqueteService.obtenerVentas({ paciente, estado });
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    'Paquetes vendidos obtenidos exitosamente',
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Obtener un paquete vendido con sus sesiones
+ * @route   GET /api/paquetes/ventas/:id
+ * @access  Private
+ */
+export const obtenerVentaPorId = asyncHandler(async (req, res) => {
+  const resultado = await PaqueteService.obtenerVentaPorId(req.params.id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    'Paquete vendido obtenido exitosamente',
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Anular la venta de un paquete sin sesiones usadas
+ * @route   DELETE /api/paquetes/ventas/:id
+ * @access  Private (admin)
+ */
+export const anularVenta = asyncHandler(async (req, res) => {
+  const resultado = await PaqueteService.anularVenta(req.params.id, req.body.motivo, req.user._id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    resultado.message,
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Reporte de saldos de paquetes vigentes y paquetes por vencer
+ * @route   GET /api/paquetes/reporte?dias=15
+ * @access  Private (admin, empleado)
+ */
+export const obtenerReporte = asyncHandler(async (req, res) => {
+  const resultado = await PaqueteService.obtenerReporte({ dias: req.query.dias });
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    'Reporte de paquetes obtenido exitosamente',
+    resultado.data
+  );
+});
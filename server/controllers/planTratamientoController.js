@@ -0,0 +1,161 @@
+import PlanTratamientoService from '../services/planTratamientoService.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import ApiResponse from '../utils/ApiResponse.js';
+import { HTTP_STATUS, ROLES } from '../conf/constants.js';
+
+/**
+ * @desc    Crear el plan de tratamiento de un paciente
+ * @route   POST /api/planes-tratamiento
+ * @access  Private
+ */
+export const crearPlan = asyncHandler(async (req, res) => {
+  const resultado = await PlanTratamientoService.crearPlan(req.body, req.user._id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.CREATED,
+    resultado.message,
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Objetivos con la revisión vencida sin evaluación
+ * @route   GET /api/planes-tratamiento/revisiones-vencidas?profesional=
+ * @access  Private (los no administradores ven solo sus planes)
+ */
+export const obtenerRevisionesVencidas = asyncHandler(async (req, res) => {
+  const profesional = req.user.rol === ROLES.ADMIN ? req.query.profesional : req.user._id;
+
+  const resultado = await PlanTratamientoService.obtenerRevisionesVencidas({ profesional });
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    'Revisiones vencidas obtenidas exitosamente',
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Listar los planes de tratamiento de un paciente
+ * @route   GET /api/planes-tratamiento/paciente/:pacienteId?estado=activo|finalizado|cancelado&episodio=
+ * @access  Private
+ */
+export const obtenerPlanesPaciente = asyncHandler(async (req, res) => {
+  const resultado = await PlanTratamientoService.obtenerPlanesPaciente(req.params.pacienteId, {
+    estado: req.query.estado,
+    episodio: req.query.episodio,
+  });
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    'Planes de tratamiento obtenidos exitosamente',
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Obtener un plan de tratamiento con el progreso de sus objetivos
+ * @route   GET /api/planes-tratamiento/:id
+ * @access  Private
+ */
+export const obtenerPlanPorId = asyncHandler(async (req, res) => {
+  const resultado = await PlanTratamientoService.obtenerPlanPorId(req.params.id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    'Plan de tratamiento obtenido exitosamente',
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Actualizar los datos generales de un plan
+ * @route   PUT /api/planes-tratamiento/:id
+ * @access  Private
+ */
+export const actualizarPlan = asyncHandler(async (req, res) => {
+  const resultado = await PlanTratamientoService.actualizarPlan(req.params.id, req.body, req.user._id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    resultado.message,
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Finalizar, cancelar o reactivar un plan
+ * @route   PUT /api/planes-tratamiento/:id/estado
+ * @access  Private
+ */
+export const cambiarEstadoPlan = asyncHandler(async (req, res) => {
+  const resultado = await PlanTratamientoService.cambiarEstadoPlan(
+    req.params.id,
+    req.body.estado,
+    req.user._id
+  );
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    resultado.message,
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Agregar un objetivo al plan
+ * @route   POST /api/planes-tratamiento/:id/objetivos
+ * @access  Private
+ */
+export const agregarObjetivo = asyncHandler(async (req, res) => {
+  const resultado = await PlanTratamientoService.agregarObjetivo(req.params.id, req.body, req.user._id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.CREATED,
+    resultado.message,
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Actualizar un objetivo (incluye reprogramar la revisión o descartarlo)
+ * @route   PUT /api/planes-tratamiento/:id/objetivos/:objetivoId
+ * @access  Private
+ */
+export const actualizarObjetivo = asyncHandler(async (req, res) => {
+  const resultado = await PlanTratamientoService.actualizarObjetivo(
+    req.params.id,
+    req.params.objetivoId,
+    req.body,
+    req.user._id
+  );
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    resultado.message,
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Eliminar un objetivo del plan
+ * @route   DELETE /api/planes-tratamiento/:id/objetivos/:objetivoId
+ * @access  Private
+ */
+export const eliminarObjetivo = asyncHandler(async (req, res) => {
+  const resultado = await PlanTratamientoService.eliminarObjetivo(
+    req.params.id,
+    req.params.objetivoId,
+    req.user._id
+  );
+
+  return ApiResponse.success(res, HTTP_STATUS.OK, resultado.message);
+});
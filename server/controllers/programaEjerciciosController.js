@@ -0,0 +1,215 @@
+import ProgramaEjerciciosService from '../services/programaEjerciciosService.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import ApiResponse from '../utils/ApiResponse.js';
+import { HTTP_STATUS } from '../conf/constants.js';
+
+/**
+ * @desc    Listar los ejercicios de la biblioteca
+ * @route   GET /api/programas-ejercicios/ejercicios?zonaCorporal=&busqueda=&incluirInactivos=true
+ * @access  Private
+ */
+export const obtenerEjercicios = asyncHandler(async (req, res) => {
+  const { zonaCorporal, busqueda, incluirInactivos, page, limit } = req.query;
+
+  const resultado = await ProgramaEjerciciosService.obtenerEjercicios({
+    zonaCorporal,
+    busqueda,
+    incluirInactivos,
+    page: parseInt(page) || 1,
+    limit: parseInt(limit) || 50,
+  });
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    'Ejercicios obtenidos exitosamente',
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Crear un ejercicio en la biblioteca
+ * @route   POST /api/programas-ejercicios/ejercicios
+ * @access  Private (admin)
+ */
+export const crearEjercicio = asyncHandler(async (req, res) => {
+  const resultado = await ProgramaEjerciciosService.crearEjercicio(req.body, req.user._id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.CREATED,
+    resultado.message,
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Obtener un ejercicio de la biblioteca
+ * @route   GET /api/programas-ejercicios/ejercicios/:id
+ * @access  Private
+ */
+export const obtenerEjercicioPorId = asyncHandler(async (req, res) => {
+  const resultado = await ProgramaEjerciciosService.obtenerEjercicioPorId(req.params.id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    'Ejercicio obtenido exitosamente',
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Actualizar un ejercicio de la biblioteca
+ * @route   PUT /api/programas-ejercicios/ejercicios/:id
+ * @access  Private (admin)
+ */
+export const actualizarEjercicio = asyncHandler(async (req, res) => {
+  const resultado = await ProgramaEjerciciosService.actualizarEjercicio(req.params.id, req.body, req.user._id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    resultado.message,
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Activar o desactivar un ejercicio de la biblioteca
+ * @route   PUT /api/programas-ejercicios/ejercicios/:id/estado
+ * @access  Private (admin)
+ */
+export const cambiarEstadoEjercicio = asyncHandler(async (req, res) => {
+  const resultado = await ProgramaEjerciciosService.cambiarEstadoEjercicio(
+    req.params.id,
+    req.body.activo,
+    req.user._id
+  );
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    resultado.message,
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Prescribir un programa de ejercicios domiciliarios desde una sesión
+ * @route   POST /api/programas-ejercicios
+ * @access  Private
+ */
+export const prescribirPrograma = asyncHandler(async (req, res) => {
+  const resultado = await ProgramaEjerciciosService.prescribirPrograma(req.body, req.user._id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.CREATED,
+    resultado.message,
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Listar los programas de ejercicios de un paciente
+ * @route   GET /api/programas-ejercicios/paciente/:pacienteId?estado=&episodio=
+ * @access  Private
+ */
+export const obtenerProgramasPaciente = asyncHandler(async (req, res) => {
+  const { estado, episodio, page, limit } = req.query;
+
+  const resultado = await ProgramaEjerciciosService.obtenerProgramasPaciente(req.params.pacienteId, {
+    estado,
+    episodio,
+    page: parseInt(page) || 1,
+    limit: parseInt(limit) || 20,
+  });
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    'Programas de ejercicios obtenidos exitosamente',
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Programas prescriptos en una sesión y el anterior del paciente (para registrar su adherencia)
+ * @route   GET /api/programas-ejercicios/sesion/:sesionId
+ * @access  Private
+ */
+export const obtenerProgramasSesion = asyncHandler(async (req, res) => {
+  const resultado = await ProgramaEjerciciosService.obtenerProgramasSesion(req.params.sesionId);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    'Programas de ejercicios obtenidos exitosamente',
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Obtener un programa de ejercicios con su adherencia
+ * @route   GET /api/programas-ejercicios/:id
+ * @access  Private
+ */
+export const obtenerProgramaPorId = asyncHandler(async (req, res) => {
+  const resultado = await ProgramaEjerciciosService.obtenerProgramaPorId(req.params.id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    'Programa de ejercicios obtenido exitosamente',
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Finalizar un programa de ejercicios
+ * @route   PUT /api/programas-ejercicios/:id/finalizar
+ * @access  Private
+ */
+export const finalizarPrograma = asyncHandler(async (req, res) => {
+  const resultado = await ProgramaEjerciciosService.finalizarPrograma(req.params.id, req.user._id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    resultado.message,
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Enviar el programa por email al paciente
+ * @route   POST /api/programas-ejercicios/:id/enviar
+ * @access  Private
+ */
+export const enviarPrograma = asyncHandler(async (req, res) => {
+  const resultado = await ProgramaEjerciciosService.enviarPrograma(req.params.id, req.body.email, req.user._id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    resultado.message,
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Registrar la adherencia informada por el paciente en la sesión siguiente
+ * @route   POST /api/programas-ejercicios/:id/adherencia
+ * @access  Private
+ */
+export const registrarAdherencia = asyncHandler(async (req, res) => {
+  const resultado = await ProgramaEjerciciosService.registrarAdherencia(req.params.id, req.body, req.user._id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    resultado.message,
+    resultado.data
+  );
+});
@@ -0,0 +1,92 @@
+import ReciboService from '../services/reciboService.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import ApiResponse from '../utils/ApiResponse.js';
+import { HTTP_STATUS } from '../conf/constants.js';
+
+/**
+ * @desc    Listar recibos
+ * @route   GET /api/recibos?paciente=&estado=&fechaInicio=&fechaFin=&page=&limit=
+ * @access  Private
+ */
+export const obtenerRecibos = asyncHandler(async (req, res) => {
+  const { paciente, estado, fechaInicio, fechaFin, page, limit } = req.query;
+
+  const resultado = await ReciboService.obtenerRecibos({
+    paciente,
+    estado,
+    fechaInicio,
+    fechaFin,
+    page,
+    limit,
+  });
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    'Recibos obtenidos exitosamente',
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Obtener un recibo
+ * @route   GET /api/recibos/:id
+ * @access  Private
+ */
+export const obtenerReciboPorId = asyncHandler(async (req, res) => {
+  const resultado = await ReciboService.obtenerReciboPorId(req.params.id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    'Recibo obtenido exitosamente',
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Descargar el PDF de un recibo
+ * @route   GET /api/recibos/:id/pdf
+ * @access  Private
+ */
+export const descargarReciboPDF = asyncHandler(async (req, res) => {
+  const { doc, nombreArchivo } = await ReciboService.generarPDF(req.params.id);
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${nombreArchivo}.pdf"`);
+
+  doc.pipe(res);
+  doc.end();
+});
+
+/**
+ * @desc    Enviar un recibo por email al paciente
+ * @route   POST /api/recibos/:id/enviar
+ * @access  Private
+ */
+export const enviarRecibo = asyncHandler(async (req, res) => {
+  const resultado = await ReciboService.enviarRecibo(req.params.id, req.body.email, req.user._id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    resultado.message,
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Anular un recibo (conserva su número)
+ * @route   DELETE /api/recibos/:id
+ * @access  Private (admin)
+ */
+export const anularRecibo = asyncHandler(async (req, res) => {
+  const resultado = await ReciboService.anularRecibo(req.params.id, req.body.motivo, req.user._id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    resultado.message,
+    resultado.data
+  );
+});
@@ -0,0 +1,85 @@
+import ReporteService from '../services/reporteService.js';
+import ReglaComisionService from '../services/reglaComisionService.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import ApiResponse from '../utils/ApiResponse.js';
+import { HTTP_STATUS, ROLES } from '../conf/constants.js';
+
+/**
+ * @desc    Reporte de productividad y comisiones por profesional
+ *          (los que no son administradores solo ven su propia fila)
+ * @route   GET /api/reportes/profesionales?fechaInicio=&fechaFin=&profesional=
+ * @access  Private
+ */
+export const obtenerReporteProfesionales = asyncHandler(async (req, res) => {
+  const { fechaInicio, fechaFin } = req.query;
+  const profesional = req.user.rol === ROLES.ADMIN ? req.query.profesional : req.user._id;
+
+  const resultado = await ReporteService.obtenerReporteProfesionales({ fechaInicio, fechaFin, profesional });
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    'Reporte de profesionales obtenido exitosamente',
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Crear una regla de comisión
+ * @route   POST /api/reportes/comisiones
+ * @access  Private (Solo Administrador)
+ */
+export const crearReglaComision = asyncHandler(async (req, res) => {
+  const resultado = await ReglaComisionService.crearRegla(req.body, req.user._id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.CREATED,
+    resultado.message,
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Listar reglas de comisión
+ * @route   GET /api/reportes/comisiones?profesional=&activa=
+ * @access  Private (Solo Administrador)
+ */
+export const obtenerReglasComision = asyncHandler(async (req, res) => {
+  const { profesional, activa } = req.query;
+  const resultado = await ReglaComisionService.obtenerReglas({ profesional, activa });
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    'Reglas de comisión obtenidas exitosamente',
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Actualizar una regla de comisión
+ * @route   PUT /api/reportes/comisiones/:id
+ * @access  Private (Solo Administrador)
+ */
+export const actualizarReglaComision = asyncHandler(async (req, res) => {
+  const resultado = await ReglaComisionService.actualizarRegla(req.params.id, req.body, req.user._id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    resultado.message,
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Eliminar una regla de comisión
+ * @route   DELETE /api/reportes/comisiones/:id
+ * @access  Private (Solo Administrador)
+ */
+export const eliminarReglaComision = asyncHandler(async (req, res) => {
+  const resultado = await ReglaComisionService.eliminarRegla(req.params.id);
+
+  return ApiResponse.success(res, HTTP_STATUS.OK, resultado.message);
+});
@@ -1,7 +1,16 @@
 import SesionService from '../services/sesionService.js';
 import asyncHandler from '../utils/asyncHandler.js';
 import ApiResponse from '../utils/ApiResponse.js';
-import { HTTP_STATUS } from '../conf/constants.js';
+import { HTTP_STATUS, ROLES } from '../conf/constants.js';
+
+/**
+ * Solo un administrador puede registrar una sesión superpuesta con otra del mismo profesional
+ * o sin la autorización que exige la obra social del paciente
+ */
+const opcionesAgenda = (req) => ({
+  permitirSuperposicion: req.body.permitirSuperposicion === true && req.user.rol === ROLES.ADMIN,
+  permitirSinAutorizacion: req.body.permitirSinAutorizacion === true && req.user.rol === ROLES.ADMIN,
+});
 
 /**
  * @desc    Registrar una nueva sesión
@@ -9,7 +18,13 @@ import { HTTP_STATUS } from '../conf/constants.js';
  * @access  Private (empleado/admin)
  */
 export const registrarSesion = asyncHandler(async (req, res) => {
-  const resultado = await SesionService.registrarSesion(req.body, req.user._id);
+  const { permitirSuperposicion, permitirSinAutorizacion, ...datosSesion } = req.body;
+
+  const resultado = await SesionService.registrarSesion(
+    datosSesion,
+    req.user._id,
+    opcionesAgenda(req)
+  );
 
   return ApiResponse.success(
     res,
@@ -25,7 +40,7 @@ export const registrarSesion = asyncHandler(async (req, res) => {
  * @access  Private (empleado/admin)
  */
 export const obtenerSesiones = asyncHandler(async (req, res) => {
-  const { page, limit, sortBy, pacienteId, fecha, estado, pagado } = req.query;
+  const { page, limit, sortBy, pacienteId, fecha, fechaInicio, fechaFin, estado, pagado } = req.query;
 
   const opciones = {
     page: parseInt(page) || 1,
@@ -33,6 +48,8 @@ export const obtenerSesiones = asyncHandler(async (req, res) => {
     sortBy,
     pacienteId,
     fecha,
+    fechaInicio,
+    fechaFin,
     estado,
     pagado,
   };
@@ -87,15 +104,16 @@ export const obtenerPlanillaDiaria = asyncHandler(async (req, res) => {
 
 /**
  * @desc    Obtener historial de sesiones de un paciente
- * @route   GET /api/sesiones/paciente/:pacienteId
+ * @route   GET /api/sesiones/paciente/:pacienteId?episodio=
  * @access  Private (empleado/admin)
  */
 export const obtenerHistorialPaciente = asyncHandler(async (req, res) => {
-  const { page, limit } = req.query;
+  const { page, limit, episodio } = req.query;
 
   const opciones = {
     page: parseInt(page) || 1,
     limit: parseInt(limit) || 20,
+    episodio,
   };
 
   const resultado = await SesionService.obtenerHistorialPaciente(
@@ -117,10 +135,13 @@ export const obtenerHistorialPaciente = asyncHandler(async (req, res) => {
  * @access  Private (empleado/admin)
  */
 export const actualizarSesion = asyncHandler(async (req, res) => {
+  const { permitirSuperposicion, ...datosActualizar } = req.body;
+
   const resultado = await SesionService.actualizarSesion(
     req.params.id,
-    req.body,
-    req.user._id
+    datosActualizar,
+    req.user._id,
+    opcionesAgenda(req)
   );
 
   return ApiResponse.success(
@@ -137,7 +158,29 @@ export const actualizarSesion = asyncHandler(async (req, res) => {
  * @access  Private (empleado/admin)
  */
 export const registrarPago = asyncHandler(async (req, res) => {
-  const resultado = await SesionService.registrarPago(req.params.id, req.body);
+  const resultado = await SesionService.registrarPago(req.params.id, req.body, req.user._id);
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    resultado.message,
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Registrar la ausencia del paciente (o cambiar su justificación)
+ * @route   PUT /api/sesiones/:id/ausencia
+ * @access  Private (empleado/admin)
+ */
+export const registrarAusencia = asyncHandler(async (req, res) => {
+  const { justificada, motivo } = req.body;
+
+  const resultado = await SesionService.registrarAusencia(
+    req.params.id,
+    { justificada, motivo },
+    req.user._id
+  );
 
   return ApiResponse.success(
     res,
@@ -167,7 +210,8 @@ export const cancelarSesion = asyncHandler(async (req, res) => {
     req.params.id, 
     motivo, 
     nuevaFecha ? new Date(nuevaFecha) : null,
-    req.user._id
+    req.user._id,
+    opcionesAgenda(req)
   );
 
   return ApiResponse.success(
@@ -232,10 +276,13 @@ export const obtenerPagosPendientes = asyncHandler(async (req, res) => {
  * @access  Private (empleado/admin)
  */
 export const actualizarDesdePlanilla = asyncHandler(async (req, res) => {
+  const { permitirSuperposicion, ...datosActualizar } = req.body;
+
   const resultado = await SesionService.actualizarDesdePlanilla(
     req.params.id,
-    req.body,
-    req.user._id
+    datosActualizar,
+    req.user._id,
+    opcionesAgenda(req)
   );
 
   return ApiResponse.success(
@@ -246,4 +293,59 @@ export const actualizarDesdePlanilla = asyncHandler(async (req, res) => {
   );
 });
 
+/**
+ * @desc    Generar la serie de sesiones del tratamiento desde los horarios habituales del paciente
+ * @route   POST /api/sesiones/series
+ * @access  Private (empleado/admin)
+ */
+export const generarSerie = asyncHandler(async (req, res) => {
+  const resultado = await SesionService.generarSerie(
+    req.body,
+    req.user._id,
+    opcionesAgenda(req)
+  );
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.CREATED,
+    resultado.message,
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Obtener las sesiones de una serie
+ * @route   GET /api/sesiones/series/:serieId
+ * @access  Private (empleado/admin)
+ */
+export const obtenerSerie = asyncHandler(async (req, res) => {
+  const resultado = await SesionService.obtenerSerie(req.params.serieId);
 
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    'Serie obtenida exitosamente',
+    resultado.data
+  );
+});
+
+/**
+ * @desc    Modificar en bloque el resto de una serie (mover de día/horario o cancelar)
+ * @route   PUT /api/sesiones/series/:serieId
+ * @access  Private (empleado/admin)
+ */
+export const actualizarSerie = asyncHandler(async (req, res) => {
+  const resultado = await SesionService.actualizarSerie(
+    req.params.serieId,
+    req.body,
+    req.user._id,
+    opcionesAgenda(req)
+  );
+
+  return ApiResponse.success(
+    res,
+    HTTP_STATUS.OK,
+    resultado.message,
+    resultado.data
+  );
+});
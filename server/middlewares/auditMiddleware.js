@@ -1,5 +1,12 @@
 import AuditoriaService from '../services/auditoriaService.js';
 
+/**
+ * Ruta de la petición sin los tokens que viajan en la URL (ej. /reset-password/:token)
+ * para que no queden en el log de auditoría
+ */
+const rutaAuditable = (req) =>
+  (req.originalUrl || req.path).replace(/(\/reset-password\/)[^/?#]+/i, '$1[oculto]');
+
 /**
  * Middleware para registrar acciones en el log de auditoría
  * Se puede usar como middleware después de una acción exitosa
@@ -58,7 +65,7 @@ export const registrarAuditoria = (accion, recursoTipo = null) => {
             ipAddress: req.ip || req.connection.remoteAddress,
             userAgent: req.get('user-agent'),
             metodo: req.method,
-            ruta: req.originalUrl || req.path,
+            ruta: rutaAuditable(req),
             estado: 'exitoso',
             metadata: {
               statusCode: res.statusCode,
@@ -94,7 +101,7 @@ export const registrarAccionManual = async (req, accion, descripcion, recurso =
     ipAddress: req.ip || req.connection.remoteAddress,
     userAgent: req.get('user-agent'),
     metodo: req.method,
-    ruta: req.originalUrl || req.path,
+    ruta: rutaAuditable(req),
     estado: 'exitoso',
   });
 };
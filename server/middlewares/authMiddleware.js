@@ -5,6 +5,56 @@ import ErrorResponse from '../utils/ErrorResponse.js';
 import ApiResponse from '../utils/ApiResponse.js';
 import { ERROR_MESSAGES, HTTP_STATUS, ROLES, USER_STATUS } from '../conf/constants.js';
 
+/**
+ * Verifica un access token y devuelve el usuario si puede operar
+ * Compartido por el middleware protect y la autenticación de Socket.IO
+ * @param {String} token - Access token (JWT)
+ * @returns {Promise<User>}
+ * @throws {ErrorResponse} 401 si el token o el usuario no son válidos, 403 si la cuenta no puede operar
+ */
+export const verificarAccessToken = async (token) => {
+  if (!token) {
+    throw new ErrorResponse(ERROR_MESSAGES.TOKEN_REQUIRED, HTTP_STATUS.UNAUTHORIZED);
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new ErrorResponse('El token ha expirado', HTTP_STATUS.UNAUTHORIZED);
+    }
+    throw new ErrorResponse(ERROR_MESSAGES.TOKEN_INVALID, HTTP_STATUS.UNAUTHORIZED);
+  }
+
+  // Obtener usuario del token
+  const user = await User.findById(decoded.id);
+
+  if (!user) {
+    throw new ErrorResponse(ERROR_MESSAGES.USER_NOT_FOUND, HTTP_STATUS.UNAUTHORIZED);
+  }
+
+  // Verificar que el usuario esté activo
+  if (user.estado === USER_STATUS.INACTIVE || user.estado === USER_STATUS.SUSPENDED) {
+    throw new ErrorResponse('Tu cuenta está inactiva o suspendida', HTTP_STATUS.FORBIDDEN);
+  }
+
+  // Verificar que el email esté verificado
+  if (!user.emailVerificado) {
+    throw new ErrorResponse(ERROR_MESSAGES.EMAIL_NOT_VERIFIED, HTTP_STATUS.FORBIDDEN);
+  }
+
+  // Verificar si la cuenta está bloqueada
+  if (user.metadata.bloqueadoHasta && user.metadata.bloqueadoHasta > Date.now()) {
+    throw new ErrorResponse(
+      `Tu cuenta está bloqueada temporalmente. Intenta nuevamente más tarde.`,
+      HTTP_STATUS.FORBIDDEN
+    );
+  }
+
+  return user;
+};
+
 /**
  * Middleware para proteger rutas - Verifica que el usuario esté autenticado
  */
@@ -21,46 +71,16 @@ export const protect = asyncHandler(async (req, res, next) => {
     token = req.headers.authorization.split(' ')[1];
   }
 
-  // Verificar si existe el token
-  if (!token) {
-    return ApiResponse.unauthorized(res, ERROR_MESSAGES.TOKEN_REQUIRED);
-  }
-
   try {
-    // Verificar token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-    // Obtener usuario del token
-    const user = await User.findById(decoded.id);
-
-    if (!user) {
-      return ApiResponse.unauthorized(res, ERROR_MESSAGES.USER_NOT_FOUND);
-    }
-
-    // Verificar que el usuario esté activo
-    if (user.estado === USER_STATUS.INACTIVE || user.estado === USER_STATUS.SUSPENDED) {
-      return ApiResponse.forbidden(res, 'Tu cuenta está inactiva o suspendida');
-    }
-
-    // Verificar que el email esté verificado
-    if (!user.emailVerificado) {
-      return ApiResponse.forbidden(res, ERROR_MESSAGES.EMAIL_NOT_VERIFIED);
-    }
-
-    // Verificar si la cuenta está bloqueada
-    if (user.metadata.bloqueadoHasta && user.metadata.bloqueadoHasta > Date.now()) {
-      return ApiResponse.forbidden(
-        res,
-        `Tu cuenta está bloqueada temporalmente. Intenta nuevamente más tarde.`
-      );
-    }
-
-    // Agregar usuario a la request
-    req.user = user;
+    // Verificar token y agregar usuario a la request
+    req.user = await verificarAccessToken(token);
     next();
   } catch (error) {
-    if (error.name === 'TokenExpiredError') {
-      return ApiResponse.unauthorized(res, 'El token ha expirado');
+    if (error.statusCode === HTTP_STATUS.FORBIDDEN) {
+      return ApiResponse.forbidden(res, error.message);
+    }
+    if (error instanceof ErrorResponse) {
+      return ApiResponse.unauthorized(res, error.message);
     }
     return ApiResponse.unauthorized(res, ERROR_MESSAGES.TOKEN_INVALID);
   }
@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+import Validators from '../utils/validators.js';
+import ApiResponse from '../utils/ApiResponse.js';
+
+/**
+ * Validar cantidad de sesiones y vigencia de una autorización
+ */
+const validarAutorizacion = (datos, errors) => {
+  const { sesionesAutorizadas, fechaInicio, fechaVencimiento } = datos;
+
+  if (sesionesAutorizadas !== undefined && (!Number.isInteger(sesionesAutorizadas) || sesionesAutorizadas < 1)) {
+    errors.push({
+      field: 'sesionesAutorizadas',
+      message: 'La cantidad de sesiones autorizadas debe ser un número entero mayor a 0',
+    });
+  }
+
+  ['fechaInicio', 'fechaVencimiento'].forEach(campo => {
+    if (datos[campo] !== undefined && isNaN(new Date(datos[campo]).getTime())) {
+      errors.push({ field: campo, message: 'Fecha inválida' });
+    }
+  });
+
+  if (fechaInicio && fechaVencimiento && new Date(fechaVencimiento) < new Date(fechaInicio)) {
+    errors.push({
+      field: 'fechaVencimiento',
+      message: 'La fecha de vencimiento no puede ser anterior a la de inicio',
+    });
+  }
+
+  ['obraSocial', 'documento', 'episodio'].forEach(campo => {
+    if (datos[campo] && !mongoose.Types.ObjectId.isValid(datos[campo])) {
+      errors.push({ field: campo, message: `ID de ${campo} inválido` });
+    }
+  });
+};
+
+/**
+ * Middleware para validar creación de autorización
+ */
+export const validateCrearAutorizacion = (req, res, next) => {
+  const errors = [];
+
+  const { isValid, missingFields } = Validators.validateRequiredFields(req.body, [
+    'paciente',
+    'numeroOrden',
+    'sesionesAutorizadas',
+    'fechaInicio',
+    'fechaVencimiento',
+  ]);
+
+  if (!isValid) {
+    errors.push({
+      field: 'required',
+      message: `Los siguientes campos son obligatorios: ${missingFields.join(', ')}`,
+    });
+  }
+
+  if (req.body.paciente && !mongoose.Types.ObjectId.isValid(req.body.paciente)) {
+    errors.push({ field: 'paciente', message: 'ID de paciente inválido' });
+  }
+
+  validarAutorizacion(req.body, errors);
+
+  if (errors.length > 0) {
+    return ApiResponse.validationError(res, errors);
+  }
+
+  next();
+};
+
+/**
+ * Middleware para validar actualización de autorización
+ */
+export const validateActualizarAutorizacion = (req, res, next) => {
+  const errors = [];
+
+  validarAutorizacion(req.body, errors);
+
+  if (errors.length > 0) {
+    return ApiResponse.validationError(res, errors);
+  }
+
+  next();
+};
@@ -0,0 +1,52 @@
+import ApiResponse from '../utils/ApiResponse.js';
+import { METODOS_PAGO_CUENTA } from '../models/MovimientoCuenta.js';
+
+/**
+ * Middleware para validar el cierre de caja
+ */
+export const validateCerrarCaja = (req, res, next) => {
+  const { fecha, contado } = req.body;
+  const errors = [];
+
+  if (fecha !== undefined && isNaN(new Date(fecha).getTime())) {
+    errors.push({ field: 'fecha', message: 'Fecha inválida' });
+  }
+
+  if (!contado || typeof contado !== 'object' || Array.isArray(contado)) {
+    errors.push({
+      field: 'contado',
+      message: `Debe indicar los montos contados por método de pago (${METODOS_PAGO_CUENTA.join(', ')})`,
+    });
+  } else {
+    Object.entries(contado).forEach(([metodo, monto]) => {
+      if (!METODOS_PAGO_CUENTA.includes(metodo)) {
+        errors.push({ field: `contado.${metodo}`, message: 'Método de pago inválido' });
+      } else if (typeof monto !== 'number' || monto < 0) {
+        errors.push({ field: `contado.${metodo}`, message: 'El monto contado debe ser un número mayor o igual a 0' });
+      }
+    });
+  }
+
+  if (errors.length > 0) {
+    return ApiResponse.validationError(res, errors);
+  }
+
+  next();
+};
+
+/**
+ * Middleware para validar la reapertura de caja
+ */
+export const validateReabrirCaja = (req, res, next) => {
+  const errors = [];
+
+  if (!req.body.motivo || typeof req.body.motivo !== 'string' || !req.body.motivo.trim()) {
+    errors.push({ field: 'motivo', message: 'El motivo de la reapertura es obligatorio' });
+  }
+
+  if (errors.length > 0) {
+    return ApiResponse.validationError(res, errors);
+  }
+
+  next();
+};
@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+import Validators from '../utils/validators.js';
+import ApiResponse from '../utils/ApiResponse.js';
+import { METODOS_PAGO_CUENTA } from '../models/MovimientoCuenta.js';
+
+/**
+ * Validar monto y método de pago de un movimiento de la cuenta
+ */
+const validarMovimiento = (datos, errors) => {
+  const { isValid, missingFields } = Validators.validateRequiredFields(datos, ['monto']);
+
+  if (!isValid) {
+    errors.push({
+      field: 'required',
+      message: `Los siguientes campos son obligatorios: ${missingFields.join(', ')}`,
+    });
+  }
+
+  if (datos.monto !== undefined && (typeof datos.monto !== 'number' || datos.monto <= 0)) {
+    errors.push({ field: 'monto', message: 'El monto debe ser un número mayor a 0' });
+  }
+
+  if (datos.metodoPago && !METODOS_PAGO_CUENTA.includes(datos.metodoPago)) {
+    errors.push({
+      field: 'metodoPago',
+      message: `El método de pago debe ser uno de: ${METODOS_PAGO_CUENTA.join(', ')}`,
+    });
+  }
+};
+
+/**
+ * Middleware para validar un pago en la cuenta del paciente
+ */
+export const validateRegistrarPagoCuenta = (req, res, next) => {
+  const errors = [];
+  const { aplicaciones } = req.body;
+
+  validarMovimiento(req.body, errors);
+
+  if (aplicaciones !== undefined) {
+    if (!Array.isArray(aplicaciones)) {
+      errors.push({ field: 'aplicaciones', message: 'Las aplicaciones deben ser una lista' });
+    } else {
+      aplicaciones.forEach((aplicacion, i) => {
+        if (!mongoose.Types.ObjectId.isValid(aplicacion.sesion)) {
+          errors.push({ field: `aplicaciones[${i}].sesion`, message: 'ID de sesión inválido' });
+        }
+        if (aplicacion.monto !== undefined && (typeof aplicacion.monto !== 'number' || aplicacion.monto <= 0)) {
+          errors.push({ field: `aplicaciones[${i}].monto`, message: 'El monto debe ser un número mayor a 0' });
+        }
+      });
+    }
+  }
+
+  if (errors.length > 0) {
+    return ApiResponse.validationError(res, errors);
+  }
+
+  next();
+};
+
+/**
+ * Middleware para validar un reintegro al paciente
+ */
+export const validateRegistrarReintegro = (req, res, next) => {
+  const errors = [];
+
+  validarMovimiento(req.body, errors);
+
+  if (errors.length > 0) {
+    return ApiResponse.validationError(res, errors);
+  }
+
+  next();
+};
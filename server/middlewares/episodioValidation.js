@@ -0,0 +1,113 @@
+import mongoose from 'mongoose';
+import ApiResponse from '../utils/ApiResponse.js';
+import { ESTADOS_PACIENTE_CIERRE } from '../models/EpisodioTratamiento.js';
+
+const fechaInvalida = (fecha) => fecha !== undefined && fecha !== null && isNaN(new Date(fecha).getTime());
+
+/**
+ * Validar el diagnóstico y el tratamiento de un episodio
+ */
+const validarEpisodio = (datos, errors) => {
+  const { motivoConsulta, diagnostico, tratamiento, fechaApertura } = datos;
+
+  if (motivoConsulta !== undefined && typeof motivoConsulta !== 'string') {
+    errors.push({ field: 'motivoConsulta', message: 'El motivo de consulta debe ser un texto' });
+  }
+
+  if (diagnostico !== undefined) {
+    if (typeof diagnostico !== 'object' || diagnostico === null || Array.isArray(diagnostico)) {
+      errors.push({ field: 'diagnostico', message: 'El diagnóstico debe ser un objeto { principal, secundarios, observaciones }' });
+    } else if (diagnostico.secundarios !== undefined
+      && (!Array.isArray(diagnostico.secundarios) || diagnostico.secundarios.some(d => typeof d !== 'string'))) {
+      errors.push({ field: 'diagnostico.secundarios', message: 'Los diagnósticos secundarios deben ser una lista de textos' });
+    }
+  }
+
+  if (tratamiento !== undefined) {
+    if (typeof tratamiento !== 'object' || tratamiento === null || Array.isArray(tratamiento)) {
+      errors.push({ field: 'tratamiento', message: 'El tratamiento debe ser un objeto' });
+    } else {
+      const { cantidadTotalSesiones, fechaInicio, fechaFinEstimada } = tratamiento;
+
+      if (cantidadTotalSesiones !== undefined && cantidadTotalSesiones !== null
+        && !(Number.isInteger(cantidadTotalSesiones) && cantidadTotalSesiones >= 1)) {
+        errors.push({ field: 'tratamiento.cantidadTotalSesiones', message: 'La cantidad de sesiones debe ser un entero mayor a 0' });
+      }
+
+      if (fechaInvalida(fechaInicio)) {
+        errors.push({ field: 'tratamiento.fechaInicio', message: 'Fecha de inicio inválida' });
+      }
+
+      if (fechaInvalida(fechaFinEstimada)) {
+        errors.push({ field: 'tratamiento.fechaFinEstimada', message: 'Fecha de fin estimada inválida' });
+      }
+    }
+  }
+
+  if (fechaInvalida(fechaApertura)) {
+    errors.push({ field: 'fechaApertura', message: 'Fecha de apertura inválida' });
+  }
+};
+
+/**
+ * Middleware para validar apertura de episodio
+ */
+export const validateAbrirEpisodio = (req, res, next) => {
+  const errors = [];
+
+  if (!req.body.paciente || !mongoose.Types.ObjectId.isValid(req.body.paciente)) {
+    errors.push({ field: 'paciente', message: 'El paciente es obligatorio y debe ser un ID válido' });
+  }
+
+  validarEpisodio(req.body, errors);
+
+  if (errors.length > 0) {
+    return ApiResponse.validationError(res, errors);
+  }
+
+  next();
+};
+
+/**
+ * Middleware para validar actualización de episodio
+ */
+export const validateActualizarEpisodio = (req, res, next) => {
+  const errors = [];
+
+  validarEpisodio(req.body, errors);
+
+  if (errors.length > 0) {
+    return ApiResponse.validationError(res, errors);
+  }
+
+  next();
+};
+
+/**
+ * Middleware para validar alta médica o cierre de un episodio
+ */
+export const validateCerrarEpisodio = (req, res, next) => {
+  const { fecha, observaciones, estadoPaciente } = req.body;
+  const errors = [];
+
+  if (fechaInvalida(fecha)) {
+    errors.push({ field: 'fecha', message: 'Fecha inválida' });
+  }
+
+  if (observaciones !== undefined && typeof observaciones !== 'string') {
+    errors.push({ field: 'observaciones', message: 'Las observaciones deben ser un texto' });
+  }
+
+  if (estadoPaciente !== undefined && !ESTADOS_PACIENTE_CIERRE.includes(estadoPaciente)) {
+    errors.push({
+      field: 'estadoPaciente',
+      message: `Estado inválido. Valores permitidos: ${ESTADOS_PACIENTE_CIERRE.join(', ')}`,
+    });
+  }
+
+  if (errors.length > 0) {
+    return ApiResponse.validationError(res, errors);
+  }
+
+  next();
+};
@@ -57,6 +57,12 @@ const errorHandler = (err, req, res, next) => {
     error.statusCode = HTTP_STATUS.BAD_REQUEST;
   }
 
+  // Error de Multer - Más archivos de los permitidos
+  if (err.code === 'LIMIT_FILE_COUNT') {
+    error.message = 'Solo se permite subir un archivo por solicitud';
+    error.statusCode = HTTP_STATUS.BAD_REQUEST;
+  }
+
   // Error de Multer - Tipo de archivo inválido
   if (err.code === 'LIMIT_UNEXPECTED_FILE') {
     error.message = 'Tipo de archivo no permitido';
@@ -0,0 +1,106 @@
+import mongoose from 'mongoose';
+import Validators from '../utils/validators.js';
+import ApiResponse from '../utils/ApiResponse.js';
+import { TIPOS_PARTICIPACION } from '../models/EsquemaDistribucion.js';
+
+/**
+ * Validar vigencia y participantes de un esquema de distribución
+ */
+const validarEsquema = (datos, errors) => {
+  const { vigenciaDesde, participantes } = datos;
+
+  if (vigenciaDesde !== undefined && isNaN(new Date(vigenciaDesde).getTime())) {
+    errors.push({ field: 'vigenciaDesde', message: 'Fecha de vigencia inválida' });
+  }
+
+  if (participantes === undefined) return;
+
+  if (!Array.isArray(participantes) || participantes.length === 0) {
+    errors.push({ field: 'participantes', message: 'Debe indicar al menos un participante' });
+    return;
+  }
+
+  participantes.forEach((participante, indice) => {
+    const { usuario, tipo, valor } = participante || {};
+
+    if (!usuario || !mongoose.Types.ObjectId.isValid(usuario)) {
+      errors.push({ field: `participantes[${indice}].usuario`, message: 'ID de usuario inválido' });
+    }
+
+    if (tipo !== undefined && !TIPOS_PARTICIPACION.includes(tipo)) {
+      errors.push({
+        field: `participantes[${indice}].tipo`,
+        message: `Tipo inválido. Valores permitidos: ${TIPOS_PARTICIPACION.join(', ')}`,
+      });
+    }
+
+    if (typeof valor !== 'number' || valor < 0) {
+      errors.push({
+        field: `participantes[${indice}].valor`,
+        message: 'El valor debe ser un número mayor o igual a 0',
+      });
+    }
+  });
+};
+
+/**
+ * Middleware para validar creación de esquema de distribución
+ */
+export const validateCrearEsquema = (req, res, next) => {
+  const errors = [];
+
+  const { isValid, missingFields } = Validators.validateRequiredFields(req.body, [
+    'nombre',
+    'vigenciaDesde',
+    'participantes',
+  ]);
+
+  if (!isValid) {
+    errors.push({
+      field: 'required',
+      message: `Los siguientes campos son obligatorios: ${missingFields.join(', ')}`,
+    });
+  }
+
+  validarEsquema(req.body, errors);
+
+  if (errors.length > 0) {
+    return ApiResponse.validationError(res, errors);
+  }
+
+  next();
+};
+
+/**
+ * Middleware para validar actualización de esquema de distribución
+ */
+export const validateActualizarEsquema = (req, res, next) => {
+  const errors = [];
+
+  validarEsquema(req.body, errors);
+
+  if (errors.length > 0) {
+    return ApiResponse.validationError(res, errors);
+  }
+
+  next();
+};
+
+/**
+ * Middleware para validar la migración de la planilla al esquema configurable
+ */
+export const validateMigrarEsquema = (req, res, next) => {
+  const errors = [];
+
+  ['farfan', 'mica', 'ffma'].forEach(clave => {
+    if (!req.body[clave] || !mongoose.Types.ObjectId.isValid(req.body[clave])) {
+      errors.push({ field: clave, message: `Debe indicar el ID de usuario de ${clave}` });
+    }
+  });
+
+  if (errors.length > 0) {
+    return ApiResponse.validationError(res, errors);
+  }
+
+  next();
+};
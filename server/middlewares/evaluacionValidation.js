@@ -0,0 +1,163 @@
+import mongoose from 'mongoose';
+import Validators from '../utils/validators.js';
+import ApiResponse from '../utils/ApiResponse.js';
+import { TIPOS_EVALUACION, METODOS_PUNTUACION } from '../models/PlantillaEvaluacion.js';
+import { MOMENTOS_EVALUACION } from '../models/Evaluacion.js';
+
+/**
+ * Validar los campos de una plantilla de evaluación
+ */
+const validarPlantilla = (datos, errors) => {
+  const { tipo, items, puntuacion } = datos;
+
+  if (tipo !== undefined && !TIPOS_EVALUACION.includes(tipo)) {
+    errors.push({
+      field: 'tipo',
+      message: `Tipo inválido. Valores permitidos: ${TIPOS_EVALUACION.join(', ')}`,
+    });
+  }
+
+  if (items !== undefined) {
+    if (!Array.isArray(items) || items.length === 0) {
+      errors.push({ field: 'items', message: 'La plantilla debe tener al menos un ítem' });
+    } else {
+      items.forEach((item, indice) => {
+        if (!item?.codigo || !item?.texto) {
+          errors.push({ field: `items.${indice}`, message: 'Cada ítem debe tener código y texto' });
+        }
+        if (typeof item?.max !== 'number' || (item.min !== undefined && typeof item.min !== 'number')) {
+          errors.push({ field: `items.${indice}`, message: 'Los valores mínimo y máximo deben ser números' });
+        }
+      });
+    }
+  }
+
+  if (puntuacion?.metodo !== undefined && !METODOS_PUNTUACION.includes(puntuacion.metodo)) {
+    errors.push({
+      field: 'puntuacion.metodo',
+      message: `Método de puntuación inválido. Valores permitidos: ${METODOS_PUNTUACION.join(', ')}`,
+    });
+  }
+};
+
+/**
+ * Middleware para validar creación de plantilla de evaluación
+ */
+export const validateCrearPlantilla = (req, res, next) => {
+  const errors = [];
+
+  const { isValid, missingFields } = Validators.validateRequiredFields(req.body, [
+    'clave',
+    'nombre',
+    'tipo',
+    'items',
+  ]);
+
+  if (!isValid) {
+    errors.push({
+      field: 'required',
+      message: `Los siguientes campos son obligatorios: ${missingFields.join(', ')}`,
+    });
+  }
+
+  validarPlantilla(req.body, errors);
+
+  if (errors.length > 0) {
+    return ApiResponse.validationError(res, errors);
+  }
+
+  next();
+};
+
+/**
+ * Middleware para validar una nueva versión de plantilla de evaluación
+ */
+export const validateActualizarPlantilla = (req, res, next) => {
+  const errors = [];
+
+  validarPlantilla(req.body, errors);
+
+  if (errors.length > 0) {
+    return ApiResponse.validationError(res, errors);
+  }
+
+  next();
+};
+
+/**
+ * Validar los campos comunes de una evaluación
+ */
+const validarEvaluacion = (datos, errors) => {
+  const { momento, fecha, respuestas } = datos;
+
+  if (momento !== undefined && !MOMENTOS_EVALUACION.includes(momento)) {
+    errors.push({
+      field: 'momento',
+      message: `Momento inválido. Valores permitidos: ${MOMENTOS_EVALUACION.join(', ')}`,
+    });
+  }
+
+  if (fecha !== undefined && isNaN(new Date(fecha).getTime())) {
+    errors.push({ field: 'fecha', message: 'Fecha inválida' });
+  }
+
+  if (respuestas !== undefined) {
+    if (!Array.isArray(respuestas)) {
+      errors.push({ field: 'respuestas', message: 'Las respuestas deben ser una lista' });
+    } else if (respuestas.some(r => !r?.codigo || typeof r.valor !== 'number')) {
+      errors.push({ field: 'respuestas', message: 'Cada respuesta debe tener código y un valor numérico' });
+    }
+  }
+};
+
+/**
+ * Middleware para validar registro de evaluación
+ */
+export const validateRegistrarEvaluacion = (req, res, next) => {
+  const { paciente, sesion } = req.body;
+  const errors = [];
+
+  const { isValid, missingFields } = Validators.validateRequiredFields(req.body, [
+    'paciente',
+    'plantilla',
+    'respuestas',
+  ]);
+
+  if (!isValid) {
+    errors.push({
+      field: 'required',
+      message: `Los siguientes campos son obligatorios: ${missingFields.join(', ')}`,
+    });
+  }
+
+  if (paciente && !mongoose.Types.ObjectId.isValid(paciente)) {
+    errors.push({ field: 'paciente', message: 'ID de paciente inválido' });
+  }
+
+  if (sesion && !mongoose.Types.ObjectId.isValid(sesion)) {
+    errors.push({ field: 'sesion', message: 'ID de sesión inválido' });
+  }
+
+  validarEvaluacion(req.body, errors);
+
+  if (errors.length > 0) {
+    return ApiResponse.validationError(res, errors);
+  }
+
+  next();
+};
+
+/**
+ * Middleware para validar actualización de evaluación
+ */
+export const validateActualizarEvaluacion = (req, res, next) => {
+  const errors = [];
+
+  validarEvaluacion(req.body, errors);
+
+  if (errors.length > 0) {
+    return ApiResponse.validationError(res, errors);
+  }
+
+  next();
+};
@@ -0,0 +1,172 @@
+import mongoose from 'mongoose';
+import Validators from '../utils/validators.js';
+import ApiResponse from '../utils/ApiResponse.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import PlantillaFormulario, { TIPOS_CAMPO, AMBITOS_FORMULARIO } from '../models/PlantillaFormulario.js';
+import Formulario from '../models/Formulario.js';
+import { TIPOS_SESION } from '../models/Sesion.js';
+
+/**
+ * Validar los campos de una plantilla de formulario
+ */
+const validarPlantilla = (datos, errors) => {
+  const { ambito, asignacion, campos } = datos;
+
+  if (ambito !== undefined && !AMBITOS_FORMULARIO.includes(ambito)) {
+    errors.push({
+      field: 'ambito',
+      message: `Ámbito inválido. Valores permitidos: ${AMBITOS_FORMULARIO.join(', ')}`,
+    });
+  }
+
+  if (asignacion !== undefined) {
+    const { diagnosticos = [], tiposSesion = [] } = asignacion || {};
+
+    if (!Array.isArray(diagnosticos) || diagnosticos.some(d => typeof d !== 'string')) {
+      errors.push({ field: 'asignacion.diagnosticos', message: 'Los diagnósticos deben ser una lista de textos' });
+    }
+
+    if (!Array.isArray(tiposSesion) || tiposSesion.some(tipo => !TIPOS_SESION.includes(tipo))) {
+      errors.push({
+        field: 'asignacion.tiposSesion',
+        message: `Tipos de sesión inválidos. Valores permitidos: ${TIPOS_SESION.join(', ')}`,
+      });
+    }
+  }
+
+  if (campos !== undefined) {
+    if (!Array.isArray(campos) || campos.length === 0) {
+      errors.push({ field: 'campos', message: 'La plantilla debe tener al menos un campo' });
+    } else {
+      campos.forEach((campo, indice) => {
+        if (!campo?.clave || !campo?.etiqueta) {
+          errors.push({ field: `campos.${indice}`, message: 'Cada campo debe tener clave y etiqueta' });
+        }
+        if (!TIPOS_CAMPO.includes(campo?.tipo)) {
+          errors.push({
+            field: `campos.${indice}.tipo`,
+            message: `Tipo de campo inválido. Valores permitidos: ${TIPOS_CAMPO.join(', ')}`,
+          });
+        }
+        if (campo?.opciones !== undefined && !Array.isArray(campo.opciones)) {
+          errors.push({ field: `campos.${indice}.opciones`, message: 'Las opciones deben ser una lista' });
+        }
+      });
+    }
+  }
+};
+
+/**
+ * Middleware para validar creación de plantilla de formulario
+ */
+export const validateCrearPlantillaFormulario = (req, res, next) => {
+  const errors = [];
+
+  const { isValid, missingFields } = Validators.validateRequiredFields(req.body, [
+    'nombre',
+    'campos',
+  ]);
+
+  if (!isValid) {
+    errors.push({
+      field: 'required',
+      message: `Los siguientes campos son obligatorios: ${missingFields.join(', ')}`,
+    });
+  }
+
+  validarPlantilla(req.body, errors);
+
+  if (errors.length > 0) {
+    return ApiResponse.validationError(res, errors);
+  }
+
+  next();
+};
+
+/**
+ * Middleware para validar actualización de plantilla de formulario
+ */
+export const validateActualizarPlantillaFormulario = (req, res, next) => {
+  const errors = [];
+
+  validarPlantilla(req.body, errors);
+
+  if (errors.length > 0) {
+    return ApiResponse.validationError(res, errors);
+  }
+
+  next();
+};
+
+/**
+ * Middleware para validar los datos de un formulario a completar
+ */
+export const validateCompletarFormulario = (req, res, next) => {
+  const { plantilla, paciente, sesion } = req.body;
+  const errors = [];
+
+  const { isValid, missingFields } = Validators.validateRequiredFields(req.body, [
+    'plantilla',
+    'valores',
+  ]);
+
+  if (!isValid) {
+    errors.push({
+      field: 'required',
+      message: `Los siguientes campos son obligatorios: ${missingFields.join(', ')}`,
+    });
+  }
+
+  if (!paciente && !sesion) {
+    errors.push({ field: 'paciente', message: 'Debe indicar el paciente o la sesión' });
+  }
+
+  [['plantilla', plantilla], ['paciente', paciente], ['sesion', sesion]].forEach(([field, valor]) => {
+    if (valor && !mongoose.Types.ObjectId.isValid(valor)) {
+      errors.push({ field, message: `ID de ${field} inválido` });
+    }
+  });
+
+  if (errors.length > 0) {
+    return ApiResponse.validationError(res, errors);
+  }
+
+  next();
+};
+
+/**
+ * Middleware para validar los valores de un formulario contra los campos de su plantilla
+ * (tipo, obligatorios, opciones y rangos). Usa la plantilla del body al completarlo
+ * o la del formulario existente al actualizarlo
+ */
+export const validateValoresFormulario = asyncHandler(async (req, res, next) => {
+  const { valores } = req.body;
+
+  if (!valores || typeof valores !== 'object' || Array.isArray(valores)) {
+    return ApiResponse.validationError(res, [
+      { field: 'valores', message: 'Los valores deben ser un objeto { campo: valor }' },
+    ]);
+  }
+
+  let plantillaId = req.body.plantilla;
+
+  if (req.params.id) {
+    const formulario = await Formulario.findById(req.params.id).select('plantilla').lean();
+    plantillaId = formulario?.plantilla;
+  }
+
+  const plantilla = plantillaId && await PlantillaFormulario.findById(plantillaId);
+
+  // Si no existe, el servicio responde el 404
+  if (!plantilla) {
+    return next();
+  }
+
+  const { errores } = plantilla.validarValores(valores);
+
+  if (errores.length > 0) {
+    return ApiResponse.validationError(res, errores);
+  }
+
+  next();
+});
@@ -0,0 +1,92 @@
+import Validators from '../utils/validators.js';
+import ApiResponse from '../utils/ApiResponse.js';
+
+/**
+ * Validar obra social y período (año/mes) de una liquidación
+ */
+const validarPeriodo = (datos, errors) => {
+  const { isValid, missingFields } = Validators.validateRequiredFields(datos, ['obraSocial', 'año', 'mes']);
+
+  if (!isValid) {
+    errors.push({
+      field: 'required',
+      message: `Los siguientes campos son obligatorios: ${missingFields.join(', ')}`,
+    });
+    return;
+  }
+
+  const año = Number(datos.año);
+  const mes = Number(datos.mes);
+
+  if (!Number.isInteger(año) || año < 2020) {
+    errors.push({ field: 'año', message: 'El año no es válido' });
+  }
+
+  if (!Number.isInteger(mes) || mes < 1 || mes > 12) {
+    errors.push({ field: 'mes', message: 'El mes debe ser un número entre 1 y 12' });
+  }
+};
+
+/**
+ * Middleware para validar la consulta de sesiones pendientes de liquidar
+ */
+export const validateSesionesPendientes = (req, res, next) => {
+  const errors = [];
+
+  validarPeriodo(req.query, errors);
+
+  if (errors.length > 0) {
+    return ApiResponse.validationError(res, errors);
+  }
+
+  next();
+};
+
+/**
+ * Middleware para validar la generación de una liquidación
+ */
+export const validateGenerarLiquidacion = (req, res, next) => {
+  const errors = [];
+
+  validarPeriodo(req.body, errors);
+
+  if (errors.length > 0) {
+    return ApiResponse.validationError(res, errors);
+  }
+
+  next();
+};
+
+/**
+ * Middleware para validar el registro del pago de una liquidación
+ */
+export const validateRegistrarPagoLiquidacion = (req, res, next) => {
+  const errors = [];
+  const { pagos = [], rechazos = [] } = req.body;
+
+  if (!Array.isArray(pagos) || !Array.isArray(rechazos)) {
+    errors.push({ field: 'pagos', message: 'Los pagos y rechazos deben ser listas' });
+    return ApiResponse.validationError(res, errors);
+  }
+
+  pagos.forEach((pago, i) => {
+    if (!pago.sesion) {
+      errors.push({ field: `pagos[${i}].sesion`, message: 'La sesión es obligatoria' });
+    }
+    if (pago.montoPagado !== undefined && (typeof pago.montoPagado !== 'number' || pago.montoPagado < 0)) {
+      errors.push({ field: `pagos[${i}].montoPagado`, message: 'El monto pagado debe ser un número mayor o igual a 0' });
+    }
+  });
+
+  rechazos.forEach((rechazo, i) => {
+    if (!rechazo.sesion) {
+      errors.push({ field: `rechazos[${i}].sesion`, message: 'La sesión es obligatoria' });
+    }
+  });
+
+  if (errors.length > 0) {
+    return ApiResponse.validationError(res, errors);
+  }
+
+  next();
+};
@@ -0,0 +1,138 @@
+import mongoose from 'mongoose';
+import Validators from '../utils/validators.js';
+import ApiResponse from '../utils/ApiResponse.js';
+import { PRIORIDADES_LISTA_ESPERA } from '../models/ListaEspera.js';
+import { DIAS_SEMANA } from '../models/AgendaProfesional.js';
+import { TIPOS_SESION } from '../models/Sesion.js';
+
+const HORA_REGEX = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+/**
+ * Validar los campos de una entrada de la lista de espera
+ */
+const validarEntrada = (datos, errors) => {
+  const { preferencias, prioridad, tipoSesion } = datos;
+
+  ['paciente', 'profesional'].forEach(campo => {
+    if (datos[campo] && !mongoose.Types.ObjectId.isValid(datos[campo])) {
+      errors.push({ field: campo, message: `ID de ${campo} inválido` });
+    }
+  });
+
+  if (prioridad !== undefined && !PRIORIDADES_LISTA_ESPERA.includes(prioridad)) {
+    errors.push({
+      field: 'prioridad',
+      message: `Prioridad inválida. Valores permitidos: ${PRIORIDADES_LISTA_ESPERA.join(', ')}`,
+    });
+  }
+
+  if (tipoSesion !== undefined && !TIPOS_SESION.includes(tipoSesion)) {
+    errors.push({
+      field: 'tipoSesion',
+      message: `Tipo de sesión inválido. Valores permitidos: ${TIPOS_SESION.join(', ')}`,
+    });
+  }
+
+  if (preferencias === undefined) return;
+
+  if (!Array.isArray(preferencias)) {
+    errors.push({ field: 'preferencias', message: 'Las preferencias deben ser una lista' });
+    return;
+  }
+
+  preferencias.forEach((preferencia, indice) => {
+    if (!DIAS_SEMANA.includes(preferencia?.dia)) {
+      errors.push({
+        field: `preferencias[${indice}].dia`,
+        message: `Día inválido. Valores permitidos: ${DIAS_SEMANA.join(', ')}`,
+      });
+    }
+
+    ['horaDesde', 'horaHasta'].forEach(campo => {
+      if (preferencia?.[campo] && !HORA_REGEX.test(preferencia[campo])) {
+        errors.push({ field: `preferencias[${indice}].${campo}`, message: 'Formato de hora inválido (HH:MM)' });
+      }
+    });
+  });
+};
+
+/**
+ * Middleware para validar creación de entrada en la lista de espera
+ */
+export const validateCrearEntrada = (req, res, next) => {
+  const errors = [];
+  const { paciente, interesado } = req.body;
+
+  if (!paciente && !(interesado?.nombre && interesado?.telefono)) {
+    errors.push({
+      field: 'paciente',
+      message: 'Debe indicar un paciente o el nombre y teléfono del interesado',
+    });
+  }
+
+  validarEntrada(req.body, errors);
+
+  if (errors.length > 0) {
+    return ApiResponse.validationError(res, errors);
+  }
+
+  next();
+};
+
+/**
+ * Middleware para validar actualización de entrada en la lista de espera
+ */
+export const validateActualizarEntrada = (req, res, next) => {
+  const errors = [];
+
+  validarEntrada(req.body, errors);
+
+  if (errors.length > 0) {
+    return ApiResponse.validationError(res, errors);
+  }
+
+  next();
+};
+
+/**
+ * Middleware para validar la conversión de una entrada en sesión
+ */
+export const validateConvertirEntrada = (req, res, next) => {
+  const errors = [];
+  const { fecha, monto } = req.body;
+
+  const { isValid, missingFields } = Validators.validateRequiredFields(req.body, ['fecha']);
+
+  if (!isValid) {
+    errors.push({
+      field: 'required',
+      message: `Los siguientes campos son obligatorios: ${missingFields.join(', ')}`,
+    });
+  }
+
+  if (fecha && isNaN(new Date(fecha).getTime())) {
+    errors.push({ field: 'fecha', message: 'Fecha inválida' });
+  }
+
+  ['horaEntrada', 'horaSalida'].forEach(campo => {
+    if (req.body[campo] && !HORA_REGEX.test(req.body[campo])) {
+      errors.push({ field: campo, message: 'Formato de hora inválido (HH:MM)' });
+    }
+  });
+
+  if (monto !== undefined && (typeof monto !== 'number' || monto < 0)) {
+    errors.push({ field: 'monto', message: 'El monto debe ser un número mayor o igual a 0' });
+  }
+
+  ['paciente', 'profesional'].forEach(campo => {
+    if (req.body[campo] && !mongoose.Types.ObjectId.isValid(req.body[campo])) {
+      errors.push({ field: campo, message: `ID de ${campo} inválido` });
+    }
+  });
+
+  if (errors.length > 0) {
+    return ApiResponse.validationError(res, errors);
+  }
+
+  next();
+};
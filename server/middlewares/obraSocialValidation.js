@@ -0,0 +1,90 @@
+import Validators from '../utils/validators.js';
+import ApiResponse from '../utils/ApiResponse.js';
+
+const CAMPOS_MONTO = ['montoCobertura', 'copago'];
+
+/**
+ * Validar las reglas de cobertura (de la obra social o de un plan)
+ */
+const validarReglasCobertura = (datos, prefijo, errors) => {
+  CAMPOS_MONTO.forEach(campo => {
+    if (datos[campo] !== undefined && datos[campo] !== null && (typeof datos[campo] !== 'number' || datos[campo] < 0)) {
+      errors.push({ 
+        field: `${prefijo}${campo}`, 
+        message: 'El monto debe ser un número mayor o igual a 0' 
+      });
+    }
+  });
+
+  const tope = datos.topeSesionesAnual;
+  if (tope !== undefined && tope !== null && (!Number.isInteger(tope) || tope < 1)) {
+    errors.push({ 
+      field: `${prefijo}topeSesionesAnual`, 
+      message: 'El tope anual debe ser un número entero mayor a 0' 
+    });
+  }
+};
+
+/**
+ * Validar datos de una obra social
+ */
+const validarObraSocial = (datos, errors) => {
+  validarReglasCobertura(datos, '', errors);
+
+  if (datos.planes !== undefined) {
+    if (!Array.isArray(datos.planes)) {
+      errors.push({ field: 'planes', message: 'Los planes deben ser una lista' });
+      return;
+    }
+
+    datos.planes.forEach((plan, i) => {
+      if (!plan.nombre) {
+        errors.push({ field: `planes[${i}].nombre`, message: 'El nombre del plan es obligatorio' });
+      }
+      validarReglasCobertura(plan, `planes[${i}].`, errors);
+    });
+  }
+
+  if (datos.contacto?.email && !Validators.isValidEmail(datos.contacto.email)) {
+    errors.push({ field: 'contacto.email', message: 'El email no es válido' });
+  }
+};
+
+/**
+ * Middleware para validar creación de obra social
+ */
+export const validateCrearObraSocial = (req, res, next) => {
+  const errors = [];
+
+  const { isValid, missingFields } = Validators.validateRequiredFields(req.body, ['nombre']);
+
+  if (!isValid) {
+    errors.push({
+      field: 'required',
+      message: `Los siguientes campos son obligatorios: ${missingFields.join(', ')}`,
+    });
+  }
+
+  validarObraSocial(req.body, errors);
+
+  if (errors.length > 0) {
+    return ApiResponse.validationError(res, errors);
+  }
+
+  next();
+};
+
+/**
+ * Middleware para validar actualización de obra social
+ */
+export const validateActualizarObraSocial = (req, res, next) => {
+  const errors = [];
+
+  validarObraSocial(req.body, errors);
+
+  if (errors.length > 0) {
+    return ApiResponse.validationError(res, errors);
+  }
+
+  next();
+};
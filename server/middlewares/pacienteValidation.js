@@ -61,7 +61,7 @@ export const validateCrearPaciente = (req, res, next) => {
   }
 
   // Validar obra social si se proporciona
-  if (req.body.obraSocial && !req.body.obraSocial.nombre) {
+  if (req.body.obraSocial && !req.body.obraSocial.nombre && !req.body.obraSocial.entidad) {
     errors.push({ 
       field: 'obraSocial', 
       message: 'Debe especificar el nombre de la obra social' 
@@ -0,0 +1,119 @@
+import mongoose from 'mongoose';
+import Validators from '../utils/validators.js';
+import ApiResponse from '../utils/ApiResponse.js';
+import { METODOS_PAGO_CUENTA } from '../models/MovimientoCuenta.js';
+
+/**
+ * Validar sesiones, precio y vigencia de un paquete
+ */
+const validarPaquete = (datos, errors) => {
+  const { cantidadSesiones, precio, diasVigencia } = datos;
+
+  if (cantidadSesiones !== undefined && (!Number.isInteger(cantidadSesiones) || cantidadSesiones < 1)) {
+    errors.push({
+      field: 'cantidadSesiones',
+      message: 'La cantidad de sesiones debe ser un número entero mayor a 0',
+    });
+  }
+
+  if (precio !== undefined && (typeof precio !== 'number' || precio < 0)) {
+    errors.push({ field: 'precio', message: 'El precio debe ser un número mayor o igual a 0' });
+  }
+
+  if (diasVigencia !== undefined && (!Number.isInteger(diasVigencia) || diasVigencia < 1)) {
+    errors.push({
+      field: 'diasVigencia',
+      message: 'Los días de vigencia deben ser un número entero mayor a 0',
+    });
+  }
+};
+
+/**
+ * Middleware para validar creación de paquete
+ */
+export const validateCrearPaquete = (req, res, next) => {
+  const errors = [];
+
+  const { isValid, missingFields } = Validators.validateRequiredFields(req.body, [
+    'nombre',
+    'cantidadSesiones',
+    'diasVigencia',
+  ]);
+
+  // El precio puede ser 0 (paquetes bonificados)
+  if (req.body.precio === undefined || req.body.precio === null) {
+    missingFields.push('precio');
+  }
+
+  if (!isValid || missingFields.length > 0) {
+    errors.push({
+      field: 'required',
+      message: `Los siguientes campos son obligatorios: ${missingFields.join(', ')}`,
+    });
+  }
+
+  validarPaquete(req.body, errors);
+
+  if (errors.length > 0) {
+    return ApiResponse.validationError(res, errors);
+  }
+
+  next();
+};
+
+/**
+ * Middleware para validar actualización de paquete
+ */
+export const validateActualizarPaquete = (req, res, next) => {
+  const errors = [];
+
+  validarPaquete(req.body, errors);
+
+  if (errors.length > 0) {
+    return ApiResponse.validationError(res, errors);
+  }
+
+  next();
+};
+
+/**
+ * Middleware para validar la venta de un paquete
+ */
+export const validateVenderPaquete = (req, res, next) => {
+  const errors = [];
+  const { paciente, paquete, metodoPago, fechaCompra } = req.body;
+
+  const { isValid, missingFields } = Validators.validateRequiredFields(req.body, ['paciente', 'paquete']);
+
+  if (!isValid) {
+    errors.push({
+      field: 'required',
+      message: `Los siguientes campos son obligatorios: ${missingFields.join(', ')}`,
+    });
+  }
+
+  if (paciente && !mongoose.Types.ObjectId.isValid(paciente)) {
+    errors.push({ field: 'paciente', message: 'ID de paciente inválido' });
+  }
+
+  if (paquete && !mongoose.Types.ObjectId.isValid(paquete)) {
+    errors.push({ field: 'paquete', message: 'ID de paquete inválido' });
+  }
+
+  if (metodoPago && !METODOS_PAGO_CUENTA.includes(metodoPago)) {
+    errors.push({
+      field: 'metodoPago',
+      message: `Método de pago inválido. Valores permitidos: ${METODOS_PAGO_CUENTA.join(', ')}`,
+    });
+  }
+
+  if (fechaCompra !== undefined && isNaN(new Date(fechaCompra).getTime())) {
+    errors.push({ field: 'fechaCompra', message: 'Fecha inválida' });
+  }
+
+  if (errors.length > 0) {
+    return ApiResponse.validationError(res, errors);
+  }
+
+  next();
+};
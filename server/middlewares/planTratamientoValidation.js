@@ -0,0 +1,197 @@
+import mongoose from 'mongoose';
+import Validators from '../utils/validators.js';
+import ApiResponse from '../utils/ApiResponse.js';
+import { ESTADOS_PLAN, FUENTES_OBJETIVO, COMPARACIONES_OBJETIVO } from '../models/PlanTratamiento.js';
+import { LADOS } from '../models/PlantillaEvaluacion.js';
+
+const fechaInvalida = (fecha) => fecha !== undefined && fecha !== null && isNaN(new Date(fecha).getTime());
+
+/**
+ * Validar los campos de un objetivo
+ * @param {Object} objetivo - Datos del objetivo
+ * @param {String} prefijo - Prefijo del campo en los errores
+ * @param {Boolean} parcial - true en las actualizaciones (ningún campo es obligatorio)
+ */
+const validarObjetivo = (objetivo, prefijo, parcial, errors) => {
+  const { descripcion, indicador, comparacion, valorObjetivo, valorInicial, fechaRevision } = objetivo || {};
+
+  if (!parcial) {
+    const { isValid, missingFields } = Validators.validateRequiredFields(objetivo || {}, [
+      'descripcion',
+      'indicador',
+      'comparacion',
+    ]);
+
+    if (!isValid) {
+      errors.push({
+        field: prefijo || 'required',
+        message: `Los siguientes campos son obligatorios: ${missingFields.join(', ')}`,
+      });
+    }
+  }
+
+  if (descripcion !== undefined && typeof descripcion !== 'string') {
+    errors.push({ field: `${prefijo}descripcion`, message: 'La descripción debe ser un texto' });
+  }
+
+  if (indicador !== undefined) {
+    if (!FUENTES_OBJETIVO.includes(indicador?.fuente)) {
+      errors.push({
+        field: `${prefijo}indicador.fuente`,
+        message: `Fuente inválida. Valores permitidos: ${FUENTES_OBJETIVO.join(', ')}`,
+      });
+    } else if (indicador.fuente === 'evaluacion' && (!indicador.clave || !indicador.codigo)) {
+      errors.push({
+        field: `${prefijo}indicador`,
+        message: 'Indique la plantilla (clave) y el ítem o subescala (codigo); use "total" para el puntaje del cuestionario',
+      });
+    }
+
+    if (indicador?.lado && !LADOS.includes(indicador.lado)) {
+      errors.push({ field: `${prefijo}indicador.lado`, message: `Lado inválido. Valores permitidos: ${LADOS.join(', ')}` });
+    }
+  }
+
+  if (comparacion !== undefined && !COMPARACIONES_OBJETIVO.includes(comparacion)) {
+    errors.push({
+      field: `${prefijo}comparacion`,
+      message: `Comparación inválida. Valores permitidos: ${COMPARACIONES_OBJETIVO.join(', ')}`,
+    });
+  }
+
+  if ((!parcial || valorObjetivo !== undefined) && typeof valorObjetivo !== 'number') {
+    errors.push({ field: `${prefijo}valorObjetivo`, message: 'El valor objetivo debe ser un número' });
+  }
+
+  if (valorInicial !== undefined && valorInicial !== null && typeof valorInicial !== 'number') {
+    errors.push({ field: `${prefijo}valorInicial`, message: 'El valor inicial debe ser un número' });
+  }
+
+  if (fechaInvalida(fechaRevision)) {
+    errors.push({ field: `${prefijo}fechaRevision`, message: 'Fecha de revisión inválida' });
+  }
+};
+
+/**
+ * Validar los datos generales de un plan
+ */
+const validarPlan = (datos, errors) => {
+  const { fechaInicio, fechaFinEstimada, tecnicas, frecuencia, profesional } = datos;
+
+  if (fechaInvalida(fechaInicio)) {
+    errors.push({ field: 'fechaInicio', message: 'Fecha de inicio inválida' });
+  }
+
+  if (fechaInvalida(fechaFinEstimada)) {
+    errors.push({ field: 'fechaFinEstimada', message: 'Fecha de fin estimada inválida' });
+  }
+
+  if (tecnicas !== undefined && (!Array.isArray(tecnicas) || tecnicas.some(t => typeof t !== 'string'))) {
+    errors.push({ field: 'tecnicas', message: 'Las técnicas deben ser una lista de textos' });
+  }
+
+  if (frecuencia?.sesionesPorSemana !== undefined && frecuencia.sesionesPorSemana !== null
+    && !(Number.isInteger(frecuencia.sesionesPorSemana) && frecuencia.sesionesPorSemana >= 1 && frecuencia.sesionesPorSemana <= 7)) {
+    errors.push({ field: 'frecuencia.sesionesPorSemana', message: 'Las sesiones por semana deben ser entre 1 y 7' });
+  }
+
+  if (frecuencia?.cantidadSesiones !== undefined && frecuencia.cantidadSesiones !== null
+    && !(Number.isInteger(frecuencia.cantidadSesiones) && frecuencia.cantidadSesiones >= 1)) {
+    errors.push({ field: 'frecuencia.cantidadSesiones', message: 'La cantidad de sesiones debe ser un entero mayor a 0' });
+  }
+
+  if (profesional && !mongoose.Types.ObjectId.isValid(profesional)) {
+    errors.push({ field: 'profesional', message: 'ID de profesional inválido' });
+  }
+};
+
+/**
+ * Middleware para validar creación de plan de tratamiento
+ */
+export const validateCrearPlan = (req, res, next) => {
+  const { paciente, objetivos } = req.body;
+  const errors = [];
+
+  if (!paciente || !mongoose.Types.ObjectId.isValid(paciente)) {
+    errors.push({ field: 'paciente', message: 'El paciente es obligatorio y debe ser un ID válido' });
+  }
+
+  validarPlan(req.body, errors);
+
+  if (objetivos !== undefined) {
+    if (!Array.isArray(objetivos)) {
+      errors.push({ field: 'objetivos', message: 'Los objetivos deben ser una lista' });
+    } else {
+      objetivos.forEach((objetivo, indice) => validarObjetivo(objetivo, `objetivos.${indice}.`, false, errors));
+    }
+  }
+
+  if (errors.length > 0) {
+    return ApiResponse.validationError(res, errors);
+  }
+
+  next();
+};
+
+/**
+ * Middleware para validar actualización de plan de tratamiento
+ */
+export const validateActualizarPlan = (req, res, next) => {
+  const errors = [];
+
+  validarPlan(req.body, errors);
+
+  if (errors.length > 0) {
+    return ApiResponse.validationError(res, errors);
+  }
+
+  next();
+};
+
+/**
+ * Middleware para validar cambio de estado de un plan
+ */
+export const validateEstadoPlan = (req, res, next) => {
+  if (!ESTADOS_PLAN.includes(req.body.estado)) {
+    return ApiResponse.validationError(res, [{
+      field: 'estado',
+      message: `Estado inválido. Valores permitidos: ${ESTADOS_PLAN.join(', ')}`,
+    }]);
+  }
+
+  next();
+};
+
+/**
+ * Middleware para validar un objetivo nuevo
+ */
+export const validateObjetivo = (req, res, next) => {
+  const errors = [];
+
+  validarObjetivo(req.body, '', false, errors);
+
+  if (errors.length > 0) {
+    return ApiResponse.validationError(res, errors);
+  }
+
+  next();
+};
+
+/**
+ * Middleware para validar actualización de objetivo
+ */
+export const validateActualizarObjetivo = (req, res, next) => {
+  const errors = [];
+
+  validarObjetivo(req.body, '', true, errors);
+
+  if (req.body.descartado !== undefined && typeof req.body.descartado !== 'boolean') {
+    errors.push({ field: 'descartado', message: 'El campo descartado debe ser true o false' });
+  }
+
+  if (errors.length > 0) {
+    return ApiResponse.validationError(res, errors);
+  }
+
+  next();
+};
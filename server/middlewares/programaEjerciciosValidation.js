@@ -0,0 +1,178 @@
+import mongoose from 'mongoose';
+import Validators from '../utils/validators.js';
+import ApiResponse from '../utils/ApiResponse.js';
+import { ZONAS_CORPORALES } from '../models/Ejercicio.js';
+import { NIVELES_ADHERENCIA } from '../models/ProgramaEjercicios.js';
+
+const URL_REGEX = /^https?:\/\/\S+$/i;
+
+/**
+ * Validar series, repeticiones, duración y frecuencia
+ * @param {Object} dosis - Datos de la dosis
+ * @param {String} prefijo - Prefijo del campo en los errores
+ */
+const validarDosis = (dosis, prefijo, errors) => {
+  ['series', 'repeticiones', 'duracionSegundos'].forEach(campo => {
+    const valor = dosis?.[campo];
+
+    if (valor !== undefined && valor !== null && !(Number.isInteger(valor) && valor >= 1)) {
+      errors.push({ field: `${prefijo}${campo}`, message: 'Debe ser un número entero mayor a 0' });
+    }
+  });
+
+  if (dosis?.frecuencia !== undefined && typeof dosis.frecuencia !== 'string') {
+    errors.push({ field: `${prefijo}frecuencia`, message: 'La frecuencia debe ser un texto (ej: "2 veces por día")' });
+  }
+};
+
+/**
+ * Validar los datos de un ejercicio de la biblioteca
+ */
+const validarEjercicio = (datos, errors) => {
+  const { zonaCorporal, imagenUrl, videoUrl, dosis } = datos;
+
+  if (zonaCorporal !== undefined && !ZONAS_CORPORALES.includes(zonaCorporal)) {
+    errors.push({
+      field: 'zonaCorporal',
+      message: `Zona corporal inválida. Valores permitidos: ${ZONAS_CORPORALES.join(', ')}`,
+    });
+  }
+
+  if (imagenUrl && !URL_REGEX.test(imagenUrl)) {
+    errors.push({ field: 'imagenUrl', message: 'La URL de la imagen no es válida' });
+  }
+
+  if (videoUrl && !URL_REGEX.test(videoUrl)) {
+    errors.push({ field: 'videoUrl', message: 'La URL del video no es válida' });
+  }
+
+  if (dosis !== undefined) {
+    validarDosis(dosis, 'dosis.', errors);
+  }
+};
+
+/**
+ * Middleware para validar creación de ejercicio
+ */
+export const validateCrearEjercicio = (req, res, next) => {
+  const errors = [];
+
+  const { isValid, missingFields } = Validators.validateRequiredFields(req.body, [
+    'nombre',
+    'zonaCorporal',
+  ]);
+
+  if (!isValid) {
+    errors.push({
+      field: 'required',
+      message: `Los siguientes campos son obligatorios: ${missingFields.join(', ')}`,
+    });
+  }
+
+  validarEjercicio(req.body, errors);
+
+  if (errors.length > 0) {
+    return ApiResponse.validationError(res, errors);
+  }
+
+  next();
+};
+
+/**
+ * Middleware para validar actualización de ejercicio
+ */
+export const validateActualizarEjercicio = (req, res, next) => {
+  const errors = [];
+
+  validarEjercicio(req.body, errors);
+
+  if (errors.length > 0) {
+    return ApiResponse.validationError(res, errors);
+  }
+
+  next();
+};
+
+/**
+ * Middleware para validar activación o desactivación de ejercicio
+ */
+export const validateEstadoEjercicio = (req, res, next) => {
+  if (typeof req.body.activo !== 'boolean') {
+    return ApiResponse.validationError(res, [{ field: 'activo', message: 'El campo activo debe ser true o false' }]);
+  }
+
+  next();
+};
+
+/**
+ * Middleware para validar prescripción de programa
+ */
+export const validatePrescribirPrograma = (req, res, next) => {
+  const { sesion, ejercicios, fechaFin, email } = req.body;
+  const errors = [];
+
+  if (!sesion || !mongoose.Types.ObjectId.isValid(sesion)) {
+    errors.push({ field: 'sesion', message: 'La sesión es obligatoria y debe ser un ID válido' });
+  }
+
+  if (!Array.isArray(ejercicios) || !ejercicios.length) {
+    errors.push({ field: 'ejercicios', message: 'Indique al menos un ejercicio' });
+  } else {
+    ejercicios.forEach((item, indice) => {
+      if (!item?.ejercicio || !mongoose.Types.ObjectId.isValid(item.ejercicio)) {
+        errors.push({ field: `ejercicios.${indice}.ejercicio`, message: 'ID de ejercicio inválido' });
+      }
+
+      validarDosis(item, `ejercicios.${indice}.`, errors);
+    });
+  }
+
+  if (fechaFin !== undefined && fechaFin !== null && isNaN(new Date(fechaFin).getTime())) {
+    errors.push({ field: 'fechaFin', message: 'Fecha inválida' });
+  }
+
+  if (email && !Validators.isValidEmail(email)) {
+    errors.push({ field: 'email', message: 'El email no es válido' });
+  }
+
+  if (errors.length > 0) {
+    return ApiResponse.validationError(res, errors);
+  }
+
+  next();
+};
+
+/**
+ * Middleware para validar registro de adherencia
+ */
+export const validateAdherencia = (req, res, next) => {
+  const { sesion, nivel, porcentaje, ejerciciosConDificultad } = req.body;
+  const errors = [];
+
+  if (!sesion || !mongoose.Types.ObjectId.isValid(sesion)) {
+    errors.push({ field: 'sesion', message: 'La sesión es obligatoria y debe ser un ID válido' });
+  }
+
+  if (!NIVELES_ADHERENCIA.includes(nivel)) {
+    errors.push({
+      field: 'nivel',
+      message: `Nivel inválido. Valores permitidos: ${NIVELES_ADHERENCIA.join(', ')}`,
+    });
+  }
+
+  if (porcentaje !== undefined && porcentaje !== null
+    && (typeof porcentaje !== 'number' || porcentaje < 0 || porcentaje > 100)) {
+    errors.push({ field: 'porcentaje', message: 'El porcentaje debe ser un número entre 0 y 100' });
+  }
+
+  if (ejerciciosConDificultad !== undefined
+    && (!Array.isArray(ejerciciosConDificultad) || ejerciciosConDificultad.some(id => !mongoose.Types.ObjectId.isValid(id)))) {
+    errors.push({ field: 'ejerciciosConDificultad', message: 'Debe ser una lista de IDs de ejercicios del programa' });
+  }
+
+  if (errors.length > 0) {
+    return ApiResponse.validationError(res, errors);
+  }
+
+  next();
+};
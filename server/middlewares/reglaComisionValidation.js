@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+import ApiResponse from '../utils/ApiResponse.js';
+import { TIPOS_COMISION } from '../models/ReglaComision.js';
+import { TIPOS_SESION } from '../models/Sesion.js';
+
+/**
+ * Validar los campos de una regla de comisión
+ */
+const validarRegla = (datos, errors) => {
+  const { profesional, tipoSesion, tipo, valor } = datos;
+
+  if (profesional && !mongoose.Types.ObjectId.isValid(profesional)) {
+    errors.push({ field: 'profesional', message: 'ID de profesional inválido' });
+  }
+
+  if (tipoSesion && !TIPOS_SESION.includes(tipoSesion)) {
+    errors.push({
+      field: 'tipoSesion',
+      message: `Tipo de sesión inválido. Valores permitidos: ${TIPOS_SESION.join(', ')}`,
+    });
+  }
+
+  if (tipo !== undefined && !TIPOS_COMISION.includes(tipo)) {
+    errors.push({
+      field: 'tipo',
+      message: `Tipo de comisión inválido. Valores permitidos: ${TIPOS_COMISION.join(', ')}`,
+    });
+  }
+
+  if (valor !== undefined && (typeof valor !== 'number' || valor < 0)) {
+    errors.push({ field: 'valor', message: 'El valor debe ser un número mayor o igual a 0' });
+  }
+
+  if (valor !== undefined && (tipo ?? 'porcentaje') === 'porcentaje' && valor > 100) {
+    errors.push({ field: 'valor', message: 'El porcentaje no puede superar 100' });
+  }
+};
+
+/**
+ * Middleware para validar creación de regla de comisión
+ */
+export const validateCrearRegla = (req, res, next) => {
+  const errors = [];
+
+  if (req.body.valor === undefined || req.body.valor === null) {
+    errors.push({ field: 'required', message: 'Los siguientes campos son obligatorios: valor' });
+  }
+
+  validarRegla(req.body, errors);
+
+  if (errors.length > 0) {
+    return ApiResponse.validationError(res, errors);
+  }
+
+  next();
+};
+
+/**
+ * Middleware para validar actualización de regla de comisión
+ */
+export const validateActualizarRegla = (req, res, next) => {
+  const errors = [];
+
+  validarRegla(req.body, errors);
+
+  if (errors.length > 0) {
+    return ApiResponse.validationError(res, errors);
+  }
+
+  next();
+};
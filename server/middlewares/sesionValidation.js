@@ -1,6 +1,7 @@
 import Validators from '../utils/validators.js';
 import ApiResponse from '../utils/ApiResponse.js';
 import mongoose from 'mongoose';
+import { METODOS_PAGO_CUENTA } from '../models/MovimientoCuenta.js';
 
 /**
  * Middleware para validar registro de sesión
@@ -29,6 +30,20 @@ export const validateRegistrarSesion = (req, res, next) => {
     });
   }
 
+  if (req.body.autorizacion && !mongoose.Types.ObjectId.isValid(req.body.autorizacion)) {
+    errors.push({ 
+      field: 'autorizacion', 
+      message: 'ID de autorización inválido' 
+    });
+  }
+
+  if (req.body.episodio && !mongoose.Types.ObjectId.isValid(req.body.episodio)) {
+    errors.push({ 
+      field: 'episodio', 
+      message: 'ID de episodio inválido' 
+    });
+  }
+
   // Validar horarios si se proporcionan
   if (req.body.horaEntrada && !/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/.test(req.body.horaEntrada)) {
     errors.push({ 
@@ -118,9 +133,8 @@ export const validateRegistrarPago = (req, res, next) => {
   const { monto, metodoPago } = req.body;
   const errors = [];
 
-  // Validar campos requeridos
+  // Validar campos requeridos (sin monto se paga el saldo de la sesión)
   const { isValid, missingFields } = Validators.validateRequiredFields(req.body, [
-    'monto',
     'metodoPago',
   ]);
 
@@ -141,8 +155,8 @@ export const validateRegistrarPago = (req, res, next) => {
     }
   }
 
-  // Validar método de pago
-  const metodosValidos = ['efectivo', 'transferencia', 'tarjeta', 'obra_social'];
+  // Validar método de pago (la parte de la obra social se cobra con las liquidaciones)
+  const metodosValidos = METODOS_PAGO_CUENTA;
   if (metodoPago && !metodosValidos.includes(metodoPago)) {
     errors.push({ 
       field: 'metodoPago', 
@@ -157,4 +171,205 @@ export const validateRegistrarPago = (req, res, next) => {
   next();
 };
 
+/**
+ * Middleware para validar la generación de una serie de sesiones
+ */
+export const validateGenerarSerie = (req, res, next) => {
+  const { paciente, fechaInicio, cantidadSesiones, monto } = req.body;
+  const errors = [];
+
+  const { isValid, missingFields } = Validators.validateRequiredFields(req.body, [
+    'paciente',
+    'fechaInicio',
+  ]);
+
+  if (!isValid) {
+    errors.push({
+      field: 'required',
+      message: `Los siguientes campos son obligatorios: ${missingFields.join(', ')}`,
+    });
+  }
+
+  if (paciente && !mongoose.Types.ObjectId.isValid(paciente)) {
+    errors.push({ 
+      field: 'paciente', 
+      message: 'ID de paciente inválido' 
+    });
+  }
+
+  if (fechaInicio && isNaN(new Date(fechaInicio).getTime())) {
+    errors.push({ 
+      field: 'fechaInicio', 
+      message: 'Fecha inválida' 
+    });
+  }
+
+  if (cantidadSesiones !== undefined && (!Number.isInteger(cantidadSesiones) || cantidadSesiones < 1 || cantidadSesiones > 100)) {
+    errors.push({ 
+      field: 'cantidadSesiones', 
+      message: 'La cantidad de sesiones debe ser un número entero entre 1 y 100' 
+    });
+  }
+
+  if (monto !== undefined && (typeof monto !== 'number' || monto < 0)) {
+    errors.push({ 
+      field: 'monto', 
+      message: 'El monto debe ser un número mayor o igual a 0' 
+    });
+  }
+
+  if (errors.length > 0) {
+    return ApiResponse.validationError(res, errors);
+  }
+
+  next();
+};
+
+/**
+ * Middleware para validar la modificación masiva de una serie
+ */
+export const validateActualizarSerie = (req, res, next) => {
+  const { accion, desde, diaOrigen, diaDestino, horaEntrada, horaSalida } = req.body;
+  const errors = [];
+  const dias = ['lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado', 'domingo'];
+
+  if (!['mover', 'cancelar'].includes(accion)) {
+    errors.push({ 
+      field: 'accion', 
+      message: 'La acción debe ser "mover" o "cancelar"' 
+    });
+  }
+
+  if (desde && isNaN(new Date(desde).getTime())) {
+    errors.push({ 
+      field: 'desde', 
+      message: 'Fecha inválida' 
+    });
+  }
+
+  if (diaOrigen && !dias.includes(diaOrigen)) {
+    errors.push({ 
+      field: 'diaOrigen', 
+      message: `El día debe ser uno de: ${dias.join(', ')}` 
+    });
+  }
+
+  if (diaDestino && !dias.includes(diaDestino)) {
+    errors.push({ 
+      field: 'diaDestino', 
+      message: `El día debe ser uno de: ${dias.join(', ')}` 
+    });
+  }
+
+  if (diaDestino && !diaOrigen) {
+    errors.push({ 
+      field: 'diaOrigen', 
+      message: 'Debe indicar el día de origen para mover las sesiones a otro día' 
+    });
+  }
+
+  if (accion === 'mover' && !diaDestino && !horaEntrada) {
+    errors.push({ 
+      field: 'diaDestino', 
+      message: 'Debe indicar un nuevo día o un nuevo horario' 
+    });
+  }
+
+  if (horaEntrada && !/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/.test(horaEntrada)) {
+    errors.push({ 
+      field: 'horaEntrada', 
+      message: 'Formato de hora inválido (debe ser HH:MM)' 
+    });
+  }
+
+  if (horaSalida && !/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/.test(horaSalida)) {
+    errors.push({ 
+      field: 'horaSalida', 
+      message: 'Formato de hora inválido (debe ser HH:MM)' 
+    });
+  }
+
+  if (errors.length > 0) {
+    return ApiResponse.validationError(res, errors);
+  }
+
+  next();
+};
+
+/**
+ * Middleware para validar el registro de una ausencia
+ */
+export const validateRegistrarAusencia = (req, res, next) => {
+  const { justificada, motivo } = req.body;
+  const errors = [];
+
+  if (justificada !== undefined && typeof justificada !== 'boolean') {
+    errors.push({ 
+      field: 'justificada', 
+      message: 'El campo justificada debe ser verdadero o falso' 
+    });
+  }
+
+  if (motivo !== undefined && (typeof motivo !== 'string' || motivo.length > 500)) {
+    errors.push({ 
+      field: 'motivo', 
+      message: 'El motivo debe ser un texto de hasta 500 caracteres' 
+    });
+  }
+
+  if (errors.length > 0) {
+    return ApiResponse.validationError(res, errors);
+  }
+
+  next();
+};
+
+/**
+ * Middleware para validar la política de asistencia
+ */
+export const validatePoliticaAsistencia = (req, res, next) => {
+  const { activa, maxAusencias, periodoDias, notificarAdministradores, cargoAusencia } = req.body;
+  const errors = [];
+
+  ['maxAusencias', 'periodoDias'].forEach(campo => {
+    const valor = req.body[campo];
+    if (valor !== undefined && (!Number.isInteger(valor) || valor < 1)) {
+      errors.push({ 
+        field: campo, 
+        message: 'Debe ser un número entero mayor o igual a 1' 
+      });
+    }
+  });
+
+  [['activa', activa], ['notificarAdministradores', notificarAdministradores], ['cargoAusencia.activo', cargoAusencia?.activo]]
+    .forEach(([campo, valor]) => {
+      if (valor !== undefined && typeof valor !== 'boolean') {
+        errors.push({ 
+          field: campo, 
+          message: 'Debe ser verdadero o falso' 
+        });
+      }
+    });
+
+  if (cargoAusencia?.monto !== undefined && (typeof cargoAusencia.monto !== 'number' || cargoAusencia.monto < 0)) {
+    errors.push({ 
+      field: 'cargoAusencia.monto', 
+      message: 'El monto debe ser un número mayor o igual a 0' 
+    });
+  }
+
+  if (maxAusencias === undefined && periodoDias === undefined && activa === undefined &&
+      notificarAdministradores === undefined && cargoAusencia === undefined) {
+    errors.push({ 
+      field: 'general', 
+      message: 'Debe indicar al menos un campo de la política' 
+    });
+  }
+
+  if (errors.length > 0) {
+    return ApiResponse.validationError(res, errors);
+  }
+
+  next();
+};
 
@@ -0,0 +1,34 @@
+import multer from 'multer';
+import ErrorResponse from '../utils/ErrorResponse.js';
+import { ARCHIVOS, HTTP_STATUS } from '../conf/constants.js';
+
+/**
+ * Middleware para recibir un archivo en el campo "archivo"
+ * El archivo queda en memoria (req.file.buffer) y el servicio lo envía al almacenamiento configurado
+ * @param {String} coleccion - 'documentos', 'fotos' o 'adjuntos' (define los tipos permitidos)
+ * @returns {Function}
+ */
+export const recibirArchivo = (coleccion) => {
+  const tiposPermitidos = ARCHIVOS.TIPOS_PERMITIDOS[coleccion] || [];
+
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: ARCHIVOS.TAMANO_MAXIMO,
+      files: 1,
+    },
+    fileFilter: (req, file, cb) => {
+      if (!tiposPermitidos.includes(file.mimetype)) {
+        return cb(
+          new ErrorResponse(
+            `Tipo de archivo no permitido. Tipos aceptados: ${tiposPermitidos.join(', ')}`,
+            HTTP_STATUS.BAD_REQUEST
+          )
+        );
+      }
+      cb(null, true);
+    },
+  });
+
+  return upload.single('archivo');
+};
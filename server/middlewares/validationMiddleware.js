@@ -215,6 +215,28 @@ export const validateEmail = (req, res, next) => {
   next();
 };
 
+/**
+ * Middleware para validar el restablecimiento de contraseña
+ */
+export const validatePasswordReset = (req, res, next) => {
+  const { password } = req.body;
+
+  if (!password) {
+    return ApiResponse.validationError(res, [
+      { field: 'password', message: 'La nueva contraseña es obligatoria' },
+    ]);
+  }
+
+  const passwordValidation = Validators.isValidPassword(password);
+  if (!passwordValidation.isValid) {
+    return ApiResponse.validationError(res, [
+      { field: 'password', message: passwordValidation.message },
+    ]);
+  }
+
+  next();
+};
+
 /**
  * Middleware para validar verificación de email (email + código)
  */
@@ -0,0 +1,95 @@
+import mongoose from 'mongoose';
+
+export const DIAS_SEMANA = ['domingo', 'lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado'];
+
+const HORA_REGEX = [/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Formato de hora inválido (HH:MM)'];
+
+const agendaProfesionalSchema = new mongoose.Schema(
+  {
+    // Profesional dueño de la agenda (una agenda por usuario)
+    profesional: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'El profesional es obligatorio'],
+      unique: true,
+    },
+
+    // Horario de atención semanal (puede haber varios bloques por día)
+    horarioSemanal: [{
+      dia: {
+        type: String,
+        enum: DIAS_SEMANA,
+        required: [true, 'El día es obligatorio'],
+      },
+      horaInicio: { type: String, required: true, match: HORA_REGEX },
+      horaFin: { type: String, required: true, match: HORA_REGEX },
+    }],
+
+    // Descansos (sin día = se aplica todos los días)
+    descansos: [{
+      dia: {
+        type: String,
+        enum: [...DIAS_SEMANA, null],
+        default: null,
+      },
+      horaInicio: { type: String, required: true, match: HORA_REGEX },
+      horaFin: { type: String, required: true, match: HORA_REGEX },
+      descripcion: { type: String, trim: true },
+    }],
+
+    // Días libres del profesional (vacaciones, licencias)
+    diasLibres: [{
+      fechaInicio: { type: Date, required: true },
+      fechaFin: { type: Date, required: true },
+      motivo: { type: String, trim: true },
+    }],
+
+    // Duración de cada turno en minutos
+    duracionTurno: {
+      type: Number,
+      min: [10, 'El turno debe durar al menos 10 minutos'],
+      max: [240, 'El turno no puede durar más de 240 minutos'],
+      default: 60,
+    },
+
+    // Pacientes que el profesional puede atender al mismo tiempo
+    sesionesSimultaneas: {
+      type: Number,
+      min: [1, 'Debe permitir al menos una sesión'],
+      default: 1,
+    },
+
+    activa: {
+      type: Boolean,
+      default: true,
+    },
+
+    modificadoPor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+// Validar que cada rango horario termine después de empezar
+agendaProfesionalSchema.pre('validate', function(next) {
+  const rangos = [...this.horarioSemanal, ...this.descansos];
+
+  if (rangos.some(r => r.horaInicio && r.horaFin && r.horaInicio.padStart(5, '0') >= r.horaFin.padStart(5, '0'))) {
+    this.invalidate('horarioSemanal', 'La hora de fin debe ser posterior a la hora de inicio');
+  }
+
+  if (this.diasLibres.some(d => d.fechaInicio > d.fechaFin)) {
+    this.invalidate('diasLibres', 'La fecha de fin debe ser posterior a la fecha de inicio');
+  }
+
+  next();
+});
+
+const AgendaProfesional = mongoose.model('AgendaProfesional', agendaProfesionalSchema);
+
+export default AgendaProfesional;
@@ -28,6 +28,8 @@ const auditoriaSchema = new mongoose.Schema(
         'dar_alta_medica', // Alta médica
         'cancelar_sesion', // Cancelar sesión
         'reprogramar_sesion', // Reprogramar sesión
+        'cerrar_caja',     // Cierre de caja diario
+        'reabrir_caja',    // Reapertura de caja
         'otro',            // Otras acciones
       ],
       index: true,
@@ -37,7 +39,7 @@ const auditoriaSchema = new mongoose.Schema(
     recurso: {
       tipo: {
         type: String,
-        enum: ['usuario', 'paciente', 'sesion', 'pago_personal', 'sistema', 'otro'],
+        enum: ['usuario', 'paciente', 'sesion', 'pago_personal', 'caja', 'sistema', 'otro'],
         required: true,
       },
       id: {
@@ -0,0 +1,177 @@
+import mongoose from 'mongoose';
+
+export const ESTADOS_AUTORIZACION = ['activa', 'agotada', 'vencida', 'anulada'];
+
+// Estados de sesión que no consumen sesiones de la autorización
+export const ESTADOS_SESION_NO_CONSUMEN = ['cancelada', 'ausente'];
+
+const autorizacionSchema = new mongoose.Schema(
+  {
+    paciente: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Paciente',
+      required: [true, 'El paciente es obligatorio'],
+      index: true,
+    },
+
+    obraSocial: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ObraSocial',
+      default: null,
+    },
+
+    // Episodio de tratamiento que cubre la orden
+    episodio: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'EpisodioTratamiento',
+      default: null,
+      index: true,
+    },
+
+    // Número de la orden médica / autorización de la obra social
+    numeroOrden: {
+      type: String,
+      required: [true, 'El número de orden es obligatorio'],
+      trim: true,
+    },
+
+    // Médico que prescribe (por defecto el médico derivante del paciente)
+    medico: {
+      nombre: { type: String, trim: true },
+      matricula: { type: String, trim: true },
+      especialidad: { type: String, trim: true },
+    },
+
+    sesionesAutorizadas: {
+      type: Number,
+      required: [true, 'La cantidad de sesiones autorizadas es obligatoria'],
+      min: [1, 'Debe autorizar al menos una sesión'],
+    },
+
+    // Sesiones vinculadas que no fueron canceladas ni ausentes
+    sesionesConsumidas: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    fechaInicio: {
+      type: Date,
+      required: [true, 'La fecha de inicio es obligatoria'],
+    },
+    fechaVencimiento: {
+      type: Date,
+      required: [true, 'La fecha de vencimiento es obligatoria'],
+    },
+
+    estado: {
+      type: String,
+      enum: ESTADOS_AUTORIZACION,
+      default: 'activa',
+    },
+
+    // Documento de la orden médica cargado en Paciente.documentos
+    documento: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+
+    observaciones: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Las observaciones no pueden exceder 500 caracteres'],
+    },
+
+    // Evita repetir el aviso de autorización por vencer
+    notificacionVencimiento: {
+      type: Date,
+      default: null,
+    },
+
+    creadoPor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    modificadoPor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+autorizacionSchema.index({ paciente: 1, estado: 1, fechaVencimiento: 1 });
+autorizacionSchema.index({ estado: 1, fechaVencimiento: 1 });
+
+// Virtual: sesiones que quedan disponibles
+autorizacionSchema.virtual('sesionesRestantes').get(function() {
+  return Math.max(this.sesionesAutorizadas - this.sesionesConsumidas, 0);
+});
+
+// Vigencia por días completos: desde el inicio del primer día hasta el final del último (UTC)
+autorizacionSchema.pre('validate', function(next) {
+  if (this.isModified('fechaInicio') && this.fechaInicio) {
+    const inicio = new Date(this.fechaInicio);
+    this.fechaInicio = new Date(Date.UTC(inicio.getUTCFullYear(), inicio.getUTCMonth(), inicio.getUTCDate()));
+  }
+  if (this.isModified('fechaVencimiento') && this.fechaVencimiento) {
+    const fin = new Date(this.fechaVencimiento);
+    this.fechaVencimiento = new Date(Date.UTC(fin.getUTCFullYear(), fin.getUTCMonth(), fin.getUTCDate(), 23, 59, 59, 999));
+  }
+
+  if (this.fechaInicio && this.fechaVencimiento && this.fechaVencimiento < this.fechaInicio) {
+    this.invalidate('fechaVencimiento', 'La fecha de vencimiento no puede ser anterior a la de inicio');
+  }
+  next();
+});
+
+// Mantener el estado según el consumo y la vigencia (una autorización anulada no cambia)
+autorizacionSchema.pre('save', function(next) {
+  if (this.estado !== 'anulada') {
+    if (this.sesionesConsumidas >= this.sesionesAutorizadas) {
+      this.estado = 'agotada';
+    } else if (this.fechaVencimiento < new Date()) {
+      this.estado = 'vencida';
+    } else {
+      this.estado = 'activa';
+    }
+  }
+  next();
+});
+
+/**
+ * Indica si la autorización cubre una sesión en la fecha indicada
+ * @param {Date} fecha - Fecha de la sesión
+ * @returns {Boolean}
+ */
+autorizacionSchema.methods.cubreFecha = function(fecha) {
+  const dia = new Date(fecha);
+  return dia >= this.fechaInicio && dia <= this.fechaVencimiento;
+};
+
+/**
+ * Recalcular las sesiones consumidas a partir de las sesiones vinculadas
+ * @param {String} autorizacionId - ID de la autorización
+ * @returns {Promise<Document|null>}
+ */
+autorizacionSchema.statics.actualizarConsumo = async function(autorizacionId) {
+  const autorizacion = await this.findById(autorizacionId);
+  if (!autorizacion) return null;
+
+  autorizacion.sesionesConsumidas = await mongoose.model('Sesion').countDocuments({
+    autorizacion: autorizacion._id,
+    estado: { $nin: ESTADOS_SESION_NO_CONSUMEN },
+  });
+
+  return autorizacion.save();
+};
+
+autorizacionSchema.set('toJSON', { virtuals: true });
+autorizacionSchema.set('toObject', { virtuals: true });
+
+const Autorizacion = mongoose.model('Autorizacion', autorizacionSchema);
+
+export default Autorizacion;
@@ -0,0 +1,97 @@
+import mongoose from 'mongoose';
+import { METODOS_PAGO_CUENTA } from './MovimientoCuenta.js';
+
+export const ESTADOS_CIERRE_CAJA = ['cerrada', 'reabierta'];
+
+const REDONDEO = 100;
+const redondear = (monto) => Math.round(monto * REDONDEO) / REDONDEO;
+
+const totalMetodoSchema = new mongoose.Schema(
+  {
+    metodoPago: {
+      type: String,
+      enum: METODOS_PAGO_CUENTA,
+      required: true,
+    },
+    cantidadPagos: { type: Number, default: 0 },
+    // Pagos menos reintegros del día registrados en el sistema
+    esperado: { type: Number, default: 0 },
+    // Monto contado / conciliado por la recepción
+    contado: { type: Number, default: 0, min: 0 },
+    diferencia: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+const cierreCajaSchema = new mongoose.Schema(
+  {
+    // Día cerrado (inicio del día en UTC)
+    fecha: {
+      type: Date,
+      required: [true, 'La fecha es obligatoria'],
+      unique: true,
+    },
+
+    estado: {
+      type: String,
+      enum: ESTADOS_CIERRE_CAJA,
+      default: 'cerrada',
+    },
+
+    totales: [totalMetodoSchema],
+
+    totalEsperado: { type: Number, default: 0 },
+    totalContado: { type: Number, default: 0 },
+    diferencia: { type: Number, default: 0 },
+
+    observaciones: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Las observaciones no pueden exceder 500 caracteres'],
+    },
+
+    cerradoPor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    fechaCierre: {
+      type: Date,
+      default: Date.now,
+    },
+
+    // Reaperturas autorizadas por un administrador
+    reaperturas: [{
+      _id: false,
+      usuario: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      fecha: { type: Date, default: Date.now },
+      motivo: { type: String, trim: true },
+    }],
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+cierreCajaSchema.index({ estado: 1, fecha: -1 });
+
+// Calcular diferencias y totales antes de guardar
+cierreCajaSchema.pre('save', function(next) {
+  let totalEsperado = 0;
+  let totalContado = 0;
+
+  this.totales.forEach(total => {
+    total.diferencia = redondear(total.contado - total.esperado);
+    totalEsperado += total.esperado;
+    totalContado += total.contado;
+  });
+
+  this.totalEsperado = redondear(totalEsperado);
+  this.totalContado = redondear(totalContado);
+  this.diferencia = redondear(totalContado - totalEsperado);
+  next();
+});
+
+const CierreCaja = mongoose.model('CierreCaja', cierreCajaSchema);
+
+export default CierreCaja;
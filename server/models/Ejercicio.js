@@ -0,0 +1,93 @@
+import mongoose from 'mongoose';
+
+export const ZONAS_CORPORALES = [
+  'cervical',
+  'dorsal',
+  'lumbar',
+  'hombro',
+  'codo',
+  'muneca_mano',
+  'cadera',
+  'rodilla',
+  'tobillo_pie',
+  'core',
+  'general',
+];
+
+const URL_REGEX = /^https?:\/\/\S+$/i;
+
+// Series, repeticiones y frecuencia que se proponen al prescribir el ejercicio
+export const dosisSchema = new mongoose.Schema(
+  {
+    series: { type: Number, min: 1, default: null },
+    repeticiones: { type: Number, min: 1, default: null },
+    // Para ejercicios por tiempo (estiramientos, isométricos)
+    duracionSegundos: { type: Number, min: 1, default: null },
+    frecuencia: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'La frecuencia no puede exceder 100 caracteres'],
+    }, // ej: "2 veces por día", "3 veces por semana"
+  },
+  { _id: false }
+);
+
+const ejercicioSchema = new mongoose.Schema(
+  {
+    nombre: {
+      type: String,
+      required: [true, 'El nombre es obligatorio'],
+      trim: true,
+      maxlength: [150, 'El nombre no puede exceder 150 caracteres'],
+    },
+    descripcion: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'La descripción no puede exceder 2000 caracteres'],
+    },
+    imagenUrl: {
+      type: String,
+      trim: true,
+      match: [URL_REGEX, 'La URL de la imagen no es válida'],
+    },
+    videoUrl: {
+      type: String,
+      trim: true,
+      match: [URL_REGEX, 'La URL del video no es válida'],
+    },
+    zonaCorporal: {
+      type: String,
+      enum: ZONAS_CORPORALES,
+      required: [true, 'La zona corporal es obligatoria'],
+    },
+    dosis: {
+      type: dosisSchema,
+      default: () => ({}),
+    },
+
+    activo: {
+      type: Boolean,
+      default: true,
+    },
+
+    creadoPor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    modificadoPor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+ejercicioSchema.index({ zonaCorporal: 1, nombre: 1 });
+ejercicioSchema.index({ activo: 1 });
+
+const Ejercicio = mongoose.model('Ejercicio', ejercicioSchema);
+
+export default Ejercicio;
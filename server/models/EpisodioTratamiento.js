@@ -0,0 +1,133 @@
+import mongoose from 'mongoose';
+
+// abierto: en tratamiento; alta: cerrado con alta médica; cerrado: terminado sin alta (abandono, derivación)
+export const ESTADOS_EPISODIO = ['abierto', 'alta', 'cerrado'];
+
+// Estados del paciente al cerrar un episodio sin alta médica
+export const ESTADOS_PACIENTE_CIERRE = ['inactivo', 'abandono', 'derivado'];
+
+const episodioTratamientoSchema = new mongoose.Schema(
+  {
+    paciente: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Paciente',
+      required: [true, 'El paciente es obligatorio'],
+      index: true,
+    },
+    // Correlativo por paciente (1, 2, 3...)
+    numero: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    estado: {
+      type: String,
+      enum: ESTADOS_EPISODIO,
+      default: 'abierto',
+    },
+
+    motivoConsulta: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'El motivo de consulta no puede exceder 500 caracteres'],
+    },
+    // Misma estructura que Paciente.diagnostico y Paciente.tratamiento,
+    // que reflejan los datos del episodio abierto
+    diagnostico: {
+      principal: { type: String, trim: true, default: null },
+      secundarios: [{ type: String, trim: true }],
+      observaciones: { type: String, trim: true, default: null },
+    },
+    tratamiento: {
+      cantidadTotalSesiones: { type: Number, min: 1, default: null },
+      fechaInicio: { type: Date, default: null },
+      fechaFinEstimada: { type: Date, default: null },
+      observaciones: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Las observaciones no pueden exceder 500 caracteres'],
+      },
+    },
+
+    fechaApertura: {
+      type: Date,
+      default: Date.now,
+    },
+    fechaAltaMedica: {
+      type: Date,
+      default: null,
+    },
+    // Fecha de cierre (alta o cierre sin alta)
+    fechaCierre: {
+      type: Date,
+      default: null,
+    },
+    observacionesCierre: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Las observaciones no pueden exceder 1000 caracteres'],
+    },
+
+    // Se actualizan con cada sesión del episodio
+    estadisticas: {
+      totalSesiones: { type: Number, default: 0 },
+      sesionesRealizadas: { type: Number, default: 0 },
+      ultimaSesion: { type: Date, default: null },
+    },
+
+    creadoPor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    cerradoPor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+episodioTratamientoSchema.index({ paciente: 1, numero: 1 }, { unique: true });
+// Un solo episodio abierto por paciente
+episodioTratamientoSchema.index(
+  { paciente: 1 },
+  { unique: true, partialFilterExpression: { estado: 'abierto' } }
+);
+
+/**
+ * Recalcular las estadísticas del episodio con sus sesiones
+ * @param {ObjectId} episodioId - ID del episodio
+ */
+episodioTratamientoSchema.statics.actualizarEstadisticas = async function(episodioId) {
+  const Sesion = mongoose.model('Sesion');
+
+  const [stats] = await Sesion.aggregate([
+    { $match: { episodio: new mongoose.Types.ObjectId(episodioId) } },
+    {
+      $group: {
+        _id: null,
+        totalSesiones: { $sum: 1 },
+        sesionesRealizadas: { $sum: { $cond: [{ $eq: ['$estado', 'realizada'] }, 1, 0] } },
+        ultimaSesion: { $max: '$fecha' },
+      },
+    },
+  ]);
+
+  await this.updateOne(
+    { _id: episodioId },
+    {
+      $set: {
+        'estadisticas.totalSesiones': stats?.totalSesiones || 0,
+        'estadisticas.sesionesRealizadas': stats?.sesionesRealizadas || 0,
+        'estadisticas.ultimaSesion': stats?.ultimaSesion || null,
+      },
+    }
+  );
+};
+
+const EpisodioTratamiento = mongoose.model('EpisodioTratamiento', episodioTratamientoSchema);
+
+export default EpisodioTratamiento;
@@ -0,0 +1,160 @@
+import mongoose from 'mongoose';
+
+export const TIPOS_PARTICIPACION = ['porcentaje', 'fijo'];
+
+const redondear = (valor) => Math.round((valor + Number.EPSILON) * 100) / 100;
+
+const participanteSchema = new mongoose.Schema(
+  {
+    usuario: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'El usuario del participante es obligatorio'],
+    },
+    // Nombre con el que aparece en la planilla (copiado del usuario)
+    nombre: {
+      type: String,
+      trim: true,
+    },
+    // porcentaje: % de lo que queda después de las partes fijas
+    // fijo: monto fijo por registro diario
+    tipo: {
+      type: String,
+      enum: TIPOS_PARTICIPACION,
+      default: 'porcentaje',
+    },
+    valor: {
+      type: Number,
+      required: [true, 'El valor de la participación es obligatorio'],
+      min: [0, 'El valor no puede ser negativo'],
+    },
+    // Recibe la diferencia de redondeo (por defecto el de mayor porcentaje)
+    recibeRedondeo: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { _id: false }
+);
+
+const esquemaDistribucionSchema = new mongoose.Schema(
+  {
+    nombre: {
+      type: String,
+      required: [true, 'El nombre es obligatorio'],
+      trim: true,
+      maxlength: [100, 'El nombre no puede exceder 100 caracteres'],
+    },
+
+    // Fecha desde la que se aplica (rige hasta la versión siguiente)
+    vigenciaDesde: {
+      type: Date,
+      required: [true, 'La fecha de vigencia es obligatoria'],
+      unique: true,
+    },
+
+    participantes: [participanteSchema],
+
+    observaciones: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Las observaciones no pueden exceder 500 caracteres'],
+    },
+
+    creadoPor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    modificadoPor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+// Normalizar la vigencia al inicio del día y validar los participantes
+esquemaDistribucionSchema.pre('validate', function(next) {
+  if (this.vigenciaDesde) {
+    const fecha = new Date(this.vigenciaDesde);
+    this.vigenciaDesde = new Date(Date.UTC(fecha.getUTCFullYear(), fecha.getUTCMonth(), fecha.getUTCDate()));
+  }
+
+  if (!this.participantes.length) {
+    this.invalidate('participantes', 'El esquema debe tener al menos un participante');
+    return next();
+  }
+
+  const usuarios = this.participantes.map(p => p.usuario?.toString());
+  if (new Set(usuarios).size !== usuarios.length) {
+    this.invalidate('participantes', 'Un usuario no puede figurar dos veces en el esquema');
+  }
+
+  // Los porcentajes reparten todo lo que queda después de las partes fijas
+  const porcentajes = this.participantes.filter(p => p.tipo === 'porcentaje');
+  const totalPorcentaje = redondear(porcentajes.reduce((total, p) => total + p.valor, 0));
+
+  if (totalPorcentaje !== 100) {
+    this.invalidate('participantes', `Los porcentajes deben sumar 100 (suman ${totalPorcentaje})`);
+  }
+
+  if (this.participantes.filter(p => p.recibeRedondeo).length > 1) {
+    this.invalidate('participantes', 'Solo un participante puede recibir la diferencia de redondeo');
+  }
+
+  next();
+});
+
+/**
+ * Repartir un monto entre los participantes
+ * Primero se descuentan las partes fijas (proporcionalmente si superan el monto)
+ * y el resto se reparte por porcentaje. La diferencia de redondeo va al participante
+ * marcado con "recibeRedondeo" o, si no hay, al de mayor porcentaje
+ * @param {Number} monto - Monto a repartir
+ * @returns {Array} [{ participante, nombre, monto }]
+ */
+esquemaDistribucionSchema.methods.calcularReparto = function(monto) {
+  const fijos = this.participantes.filter(p => p.tipo === 'fijo');
+  const totalFijo = fijos.reduce((total, p) => total + p.valor, 0);
+  const factorFijo = totalFijo > monto && totalFijo > 0 ? monto / totalFijo : 1;
+  const resto = Math.max(monto - totalFijo * factorFijo, 0);
+
+  const reparto = this.participantes.map(p => ({
+    participante: p.usuario,
+    nombre: p.nombre,
+    monto: redondear(p.tipo === 'fijo' ? p.valor * factorFijo : (resto * p.valor) / 100),
+  }));
+
+  const diferencia = redondear(monto - reparto.reduce((total, r) => total + r.monto, 0));
+
+  if (diferencia !== 0) {
+    let indice = this.participantes.findIndex(p => p.recibeRedondeo);
+
+    if (indice === -1) {
+      indice = this.participantes.reduce(
+        (mayor, p, i, lista) => (p.tipo === 'porcentaje' && (mayor === -1 || p.valor > lista[mayor].valor) ? i : mayor),
+        -1
+      );
+    }
+
+    reparto[indice].monto = redondear(reparto[indice].monto + diferencia);
+  }
+
+  return reparto;
+};
+
+/**
+ * Versión del esquema vigente para una fecha
+ * @param {Date} fecha - Fecha del registro
+ * @returns {Promise<Document|null>}
+ */
+esquemaDistribucionSchema.statics.obtenerVigente = function(fecha) {
+  return this.findOne({ vigenciaDesde: { $lte: new Date(fecha) } }).sort('-vigenciaDesde');
+};
+
+const EsquemaDistribucion = mongoose.model('EsquemaDistribucion', esquemaDistribucionSchema);
+
+export default EsquemaDistribucion;
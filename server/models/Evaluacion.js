@@ -0,0 +1,96 @@
+import mongoose from 'mongoose';
+import { TIPOS_EVALUACION, LADOS } from './PlantillaEvaluacion.js';
+
+export const MOMENTOS_EVALUACION = ['inicial', 'seguimiento', 'final'];
+
+const evaluacionSchema = new mongoose.Schema(
+  {
+    paciente: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Paciente',
+      required: [true, 'El paciente es obligatorio'],
+      index: true,
+    },
+    // Sesión en la que se evaluó (opcional)
+    sesion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Sesion',
+      default: null,
+    },
+
+    // Versión de la plantilla con la que se registró
+    plantilla: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PlantillaEvaluacion',
+      required: [true, 'La plantilla es obligatoria'],
+    },
+    // Copiados de la plantilla para agrupar y graficar sin importar la versión
+    clave: { type: String, required: true },
+    nombre: { type: String },
+    tipo: { type: String, enum: TIPOS_EVALUACION },
+    version: { type: Number },
+
+    momento: {
+      type: String,
+      enum: MOMENTOS_EVALUACION,
+      default: 'seguimiento',
+    },
+    fecha: {
+      type: Date,
+      default: Date.now,
+    },
+
+    respuestas: [{
+      _id: false,
+      codigo: { type: String, required: true },
+      lado: {
+        type: String,
+        default: null,
+        validate: {
+          validator: valor => valor === null || LADOS.includes(valor),
+          message: 'Lado inválido',
+        },
+      },
+      valor: { type: Number, required: true },
+    }],
+
+    // Calculado con la plantilla al guardar
+    resultado: {
+      puntaje: { type: Number, default: null },
+      subescalas: [{
+        _id: false,
+        clave: String,
+        nombre: String,
+        puntaje: Number,
+        respondidas: Number,
+      }],
+      respondidas: { type: Number, default: 0 },
+    },
+
+    observaciones: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Las observaciones no pueden exceder 1000 caracteres'],
+    },
+
+    profesional: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    modificadoPor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+evaluacionSchema.index({ paciente: 1, clave: 1, fecha: 1 });
+evaluacionSchema.index({ sesion: 1 });
+
+const Evaluacion = mongoose.model('Evaluacion', evaluacionSchema);
+
+export default Evaluacion;
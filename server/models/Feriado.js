@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+const feriadoSchema = new mongoose.Schema(
+  {
+    // Fecha del feriado (se guarda normalizada a medianoche UTC)
+    fecha: {
+      type: Date,
+      required: [true, 'La fecha es obligatoria'],
+      unique: true,
+    },
+
+    descripcion: {
+      type: String,
+      required: [true, 'La descripción es obligatoria'],
+      trim: true,
+      maxlength: [100, 'La descripción no puede exceder 100 caracteres'],
+    },
+
+    creadoPor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+// Normalizar la fecha al inicio del día UTC
+feriadoSchema.pre('save', function(next) {
+  if (this.isModified('fecha')) {
+    const fecha = new Date(this.fecha);
+    this.fecha = new Date(Date.UTC(fecha.getUTCFullYear(), fecha.getUTCMonth(), fecha.getUTCDate()));
+  }
+  next();
+});
+
+const Feriado = mongoose.model('Feriado', feriadoSchema);
+
+export default Feriado;
@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+import { AMBITOS_FORMULARIO, TIPOS_CAMPO } from './PlantillaFormulario.js';
+
+const formularioSchema = new mongoose.Schema(
+  {
+    plantilla: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PlantillaFormulario',
+      required: [true, 'La plantilla es obligatoria'],
+    },
+    // Copiado de la plantilla al completar
+    nombre: { type: String },
+    ambito: {
+      type: String,
+      enum: AMBITOS_FORMULARIO,
+      required: true,
+    },
+
+    paciente: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Paciente',
+      required: [true, 'El paciente es obligatorio'],
+      index: true,
+    },
+    // Solo en los formularios de ámbito sesión
+    sesion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Sesion',
+      default: null,
+    },
+
+    // Valores validados con la etiqueta y el tipo del campo al momento de completarlo,
+    // así el formulario se puede leer aunque la plantilla cambie después
+    respuestas: [{
+      _id: false,
+      clave: { type: String, required: true },
+      etiqueta: { type: String },
+      tipo: { type: String, enum: TIPOS_CAMPO },
+      valor: { type: mongoose.Schema.Types.Mixed },
+    }],
+
+    completadoPor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    modificadoPor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+formularioSchema.index({ paciente: 1, plantilla: 1 });
+formularioSchema.index({ sesion: 1 });
+
+const Formulario = mongoose.model('Formulario', formularioSchema);
+
+export default Formulario;
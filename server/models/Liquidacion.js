@@ -0,0 +1,151 @@
+import mongoose from 'mongoose';
+
+export const ESTADOS_LIQUIDACION = ['borrador', 'presentada', 'pagada_parcial', 'pagada', 'rechazada'];
+
+const itemLiquidacionSchema = new mongoose.Schema(
+  {
+    sesion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Sesion',
+      required: true,
+    },
+    paciente: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Paciente',
+      required: true,
+    },
+    // Datos copiados al generar la liquidación (no cambian si se edita el paciente)
+    fecha: { type: Date, required: true },
+    pacienteNombre: { type: String, trim: true },
+    dni: { type: String, trim: true },
+    numeroAfiliado: { type: String, trim: true },
+    plan: { type: String, trim: true },
+    numeroSesion: { type: Number },
+    monto: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    estado: {
+      type: String,
+      enum: ['incluida', 'pagada', 'rechazada'],
+      default: 'incluida',
+    },
+    montoPagado: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    motivoRechazo: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+  }
+);
+
+const liquidacionSchema = new mongoose.Schema(
+  {
+    obraSocial: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ObraSocial',
+      required: [true, 'La obra social es obligatoria'],
+      index: true,
+    },
+
+    // Período facturado
+    periodo: {
+      año: { type: Number, required: true, min: 2020 },
+      mes: { type: Number, required: true, min: 1, max: 12 },
+    },
+
+    estado: {
+      type: String,
+      enum: ESTADOS_LIQUIDACION,
+      default: 'borrador',
+    },
+
+    items: [itemLiquidacionSchema],
+
+    totales: {
+      cantidadSesiones: { type: Number, default: 0 },
+      montoTotal: { type: Number, default: 0 },
+      montoPagado: { type: Number, default: 0 },
+      montoRechazado: { type: Number, default: 0 },
+    },
+
+    fechaPresentacion: {
+      type: Date,
+      default: null,
+    },
+    fechaPago: {
+      type: Date,
+      default: null,
+    },
+
+    observaciones: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Las observaciones no pueden exceder 1000 caracteres'],
+    },
+
+    // Historial de cambios de estado
+    historial: [{
+      estado: { type: String, enum: ESTADOS_LIQUIDACION },
+      fecha: { type: Date, default: Date.now },
+      usuario: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      observacion: { type: String, trim: true },
+    }],
+
+    creadoPor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    modificadoPor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+liquidacionSchema.index({ 'periodo.año': -1, 'periodo.mes': -1 });
+liquidacionSchema.index({ estado: 1 });
+
+// Recalcular totales antes de guardar
+liquidacionSchema.pre('save', function(next) {
+  const totales = {
+    cantidadSesiones: this.items.length,
+    montoTotal: 0,
+    montoPagado: 0,
+    montoRechazado: 0,
+  };
+
+  this.items.forEach(item => {
+    totales.montoTotal += item.monto;
+    totales.montoPagado += item.estado === 'pagada' ? item.montoPagado : 0;
+    totales.montoRechazado += item.estado === 'rechazada' ? item.monto : 0;
+  });
+
+  this.totales = totales;
+  next();
+});
+
+/**
+ * Registrar un cambio de estado en el historial
+ * @param {String} estado - Nuevo estado
+ * @param {String} usuarioId - Usuario que realiza el cambio
+ * @param {String} observacion - Observación opcional
+ */
+liquidacionSchema.methods.cambiarEstado = function(estado, usuarioId, observacion = null) {
+  this.estado = estado;
+  this.modificadoPor = usuarioId;
+  this.historial.push({ estado, usuario: usuarioId, observacion });
+};
+
+const Liquidacion = mongoose.model('Liquidacion', liquidacionSchema);
+
+export default Liquidacion;
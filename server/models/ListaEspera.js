@@ -0,0 +1,168 @@
+import mongoose from 'mongoose';
+import { DIAS_SEMANA } from './AgendaProfesional.js';
+import { TIPOS_SESION } from './Sesion.js';
+
+export const PRIORIDADES_LISTA_ESPERA = ['baja', 'normal', 'alta', 'urgente'];
+export const ESTADOS_LISTA_ESPERA = ['pendiente', 'asignada', 'cancelada'];
+
+const HORA_REGEX = [/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Formato de hora inválido (HH:MM)'];
+
+const aMinutos = (hora) => {
+  const [horas, minutos] = hora.split(':').map(Number);
+  return horas * 60 + minutos;
+};
+
+const listaEsperaSchema = new mongoose.Schema(
+  {
+    // Paciente registrado (si todavía no es paciente se cargan los datos del interesado)
+    paciente: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Paciente',
+      default: null,
+      index: true,
+    },
+    interesado: {
+      nombre: { type: String, trim: true, maxlength: 50 },
+      apellido: { type: String, trim: true, maxlength: 50 },
+      dni: { type: String, trim: true },
+      telefono: { type: String, trim: true },
+      email: { type: String, trim: true, lowercase: true },
+    },
+
+    // Días y franjas preferidas (sin preferencias = cualquier turno;
+    // sin horario = cualquier hora de ese día)
+    preferencias: [{
+      _id: false,
+      dia: {
+        type: String,
+        enum: DIAS_SEMANA,
+        required: [true, 'El día es obligatorio'],
+      },
+      horaDesde: { type: String, match: HORA_REGEX },
+      horaHasta: { type: String, match: HORA_REGEX },
+    }],
+
+    // Profesional preferido (null = cualquiera)
+    profesional: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+
+    tipoSesion: {
+      type: String,
+      enum: TIPOS_SESION,
+      default: 'presencial',
+    },
+
+    prioridad: {
+      type: String,
+      enum: PRIORIDADES_LISTA_ESPERA,
+      default: 'normal',
+    },
+
+    estado: {
+      type: String,
+      enum: ESTADOS_LISTA_ESPERA,
+      default: 'pendiente',
+      index: true,
+    },
+
+    notas: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Las notas no pueden exceder 1000 caracteres'],
+    },
+
+    // Sesión con la que se asignó el turno
+    sesion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Sesion',
+      default: null,
+    },
+    fechaAsignacion: {
+      type: Date,
+      default: null,
+    },
+
+    creadoPor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    modificadoPor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+listaEsperaSchema.index({ estado: 1, prioridad: 1, createdAt: 1 });
+
+// Paciente o datos de contacto del interesado
+listaEsperaSchema.pre('validate', function(next) {
+  if (!this.paciente && !(this.interesado?.nombre && this.interesado?.telefono)) {
+    this.invalidate('paciente', 'Debe indicar un paciente o el nombre y teléfono del interesado');
+  }
+
+  this.preferencias.forEach((preferencia, indice) => {
+    if (preferencia.horaDesde && preferencia.horaHasta && aMinutos(preferencia.horaDesde) >= aMinutos(preferencia.horaHasta)) {
+      this.invalidate(`preferencias.${indice}.horaHasta`, 'La hora hasta debe ser posterior a la hora desde');
+    }
+  });
+
+  next();
+});
+
+/**
+ * Verificar si un turno libre coincide con las preferencias de la entrada
+ * @param {Object} turno - { fecha, horaEntrada, profesional }
+ * @returns {Boolean}
+ */
+listaEsperaSchema.methods.coincideCon = function({ fecha, horaEntrada, profesional }) {
+  const preferido = this.profesional?._id || this.profesional;
+
+  if (preferido && profesional && preferido.toString() !== profesional.toString()) {
+    return false;
+  }
+
+  if (!this.preferencias.length) return true;
+
+  const dia = DIAS_SEMANA[new Date(fecha).getUTCDay()];
+
+  return this.preferencias.some(p => {
+    if (p.dia !== dia) return false;
+    if (!horaEntrada) return true;
+
+    const minutos = aMinutos(horaEntrada);
+    return (!p.horaDesde || minutos >= aMinutos(p.horaDesde)) && (!p.horaHasta || minutos < aMinutos(p.horaHasta));
+  });
+};
+
+/**
+ * Entradas pendientes que coinciden con un turno libre,
+ * ordenadas por prioridad y antigüedad en la lista
+ * @param {Object} turno - { fecha, horaEntrada, profesional }
+ * @param {Number} limite - Cantidad máxima de sugerencias
+ * @returns {Promise<Array>}
+ */
+listaEsperaSchema.statics.buscarCoincidencias = async function(turno, limite = 5) {
+  const entradas = await this.find({ estado: 'pendiente' })
+    .populate('paciente', 'nombre apellido dni telefono')
+    .populate('profesional', 'nombre apellido');
+
+  return entradas
+    .filter(entrada => entrada.coincideCon({ ...turno, profesional: turno.profesional?._id || turno.profesional }))
+    .sort((a, b) =>
+      PRIORIDADES_LISTA_ESPERA.indexOf(b.prioridad) - PRIORIDADES_LISTA_ESPERA.indexOf(a.prioridad) ||
+      a.createdAt - b.createdAt
+    )
+    .slice(0, limite);
+};
+
+const ListaEspera = mongoose.model('ListaEspera', listaEsperaSchema);
+
+export default ListaEspera;
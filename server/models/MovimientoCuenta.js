@@ -0,0 +1,418 @@
+import mongoose from 'mongoose';
+
+export const TIPOS_MOVIMIENTO = ['cargo', 'pago', 'reintegro'];
+export const METODOS_PAGO_CUENTA = ['efectivo', 'transferencia', 'tarjeta', 'otro'];
+
+// Solo las sesiones realizadas generan un cargo en la cuenta del paciente
+export const ESTADOS_SESION_CON_CARGO = ['realizada'];
+
+const REDONDEO = 100;
+const redondear = (monto) => Math.round(monto * REDONDEO) / REDONDEO;
+
+/**
+ * Monto de una sesión a cargo del paciente (descontada la cobertura de la obra social)
+ * Las sesiones pagadas con un paquete no generan cargo: el paquete se cobró al venderlo
+ * @param {Object} sesion - Sesión
+ * @returns {Number}
+ */
+export const montoACargoPaciente = (sesion) => {
+  if (sesion.pago?.paquete) return 0;
+  return sesion.pago?.montoPaciente ?? sesion.pago?.monto ?? 0;
+};
+
+/**
+ * Saldo impago de una sesión a cargo del paciente (monto a su cargo menos lo imputado)
+ * @param {Object} sesion - Sesión
+ * @returns {Number}
+ */
+export const saldoSesion = (sesion) => {
+  if (sesion.pago?.pagado) return 0;
+  return Math.max(0, redondear(montoACargoPaciente(sesion) - (sesion.pago?.montoPagado || 0)));
+};
+
+// saldoSesion como expresión de agregación sobre Sesion
+export const SALDO_SESION_EXPR = {
+  $cond: [
+    { $eq: ['$pago.pagado', true] },
+    0,
+    {
+      $max: [
+        0,
+        {
+          $subtract: [
+            { $ifNull: ['$pago.montoPaciente', { $ifNull: ['$pago.monto', 0] }] },
+            { $ifNull: ['$pago.montoPagado', 0] },
+          ],
+        },
+      ],
+    },
+  ],
+};
+
+const movimientoCuentaSchema = new mongoose.Schema(
+  {
+    paciente: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Paciente',
+      required: [true, 'El paciente es obligatorio'],
+      index: true,
+    },
+
+    tipo: {
+      type: String,
+      enum: TIPOS_MOVIMIENTO,
+      required: true,
+    },
+
+    fecha: {
+      type: Date,
+      default: Date.now,
+    },
+
+    monto: {
+      type: Number,
+      required: [true, 'El monto es obligatorio'],
+      min: [0, 'El monto no puede ser negativo'],
+    },
+
+    // Sesión que origina el cargo
+    sesion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Sesion',
+      default: null,
+    },
+
+    // Sesiones a las que se imputa un pago (lo no imputado queda como saldo a favor)
+    aplicaciones: [{
+      _id: false,
+      sesion: { type: mongoose.Schema.Types.ObjectId, ref: 'Sesion', required: true },
+      monto: { type: Number, required: true, min: 0 },
+    }],
+
+    // Sesión a la que el paciente faltó (cargo por ausencia según la política de asistencia)
+    ausencia: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Sesion',
+      default: null,
+    },
+
+    // Venta de un paquete de sesiones (cargo y pago por el precio del paquete)
+    paqueteVendido: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PaqueteVendido',
+      default: null,
+    },
+
+    // Solo para pagos y reintegros
+    metodoPago: {
+      type: String,
+      enum: METODOS_PAGO_CUENTA,
+    },
+
+    concepto: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'El concepto no puede exceder 200 caracteres'],
+    },
+
+    anulado: {
+      type: Boolean,
+      default: false,
+    },
+    motivoAnulacion: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+
+    registradoPor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    anuladoPor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+movimientoCuentaSchema.index({ paciente: 1, fecha: -1 });
+movimientoCuentaSchema.index({ sesion: 1, tipo: 1 });
+movimientoCuentaSchema.index({ ausencia: 1 });
+movimientoCuentaSchema.index({ 'aplicaciones.sesion': 1 });
+
+// Virtual: monto de un pago todavía sin imputar a sesiones
+// El pago de un paquete queda imputado a su venta y no genera saldo a favor
+movimientoCuentaSchema.virtual('montoDisponible').get(function() {
+  if (this.tipo !== 'pago' || this.anulado || this.paqueteVendido) return 0;
+  const aplicado = (this.aplicaciones || []).reduce((total, a) => total + a.monto, 0);
+  return redondear(Math.max(this.monto - aplicado, 0));
+});
+
+movimientoCuentaSchema.pre('validate', function(next) {
+  if (this.tipo === 'pago') {
+    const aplicado = (this.aplicaciones || []).reduce((total, a) => total + a.monto, 0);
+    if (redondear(aplicado) > this.monto) {
+      this.invalidate('aplicaciones', 'Lo imputado a sesiones no puede superar el monto del pago');
+    }
+  }
+  next();
+});
+
+// Middleware: Actualizar el saldo del paciente después de cada movimiento
+movimientoCuentaSchema.post('save', async function(doc) {
+  try {
+    const MovimientoCuenta = mongoose.model('MovimientoCuenta');
+    const { saldo, totalAbonado } = await MovimientoCuenta.calcularSaldo(doc.paciente);
+
+    await mongoose.model('Paciente').updateOne(
+      { _id: doc.paciente },
+      {
+        $set: {
+          'estadisticas.totalAbonado': totalAbonado,
+          'estadisticas.saldoPendiente': Math.max(saldo, 0),
+          'estadisticas.saldoAFavor': Math.max(-saldo, 0),
+        },
+      }
+    );
+  } catch (error) {
+    console.error('Error actualizando saldo del paciente:', error);
+  }
+});
+
+/**
+ * Saldo de la cuenta de un paciente (positivo = deuda, negativo = saldo a favor)
+ * @param {String} pacienteId - ID del paciente
+ * @returns {Promise<Object>} { cargos, pagos, reintegros, totalAbonado, saldo }
+ */
+movimientoCuentaSchema.statics.calcularSaldo = async function(pacienteId) {
+  const totales = await this.aggregate([
+    { $match: { paciente: new mongoose.Types.ObjectId(pacienteId), anulado: false } },
+    { $group: { _id: '$tipo', total: { $sum: '$monto' } } },
+  ]);
+
+  const porTipo = Object.fromEntries(totales.map(t => [t._id, t.total]));
+  const cargos = porTipo.cargo || 0;
+  const pagos = porTipo.pago || 0;
+  const reintegros = porTipo.reintegro || 0;
+
+  return {
+    cargos: redondear(cargos),
+    pagos: redondear(pagos),
+    reintegros: redondear(reintegros),
+    totalAbonado: redondear(pagos - reintegros),
+    saldo: redondear(cargos - pagos + reintegros),
+  };
+};
+
+/**
+ * Crear, actualizar o anular el cargo de una sesión según su estado y monto.
+ * Si la sesión se cancela, lo imputado a ella vuelve a quedar como saldo a favor.
+ * Una sesión realizada sin monto a cargo del paciente (cubierta por la obra social) queda pagada
+ * @param {Object} sesion - Documento de la sesión
+ * @returns {Promise<void>}
+ */
+movimientoCuentaSchema.statics.sincronizarCargoSesion = async function(sesion) {
+  const monto = ESTADOS_SESION_CON_CARGO.includes(sesion.estado) ? montoACargoPaciente(sesion) : 0;
+  const cargo = await this.findOne({ sesion: sesion._id, tipo: 'cargo', anulado: false });
+
+  if (monto > 0 && !cargo) {
+    await this.create({
+      paciente: sesion.paciente._id || sesion.paciente,
+      tipo: 'cargo',
+      fecha: sesion.fecha,
+      monto,
+      sesion: sesion._id,
+      concepto: `Sesión N° ${sesion.numeroSesion || '-'}`,
+    });
+  } else if (monto > 0 && cargo.monto !== monto) {
+    cargo.monto = monto;
+    await cargo.save();
+  } else if (!monto && cargo) {
+    cargo.anulado = true;
+    cargo.motivoAnulacion = `Sesión ${sesion.estado}`;
+    await cargo.save();
+  }
+
+  if (sesion.estado === 'cancelada') {
+    await this.liberarAplicaciones(sesion._id);
+  }
+
+  await this.aplicarCredito(sesion.paciente._id || sesion.paciente);
+
+  // Sin cargo no hay pagos que imputar: el estado de pago depende solo del estado de la sesión
+  if (!monto) {
+    await this.actualizarPagoSesiones([sesion._id]);
+  }
+};
+
+/**
+ * Quitar lo imputado a una sesión en los pagos (vuelve a quedar como saldo a favor)
+ * @param {String} sesionId - ID de la sesión
+ * @returns {Promise<void>}
+ */
+movimientoCuentaSchema.statics.liberarAplicaciones = async function(sesionId) {
+  const pagos = await this.find({ tipo: 'pago', anulado: false, 'aplicaciones.sesion': sesionId });
+
+  for (const pago of pagos) {
+    pago.aplicaciones = pago.aplicaciones.filter(a => a.sesion.toString() !== sesionId.toString());
+    await pago.save();
+  }
+
+  if (pagos.length) {
+    await this.actualizarPagoSesiones([sesionId]);
+  }
+};
+
+/**
+ * Saldo a favor disponible: pagos sin imputar menos lo ya reintegrado al paciente
+ * @param {String} pacienteId - ID del paciente
+ * @returns {Promise<Number>}
+ */
+movimientoCuentaSchema.statics.calcularCreditoDisponible = async function(pacienteId) {
+  const [pagos, reintegros] = await Promise.all([
+    this.find({ paciente: pacienteId, tipo: 'pago', anulado: false }),
+    this.find({ paciente: pacienteId, tipo: 'reintegro', anulado: false }),
+  ]);
+
+  const credito = pagos.reduce((total, p) => total + p.montoDisponible, 0) -
+    reintegros.reduce((total, r) => total + r.monto, 0);
+
+  return Math.max(redondear(credito), 0);
+};
+
+/**
+ * Imputar el saldo a favor del paciente a sus cargos impagos (primero los más antiguos)
+ * @param {String} pacienteId - ID del paciente
+ * @returns {Promise<Array>} IDs de las sesiones a las que se imputó
+ */
+movimientoCuentaSchema.statics.aplicarCredito = async function(pacienteId) {
+  let credito = await this.calcularCreditoDisponible(pacienteId);
+  if (credito <= 0) return [];
+
+  const pagos = await this.find({ paciente: pacienteId, tipo: 'pago', anulado: false }).sort('fecha createdAt');
+
+  const pendientes = await this.obtenerCargosPendientes(pacienteId);
+  const sesionesImputadas = [];
+
+  for (const pendiente of pendientes) {
+    let restante = Math.min(pendiente.saldo, credito);
+
+    for (const pago of pagos) {
+      if (restante <= 0) break;
+
+      const monto = Math.min(pago.montoDisponible, restante);
+      if (monto <= 0) continue;
+
+      const aplicacion = pago.aplicaciones.find(a => a.sesion.toString() === pendiente.sesion.toString());
+      if (aplicacion) {
+        aplicacion.monto = redondear(aplicacion.monto + monto);
+      } else {
+        pago.aplicaciones.push({ sesion: pendiente.sesion, monto });
+      }
+      restante = redondear(restante - monto);
+      credito = redondear(credito - monto);
+    }
+
+    sesionesImputadas.push(pendiente.sesion);
+    if (credito <= 0) break;
+  }
+
+  for (const pago of pagos.filter(p => p.isModified('aplicaciones'))) {
+    await pago.save();
+  }
+
+  await this.actualizarPagoSesiones(sesionesImputadas);
+  return sesionesImputadas;
+};
+
+/**
+ * Cargos del paciente con saldo impago, del más antiguo al más reciente
+ * @param {String} pacienteId - ID del paciente
+ * @returns {Promise<Array>} [{ sesion, fecha, monto, pagado, saldo }]
+ */
+movimientoCuentaSchema.statics.obtenerCargosPendientes = async function(pacienteId) {
+  const cargos = await this.find({ paciente: pacienteId, tipo: 'cargo', anulado: false, sesion: { $ne: null } })
+    .sort('fecha createdAt')
+    .lean();
+
+  const pagadoPorSesion = await this.obtenerImputadoPorSesion(cargos.map(c => c.sesion));
+
+  return cargos
+    .map(cargo => {
+      const pagado = pagadoPorSesion.get(cargo.sesion.toString()) || 0;
+      return {
+        sesion: cargo.sesion,
+        fecha: cargo.fecha,
+        monto: cargo.monto,
+        pagado,
+        saldo: redondear(cargo.monto - pagado),
+      };
+    })
+    .filter(cargo => cargo.saldo > 0);
+};
+
+/**
+ * Total imputado por pagos vigentes a cada sesión
+ * @param {Array} sesionIds - IDs de sesiones
+ * @returns {Promise<Map>} sesionId => monto
+ */
+movimientoCuentaSchema.statics.obtenerImputadoPorSesion = async function(sesionIds) {
+  if (!sesionIds.length) return new Map();
+
+  const imputado = await this.aggregate([
+    { $match: { tipo: 'pago', anulado: false, 'aplicaciones.sesion': { $in: sesionIds } } },
+    { $unwind: '$aplicaciones' },
+    { $match: { 'aplicaciones.sesion': { $in: sesionIds } } },
+    { $group: { _id: '$aplicaciones.sesion', total: { $sum: '$aplicaciones.monto' } } },
+  ]);
+
+  return new Map(imputado.map(i => [i._id.toString(), redondear(i.total)]));
+};
+
+/**
+ * Reflejar en Sesion.pago lo imputado en la cuenta (montoPagado, pagado, fechaPago)
+ * Las sesiones realizadas sin monto a cargo del paciente quedan pagadas
+ * Se usa updateOne para no volver a disparar los middlewares de la sesión
+ * @param {Array} sesionIds - IDs de sesiones
+ * @returns {Promise<void>}
+ */
+movimientoCuentaSchema.statics.actualizarPagoSesiones = async function(sesionIds) {
+  if (!sesionIds.length) return;
+
+  const Sesion = mongoose.model('Sesion');
+  const ids = sesionIds.map(id => new mongoose.Types.ObjectId(id));
+  const imputado = await this.obtenerImputadoPorSesion(ids);
+  const sesiones = await Sesion.find({ _id: { $in: ids } }).select('pago estado').lean();
+
+  for (const sesion of sesiones) {
+    const montoPagado = imputado.get(sesion._id.toString()) || 0;
+    const aCargo = montoACargoPaciente(sesion);
+    const pagado = Boolean(sesion.pago?.paquete)
+      || (ESTADOS_SESION_CON_CARGO.includes(sesion.estado) && aCargo === 0)
+      || (montoPagado > 0 && montoPagado >= aCargo);
+
+    await Sesion.updateOne(
+      { _id: sesion._id },
+      {
+        $set: {
+          'pago.montoPagado': montoPagado,
+          'pago.pagado': pagado,
+          'pago.fechaPago': pagado ? (sesion.pago?.fechaPago || new Date()) : null,
+        },
+      }
+    );
+  }
+};
+
+movimientoCuentaSchema.set('toJSON', { virtuals: true });
+movimientoCuentaSchema.set('toObject', { virtuals: true });
+
+const MovimientoCuenta = mongoose.model('MovimientoCuenta', movimientoCuentaSchema);
+
+export default MovimientoCuenta;
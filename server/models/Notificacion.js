@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { emitirAUsuario, EVENTOS_SOCKET } from '../utils/socket.js';
 
 const notificacionSchema = new mongoose.Schema(
   {
@@ -21,6 +22,9 @@ const notificacionSchema = new mongoose.Schema(
         'sesion_cancelada',      // Sesión cancelada
         'sesion_reprogramada',   // Sesión reprogramada
         'alta_medica_pendiente', // Alta médica pendiente
+        'autorizacion_por_vencer', // Autorización de obra social por vencer o agotarse
+        'ausencias_reiteradas',  // Paciente marcado por la política de asistencia
+        'revision_objetivo',     // Pasó la fecha de revisión de un objetivo sin evaluación
         'recordatorio',          // Recordatorio general
         'sistema',               // Notificación del sistema
       ],
@@ -102,6 +106,8 @@ notificacionSchema.statics.crearNotificacion = async function(datos) {
       prioridad: datos.prioridad || 'media',
       fechaExpiracion: datos.fechaExpiracion || null,
     });
+
+    emitirAUsuario(notificacion.usuario, EVENTOS_SOCKET.NOTIFICACION_NUEVA, { notificacion });
     
     return notificacion;
   } catch (error) {
@@ -114,6 +120,11 @@ notificacionSchema.statics.crearNotificacion = async function(datos) {
 notificacionSchema.statics.crearNotificacionesMultiples = async function(notificaciones) {
   try {
     const creadas = await this.insertMany(notificaciones);
+
+    creadas.forEach(notificacion => {
+      emitirAUsuario(notificacion.usuario, EVENTOS_SOCKET.NOTIFICACION_NUEVA, { notificacion });
+    });
+
     return creadas;
   } catch (error) {
     console.error('Error al crear notificaciones múltiples:', error);
@@ -0,0 +1,178 @@
+import mongoose from 'mongoose';
+
+/**
+ * Normalizar el nombre de una obra social para compararlo
+ * Ej: "OSDE", "Osde" y "O.S.D.E." => "osde"
+ * @param {String} nombre
+ * @returns {String}
+ */
+export const normalizarNombreObraSocial = (nombre = '') =>
+  nombre
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+
+// Reglas de cobertura (en los planes se heredan: null = usa el valor de la obra social)
+const reglasCobertura = (heredadas = false) => ({
+  // Monto que paga la obra social por sesión
+  montoCobertura: {
+    type: Number,
+    min: [0, 'El monto de cobertura no puede ser negativo'],
+    default: heredadas ? null : 0,
+  },
+  // Copago a cargo del paciente por sesión
+  copago: {
+    type: Number,
+    min: [0, 'El copago no puede ser negativo'],
+    default: heredadas ? null : 0,
+  },
+  // Sesiones cubiertas por año calendario (null = sin tope)
+  topeSesionesAnual: {
+    type: Number,
+    min: [1, 'El tope anual debe ser al menos 1'],
+    default: null,
+  },
+  requiereAutorizacion: {
+    type: Boolean,
+    default: heredadas ? null : false,
+  },
+});
+
+const planSchema = new mongoose.Schema(
+  {
+    nombre: {
+      type: String,
+      required: [true, 'El nombre del plan es obligatorio'],
+      trim: true,
+    },
+    ...reglasCobertura(true),
+    activo: {
+      type: Boolean,
+      default: true,
+    },
+  }
+);
+
+const obraSocialSchema = new mongoose.Schema(
+  {
+    nombre: {
+      type: String,
+      required: [true, 'El nombre es obligatorio'],
+      trim: true,
+      maxlength: [100, 'El nombre no puede exceder 100 caracteres'],
+    },
+
+    // Nombre normalizado para evitar duplicados ("OSDE" = "O.S.D.E.")
+    nombreNormalizado: {
+      type: String,
+      unique: true,
+    },
+
+    // Otras formas en que se carga el nombre (ej: "Obra Social de Empleados")
+    alias: [{
+      type: String,
+      trim: true,
+    }],
+
+    aliasNormalizados: {
+      type: [String],
+      index: true,
+      select: false,
+    },
+
+    cuit: {
+      type: String,
+      trim: true,
+    },
+
+    contacto: {
+      telefono: { type: String, trim: true },
+      email: { type: String, trim: true, lowercase: true },
+    },
+
+    // Reglas generales de cobertura
+    ...reglasCobertura(),
+
+    planes: [planSchema],
+
+    observaciones: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Las observaciones no pueden exceder 500 caracteres'],
+    },
+
+    activa: {
+      type: Boolean,
+      default: true,
+    },
+
+    creadoPor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    modificadoPor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+obraSocialSchema.index({ activa: 1, nombre: 1 });
+
+// Mantener normalizados el nombre y los alias
+obraSocialSchema.pre('validate', function(next) {
+  if (this.isModified('nombre')) {
+    this.nombreNormalizado = normalizarNombreObraSocial(this.nombre);
+  }
+  if (this.isModified('alias')) {
+    this.aliasNormalizados = (this.alias || []).map(normalizarNombreObraSocial).filter(Boolean);
+  }
+  next();
+});
+
+/**
+ * Reglas de cobertura vigentes para un plan (el plan pisa los valores de la obra social)
+ * @param {String} nombrePlan - Nombre del plan del paciente (opcional)
+ * @returns {Object} { plan, montoCobertura, copago, topeSesionesAnual, requiereAutorizacion }
+ */
+obraSocialSchema.methods.obtenerCobertura = function(nombrePlan = null) {
+  const plan = nombrePlan
+    ? this.planes.find(p => p.activo && normalizarNombreObraSocial(p.nombre) === normalizarNombreObraSocial(nombrePlan))
+    : null;
+
+  const valor = (campo) => (plan && plan[campo] !== null && plan[campo] !== undefined ? plan[campo] : this[campo]);
+
+  return {
+    plan: plan?.nombre || null,
+    montoCobertura: valor('montoCobertura') || 0,
+    copago: valor('copago') || 0,
+    topeSesionesAnual: valor('topeSesionesAnual') || null,
+    requiereAutorizacion: Boolean(valor('requiereAutorizacion')),
+  };
+};
+
+/**
+ * Buscar una obra social por nombre o alias (sin importar mayúsculas, puntos ni acentos)
+ * @param {String} nombre
+ * @returns {Promise<Document|null>}
+ */
+obraSocialSchema.statics.buscarPorNombre = function(nombre) {
+  const normalizado = normalizarNombreObraSocial(nombre);
+  if (!normalizado) return Promise.resolve(null);
+
+  return this.findOne({
+    $or: [
+      { nombreNormalizado: normalizado },
+      { aliasNormalizados: normalizado },
+    ],
+  });
+};
+
+const ObraSocial = mongoose.model('ObraSocial', obraSocialSchema);
+
+export default ObraSocial;
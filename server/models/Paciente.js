@@ -74,6 +74,12 @@ const pacienteSchema = new mongoose.Schema(
         trim: true,
         default: 'Particular',
       },
+      // Obra social del catálogo (el nombre se toma de ahí)
+      entidad: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ObraSocial',
+        default: null,
+      },
       numeroAfiliado: { 
         type: String, 
         trim: true,
@@ -202,6 +208,15 @@ const pacienteSchema = new mongoose.Schema(
       nombre: String,
       url: String,
       fecha: { type: Date, default: Date.now },
+      // Archivo subido por la API (url apunta a la ruta de descarga)
+      archivo: {
+        clave: String,
+        nombreOriginal: String,
+        mimetype: String,
+        tamano: Number,
+        almacenamiento: String,
+      },
+      subidoPor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     }],
     
     // Fotos (opcional para evolución)
@@ -209,6 +224,15 @@ const pacienteSchema = new mongoose.Schema(
       descripcion: String,
       url: String,
       fecha: { type: Date, default: Date.now },
+      // Archivo subido por la API (url apunta a la ruta de descarga)
+      archivo: {
+        clave: String,
+        nombreOriginal: String,
+        mimetype: String,
+        tamano: Number,
+        almacenamiento: String,
+      },
+      subidoPor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     }],
     
     // Usuario que creó el registro
@@ -240,9 +264,20 @@ const pacienteSchema = new mongoose.Schema(
     estadisticas: {
       totalSesiones: { type: Number, default: 0 },
       totalAbonado: { type: Number, default: 0 },
-      saldoPendiente: { type: Number, default: 0 },
+      saldoPendiente: { type: Number, default: 0 }, // Deuda según la cuenta corriente
+      saldoAFavor: { type: Number, default: 0 },    // Pagos anticipados sin imputar
       ultimaSesion: { type: Date, default: null },
     },
+
+    // Marca por ausencias reiteradas según la política de asistencia
+    alertaAusencias: {
+      activa: { type: Boolean, default: false },
+      ausencias: { type: Number, default: 0 }, // Ausencias sin justificar que la dispararon
+      periodoDias: { type: Number, default: null },
+      fecha: { type: Date, default: null },
+      quitadaPor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+      fechaQuitada: { type: Date, default: null },
+    },
   },
   {
     timestamps: true,
@@ -255,6 +290,7 @@ pacienteSchema.index({ dni: 1 });
 pacienteSchema.index({ apellido: 1, nombre: 1 });
 pacienteSchema.index({ estado: 1 });
 pacienteSchema.index({ 'obraSocial.nombre': 1 });
+pacienteSchema.index({ 'obraSocial.entidad': 1 });
 pacienteSchema.index({ creadoPor: 1 });
 pacienteSchema.index({ createdAt: -1 });
 
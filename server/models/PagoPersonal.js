@@ -1,5 +1,27 @@
 import mongoose from 'mongoose';
 
+const redondear = (valor) => Math.round(valor * 100) / 100;
+
+/**
+ * Sumar repartos por participante
+ * @param {Map} acumulado - participanteId => { participante, nombre, monto }
+ * @param {Array} distribucion - Reparto de un registro
+ */
+const acumularDistribucion = (acumulado, distribucion = []) => {
+  // Registros anteriores al esquema configurable guardan un objeto: se ignoran hasta migrarlos
+  if (!Array.isArray(distribucion)) return;
+
+  distribucion.forEach(({ participante, nombre, monto }) => {
+    const clave = participante.toString();
+    const actual = acumulado.get(clave) || { participante, nombre, monto: 0 };
+    actual.monto += monto;
+    acumulado.set(clave, actual);
+  });
+};
+
+const distribucionComoLista = (acumulado) =>
+  [...acumulado.values()].map(d => ({ ...d, monto: redondear(d.monto) }));
+
 const pagoPersonalSchema = new mongoose.Schema(
   {
     // Mes y año del pago
@@ -43,24 +65,20 @@ const pagoPersonalSchema = new mongoose.Schema(
       default: 0,
     },
     
-    // Distribución del pago entre categorías/personas
-    distribucion: {
-      farfan: {
-        type: Number,
-        min: 0,
-        default: 0,
-      }, // 30% del total
-      mica: {
-        type: Number,
-        min: 0,
-        default: 0,
-      }, // 20% del total
-      ffma: {
-        type: Number,
-        min: 0,
-        default: 0,
-      }, // 50% del total
+    // Versión del esquema de distribución con la que se repartió el monto
+    esquema: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'EsquemaDistribucion',
+      default: null,
     },
+
+    // Distribución del pago entre el personal
+    distribucion: [{
+      _id: false,
+      participante: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+      nombre: { type: String, trim: true },
+      monto: { type: Number, min: 0, default: 0 },
+    }],
     
     // Observaciones del día
     observaciones: {
@@ -75,6 +93,18 @@ const pagoPersonalSchema = new mongoose.Schema(
       enum: ['pendiente', 'procesado', 'pagado', 'cancelado'],
       default: 'pendiente',
     },
+
+    // manual: cargado a mano / sesiones: generado con lo cobrado en las sesiones del día
+    origen: {
+      type: String,
+      enum: ['manual', 'sesiones'],
+      default: 'manual',
+    },
+    cantidadSesiones: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
     
     // Usuario que creó/modificó el registro
     creadoPor: {
@@ -103,31 +133,9 @@ pagoPersonalSchema.index({ estado: 1, fecha: -1 });
 pagoPersonalSchema.index({ año: 1, mes: 1, semana: 1, fecha: 1 }, { unique: true });
 
 // Virtual para calcular el total de la distribución
+// (el reparto lo calcula PagoPersonalService con el esquema vigente a la fecha)
 pagoPersonalSchema.virtual('totalDistribucion').get(function() {
-  return this.distribucion.farfan + this.distribucion.mica + this.distribucion.ffma;
-});
-
-// Middleware: Calcular distribución automáticamente si no se proporciona
-pagoPersonalSchema.pre('save', function(next) {
-  // Si el monto existe pero la distribución no está completa o no coincide
-  if (this.monto > 0) {
-    // Si no se ha calculado la distribución, calcularla automáticamente
-    if (this.distribucion.farfan === 0 && this.distribucion.mica === 0 && this.distribucion.ffma === 0) {
-      this.distribucion.farfan = Math.round(this.monto * 0.30 * 100) / 100; // 30%
-      this.distribucion.mica = Math.round(this.monto * 0.20 * 100) / 100;   // 20%
-      this.distribucion.ffma = Math.round(this.monto * 0.50 * 100) / 100;   // 50%
-    }
-    
-    // Ajustar para que la suma sea exacta
-    const total = this.distribucion.farfan + this.distribucion.mica + this.distribucion.ffma;
-    if (total !== this.monto) {
-      // Ajustar la diferencia en ffma (la mayor proporción)
-      const diferencia = this.monto - total;
-      this.distribucion.ffma = Math.round((this.distribucion.ffma + diferencia) * 100) / 100;
-    }
-  }
-  
-  next();
+  return redondear((this.distribucion || []).reduce((total, d) => total + d.monto, 0));
 });
 
 // Configurar toJSON para incluir virtuals
@@ -151,7 +159,7 @@ pagoPersonalSchema.statics.obtenerPlanillaMes = async function(año, mes) {
         semana: registro.semana,
         dias: {},
         subtotal: 0,
-        distribucion: { farfan: 0, mica: 0, ffma: 0 },
+        distribucion: new Map(),
       };
     }
     
@@ -178,20 +186,17 @@ pagoPersonalSchema.statics.obtenerPlanillaMes = async function(año, mes) {
     };
     
     planillaPorSemanas[registro.semana].subtotal += registro.monto;
-    planillaPorSemanas[registro.semana].distribucion.farfan += registro.distribucion.farfan;
-    planillaPorSemanas[registro.semana].distribucion.mica += registro.distribucion.mica;
-    planillaPorSemanas[registro.semana].distribucion.ffma += registro.distribucion.ffma;
+    acumularDistribucion(planillaPorSemanas[registro.semana].distribucion, registro.distribucion);
   });
   
   // Calcular totales del mes
   let totalMes = 0;
-  const distribucionTotal = { farfan: 0, mica: 0, ffma: 0 };
+  const distribucionTotal = new Map();
   
   Object.values(planillaPorSemanas).forEach(semana => {
     totalMes += semana.subtotal;
-    distribucionTotal.farfan += semana.distribucion.farfan;
-    distribucionTotal.mica += semana.distribucion.mica;
-    distribucionTotal.ffma += semana.distribucion.ffma;
+    acumularDistribucion(distribucionTotal, [...semana.distribucion.values()]);
+    semana.distribucion = distribucionComoLista(semana.distribucion);
   });
   
   return {
@@ -200,11 +205,7 @@ pagoPersonalSchema.statics.obtenerPlanillaMes = async function(año, mes) {
     semanas: planillaPorSemanas,
     totales: {
       total: Math.round(totalMes * 100) / 100,
-      distribucion: {
-        farfan: Math.round(distribucionTotal.farfan * 100) / 100,
-        mica: Math.round(distribucionTotal.mica * 100) / 100,
-        ffma: Math.round(distribucionTotal.ffma * 100) / 100,
-      },
+      distribucion: distribucionComoLista(distribucionTotal),
     },
   };
 };
@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+
+const paqueteSchema = new mongoose.Schema(
+  {
+    nombre: {
+      type: String,
+      required: [true, 'El nombre es obligatorio'],
+      trim: true,
+      maxlength: [100, 'El nombre no puede exceder 100 caracteres'],
+    },
+
+    descripcion: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'La descripción no puede exceder 500 caracteres'],
+    },
+
+    cantidadSesiones: {
+      type: Number,
+      required: [true, 'La cantidad de sesiones es obligatoria'],
+      min: [1, 'El paquete debe incluir al menos una sesión'],
+    },
+
+    precio: {
+      type: Number,
+      required: [true, 'El precio es obligatorio'],
+      min: [0, 'El precio no puede ser negativo'],
+    },
+
+    // Días de vigencia desde la compra
+    diasVigencia: {
+      type: Number,
+      required: [true, 'Los días de vigencia son obligatorios'],
+      min: [1, 'La vigencia debe ser de al menos un día'],
+    },
+
+    activo: {
+      type: Boolean,
+      default: true,
+    },
+
+    creadoPor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    modificadoPor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+paqueteSchema.index({ activo: 1, nombre: 1 });
+
+// Virtual: precio de cada sesión del paquete
+paqueteSchema.virtual('precioPorSesion').get(function() {
+  return Math.round((this.precio / this.cantidadSesiones) * 100) / 100;
+});
+
+paqueteSchema.set('toJSON', { virtuals: true });
+paqueteSchema.set('toObject', { virtuals: true });
+
+const Paquete = mongoose.model('Paquete', paqueteSchema);
+
+export default Paquete;
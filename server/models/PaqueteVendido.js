@@ -0,0 +1,147 @@
+import mongoose from 'mongoose';
+import { METODOS_PAGO_CUENTA } from './MovimientoCuenta.js';
+
+export const ESTADOS_PAQUETE_VENDIDO = ['activo', 'agotado', 'vencido', 'anulado'];
+
+const paqueteVendidoSchema = new mongoose.Schema(
+  {
+    paciente: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Paciente',
+      required: [true, 'El paciente es obligatorio'],
+      index: true,
+    },
+
+    paquete: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Paquete',
+      required: true,
+    },
+
+    // Condiciones copiadas del paquete al momento de la venta
+    nombre: { type: String, trim: true },
+    cantidadSesiones: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    precio: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+
+    fechaCompra: {
+      type: Date,
+      default: Date.now,
+    },
+    fechaVencimiento: {
+      type: Date,
+      required: true,
+    },
+
+    // Sesiones realizadas pagadas con el paquete
+    sesionesConsumidas: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    estado: {
+      type: String,
+      enum: ESTADOS_PAQUETE_VENDIDO,
+      default: 'activo',
+    },
+
+    metodoPago: {
+      type: String,
+      enum: METODOS_PAGO_CUENTA,
+      default: 'efectivo',
+    },
+
+    observaciones: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Las observaciones no pueden exceder 500 caracteres'],
+    },
+
+    vendidoPor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    anuladoPor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+paqueteVendidoSchema.index({ paciente: 1, estado: 1, fechaVencimiento: 1 });
+paqueteVendidoSchema.index({ estado: 1, fechaVencimiento: 1 });
+
+// Virtual: sesiones que quedan por usar
+paqueteVendidoSchema.virtual('sesionesRestantes').get(function() {
+  return Math.max(this.cantidadSesiones - this.sesionesConsumidas, 0);
+});
+
+// Mantener el estado según el consumo y la vigencia (un paquete anulado no cambia)
+paqueteVendidoSchema.pre('save', function(next) {
+  if (this.estado !== 'anulado') {
+    if (this.sesionesConsumidas >= this.cantidadSesiones) {
+      this.estado = 'agotado';
+    } else if (this.fechaVencimiento < new Date()) {
+      this.estado = 'vencido';
+    } else {
+      this.estado = 'activo';
+    }
+  }
+  next();
+});
+
+/**
+ * Paquete del paciente con sesiones disponibles para una fecha (el que vence primero)
+ * @param {String} pacienteId - ID del paciente
+ * @param {Date} fecha - Fecha de la sesión
+ * @returns {Promise<Document|null>}
+ */
+paqueteVendidoSchema.statics.buscarDisponible = async function(pacienteId, fecha) {
+  const paquetes = await this.find({
+    paciente: pacienteId,
+    estado: 'activo',
+    fechaCompra: { $lte: fecha },
+    fechaVencimiento: { $gte: fecha },
+  }).sort('fechaVencimiento');
+
+  for (const paquete of paquetes) {
+    const consumidas = await mongoose.model('Sesion').countDocuments({ 'pago.paquete': paquete._id });
+    if (consumidas < paquete.cantidadSesiones) return paquete;
+  }
+
+  return null;
+};
+
+/**
+ * Recalcular las sesiones consumidas a partir de las sesiones pagadas con el paquete
+ * @param {String} paqueteVendidoId - ID del paquete vendido
+ * @returns {Promise<Document|null>}
+ */
+paqueteVendidoSchema.statics.actualizarConsumo = async function(paqueteVendidoId) {
+  const paquete = await this.findById(paqueteVendidoId);
+  if (!paquete) return null;
+
+  paquete.sesionesConsumidas = await mongoose.model('Sesion').countDocuments({ 'pago.paquete': paquete._id });
+
+  return paquete.save();
+};
+
+paqueteVendidoSchema.set('toJSON', { virtuals: true });
+paqueteVendidoSchema.set('toObject', { virtuals: true });
+
+const PaqueteVendido = mongoose.model('PaqueteVendido', paqueteVendidoSchema);
+
+export default PaqueteVendido;
@@ -0,0 +1,174 @@
+import mongoose from 'mongoose';
+import { LADOS } from './PlantillaEvaluacion.js';
+
+export const ESTADOS_PLAN = ['activo', 'finalizado', 'cancelado'];
+// De dónde sale la medición de un objetivo: una evaluación estructurada o el dolor de las sesiones
+export const FUENTES_OBJETIVO = ['evaluacion', 'dolor'];
+export const COMPARACIONES_OBJETIVO = ['mayor_igual', 'menor_igual', 'mayor', 'menor'];
+
+const objetivoSchema = new mongoose.Schema(
+  {
+    // Ej: "Flexión de rodilla derecha 120°", "Dolor menor a 3"
+    descripcion: {
+      type: String,
+      required: [true, 'La descripción del objetivo es obligatoria'],
+      trim: true,
+      maxlength: [200, 'La descripción no puede exceder 200 caracteres'],
+    },
+
+    indicador: {
+      fuente: {
+        type: String,
+        enum: FUENTES_OBJETIVO,
+        required: [true, 'La fuente del indicador es obligatoria'],
+      },
+      // Solo fuente evaluación: clave de la plantilla (ej: "goniometria", "oswestry")
+      clave: { type: String, trim: true, lowercase: true, default: null },
+      // Ítem ("rodilla_flexion"), subescala ("dolor") o "total" para el puntaje del cuestionario
+      codigo: { type: String, trim: true, default: null },
+      lado: {
+        type: String,
+        default: null,
+        validate: {
+          validator: valor => valor === null || LADOS.includes(valor),
+          message: 'Lado inválido',
+        },
+      },
+    },
+
+    comparacion: {
+      type: String,
+      enum: COMPARACIONES_OBJETIVO,
+      required: [true, 'La comparación es obligatoria'],
+    },
+    valorObjetivo: {
+      type: Number,
+      required: [true, 'El valor objetivo es obligatorio'],
+    },
+    // Si no se indica se toma la primera medición
+    valorInicial: {
+      type: Number,
+      default: null,
+    },
+    unidad: {
+      type: String,
+      trim: true,
+      maxlength: [20, 'La unidad no puede exceder 20 caracteres'],
+    },
+
+    fechaRevision: {
+      type: Date,
+      default: null,
+    },
+    // Cuándo se avisó que pasó la revisión sin medición (se reinicia al cambiar la fecha)
+    notificacionRevision: {
+      type: Date,
+      default: null,
+    },
+
+    descartado: {
+      type: Boolean,
+      default: false,
+    },
+  }
+);
+
+const planTratamientoSchema = new mongoose.Schema(
+  {
+    paciente: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Paciente',
+      required: [true, 'El paciente es obligatorio'],
+      index: true,
+    },
+    episodio: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'EpisodioTratamiento',
+      default: null,
+      index: true,
+    },
+    estado: {
+      type: String,
+      enum: ESTADOS_PLAN,
+      default: 'activo',
+    },
+
+    diagnostico: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'El diagnóstico no puede exceder 200 caracteres'],
+    },
+    fechaInicio: {
+      type: Date,
+      default: Date.now,
+    },
+    fechaFinEstimada: {
+      type: Date,
+      default: null,
+    },
+
+    // Técnicas planificadas (mismos nombres que detallesTratamiento.tecnicas de las sesiones)
+    tecnicas: [{
+      type: String,
+      trim: true,
+    }],
+    frecuencia: {
+      sesionesPorSemana: { type: Number, min: 1, max: 7, default: null },
+      cantidadSesiones: { type: Number, min: 1, default: null },
+    },
+
+    objetivos: [objetivoSchema],
+
+    observaciones: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Las observaciones no pueden exceder 1000 caracteres'],
+    },
+
+    profesional: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    creadoPor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    modificadoPor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    fechaCierre: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+planTratamientoSchema.index({ estado: 1, 'objetivos.fechaRevision': 1 });
+
+planTratamientoSchema.pre('validate', function(next) {
+  this.objetivos.forEach((objetivo, indice) => {
+    const { fuente, clave, codigo } = objetivo.indicador;
+
+    if (fuente === 'evaluacion' && (!clave || !codigo)) {
+      this.invalidate(
+        `objetivos.${indice}.indicador`,
+        'Los objetivos medidos con evaluaciones deben indicar la plantilla (clave) y el ítem o subescala (codigo)'
+      );
+    }
+  });
+
+  if (this.fechaFinEstimada && this.fechaInicio && this.fechaFinEstimada < this.fechaInicio) {
+    this.invalidate('fechaFinEstimada', 'La fecha de fin estimada no puede ser anterior al inicio');
+  }
+
+  next();
+});
+
+const PlanTratamiento = mongoose.model('PlanTratamiento', planTratamientoSchema);
+
+export default PlanTratamiento;
@@ -0,0 +1,250 @@
+import mongoose from 'mongoose';
+
+export const TIPOS_EVALUACION = ['goniometria', 'fuerza', 'cuestionario'];
+export const METODOS_PUNTUACION = ['suma', 'porcentaje', 'porcentaje_inverso'];
+export const LADOS = ['izquierdo', 'derecho'];
+
+const redondear = (valor) => Math.round((valor + Number.EPSILON) * 100) / 100;
+
+const itemSchema = new mongoose.Schema(
+  {
+    // Identifica la respuesta dentro de la plantilla (ej: "P1", "rodilla_flexion")
+    codigo: {
+      type: String,
+      required: [true, 'El código del ítem es obligatorio'],
+      trim: true,
+    },
+    texto: {
+      type: String,
+      required: [true, 'El texto del ítem es obligatorio'],
+      trim: true,
+      maxlength: [300, 'El texto no puede exceder 300 caracteres'],
+    },
+    // Subescala a la que suma (ej: "dolor" en KOOS)
+    subescala: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // Rango de valores válidos (grados, escala de Daniels o puntos de la respuesta)
+    min: { type: Number, default: 0 },
+    max: { type: Number, required: [true, 'El valor máximo del ítem es obligatorio'] },
+    // Se mide por separado el lado izquierdo y el derecho
+    porLado: { type: Boolean, default: false },
+    // Valor de referencia (rango articular normal)
+    valorNormal: { type: Number, default: null },
+    // Texto de cada respuesta posible de un cuestionario
+    opciones: [{
+      _id: false,
+      valor: { type: Number, required: true },
+      texto: { type: String, trim: true },
+    }],
+  },
+  { _id: false }
+);
+
+const plantillaEvaluacionSchema = new mongoose.Schema(
+  {
+    // Misma clave para todas las versiones de una plantilla (ej: "oswestry")
+    clave: {
+      type: String,
+      required: [true, 'La clave es obligatoria'],
+      trim: true,
+      lowercase: true,
+      match: [/^[a-z0-9_-]+$/, 'La clave solo puede tener letras, números, guiones y guiones bajos'],
+    },
+    version: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    // Última versión (la que se usa para registrar evaluaciones nuevas)
+    vigente: {
+      type: Boolean,
+      default: true,
+    },
+    activa: {
+      type: Boolean,
+      default: true,
+    },
+
+    nombre: {
+      type: String,
+      required: [true, 'El nombre es obligatorio'],
+      trim: true,
+      maxlength: [100, 'El nombre no puede exceder 100 caracteres'],
+    },
+    descripcion: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'La descripción no puede exceder 1000 caracteres'],
+    },
+    tipo: {
+      type: String,
+      enum: TIPOS_EVALUACION,
+      required: [true, 'El tipo es obligatorio'],
+    },
+
+    items: [itemSchema],
+
+    // Cálculo automático del puntaje (solo cuestionarios)
+    // porcentaje: suma de (valor - min) sobre el máximo posible de lo respondido x 100
+    // porcentaje_inverso: 100 - porcentaje (ej: KOOS, donde 100 es sin síntomas)
+    puntuacion: {
+      metodo: {
+        type: String,
+        enum: METODOS_PUNTUACION,
+        default: 'suma',
+      },
+      // Respuestas mínimas para calcular el puntaje (null = todas)
+      minimoRespondidas: { type: Number, default: null },
+      // Calcular puntaje total además de las subescalas
+      puntajeTotal: { type: Boolean, default: true },
+      // Un puntaje mayor indica mejor estado del paciente
+      mayorEsMejor: { type: Boolean, default: false },
+      subescalas: [{
+        _id: false,
+        clave: { type: String, required: true, trim: true },
+        nombre: { type: String, trim: true },
+        minimoRespondidas: { type: Number, default: null },
+      }],
+    },
+
+    creadoPor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+plantillaEvaluacionSchema.index({ clave: 1, version: 1 }, { unique: true });
+plantillaEvaluacionSchema.index({ clave: 1, vigente: 1 });
+
+plantillaEvaluacionSchema.pre('validate', function(next) {
+  if (!this.items.length) {
+    this.invalidate('items', 'La plantilla debe tener al menos un ítem');
+  }
+
+  const codigos = new Set();
+  const subescalas = new Set(this.puntuacion.subescalas.map(s => s.clave));
+
+  this.items.forEach((item, indice) => {
+    if (codigos.has(item.codigo)) {
+      this.invalidate(`items.${indice}.codigo`, `El código ${item.codigo} está repetido`);
+    }
+    codigos.add(item.codigo);
+
+    if (item.max <= item.min) {
+      this.invalidate(`items.${indice}.max`, 'El valor máximo debe ser mayor que el mínimo');
+    }
+
+    if (item.subescala && !subescalas.has(item.subescala)) {
+      this.invalidate(`items.${indice}.subescala`, `La subescala ${item.subescala} no está definida`);
+    }
+  });
+
+  next();
+});
+
+/**
+ * Validar las respuestas de una evaluación contra la plantilla
+ * @param {Array} respuestas - [{ codigo, lado, valor }]
+ * @returns {Array} Errores [{ field, message }]
+ */
+plantillaEvaluacionSchema.methods.validarRespuestas = function(respuestas = []) {
+  const errores = [];
+  const itemsPorCodigo = new Map(this.items.map(item => [item.codigo, item]));
+  const registradas = new Set();
+
+  respuestas.forEach((respuesta, indice) => {
+    const campo = `respuestas.${indice}`;
+    const item = itemsPorCodigo.get(respuesta.codigo);
+
+    if (!item) {
+      errores.push({ field: campo, message: `El ítem ${respuesta.codigo} no pertenece a la plantilla` });
+      return;
+    }
+
+    if (item.porLado && !LADOS.includes(respuesta.lado)) {
+      errores.push({ field: campo, message: `Indique el lado (${LADOS.join(' o ')}) del ítem ${item.codigo}` });
+      return;
+    }
+
+    if (typeof respuesta.valor !== 'number' || respuesta.valor < item.min || respuesta.valor > item.max) {
+      errores.push({ field: campo, message: `El valor del ítem ${item.codigo} debe estar entre ${item.min} y ${item.max}` });
+    }
+
+    const clave = `${item.codigo}:${item.porLado ? respuesta.lado : ''}`;
+    if (registradas.has(clave)) {
+      errores.push({ field: campo, message: `El ítem ${item.codigo} está repetido` });
+    }
+    registradas.add(clave);
+  });
+
+  if (this.tipo === 'cuestionario') {
+    const minimo = this.puntuacion.minimoRespondidas ?? this.items.length;
+    if (registradas.size < minimo) {
+      errores.push({
+        field: 'respuestas',
+        message: `Debe responder al menos ${minimo} de los ${this.items.length} ítems`,
+      });
+    }
+  } else if (!respuestas.length) {
+    errores.push({ field: 'respuestas', message: 'Debe registrar al menos una medición' });
+  }
+
+  return errores;
+};
+
+/**
+ * Calcular el resultado de una evaluación (respuestas ya validadas)
+ * @param {Array} respuestas - [{ codigo, lado, valor }]
+ * @returns {Object} { puntaje, subescalas, respondidas }
+ */
+plantillaEvaluacionSchema.methods.calcularResultado = function(respuestas = []) {
+  const resultado = { puntaje: null, subescalas: [], respondidas: respuestas.length };
+  if (this.tipo !== 'cuestionario') return resultado;
+
+  const itemsPorCodigo = new Map(this.items.map(item => [item.codigo, item]));
+  const { metodo, puntajeTotal, subescalas } = this.puntuacion;
+
+  const puntuar = (respondidas) => {
+    if (!respondidas.length) return null;
+
+    if (metodo === 'suma') return redondear(respondidas.reduce((total, r) => total + r.valor, 0));
+
+    const suma = respondidas.reduce((total, r) => total + r.valor - r.item.min, 0);
+    const maximo = respondidas.reduce((total, r) => total + r.item.max - r.item.min, 0);
+    const porcentaje = (suma / maximo) * 100;
+    return redondear(metodo === 'porcentaje_inverso' ? 100 - porcentaje : porcentaje);
+  };
+
+  const respondidas = respuestas.map(r => ({ ...r, item: itemsPorCodigo.get(r.codigo) }));
+
+  if (puntajeTotal) {
+    resultado.puntaje = puntuar(respondidas);
+  }
+
+  resultado.subescalas = subescalas.map(subescala => {
+    const propias = respondidas.filter(r => r.item.subescala === subescala.clave);
+    const total = this.items.filter(item => item.subescala === subescala.clave).length;
+    const suficientes = propias.length >= (subescala.minimoRespondidas ?? total);
+
+    return {
+      clave: subescala.clave,
+      nombre: subescala.nombre,
+      puntaje: suficientes ? puntuar(propias) : null,
+      respondidas: propias.length,
+    };
+  });
+
+  return resultado;
+};
+
+const PlantillaEvaluacion = mongoose.model('PlantillaEvaluacion', plantillaEvaluacionSchema);
+
+export default PlantillaEvaluacion;
@@ -0,0 +1,260 @@
+import mongoose from 'mongoose';
+import { TIPOS_SESION } from './Sesion.js';
+
+export const TIPOS_CAMPO = ['texto', 'numero', 'fecha', 'booleano', 'seleccion', 'seleccion_multiple'];
+export const AMBITOS_FORMULARIO = ['paciente', 'sesion'];
+
+const LONGITUD_MAXIMA_TEXTO = 2000;
+
+// Para comparar diagnósticos sin distinguir mayúsculas ni acentos
+const normalizar = (texto) =>
+  String(texto || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim();
+
+const vacio = (valor) =>
+  valor === undefined || valor === null || valor === '' || (Array.isArray(valor) && !valor.length);
+
+const campoSchema = new mongoose.Schema(
+  {
+    // Nombre con el que se envía el valor (ej: "rango_flexion_rodilla")
+    clave: {
+      type: String,
+      required: [true, 'La clave del campo es obligatoria'],
+      trim: true,
+      match: [/^[a-zA-Z0-9_]+$/, 'La clave del campo solo puede tener letras, números y guiones bajos'],
+    },
+    etiqueta: {
+      type: String,
+      required: [true, 'La etiqueta del campo es obligatoria'],
+      trim: true,
+      maxlength: [200, 'La etiqueta no puede exceder 200 caracteres'],
+    },
+    tipo: {
+      type: String,
+      enum: TIPOS_CAMPO,
+      required: [true, 'El tipo del campo es obligatorio'],
+    },
+    requerido: {
+      type: Boolean,
+      default: false,
+    },
+    // Opciones de los campos de selección
+    opciones: [{
+      type: String,
+      trim: true,
+    }],
+    // Rango de los campos numéricos
+    min: { type: Number, default: null },
+    max: { type: Number, default: null },
+    ayuda: {
+      type: String,
+      trim: true,
+      maxlength: [300, 'La ayuda no puede exceder 300 caracteres'],
+    },
+  },
+  { _id: false }
+);
+
+const plantillaFormularioSchema = new mongoose.Schema(
+  {
+    nombre: {
+      type: String,
+      required: [true, 'El nombre es obligatorio'],
+      trim: true,
+      maxlength: [100, 'El nombre no puede exceder 100 caracteres'],
+    },
+    descripcion: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'La descripción no puede exceder 500 caracteres'],
+    },
+    // Dónde se guarda el formulario completado: en el paciente (ingreso) o en cada sesión
+    ambito: {
+      type: String,
+      enum: AMBITOS_FORMULARIO,
+      default: 'paciente',
+    },
+
+    // A qué tratamientos aplica. Sin diagnósticos ni tipos de sesión aplica a todos
+    asignacion: {
+      // Se comparan con el diagnóstico principal y los secundarios del paciente
+      // (ej: "rodilla" aplica a "Postquirúrgico de rodilla")
+      diagnosticos: [{
+        type: String,
+        trim: true,
+      }],
+      tiposSesion: [{
+        type: String,
+        enum: TIPOS_SESION,
+      }],
+    },
+
+    campos: [campoSchema],
+
+    activa: {
+      type: Boolean,
+      default: true,
+    },
+
+    creadoPor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    modificadoPor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+plantillaFormularioSchema.index({ activa: 1, ambito: 1 });
+
+plantillaFormularioSchema.pre('validate', function(next) {
+  if (!this.campos.length) {
+    this.invalidate('campos', 'La plantilla debe tener al menos un campo');
+  }
+
+  const claves = new Set();
+
+  this.campos.forEach((campo, indice) => {
+    if (claves.has(campo.clave)) {
+      this.invalidate(`campos.${indice}.clave`, `El campo ${campo.clave} está repetido`);
+    }
+    claves.add(campo.clave);
+
+    if (['seleccion', 'seleccion_multiple'].includes(campo.tipo) && !campo.opciones.length) {
+      this.invalidate(`campos.${indice}.opciones`, `El campo ${campo.clave} debe tener opciones`);
+    }
+
+    if (campo.min !== null && campo.max !== null && campo.max < campo.min) {
+      this.invalidate(`campos.${indice}.max`, 'El valor máximo no puede ser menor que el mínimo');
+    }
+  });
+
+  next();
+});
+
+/**
+ * Indicar si la plantilla aplica a un paciente o tipo de sesión
+ * @param {Object} criterios - { diagnosticos: [String], tipoSesion }
+ * @returns {Boolean}
+ */
+plantillaFormularioSchema.methods.aplicaA = function({ diagnosticos = [], tipoSesion } = {}) {
+  const porDiagnostico = this.asignacion.diagnosticos.map(normalizar).filter(Boolean);
+  const porTipo = this.asignacion.tiposSesion;
+
+  if (!porDiagnostico.length && !porTipo.length) return true;
+
+  const diagnosticosPaciente = diagnosticos.map(normalizar).filter(Boolean);
+
+  return porDiagnostico.some(termino => diagnosticosPaciente.some(d => d.includes(termino)))
+    || (Boolean(tipoSesion) && porTipo.includes(tipoSesion));
+};
+
+/**
+ * Validar los valores de un formulario completado contra los campos de la plantilla
+ * @param {Object} valores - { [clave]: valor }
+ * @returns {Object} { errores: [{ field, message }], respuestas: [{ clave, etiqueta, tipo, valor }] }
+ */
+plantillaFormularioSchema.methods.validarValores = function(valores = {}) {
+  const errores = [];
+  const respuestas = [];
+  const claves = new Set(this.campos.map(campo => campo.clave));
+
+  Object.keys(valores).forEach(clave => {
+    if (!claves.has(clave)) {
+      errores.push({ field: `valores.${clave}`, message: `El campo ${clave} no pertenece al formulario` });
+    }
+  });
+
+  this.campos.forEach(campo => {
+    const field = `valores.${campo.clave}`;
+    const valor = valores[campo.clave];
+
+    if (vacio(valor)) {
+      if (campo.requerido) {
+        errores.push({ field, message: `El campo ${campo.etiqueta} es obligatorio` });
+      }
+      return;
+    }
+
+    let normalizado = valor;
+
+    switch (campo.tipo) {
+      case 'texto':
+        if (typeof valor !== 'string') {
+          errores.push({ field, message: `El campo ${campo.etiqueta} debe ser un texto` });
+          return;
+        }
+        normalizado = valor.trim();
+        if (normalizado.length > LONGITUD_MAXIMA_TEXTO) {
+          errores.push({ field, message: `El campo ${campo.etiqueta} no puede exceder ${LONGITUD_MAXIMA_TEXTO} caracteres` });
+          return;
+        }
+        break;
+
+      case 'numero':
+        normalizado = typeof valor === 'string' ? Number(valor) : valor;
+        if (typeof normalizado !== 'number' || !Number.isFinite(normalizado)) {
+          errores.push({ field, message: `El campo ${campo.etiqueta} debe ser un número` });
+          return;
+        }
+        if ((campo.min !== null && normalizado < campo.min) || (campo.max !== null && normalizado > campo.max)) {
+          errores.push({
+            field,
+            message: `El campo ${campo.etiqueta} debe estar entre ${campo.min ?? '-∞'} y ${campo.max ?? '∞'}`,
+          });
+          return;
+        }
+        break;
+
+      case 'fecha':
+        normalizado = new Date(valor);
+        if (typeof valor === 'boolean' || isNaN(normalizado.getTime())) {
+          errores.push({ field, message: `El campo ${campo.etiqueta} debe ser una fecha válida` });
+          return;
+        }
+        break;
+
+      case 'booleano':
+        if (typeof valor !== 'boolean') {
+          errores.push({ field, message: `El campo ${campo.etiqueta} debe ser verdadero o falso` });
+          return;
+        }
+        break;
+
+      case 'seleccion':
+        if (!campo.opciones.includes(valor)) {
+          errores.push({ field, message: `Opción inválida para ${campo.etiqueta}. Valores permitidos: ${campo.opciones.join(', ')}` });
+          return;
+        }
+        break;
+
+      case 'seleccion_multiple':
+        if (!Array.isArray(valor) || valor.some(opcion => !campo.opciones.includes(opcion))) {
+          errores.push({ field, message: `Opciones inválidas para ${campo.etiqueta}. Valores permitidos: ${campo.opciones.join(', ')}` });
+          return;
+        }
+        normalizado = [...new Set(valor)];
+        break;
+
+      default:
+        break;
+    }
+
+    respuestas.push({ clave: campo.clave, etiqueta: campo.etiqueta, tipo: campo.tipo, valor: normalizado });
+  });
+
+  return { errores, respuestas };
+};
+
+const PlantillaFormulario = mongoose.model('PlantillaFormulario', plantillaFormularioSchema);
+
+export default PlantillaFormulario;
@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+
+const politicaAsistenciaSchema = new mongoose.Schema(
+  {
+    // Si está desactivada no se marcan pacientes ni se cobran ausencias
+    activa: {
+      type: Boolean,
+      default: true,
+    },
+
+    // Ausencias sin justificar que marcan al paciente...
+    maxAusencias: {
+      type: Number,
+      default: 3,
+      min: [1, 'La cantidad de ausencias debe ser al menos 1'],
+    },
+
+    // ...dentro de esta cantidad de días
+    periodoDias: {
+      type: Number,
+      default: 30,
+      min: [1, 'El período debe ser de al menos 1 día'],
+    },
+
+    // Avisar a los administradores cuando se marca un paciente
+    notificarAdministradores: {
+      type: Boolean,
+      default: true,
+    },
+
+    // Cargo en la cuenta del paciente por cada ausencia sin justificar
+    cargoAusencia: {
+      activo: { type: Boolean, default: false },
+      monto: {
+        type: Number,
+        default: 0,
+        min: [0, 'El monto no puede ser negativo'],
+      },
+    },
+
+    modificadoPor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+politicaAsistenciaSchema.pre('validate', function(next) {
+  if (this.cargoAusencia?.activo && !(this.cargoAusencia.monto > 0)) {
+    this.invalidate('cargoAusencia.monto', 'Indique el monto del cargo por ausencia');
+  }
+  next();
+});
+
+/**
+ * Política de asistencia configurada (única para la clínica).
+ * Si todavía no se configuró se devuelve una con los valores por defecto sin guardar
+ * @returns {Promise<Object>}
+ */
+politicaAsistenciaSchema.statics.obtener = async function() {
+  return (await this.findOne()) || new this();
+};
+
+/**
+ * Ventana de la política que termina en una fecha (inclusive)
+ * @param {Date} fecha - Último día de la ventana
+ * @returns {Object} { desde, hasta }
+ */
+politicaAsistenciaSchema.methods.ventana = function(fecha) {
+  const dia = new Date(fecha);
+  const [año, mes, fin] = [dia.getUTCFullYear(), dia.getUTCMonth(), dia.getUTCDate()];
+
+  const desde = new Date(Date.UTC(año, mes, fin - this.periodoDias + 1));
+  const hasta = new Date(Date.UTC(año, mes, fin, 23, 59, 59, 999));
+
+  return { desde, hasta };
+};
+
+const PoliticaAsistencia = mongoose.model('PoliticaAsistencia', politicaAsistenciaSchema);
+
+export default PoliticaAsistencia;
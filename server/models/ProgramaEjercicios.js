@@ -0,0 +1,120 @@
+import mongoose from 'mongoose';
+import { ZONAS_CORPORALES, dosisSchema } from './Ejercicio.js';
+
+// reemplazado: se prescribió un programa nuevo al paciente
+export const ESTADOS_PROGRAMA = ['activo', 'finalizado', 'reemplazado'];
+
+// Cumplimiento del programa informado por el paciente en la sesión siguiente
+export const NIVELES_ADHERENCIA = ['completa', 'parcial', 'baja', 'nula'];
+
+const programaEjerciciosSchema = new mongoose.Schema(
+  {
+    paciente: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Paciente',
+      required: [true, 'El paciente es obligatorio'],
+      index: true,
+    },
+    episodio: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'EpisodioTratamiento',
+      default: null,
+    },
+    // Sesión en la que se prescribió
+    sesion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Sesion',
+      required: [true, 'La sesión es obligatoria'],
+    },
+    profesional: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    fecha: {
+      type: Date,
+      default: Date.now,
+    },
+    estado: {
+      type: String,
+      enum: ESTADOS_PROGRAMA,
+      default: 'activo',
+    },
+
+    // Datos del ejercicio copiados de la biblioteca al prescribir,
+    // así la hoja del paciente no cambia si se modifica la biblioteca
+    ejercicios: {
+      type: [{
+        ejercicio: { type: mongoose.Schema.Types.ObjectId, ref: 'Ejercicio', required: true },
+        nombre: { type: String, required: true },
+        descripcion: { type: String },
+        imagenUrl: { type: String },
+        videoUrl: { type: String },
+        zonaCorporal: { type: String, enum: ZONAS_CORPORALES },
+        dosis: { type: dosisSchema, default: () => ({}) },
+        observaciones: {
+          type: String,
+          trim: true,
+          maxlength: [500, 'Las observaciones no pueden exceder 500 caracteres'],
+        },
+      }],
+      validate: {
+        validator: (ejercicios) => ejercicios.length > 0,
+        message: 'El programa debe tener al menos un ejercicio',
+      },
+    },
+    indicaciones: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Las indicaciones no pueden exceder 1000 caracteres'],
+    },
+    fechaFin: {
+      type: Date,
+      default: null,
+    },
+
+    // Una entrada por sesión posterior en la que se consultó al paciente
+    adherencia: [{
+      sesion: { type: mongoose.Schema.Types.ObjectId, ref: 'Sesion', required: true },
+      fecha: { type: Date },
+      nivel: { type: String, enum: NIVELES_ADHERENCIA, required: true },
+      // Veces que hizo la rutina sobre las indicadas, en porcentaje
+      porcentaje: { type: Number, min: 0, max: 100, default: null },
+      // Ejercicios que no pudo hacer o le costaron (IDs de los ejercicios del programa)
+      ejerciciosConDificultad: [{ type: mongoose.Schema.Types.ObjectId }],
+      observaciones: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Las observaciones no pueden exceder 500 caracteres'],
+      },
+      registradoPor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    }],
+
+    envios: [{
+      _id: false,
+      email: { type: String, trim: true },
+      fecha: { type: Date, default: Date.now },
+      usuario: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    }],
+
+    creadoPor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    modificadoPor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+programaEjerciciosSchema.index({ paciente: 1, estado: 1, fecha: -1 });
+programaEjerciciosSchema.index({ sesion: 1 });
+programaEjerciciosSchema.index({ 'adherencia.sesion': 1 });
+
+const ProgramaEjercicios = mongoose.model('ProgramaEjercicios', programaEjerciciosSchema);
+
+export default ProgramaEjercicios;
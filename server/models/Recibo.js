@@ -0,0 +1,131 @@
+import mongoose from 'mongoose';
+
+export const ESTADOS_RECIBO = ['emitido', 'anulado'];
+
+// Reintentos al tomar el número siguiente si otro recibo se emitió al mismo tiempo
+const INTENTOS_NUMERACION = 5;
+
+const reciboSchema = new mongoose.Schema(
+  {
+    // Número correlativo sin saltos (nunca se reutiliza ni se borra)
+    numero: {
+      type: Number,
+      required: true,
+      unique: true,
+      min: 1,
+    },
+
+    paciente: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Paciente',
+      required: [true, 'El paciente es obligatorio'],
+      index: true,
+    },
+
+    // Pago de la cuenta corriente que origina el recibo
+    movimiento: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MovimientoCuenta',
+      required: true,
+      index: true,
+    },
+
+    // Sesiones cubiertas por el pago
+    sesiones: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Sesion',
+    }],
+
+    fecha: {
+      type: Date,
+      default: Date.now,
+    },
+
+    monto: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+
+    metodoPago: {
+      type: String,
+      trim: true,
+    },
+
+    concepto: {
+      type: String,
+      trim: true,
+    },
+
+    estado: {
+      type: String,
+      enum: ESTADOS_RECIBO,
+      default: 'emitido',
+    },
+    motivoAnulacion: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    fechaAnulacion: {
+      type: Date,
+      default: null,
+    },
+
+    // Envíos por email al paciente
+    envios: [{
+      _id: false,
+      email: { type: String, trim: true },
+      fecha: { type: Date, default: Date.now },
+      usuario: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    }],
+
+    emitidoPor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    anuladoPor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+reciboSchema.index({ paciente: 1, fecha: -1 });
+reciboSchema.index({ estado: 1, fecha: -1 });
+
+// Virtual: número con formato para mostrar e imprimir (ej: R-00000012)
+reciboSchema.virtual('numeroFormateado').get(function() {
+  return `R-${String(this.numero).padStart(8, '0')}`;
+});
+
+/**
+ * Emitir un recibo con el número siguiente al último emitido.
+ * El número solo se ocupa cuando el recibo se guarda, así no quedan saltos;
+ * si otro recibo tomó el mismo número (índice único) se reintenta con el siguiente
+ * @param {Object} datos - Datos del recibo (sin número)
+ * @returns {Promise<Document>}
+ */
+reciboSchema.statics.emitir = async function(datos) {
+  for (let intento = 1; ; intento++) {
+    const ultimo = await this.findOne().sort('-numero').select('numero').lean();
+
+    try {
+      return await this.create({ ...datos, numero: (ultimo?.numero || 0) + 1 });
+    } catch (error) {
+      if (error.code !== 11000 || intento >= INTENTOS_NUMERACION) throw error;
+    }
+  }
+};
+
+reciboSchema.set('toJSON', { virtuals: true });
+reciboSchema.set('toObject', { virtuals: true });
+
+const Recibo = mongoose.model('Recibo', reciboSchema);
+
+export default Recibo;
@@ -0,0 +1,113 @@
+import mongoose from 'mongoose';
+import { TIPOS_SESION } from './Sesion.js';
+
+export const TIPOS_COMISION = ['porcentaje', 'fijo'];
+
+const reglaComisionSchema = new mongoose.Schema(
+  {
+    // Profesional al que se aplica (null = todos los profesionales)
+    profesional: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+
+    // Tipo de sesión al que se aplica (null = todos los tipos)
+    tipoSesion: {
+      type: String,
+      default: null,
+      validate: {
+        validator: valor => valor === null || TIPOS_SESION.includes(valor),
+        message: 'Tipo de sesión inválido',
+      },
+    },
+
+    // porcentaje: % de lo cobrado por la sesión / fijo: monto por sesión realizada
+    tipo: {
+      type: String,
+      enum: TIPOS_COMISION,
+      default: 'porcentaje',
+    },
+    valor: {
+      type: Number,
+      required: [true, 'El valor de la comisión es obligatorio'],
+      min: [0, 'El valor no puede ser negativo'],
+    },
+
+    activa: {
+      type: Boolean,
+      default: true,
+    },
+
+    observaciones: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Las observaciones no pueden exceder 500 caracteres'],
+    },
+
+    creadoPor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    modificadoPor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+// Una regla por combinación de profesional y tipo de sesión
+reglaComisionSchema.index({ profesional: 1, tipoSesion: 1 }, { unique: true });
+
+reglaComisionSchema.pre('validate', function(next) {
+  if (this.tipo === 'porcentaje' && this.valor > 100) {
+    this.invalidate('valor', 'El porcentaje no puede superar 100');
+  }
+
+  next();
+});
+
+/**
+ * Elegir la regla más específica para una sesión:
+ * profesional + tipo > profesional > tipo > general
+ * @param {Array} reglas - Reglas activas
+ * @param {String} profesionalId - Profesional de la sesión
+ * @param {String} tipoSesion - Tipo de la sesión
+ * @returns {Object|null}
+ */
+reglaComisionSchema.statics.resolver = function(reglas, profesionalId, tipoSesion) {
+  const profesional = profesionalId?.toString();
+  const coincide = (regla, conProfesional, conTipo) =>
+    (conProfesional ? regla.profesional?.toString() === profesional : !regla.profesional) &&
+    (conTipo ? regla.tipoSesion === tipoSesion : !regla.tipoSesion);
+
+  const prioridades = [[true, true], [true, false], [false, true], [false, false]];
+
+  for (const [conProfesional, conTipo] of prioridades) {
+    const regla = reglas.find(r => coincide(r, conProfesional, conTipo));
+    if (regla) return regla;
+  }
+
+  return null;
+};
+
+/**
+ * Comisión de una sesión según la regla
+ * @param {Object} regla - Regla aplicable (o null)
+ * @param {Number} ingresos - Monto cobrado por la sesión
+ * @param {Boolean} realizada - Si la sesión se realizó
+ * @returns {Number}
+ */
+reglaComisionSchema.statics.calcular = function(regla, ingresos, realizada) {
+  if (!regla) return 0;
+  if (regla.tipo === 'fijo') return realizada ? regla.valor : 0;
+  return (ingresos * regla.valor) / 100;
+};
+
+const ReglaComision = mongoose.model('ReglaComision', reglaComisionSchema);
+
+export default ReglaComision;
@@ -1,5 +1,7 @@
 import mongoose from 'mongoose';
 
+export const TIPOS_SESION = ['presencial', 'domicilio', 'virtual', 'evaluacion', 'control'];
+
 const sesionSchema = new mongoose.Schema(
   {
     // Paciente asociado
@@ -9,6 +11,14 @@ const sesionSchema = new mongoose.Schema(
       required: [true, 'El paciente es obligatorio'],
       index: true,
     },
+
+    // Episodio de tratamiento al que pertenece (numeroSesion se cuenta dentro del episodio)
+    episodio: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'EpisodioTratamiento',
+      default: null,
+      index: true,
+    },
     
     // Fecha de la sesión
     fecha: {
@@ -21,7 +31,7 @@ const sesionSchema = new mongoose.Schema(
     // Tipo de sesión
     tipoSesion: {
       type: String,
-      enum: ['presencial', 'domicilio', 'virtual', 'evaluacion', 'control'],
+      enum: TIPOS_SESION,
       default: 'presencial',
     },
     
@@ -56,6 +66,29 @@ const sesionSchema = new mongoose.Schema(
       min: 1,
       default: null,
     }, // Número de sesión actual del paciente (ej: 3 de 10) - se calcula automáticamente
+
+    // Serie de sesiones generada desde los horarios habituales del paciente
+    serie: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+      index: true,
+    },
+
+    // Liquidación de obra social que incluye la sesión (mientras esté incluida no se puede editar)
+    liquidacion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Liquidacion',
+      default: null,
+      index: true,
+    },
+
+    // Autorización (orden médica) de la obra social que cubre la sesión
+    autorizacion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Autorizacion',
+      default: null,
+      index: true,
+    },
     
     // Detalles del tratamiento realizado
     detallesTratamiento: {
@@ -98,13 +131,57 @@ const sesionSchema = new mongoose.Schema(
       },
       metodoPago: {
         type: String,
-        enum: ['efectivo', 'transferencia', 'tarjeta', 'obra_social', 'pendiente'],
+        enum: ['efectivo', 'transferencia', 'tarjeta', 'obra_social', 'paquete', 'pendiente'],
         default: 'pendiente',
       },
+      // Paquete de sesiones con el que se pagó (se asigna al marcarla como realizada)
+      paquete: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PaqueteVendido',
+        default: null,
+      },
+      // Se calcula con los pagos imputados en la cuenta del paciente (MovimientoCuenta)
       pagado: {
         type: Boolean,
         default: false,
       },
+      montoPagado: {
+        type: Number,
+        min: 0,
+        default: 0,
+      },
+      // División del monto entre la obra social y el paciente (copago)
+      montoObraSocial: {
+        type: Number,
+        min: 0,
+        default: 0,
+      },
+      montoPaciente: {
+        type: Number,
+        min: 0,
+        default: null,
+      }, // null = sesiones anteriores al catálogo de obras sociales (todo a cargo del paciente)
+      obraSocial: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ObraSocial',
+        default: null,
+      },
+      planObraSocial: {
+        type: String,
+        trim: true,
+        default: null,
+      },
+      observacionCobertura: {
+        type: String,
+        trim: true,
+        default: null,
+      }, // Ej: tope anual alcanzado, cobertura vencida
+      // Estado del cobro a la obra social
+      estadoObraSocial: {
+        type: String,
+        enum: ['pendiente', 'liquidada', 'cobrada'],
+        default: 'pendiente',
+      },
       comprobante: {
         numero: { type: String, trim: true },
         tipo: { 
@@ -132,6 +209,12 @@ const sesionSchema = new mongoose.Schema(
       trim: true,
       maxlength: [500, 'El motivo no puede exceder 500 caracteres'],
     },
+
+    // Ausencia con aviso o certificado (no cuenta para la política de asistencia)
+    ausenciaJustificada: {
+      type: Boolean,
+      default: false,
+    },
     
     // Sesión reprogramada (si se cancela y se posterga)
     sesionReprogramada: {
@@ -175,6 +258,15 @@ const sesionSchema = new mongoose.Schema(
       descripcion: String,
       url: String,
       fecha: { type: Date, default: Date.now },
+      // Archivo subido por la API (url apunta a la ruta de descarga)
+      archivo: {
+        clave: String,
+        nombreOriginal: String,
+        mimetype: String,
+        tamano: Number,
+        almacenamiento: String,
+      },
+      subidoPor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     }],
     
     // Próxima sesión sugerida
@@ -267,6 +359,39 @@ sesionSchema.pre('save', function(next) {
   next();
 });
 
+// Middleware: Descontar la sesión realizada del paquete activo del paciente
+// (solo si tiene monto a cargo del paciente, no tiene pagos imputados y no se registra
+// como pagada: $locals.sinPaquete). Si deja de estar realizada, la sesión se devuelve al paquete
+sesionSchema.pre('save', async function(next) {
+  if (!this.isNew && !this.isModified('estado')) return next();
+
+  try {
+    const aCargoPaciente = this.pago.montoPaciente ?? this.pago.monto;
+
+    if (this.estado === 'realizada' && !this.pago.paquete && aCargoPaciente > 0 && !(this.pago.montoPagado > 0)
+      && !this.$locals.sinPaquete) {
+      const paquete = await mongoose.model('PaqueteVendido').buscarDisponible(this.paciente._id || this.paciente, this.fecha);
+
+      if (paquete) {
+        this.pago.paquete = paquete._id;
+        this.pago.metodoPago = 'paquete';
+        this.pago.pagado = true;
+        this.pago.fechaPago = new Date();
+      }
+    } else if (this.estado !== 'realizada' && this.pago.paquete) {
+      this.$locals.paqueteLiberado = this.pago.paquete;
+      this.pago.paquete = null;
+      this.pago.metodoPago = 'pendiente';
+      this.pago.pagado = false;
+      this.pago.fechaPago = null;
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Middleware: Actualizar estadísticas del paciente después de guardar
 sesionSchema.post('save', async function(doc) {
   try {
@@ -284,42 +409,70 @@ sesionSchema.post('save', async function(doc) {
         $group: {
           _id: null,
           totalSesiones: { $sum: 1 },
-          totalAbonado: { 
-            $sum: { 
-              $cond: [{ $eq: ['$pago.pagado', true] }, '$pago.monto', 0] 
-            }
-          },
-          saldoPendiente: { 
-            $sum: { 
-              $cond: [{ $eq: ['$pago.pagado', false] }, '$pago.monto', 0] 
-            }
-          },
           ultimaSesion: { $max: '$fecha' },
         }
       }
     ]);
     
     // Actualizar estadísticas siempre, incluso si no hay sesiones (para resetear a 0)
-    const estadisticas = stats.length > 0 ? {
-      totalSesiones: stats[0].totalSesiones,
-      totalAbonado: stats[0].totalAbonado,
-      saldoPendiente: stats[0].saldoPendiente,
-      ultimaSesion: stats[0].ultimaSesion,
-    } : {
-      totalSesiones: 0,
-      totalAbonado: 0,
-      saldoPendiente: 0,
-      ultimaSesion: null,
-    };
-    
+    // totalAbonado y saldoPendiente los actualiza la cuenta corriente (MovimientoCuenta)
     await Paciente.findByIdAndUpdate(doc.paciente, {
-      estadisticas: estadisticas
+      $set: {
+        'estadisticas.totalSesiones': stats.length > 0 ? stats[0].totalSesiones : 0,
+        'estadisticas.ultimaSesion': stats.length > 0 ? stats[0].ultimaSesion : null,
+      },
     });
   } catch (error) {
     console.error('Error actualizando estadísticas del paciente:', error);
   }
 });
 
+// Middleware: Actualizar las estadísticas del episodio de tratamiento
+sesionSchema.post('save', async function(doc) {
+  if (!doc.episodio) return;
+
+  try {
+    await mongoose.model('EpisodioTratamiento').actualizarEstadisticas(doc.episodio);
+  } catch (error) {
+    console.error('Error actualizando estadísticas del episodio:', error);
+  }
+});
+
+// Middleware: Registrar o anular el cargo de la sesión en la cuenta del paciente
+sesionSchema.post('save', async function(doc) {
+  try {
+    await mongoose.model('MovimientoCuenta').sincronizarCargoSesion(doc);
+  } catch (error) {
+    console.error('Error actualizando la cuenta del paciente:', error);
+  }
+});
+
+// Middleware: Actualizar las sesiones consumidas de la autorización vinculada
+sesionSchema.post('save', async function(doc) {
+  if (!doc.autorizacion) return;
+
+  try {
+    await mongoose.model('Autorizacion').actualizarConsumo(doc.autorizacion);
+  } catch (error) {
+    console.error('Error actualizando consumo de la autorización:', error);
+  }
+});
+
+// Middleware: Actualizar las sesiones consumidas del paquete usado o liberado
+sesionSchema.post('save', async function(doc) {
+  const paquetes = [doc.pago.paquete, doc.$locals.paqueteLiberado].filter(Boolean);
+  if (!paquetes.length) return;
+
+  try {
+    const PaqueteVendido = mongoose.model('PaqueteVendido');
+    for (const paqueteId of paquetes) {
+      await PaqueteVendido.actualizarConsumo(paqueteId);
+    }
+  } catch (error) {
+    console.error('Error actualizando consumo del paquete:', error);
+  }
+});
+
 // Configurar toJSON para incluir virtuals
 sesionSchema.set('toJSON', { virtuals: true });
 sesionSchema.set('toObject', { virtuals: true });
@@ -1,6 +1,7 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
 import { ROLES, USER_STATUS } from '../conf/constants.js';
 
 const userSchema = new mongoose.Schema(
@@ -122,7 +123,7 @@ userSchema.index({ resetPasswordToken: 1 });
 // Middleware: Encriptar password antes de guardar
 userSchema.pre('save', async function (next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
 
   try {
@@ -186,24 +187,11 @@ userSchema.methods.generarEmailVerificationCode = function () {
 };
 
 // Método: Generar token de reseteo de password
+// Se envía el token en claro por email y solo se guarda su hash
 userSchema.methods.generarResetPasswordToken = function () {
-  const resetToken = jwt.sign(
-    { 
-      id: this._id,
-      email: this.email,
-      type: 'password_reset'
-    },
-    process.env.JWT_SECRET,
-    {
-      expiresIn: '1h',
-    }
-  );
+  const resetToken = crypto.randomBytes(32).toString('hex');
 
-  this.resetPasswordToken = jwt.sign(
-    { token: resetToken },
-    process.env.JWT_SECRET
-  );
-  
+  this.resetPasswordToken = this.constructor.hashearResetToken(resetToken);
   this.resetPasswordExpire = Date.now() + 60 * 60 * 1000; // 1 hora
 
   return resetToken;
@@ -229,6 +217,11 @@ userSchema.methods.obtenerDatosPublicos = function () {
   };
 };
 
+// Método estático: Hashear token de reseteo de password (SHA-256)
+userSchema.statics.hashearResetToken = function (token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
 // Método estático: Buscar usuario por email con password
 userSchema.statics.buscarPorEmailConPassword = function (email) {
   return this.findOne({ email }).select('+password +refreshToken');
@@ -24,6 +24,8 @@ import {
   actualizarRegistroPago,
   eliminarRegistroPago,
   obtenerEstadisticasPagos,
+  previsualizarPagosDesdeSesiones,
+  generarPagosDesdeSesiones,
   // Estadísticas del sistema
   obtenerEstadisticasSistema,
 } from '../controllers/adminController.js';
@@ -83,6 +85,11 @@ router.post('/pagos-personal/multiples', crearMultiplesPagos);
 router.get('/pagos-personal/planilla', obtenerPlanillaMes);
 router.get('/pagos-personal/estadisticas', obtenerEstadisticasPagos);
 
+router
+  .route('/pagos-personal/generar')
+  .get(previsualizarPagosDesdeSesiones)
+  .post(generarPagosDesdeSesiones);
+
 router
   .route('/pagos-personal/:id')
   .get(obtenerRegistroPagoPorId)
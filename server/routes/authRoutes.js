@@ -9,6 +9,8 @@ import {
   getMe,
   updateProfile,
   changePassword,
+  forgotPassword,
+  resetPassword,
 } from '../controllers/authController.js';
 import { protect } from '../middlewares/authMiddleware.js';
 import {
@@ -18,6 +20,7 @@ import {
   validateVerifyEmail,
   validateProfileUpdate,
   validatePasswordChange,
+  validatePasswordReset,
 } from '../middlewares/validationMiddleware.js';
 import rateLimit from 'express-rate-limit';
 
@@ -57,6 +60,8 @@ router.post('/login', loginLimiter, validateLogin, login);
 router.post('/verify-email', emailLimiter, validateVerifyEmail, verifyEmail);
 router.post('/resend-verification', emailLimiter, validateEmail, resendVerification);
 router.post('/refresh-token', refreshToken);
+router.post('/forgot-password', emailLimiter, validateEmail, forgotPassword);
+router.post('/reset-password/:token', loginLimiter, validatePasswordReset, resetPassword);
 
 // Rutas protegidas (requieren autenticación)
 router.post('/logout', protect, logout);
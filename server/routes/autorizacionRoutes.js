@@ -0,0 +1,33 @@
+import express from 'express';
+import {
+  crearAutorizacion,
+  obtenerAutorizaciones,
+  obtenerAutorizacionPorId,
+  actualizarAutorizacion,
+  anularAutorizacion,
+} from '../controllers/autorizacionController.js';
+import { protect, authorize } from '../middlewares/authMiddleware.js';
+import {
+  validateCrearAutorizacion,
+  validateActualizarAutorizacion,
+} from '../middlewares/autorizacionValidation.js';
+import { ROLES } from '../conf/constants.js';
+
+const router = express.Router();
+
+// Todas las rutas requieren autenticación
+router.use(protect);
+
+// Rutas principales
+router
+  .route('/')
+  .get(authorize(ROLES.ADMIN, ROLES.EMPLEADO, ROLES.USUARIO), obtenerAutorizaciones)
+  .post(authorize(ROLES.ADMIN, ROLES.EMPLEADO, ROLES.USUARIO), validateCrearAutorizacion, crearAutorizacion);
+
+router
+  .route('/:id')
+  .get(authorize(ROLES.ADMIN, ROLES.EMPLEADO, ROLES.USUARIO), obtenerAutorizacionPorId)
+  .put(authorize(ROLES.ADMIN, ROLES.EMPLEADO, ROLES.USUARIO), validateActualizarAutorizacion, actualizarAutorizacion)
+  .delete(authorize(ROLES.ADMIN), anularAutorizacion);
+
+export default router;
@@ -2,8 +2,15 @@ import express from 'express';
 import {
   obtenerSesionesPorRango,
   obtenerSesionesAgrupadas,
+  obtenerDisponibilidad,
+  obtenerAgenda,
+  actualizarAgenda,
+  listarFeriados,
+  crearFeriado,
+  eliminarFeriado,
 } from '../controllers/calendarioController.js';
-import { protect } from '../middlewares/authMiddleware.js';
+import { protect, authorize } from '../middlewares/authMiddleware.js';
+import { ROLES } from '../conf/constants.js';
 
 const router = express.Router();
 
@@ -13,5 +20,15 @@ router.use(protect);
 // Rutas principales
 router.get('/sesiones', obtenerSesionesPorRango);
 router.get('/sesiones-agrupadas', obtenerSesionesAgrupadas);
+router.get('/disponibilidad', obtenerDisponibilidad);
+
+// Agendas de profesionales
+router.get('/agendas/:profesionalId', obtenerAgenda);
+router.put('/agendas/:profesionalId', actualizarAgenda);
+
+// Feriados
+router.get('/feriados', listarFeriados);
+router.post('/feriados', authorize(ROLES.ADMIN), crearFeriado);
+router.delete('/feriados/:id', authorize(ROLES.ADMIN), eliminarFeriado);
 
 export default router;
@@ -0,0 +1,28 @@
+import express from 'express';
+import {
+  obtenerResumenDia,
+  cerrarCaja,
+  obtenerCierres,
+  obtenerCierrePorId,
+  reabrirCaja,
+} from '../controllers/cierreCajaController.js';
+import { protect, authorize } from '../middlewares/authMiddleware.js';
+import { validateCerrarCaja, validateReabrirCaja } from '../middlewares/cierreCajaValidation.js';
+import { ROLES } from '../conf/constants.js';
+
+const router = express.Router();
+
+// Todas las rutas requieren autenticación
+router.use(protect);
+
+router.get('/resumen', authorize(ROLES.ADMIN, ROLES.EMPLEADO), obtenerResumenDia);
+
+router
+  .route('/cierres')
+  .get(authorize(ROLES.ADMIN, ROLES.EMPLEADO), obtenerCierres)
+  .post(authorize(ROLES.ADMIN, ROLES.EMPLEADO), validateCerrarCaja, cerrarCaja);
+
+router.get('/cierres/:id', authorize(ROLES.ADMIN, ROLES.EMPLEADO), obtenerCierrePorId);
+router.put('/cierres/:id/reabrir', authorize(ROLES.ADMIN), validateReabrirCaja, reabrirCaja);
+
+export default router;
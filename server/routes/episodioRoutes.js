@@ -0,0 +1,39 @@
+import express from 'express';
+import {
+  abrirEpisodio,
+  migrarEpisodios,
+  obtenerEpisodiosPaciente,
+  obtenerEpisodioPorId,
+  actualizarEpisodio,
+  darAltaEpisodio,
+  cerrarEpisodio,
+} from '../controllers/episodioController.js';
+import { protect, authorize } from '../middlewares/authMiddleware.js';
+import {
+  validateAbrirEpisodio,
+  validateActualizarEpisodio,
+  validateCerrarEpisodio,
+} from '../middlewares/episodioValidation.js';
+import { ROLES } from '../conf/constants.js';
+
+const router = express.Router();
+
+// Todas las rutas requieren autenticación
+router.use(protect);
+router.use(authorize(ROLES.ADMIN, ROLES.EMPLEADO, ROLES.USUARIO));
+
+router.post('/', validateAbrirEpisodio, abrirEpisodio);
+
+// Rutas especiales (antes de las rutas con :id)
+router.post('/migrar', authorize(ROLES.ADMIN), migrarEpisodios);
+router.get('/paciente/:pacienteId', obtenerEpisodiosPaciente);
+
+router
+  .route('/:id')
+  .get(obtenerEpisodioPorId)
+  .put(validateActualizarEpisodio, actualizarEpisodio);
+
+router.put('/:id/alta', validateCerrarEpisodio, darAltaEpisodio);
+router.put('/:id/cerrar', validateCerrarEpisodio, cerrarEpisodio);
+
+export default router;
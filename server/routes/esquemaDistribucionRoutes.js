@@ -0,0 +1,39 @@
+import express from 'express';
+import {
+  crearEsquema,
+  obtenerEsquemas,
+  obtenerEsquemaVigente,
+  migrarRegistrosAnteriores,
+  obtenerEsquemaPorId,
+  actualizarEsquema,
+  eliminarEsquema,
+} from '../controllers/esquemaDistribucionController.js';
+import { protect, authorize } from '../middlewares/authMiddleware.js';
+import {
+  validateCrearEsquema,
+  validateActualizarEsquema,
+  validateMigrarEsquema,
+} from '../middlewares/esquemaDistribucionValidation.js';
+import { ROLES } from '../conf/constants.js';
+
+const router = express.Router();
+
+// Todas las rutas requieren autenticación y rol de administrador
+router.use(protect);
+router.use(authorize(ROLES.ADMIN));
+
+router
+  .route('/')
+  .get(obtenerEsquemas)
+  .post(validateCrearEsquema, crearEsquema);
+
+router.get('/vigente', obtenerEsquemaVigente);
+router.post('/migrar', validateMigrarEsquema, migrarRegistrosAnteriores);
+
+router
+  .route('/:id')
+  .get(obtenerEsquemaPorId)
+  .put(validateActualizarEsquema, actualizarEsquema)
+  .delete(eliminarEsquema);
+
+export default router;
@@ -0,0 +1,56 @@
+import express from 'express';
+import {
+  crearPlantilla,
+  cargarPlantillasPredefinidas,
+  obtenerPlantillas,
+  obtenerPlantillaPorId,
+  crearVersionPlantilla,
+  cambiarEstadoPlantilla,
+  registrarEvaluacion,
+  obtenerEvaluacionesPaciente,
+  obtenerEvaluacionPorId,
+  actualizarEvaluacion,
+  eliminarEvaluacion,
+} from '../controllers/evaluacionController.js';
+import { protect, authorize } from '../middlewares/authMiddleware.js';
+import {
+  validateCrearPlantilla,
+  validateActualizarPlantilla,
+  validateRegistrarEvaluacion,
+  validateActualizarEvaluacion,
+} from '../middlewares/evaluacionValidation.js';
+import { ROLES } from '../conf/constants.js';
+
+const router = express.Router();
+
+// Todas las rutas requieren autenticación
+router.use(protect);
+router.use(authorize(ROLES.ADMIN, ROLES.EMPLEADO, ROLES.USUARIO));
+
+// Plantillas (las modificaciones solo para administradores)
+router
+  .route('/plantillas')
+  .get(obtenerPlantillas)
+  .post(authorize(ROLES.ADMIN), validateCrearPlantilla, crearPlantilla);
+
+router.post('/plantillas/predefinidas', authorize(ROLES.ADMIN), cargarPlantillasPredefinidas);
+
+router
+  .route('/plantillas/:id')
+  .get(obtenerPlantillaPorId)
+  .put(authorize(ROLES.ADMIN), validateActualizarPlantilla, crearVersionPlantilla);
+
+router.put('/plantillas/:id/estado', authorize(ROLES.ADMIN), cambiarEstadoPlantilla);
+
+// Evaluaciones de pacientes
+router.get('/paciente/:pacienteId', obtenerEvaluacionesPaciente);
+
+router.post('/', validateRegistrarEvaluacion, registrarEvaluacion);
+
+router
+  .route('/:id')
+  .get(obtenerEvaluacionPorId)
+  .put(validateActualizarEvaluacion, actualizarEvaluacion)
+  .delete(authorize(ROLES.ADMIN), eliminarEvaluacion);
+
+export default router;
@@ -2,8 +2,14 @@ import express from 'express';
 import {
   generarPDFPlanillaDiaria,
   generarPDFFichaPaciente,
+  exportarSesiones,
+  exportarPacientes,
+  exportarPlanillaPersonal,
+  exportarLiquidacion,
+  exportarReporteProfesionales,
 } from '../controllers/exportController.js';
-import { protect } from '../middlewares/authMiddleware.js';
+import { protect, authorize } from '../middlewares/authMiddleware.js';
+import { ROLES } from '../conf/constants.js';
 
 const router = express.Router();
 
@@ -14,4 +20,11 @@ router.use(protect);
 router.get('/planilla-diaria', generarPDFPlanillaDiaria);
 router.get('/ficha-paciente/:pacienteId', generarPDFFichaPaciente);
 
+// Planillas Excel/CSV
+router.get('/sesiones', exportarSesiones);
+router.get('/pacientes', exportarPacientes);
+router.get('/planilla-personal', authorize(ROLES.ADMIN), exportarPlanillaPersonal);
+router.get('/liquidacion/:liquidacionId', authorize(ROLES.ADMIN, ROLES.EMPLEADO), exportarLiquidacion);
+router.get('/reporte-profesionales', exportarReporteProfesionales);
+
 export default router;
@@ -0,0 +1,55 @@
+import express from 'express';
+import {
+  crearPlantilla,
+  obtenerPlantillas,
+  obtenerPlantillasAplicables,
+  obtenerPlantillaPorId,
+  actualizarPlantilla,
+  desactivarPlantilla,
+  completarFormulario,
+  obtenerFormulariosPaciente,
+  obtenerFormularioPorId,
+  actualizarFormulario,
+  eliminarFormulario,
+} from '../controllers/formularioController.js';
+import { protect, authorize } from '../middlewares/authMiddleware.js';
+import {
+  validateCrearPlantillaFormulario,
+  validateActualizarPlantillaFormulario,
+  validateCompletarFormulario,
+  validateValoresFormulario,
+} from '../middlewares/formularioValidation.js';
+import { ROLES } from '../conf/constants.js';
+
+const router = express.Router();
+
+// Todas las rutas requieren autenticación
+router.use(protect);
+router.use(authorize(ROLES.ADMIN, ROLES.EMPLEADO, ROLES.USUARIO));
+
+// Plantillas (las modificaciones solo para administradores)
+router
+  .route('/plantillas')
+  .get(obtenerPlantillas)
+  .post(authorize(ROLES.ADMIN), validateCrearPlantillaFormulario, crearPlantilla);
+
+router.get('/plantillas/aplicables', obtenerPlantillasAplicables);
+
+router
+  .route('/plantillas/:id')
+  .get(obtenerPlantillaPorId)
+  .put(authorize(ROLES.ADMIN), validateActualizarPlantillaFormulario, actualizarPlantilla)
+  .delete(authorize(ROLES.ADMIN), desactivarPlantilla);
+
+// Formularios completados
+router.get('/paciente/:pacienteId', obtenerFormulariosPaciente);
+
+router.post('/', validateCompletarFormulario, validateValoresFormulario, completarFormulario);
+
+router
+  .route('/:id')
+  .get(obtenerFormularioPorId)
+  .put(validateValoresFormulario, actualizarFormulario)
+  .delete(authorize(ROLES.ADMIN), eliminarFormulario);
+
+export default router;
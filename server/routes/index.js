@@ -9,6 +9,20 @@ import busquedaRoutes from './busquedaRoutes.js';
 import calendarioRoutes from './calendarioRoutes.js';
 import evolucionRoutes from './evolucionRoutes.js';
 import exportRoutes from './exportRoutes.js';
+import obraSocialRoutes from './obraSocialRoutes.js';
+import liquidacionRoutes from './liquidacionRoutes.js';
+import autorizacionRoutes from './autorizacionRoutes.js';
+import paqueteRoutes from './paqueteRoutes.js';
+import reciboRoutes from './reciboRoutes.js';
+import cierreCajaRoutes from './cierreCajaRoutes.js';
+import esquemaDistribucionRoutes from './esquemaDistribucionRoutes.js';
+import reporteRoutes from './reporteRoutes.js';
+import listaEsperaRoutes from './listaEsperaRoutes.js';
+import evaluacionRoutes from './evaluacionRoutes.js';
+import formularioRoutes from './formularioRoutes.js';
+import planTratamientoRoutes from './planTratamientoRoutes.js';
+import episodioRoutes from './episodioRoutes.js';
+import programaEjerciciosRoutes from './programaEjerciciosRoutes.js';
 
 const router = express.Router();
 
@@ -56,8 +70,49 @@ router.use('/evolucion', evolucionRoutes);
 // Rutas de exportación (protegidas)
 router.use('/exportar', exportRoutes);
 
+// Rutas del catálogo de obras sociales (protegidas)
+router.use('/obras-sociales', obraSocialRoutes);
+
+// Rutas de liquidaciones a obras sociales (protegidas)
+router.use('/liquidaciones', liquidacionRoutes);
+
+// Rutas de autorizaciones (órdenes médicas) de obras sociales (protegidas)
+router.use('/autorizaciones', autorizacionRoutes);
+
+// Rutas de paquetes (bonos) de sesiones (protegidas)
+router.use('/paquetes', paqueteRoutes);
+
+// Rutas de recibos de pagos de pacientes (protegidas)
+router.use('/recibos', reciboRoutes);
+
+// Rutas del cierre de caja diario (protegidas)
+router.use('/caja', cierreCajaRoutes);
+
+// Rutas de esquemas de distribución de la planilla del personal (solo administradores)
+router.use('/esquemas-distribucion', esquemaDistribucionRoutes);
+
+// Rutas de reportes de gestión (protegidas)
+router.use('/reportes', reporteRoutes);
+
+// Rutas de la lista de espera de pacientes sin turno (protegidas)
+router.use('/lista-espera', listaEsperaRoutes);
+
+// Rutas de evaluaciones clínicas estandarizadas (protegidas)
+router.use('/evaluaciones', evaluacionRoutes);
+
+// Rutas de formularios clínicos configurables por diagnóstico o tipo de sesión (protegidas)
+router.use('/formularios', formularioRoutes);
+
+// Rutas de planes de tratamiento con objetivos (protegidas)
+router.use('/planes-tratamiento', planTratamientoRoutes);
+
+// Rutas de episodios de tratamiento (protegidas)
+router.use('/episodios', episodioRoutes);
+
+// Rutas de ejercicios y programas domiciliarios (protegidas)
+router.use('/programas-ejercicios', programaEjerciciosRoutes);
+
 // Aquí se pueden agregar más rutas en el futuro
-// router.use('/reportes', reportesRoutes);
 // router.use('/configuracion', configuracionRoutes);
 // etc...
 
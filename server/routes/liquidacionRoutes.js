@@ -0,0 +1,49 @@
+import express from 'express';
+import {
+  obtenerSesionesPendientes,
+  generarLiquidacion,
+  obtenerLiquidaciones,
+  obtenerLiquidacionPorId,
+  eliminarLiquidacion,
+  presentarLiquidacion,
+  registrarPagoLiquidacion,
+  rechazarLiquidacion,
+} from '../controllers/liquidacionController.js';
+import { protect, authorize } from '../middlewares/authMiddleware.js';
+import {
+  validateSesionesPendientes,
+  validateGenerarLiquidacion,
+  validateRegistrarPagoLiquidacion,
+} from '../middlewares/liquidacionValidation.js';
+import { ROLES } from '../conf/constants.js';
+
+const router = express.Router();
+
+// Todas las rutas requieren autenticación
+router.use(protect);
+
+// Sesiones pendientes de liquidar (antes de las rutas con :id)
+router.get(
+  '/pendientes',
+  authorize(ROLES.ADMIN, ROLES.EMPLEADO),
+  validateSesionesPendientes,
+  obtenerSesionesPendientes
+);
+
+// Rutas principales
+router
+  .route('/')
+  .get(authorize(ROLES.ADMIN, ROLES.EMPLEADO), obtenerLiquidaciones)
+  .post(authorize(ROLES.ADMIN), validateGenerarLiquidacion, generarLiquidacion);
+
+router
+  .route('/:id')
+  .get(authorize(ROLES.ADMIN, ROLES.EMPLEADO), obtenerLiquidacionPorId)
+  .delete(authorize(ROLES.ADMIN), eliminarLiquidacion);
+
+// Cambios de estado
+router.put('/:id/presentar', authorize(ROLES.ADMIN), presentarLiquidacion);
+router.put('/:id/pago', authorize(ROLES.ADMIN), validateRegistrarPagoLiquidacion, registrarPagoLiquidacion);
+router.put('/:id/rechazar', authorize(ROLES.ADMIN), rechazarLiquidacion);
+
+export default router;
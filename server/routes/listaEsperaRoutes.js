@@ -0,0 +1,41 @@
+import express from 'express';
+import {
+  crearEntrada,
+  obtenerEntradas,
+  obtenerSugerencias,
+  obtenerEntradaPorId,
+  actualizarEntrada,
+  cancelarEntrada,
+  convertirEnSesion,
+} from '../controllers/listaEsperaController.js';
+import { protect, authorize } from '../middlewares/authMiddleware.js';
+import {
+  validateCrearEntrada,
+  validateActualizarEntrada,
+  validateConvertirEntrada,
+} from '../middlewares/listaEsperaValidation.js';
+import { ROLES } from '../conf/constants.js';
+
+const router = express.Router();
+
+// Todas las rutas requieren autenticación
+router.use(protect);
+router.use(authorize(ROLES.ADMIN, ROLES.EMPLEADO, ROLES.USUARIO));
+
+router
+  .route('/')
+  .get(obtenerEntradas)
+  .post(validateCrearEntrada, crearEntrada);
+
+// Rutas especiales (antes de las rutas con :id)
+router.get('/sugerencias', obtenerSugerencias);
+
+router
+  .route('/:id')
+  .get(obtenerEntradaPorId)
+  .put(validateActualizarEntrada, actualizarEntrada)
+  .delete(cancelarEntrada);
+
+router.post('/:id/convertir', validateConvertirEntrada, convertirEnSesion);
+
+export default router;
@@ -0,0 +1,41 @@
+import express from 'express';
+import {
+  crearObraSocial,
+  obtenerObrasSociales,
+  obtenerObraSocialPorId,
+  actualizarObraSocial,
+  desactivarObraSocial,
+  vincularPacientes,
+} from '../controllers/obraSocialController.js';
+import { protect, authorize } from '../middlewares/authMiddleware.js';
+import {
+  validateCrearObraSocial,
+  validateActualizarObraSocial,
+} from '../middlewares/obraSocialValidation.js';
+import { ROLES } from '../conf/constants.js';
+
+const router = express.Router();
+
+// Todas las rutas requieren autenticación
+router.use(protect);
+
+// Vincular pacientes existentes al catálogo (antes de las rutas con :id)
+router.post(
+  '/vincular-pacientes',
+  authorize(ROLES.ADMIN),
+  vincularPacientes
+);
+
+// Rutas principales
+router
+  .route('/')
+  .get(authorize(ROLES.ADMIN, ROLES.EMPLEADO, ROLES.USUARIO), obtenerObrasSociales)
+  .post(authorize(ROLES.ADMIN), validateCrearObraSocial, crearObraSocial);
+
+router
+  .route('/:id')
+  .get(authorize(ROLES.ADMIN, ROLES.EMPLEADO, ROLES.USUARIO), obtenerObraSocialPorId)
+  .put(authorize(ROLES.ADMIN), validateActualizarObraSocial, actualizarObraSocial)
+  .delete(authorize(ROLES.ADMIN), desactivarObraSocial);
+
+export default router;
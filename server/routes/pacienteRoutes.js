@@ -9,11 +9,34 @@ import {
   darAltaMedica,
   obtenerEstadisticas,
 } from '../controllers/pacienteController.js';
+import {
+  subirArchivo,
+  listarArchivos,
+  descargarArchivo,
+  eliminarArchivo,
+} from '../controllers/archivoController.js';
+import {
+  obtenerCuenta,
+  registrarPagoCuenta,
+  registrarReintegro,
+  anularMovimiento,
+  migrarCuentas,
+} from '../controllers/cuentaController.js';
+import {
+  obtenerAsistenciaPaciente,
+  obtenerPacientesConAlerta,
+  quitarAlertaAusencias,
+} from '../controllers/asistenciaController.js';
 import { protect, authorize } from '../middlewares/authMiddleware.js';
 import {
   validateCrearPaciente,
   validateActualizarPaciente,
 } from '../middlewares/pacienteValidation.js';
+import {
+  validateRegistrarPagoCuenta,
+  validateRegistrarReintegro,
+} from '../middlewares/cuentaValidation.js';
+import { recibirArchivo } from '../middlewares/uploadMiddleware.js';
 import { ROLES } from '../conf/constants.js';
 
 const router = express.Router();
@@ -35,6 +58,17 @@ router.get(
   buscarPacientes
 );
 
+// Pacientes marcados por ausencias reiteradas
+router.get(
+  '/alertas-ausencias',
+  authorize(ROLES.ADMIN, ROLES.EMPLEADO, ROLES.USUARIO),
+  obtenerPacientesConAlerta
+);
+
+// Cuenta corriente: migración y anulación de movimientos (antes de las rutas con :id)
+router.post('/cuenta/migrar', authorize(ROLES.ADMIN), migrarCuentas);
+router.delete('/cuenta/movimientos/:movimientoId', authorize(ROLES.ADMIN), anularMovimiento);
+
 // Rutas principales
 router
   .route('/')
@@ -60,6 +94,58 @@ router.put(
   darAltaMedica
 );
 
+// Cuenta corriente del paciente
+router.get(
+  '/:id/cuenta',
+  authorize(ROLES.ADMIN, ROLES.EMPLEADO, ROLES.USUARIO),
+  obtenerCuenta
+);
+
+router.post(
+  '/:id/cuenta/pagos',
+  authorize(ROLES.ADMIN, ROLES.EMPLEADO, ROLES.USUARIO),
+  validateRegistrarPagoCuenta,
+  registrarPagoCuenta
+);
+
+router.post(
+  '/:id/cuenta/reintegros',
+  authorize(ROLES.ADMIN),
+  validateRegistrarReintegro,
+  registrarReintegro
+);
+
+// Asistencia: estadísticas de ausencias y marca por ausencias reiteradas
+router.get(
+  '/:id/asistencia',
+  authorize(ROLES.ADMIN, ROLES.EMPLEADO, ROLES.USUARIO),
+  obtenerAsistenciaPaciente
+);
+
+router.delete('/:id/alerta-ausencias', authorize(ROLES.ADMIN), quitarAlertaAusencias);
+
+// Documentos del paciente (órdenes médicas, estudios, consentimientos)
+router
+  .route('/:id/documentos')
+  .get(authorize(ROLES.ADMIN, ROLES.EMPLEADO, ROLES.USUARIO), listarArchivos('documentos'))
+  .post(authorize(ROLES.ADMIN, ROLES.EMPLEADO, ROLES.USUARIO), recibirArchivo('documentos'), subirArchivo('documentos'));
+
+router
+  .route('/:id/documentos/:archivoId')
+  .get(authorize(ROLES.ADMIN, ROLES.EMPLEADO, ROLES.USUARIO), descargarArchivo('documentos'))
+  .delete(authorize(ROLES.ADMIN, ROLES.EMPLEADO, ROLES.USUARIO), eliminarArchivo('documentos'));
+
+// Fotos de evolución del paciente
+router
+  .route('/:id/fotos')
+  .get(authorize(ROLES.ADMIN, ROLES.EMPLEADO, ROLES.USUARIO), listarArchivos('fotos'))
+  .post(authorize(ROLES.ADMIN, ROLES.EMPLEADO, ROLES.USUARIO), recibirArchivo('fotos'), subirArchivo('fotos'));
+
+router
+  .route('/:id/fotos/:archivoId')
+  .get(authorize(ROLES.ADMIN, ROLES.EMPLEADO, ROLES.USUARIO), descargarArchivo('fotos'))
+  .delete(authorize(ROLES.ADMIN, ROLES.EMPLEADO, ROLES.USUARIO), eliminarArchivo('fotos'));
+
 export default router;
 
 
@@ -0,0 +1,51 @@
+import express from 'express';
+import {
+  crearPaquete,
+  obtenerPaquetes,
+  actualizarPaquete,
+  desactivarPaquete,
+  venderPaquete,
+  obtenerVentas,
+  obtenerVentaPorId,
+  anularVenta,
+  obtenerReporte,
+} from '../controllers/paqueteController.js';
+import { protect, authorize } from '../middlewares/authMiddleware.js';
+import {
+  validateCrearPaquete,
+  validateActualizarPaquete,
+  validateVenderPaquete,
+} from '../middlewares/paqueteValidation.js';
+import { ROLES } from '../conf/constants.js';
+
+const router = express.Router();
+
+// Todas las rutas requieren autenticación
+router.use(protect);
+
+// Reporte de saldos y vencimientos
+router.get('/reporte', authorize(ROLES.ADMIN, ROLES.EMPLEADO), obtenerReporte);
+
+// Ventas de paquetes a pacientes
+router
+  .route('/ventas')
+  .get(authorize(ROLES.ADMIN, ROLES.EMPLEADO, ROLES.USUARIO), obtenerVentas)
+  .post(authorize(ROLES.ADMIN, ROLES.EMPLEADO, ROLES.USUARIO), validateVenderPaquete, venderPaquete);
+
+router
+  .route('/ventas/:id')
+  .get(authorize(ROLES.ADMIN, ROLES.EMPLEADO, ROLES.USUARIO), obtenerVentaPorId)
+  .delete(authorize(ROLES.ADMIN), anularVenta);
+
+// Catálogo de paquetes
+router
+  .route('/')
+  .get(authorize(ROLES.ADMIN, ROLES.EMPLEADO, ROLES.USUARIO), obtenerPaquetes)
+  .post(authorize(ROLES.ADMIN), validateCrearPaquete, crearPaquete);
+
+router
+  .route('/:id')
+  .put(authorize(ROLES.ADMIN), validateActualizarPaquete, actualizarPaquete)
+  .delete(authorize(ROLES.ADMIN), desactivarPaquete);
+
+export default router;
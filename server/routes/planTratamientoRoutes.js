@@ -0,0 +1,49 @@
+import express from 'express';
+import {
+  crearPlan,
+  obtenerRevisionesVencidas,
+  obtenerPlanesPaciente,
+  obtenerPlanPorId,
+  actualizarPlan,
+  cambiarEstadoPlan,
+  agregarObjetivo,
+  actualizarObjetivo,
+  eliminarObjetivo,
+} from '../controllers/planTratamientoController.js';
+import { protect, authorize } from '../middlewares/authMiddleware.js';
+import {
+  validateCrearPlan,
+  validateActualizarPlan,
+  validateEstadoPlan,
+  validateObjetivo,
+  validateActualizarObjetivo,
+} from '../middlewares/planTratamientoValidation.js';
+import { ROLES } from '../conf/constants.js';
+
+const router = express.Router();
+
+// Todas las rutas requieren autenticación
+router.use(protect);
+router.use(authorize(ROLES.ADMIN, ROLES.EMPLEADO, ROLES.USUARIO));
+
+router.post('/', validateCrearPlan, crearPlan);
+
+// Rutas especiales (antes de las rutas con :id)
+router.get('/revisiones-vencidas', obtenerRevisionesVencidas);
+router.get('/paciente/:pacienteId', obtenerPlanesPaciente);
+
+router
+  .route('/:id')
+  .get(obtenerPlanPorId)
+  .put(validateActualizarPlan, actualizarPlan);
+
+router.put('/:id/estado', validateEstadoPlan, cambiarEstadoPlan);
+
+router.post('/:id/objetivos', validateObjetivo, agregarObjetivo);
+
+router
+  .route('/:id/objetivos/:objetivoId')
+  .put(validateActualizarObjetivo, actualizarObjetivo)
+  .delete(eliminarObjetivo);
+
+export default router;
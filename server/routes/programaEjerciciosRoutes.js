@@ -0,0 +1,56 @@
+import express from 'express';
+import {
+  obtenerEjercicios,
+  crearEjercicio,
+  obtenerEjercicioPorId,
+  actualizarEjercicio,
+  cambiarEstadoEjercicio,
+  prescribirPrograma,
+  obtenerProgramasPaciente,
+  obtenerProgramasSesion,
+  obtenerProgramaPorId,
+  finalizarPrograma,
+  enviarPrograma,
+  registrarAdherencia,
+} from '../controllers/programaEjerciciosController.js';
+import { protect, authorize } from '../middlewares/authMiddleware.js';
+import {
+  validateCrearEjercicio,
+  validateActualizarEjercicio,
+  validateEstadoEjercicio,
+  validatePrescribirPrograma,
+  validateAdherencia,
+} from '../middlewares/programaEjerciciosValidation.js';
+import { ROLES } from '../conf/constants.js';
+
+const router = express.Router();
+
+// Todas las rutas requieren autenticación
+router.use(protect);
+router.use(authorize(ROLES.ADMIN, ROLES.EMPLEADO, ROLES.USUARIO));
+
+// Biblioteca de ejercicios (las modificaciones solo para administradores)
+router
+  .route('/ejercicios')
+  .get(obtenerEjercicios)
+  .post(authorize(ROLES.ADMIN), validateCrearEjercicio, crearEjercicio);
+
+router
+  .route('/ejercicios/:id')
+  .get(obtenerEjercicioPorId)
+  .put(authorize(ROLES.ADMIN), validateActualizarEjercicio, actualizarEjercicio);
+
+router.put('/ejercicios/:id/estado', authorize(ROLES.ADMIN), validateEstadoEjercicio, cambiarEstadoEjercicio);
+
+// Programas prescriptos
+router.post('/', validatePrescribirPrograma, prescribirPrograma);
+
+router.get('/paciente/:pacienteId', obtenerProgramasPaciente);
+router.get('/sesion/:sesionId', obtenerProgramasSesion);
+
+router.get('/:id', obtenerProgramaPorId);
+router.put('/:id/finalizar', finalizarPrograma);
+router.post('/:id/enviar', enviarPrograma);
+router.post('/:id/adherencia', validateAdherencia, registrarAdherencia);
+
+export default router;
@@ -0,0 +1,27 @@
+import express from 'express';
+import {
+  obtenerRecibos,
+  obtenerReciboPorId,
+  descargarReciboPDF,
+  enviarRecibo,
+  anularRecibo,
+} from '../controllers/reciboController.js';
+import { protect, authorize } from '../middlewares/authMiddleware.js';
+import { ROLES } from '../conf/constants.js';
+
+const router = express.Router();
+
+// Todas las rutas requieren autenticación
+router.use(protect);
+
+router.get('/', authorize(ROLES.ADMIN, ROLES.EMPLEADO, ROLES.USUARIO), obtenerRecibos);
+
+router.get('/:id/pdf', authorize(ROLES.ADMIN, ROLES.EMPLEADO, ROLES.USUARIO), descargarReciboPDF);
+router.post('/:id/enviar', authorize(ROLES.ADMIN, ROLES.EMPLEADO, ROLES.USUARIO), enviarRecibo);
+
+router
+  .route('/:id')
+  .get(authorize(ROLES.ADMIN, ROLES.EMPLEADO, ROLES.USUARIO), obtenerReciboPorId)
+  .delete(authorize(ROLES.ADMIN), anularRecibo);
+
+export default router;
@@ -0,0 +1,31 @@
+import express from 'express';
+import {
+  obtenerReporteProfesionales,
+  crearReglaComision,
+  obtenerReglasComision,
+  actualizarReglaComision,
+  eliminarReglaComision,
+} from '../controllers/reporteController.js';
+import { protect, authorize } from '../middlewares/authMiddleware.js';
+import { validateCrearRegla, validateActualizarRegla } from '../middlewares/reglaComisionValidation.js';
+import { ROLES } from '../conf/constants.js';
+
+const router = express.Router();
+
+// Todas las rutas requieren autenticación
+router.use(protect);
+
+router.get('/profesionales', obtenerReporteProfesionales);
+
+// Reglas de comisión (solo administrador)
+router
+  .route('/comisiones')
+  .get(authorize(ROLES.ADMIN), obtenerReglasComision)
+  .post(authorize(ROLES.ADMIN), validateCrearRegla, crearReglaComision);
+
+router
+  .route('/comisiones/:id')
+  .put(authorize(ROLES.ADMIN), validateActualizarRegla, actualizarReglaComision)
+  .delete(authorize(ROLES.ADMIN), eliminarReglaComision);
+
+export default router;
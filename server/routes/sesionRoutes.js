@@ -7,17 +7,36 @@ import {
   obtenerSesionPorId,
   actualizarSesion,
   registrarPago,
+  registrarAusencia,
   cancelarSesion,
   obtenerEstadisticas,
   obtenerPagosPendientes,
   actualizarDesdePlanilla,
+  generarSerie,
+  obtenerSerie,
+  actualizarSerie,
 } from '../controllers/sesionController.js';
+import {
+  subirArchivo,
+  listarArchivos,
+  descargarArchivo,
+  eliminarArchivo,
+} from '../controllers/archivoController.js';
+import {
+  obtenerPolitica,
+  actualizarPolitica,
+} from '../controllers/asistenciaController.js';
 import { protect, authorize } from '../middlewares/authMiddleware.js';
 import {
   validateRegistrarSesion,
   validateActualizarSesion,
   validateRegistrarPago,
+  validateGenerarSerie,
+  validateActualizarSerie,
+  validateRegistrarAusencia,
+  validatePoliticaAsistencia,
 } from '../middlewares/sesionValidation.js';
+import { recibirArchivo } from '../middlewares/uploadMiddleware.js';
 import { ROLES } from '../conf/constants.js';
 
 const router = express.Router();
@@ -50,6 +69,25 @@ router.get(
   obtenerHistorialPaciente
 );
 
+// Política de asistencia (ausencias máximas y cargo por ausencia)
+router
+  .route('/politica-asistencia')
+  .get(authorize(ROLES.ADMIN, ROLES.EMPLEADO, ROLES.USUARIO), obtenerPolitica)
+  .put(authorize(ROLES.ADMIN), validatePoliticaAsistencia, actualizarPolitica);
+
+// Series de sesiones generadas desde los horarios habituales
+router.post(
+  '/series',
+  authorize(ROLES.ADMIN, ROLES.EMPLEADO, ROLES.USUARIO),
+  validateGenerarSerie,
+  generarSerie
+);
+
+router
+  .route('/series/:serieId')
+  .get(authorize(ROLES.ADMIN, ROLES.EMPLEADO, ROLES.USUARIO), obtenerSerie)
+  .put(authorize(ROLES.ADMIN, ROLES.EMPLEADO, ROLES.USUARIO), validateActualizarSerie, actualizarSerie);
+
 // Rutas principales
 router
   .route('/')
@@ -77,6 +115,14 @@ router.put(
   actualizarDesdePlanilla
 );
 
+// Registrar ausencia del paciente
+router.put(
+  '/:id/ausencia',
+  authorize(ROLES.ADMIN, ROLES.EMPLEADO, ROLES.USUARIO),
+  validateRegistrarAusencia,
+  registrarAusencia
+);
+
 // Cancelar sesión
 router.put(
   '/:id/cancelar',
@@ -84,6 +130,17 @@ router.put(
   cancelarSesion
 );
 
+// Archivos adjuntos de la sesión
+router
+  .route('/:id/adjuntos')
+  .get(authorize(ROLES.ADMIN, ROLES.EMPLEADO, ROLES.USUARIO), listarArchivos('adjuntos'))
+  .post(authorize(ROLES.ADMIN, ROLES.EMPLEADO, ROLES.USUARIO), recibirArchivo('adjuntos'), subirArchivo('adjuntos'));
+
+router
+  .route('/:id/adjuntos/:archivoId')
+  .get(authorize(ROLES.ADMIN, ROLES.EMPLEADO, ROLES.USUARIO), descargarArchivo('adjuntos'))
+  .delete(authorize(ROLES.ADMIN, ROLES.EMPLEADO, ROLES.USUARIO), eliminarArchivo('adjuntos'));
+
 export default router;
 
 
@@ -18,6 +18,9 @@ import routes from './routes/index.js';
 // Importar middlewares
 import errorHandler, { notFoundHandler } from './middlewares/errorHandler.js';
 
+// Importar Socket.IO (notificaciones en tiempo real)
+import { inicializarSocket } from './utils/socket.js';
+
 // Importar tareas programadas (cron jobs)
 import './utils/cronJobs.js';
 
@@ -221,6 +224,9 @@ const server = app.listen(PORT, () => {
   );
 });
 
+// Socket.IO sobre el mismo servidor HTTP (mismos orígenes permitidos que la API)
+inicializarSocket(server, corsOptions);
+
 // Manejo de rechazos de promesas no capturados
 process.on('unhandledRejection', (err, promise) => {
   console.error(colors.red.bold(`✗ Error no capturado: ${err.message}`));
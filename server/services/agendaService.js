@@ -0,0 +1,438 @@
+import AgendaProfesional, { DIAS_SEMANA } from '../models/AgendaProfesional.js';
+import Feriado from '../models/Feriado.js';
+import Sesion from '../models/Sesion.js';
+import User from '../models/User.js';
+import ErrorResponse from '../utils/ErrorResponse.js';
+import { HTTP_STATUS } from '../conf/constants.js';
+
+// Estados de sesión que ocupan un turno en la agenda
+const ESTADOS_OCUPAN_TURNO = ['programada', 'realizada', 'reprogramada'];
+
+// Valores por defecto si el profesional no tiene agenda configurada
+const DURACION_TURNO_DEFECTO = 60;
+const SESIONES_SIMULTANEAS_DEFECTO = 1;
+
+// Máximo de días que se pueden consultar de una vez
+const MAXIMO_DIAS_DISPONIBILIDAD = 31;
+
+/**
+ * Servicio de agendas de profesionales, feriados y disponibilidad de turnos
+ */
+class AgendaService {
+  /**
+   * Obtener la agenda de un profesional
+   * @param {String} profesionalId - ID del profesional
+   * @returns {Promise<Object>}
+   */
+  static async obtenerAgenda(profesionalId) {
+    try {
+      const profesional = await User.findById(profesionalId).select('nombre apellido');
+
+      if (!profesional) {
+        throw new ErrorResponse('Profesional no encontrado', HTTP_STATUS.NOT_FOUND);
+      }
+
+      const agenda = await AgendaProfesional.findOne({ profesional: profesionalId })
+        .populate('profesional', 'nombre apellido')
+        .lean();
+
+      return {
+        success: true,
+        data: {
+          agenda: agenda || {
+            profesional,
+            horarioSemanal: [],
+            descansos: [],
+            diasLibres: [],
+            duracionTurno: DURACION_TURNO_DEFECTO,
+            sesionesSimultaneas: SESIONES_SIMULTANEAS_DEFECTO,
+            activa: false,
+          },
+        },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Crear o actualizar la agenda de un profesional
+   * @param {String} profesionalId - ID del profesional
+   * @param {Object} datos - Horario semanal, descansos, días libres, duración y capacidad
+   * @param {String} userId - ID del usuario que modifica
+   * @returns {Promise<Object>}
+   */
+  static async actualizarAgenda(profesionalId, datos, userId) {
+    try {
+      const profesional = await User.exists({ _id: profesionalId });
+
+      if (!profesional) {
+        throw new ErrorResponse('Profesional no encontrado', HTTP_STATUS.NOT_FOUND);
+      }
+
+      let agenda = await AgendaProfesional.findOne({ profesional: profesionalId });
+
+      if (!agenda) {
+        agenda = new AgendaProfesional({ profesional: profesionalId });
+      }
+
+      const camposPermitidos = [
+        'horarioSemanal',
+        'descansos',
+        'diasLibres',
+        'duracionTurno',
+        'sesionesSimultaneas',
+        'activa',
+      ];
+
+      camposPermitidos.forEach(campo => {
+        if (datos[campo] !== undefined) {
+          agenda[campo] = datos[campo];
+        }
+      });
+
+      agenda.modificadoPor = userId;
+      await agenda.save();
+
+      await agenda.populate('profesional', 'nombre apellido');
+
+      return {
+        success: true,
+        message: 'Agenda actualizada exitosamente',
+        data: { agenda },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Listar feriados
+   * @param {Object} filtros - { fechaInicio, fechaFin }
+   * @returns {Promise<Object>}
+   */
+  static async listarFeriados(filtros = {}) {
+    try {
+      const query = {};
+
+      if (filtros.fechaInicio || filtros.fechaFin) {
+        query.fecha = {};
+        if (filtros.fechaInicio) query.fecha.$gte = this._inicioDia(filtros.fechaInicio);
+        if (filtros.fechaFin) query.fecha.$lte = this._inicioDia(filtros.fechaFin);
+      }
+
+      const feriados = await Feriado.find(query).sort('fecha').lean();
+
+      return {
+        success: true,
+        data: { feriados, total: feriados.length },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Registrar un feriado (la clínica no atiende ese día)
+   * @param {Object} datos - { fecha, descripcion }
+   * @param {String} userId - ID del usuario que lo crea
+   * @returns {Promise<Object>}
+   */
+  static async crearFeriado(datos, userId) {
+    try {
+      if (!datos.fecha || isNaN(new Date(datos.fecha))) {
+        throw new ErrorResponse('La fecha del feriado es inválida', HTTP_STATUS.BAD_REQUEST);
+      }
+
+      const fecha = this._inicioDia(datos.fecha);
+
+      const existente = await Feriado.exists({ fecha });
+      if (existente) {
+        throw new ErrorResponse('Ya existe un feriado en esa fecha', HTTP_STATUS.CONFLICT);
+      }
+
+      const feriado = await Feriado.create({
+        fecha,
+        descripcion: datos.descripcion,
+        creadoPor: userId,
+      });
+
+      return {
+        success: true,
+        message: 'Feriado registrado exitosamente',
+        data: { feriado },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Eliminar un feriado
+   * @param {String} feriadoId - ID del feriado
+   * @returns {Promise<Object>}
+   */
+  static async eliminarFeriado(feriadoId) {
+    try {
+      const feriado = await Feriado.findByIdAndDelete(feriadoId);
+
+      if (!feriado) {
+        throw new ErrorResponse('Feriado no encontrado', HTTP_STATUS.NOT_FOUND);
+      }
+
+      return {
+        success: true,
+        message: 'Feriado eliminado exitosamente',
+        data: { feriado },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener los turnos libres por profesional y por día
+   * @param {Object} opciones - { fecha } o { fechaInicio, fechaFin }, y profesionalId opcional
+   * @returns {Promise<Object>}
+   */
+  static async obtenerDisponibilidad(opciones = {}) {
+    try {
+      const { fecha, profesionalId = null } = opciones;
+      const fechaInicio = opciones.fechaInicio || fecha;
+      const fechaFin = opciones.fechaFin || fecha || fechaInicio;
+
+      if (!fechaInicio || isNaN(new Date(fechaInicio)) || isNaN(new Date(fechaFin))) {
+        throw new ErrorResponse('Debe indicar una fecha o un rango de fechas válido', HTTP_STATUS.BAD_REQUEST);
+      }
+
+      const desde = this._inicioDia(fechaInicio);
+      const hasta = this._inicioDia(fechaFin);
+      const cantidadDias = Math.round((hasta - desde) / 86400000) + 1;
+
+      if (cantidadDias < 1) {
+        throw new ErrorResponse('La fecha de fin debe ser posterior a la fecha de inicio', HTTP_STATUS.BAD_REQUEST);
+      }
+
+      if (cantidadDias > MAXIMO_DIAS_DISPONIBILIDAD) {
+        throw new ErrorResponse(
+          `El rango no puede superar los ${MAXIMO_DIAS_DISPONIBILIDAD} días`,
+          HTTP_STATUS.BAD_REQUEST
+        );
+      }
+
+      const queryAgendas = { activa: true };
+      if (profesionalId) {
+        queryAgendas.profesional = profesionalId;
+      }
+
+      const finRango = new Date(hasta.getTime() + 86400000 - 1);
+
+      const [todasLasAgendas, feriados] = await Promise.all([
+        AgendaProfesional.find(queryAgendas).populate('profesional', 'nombre apellido').lean(),
+        Feriado.find({ fecha: { $gte: desde, $lte: finRango } }).lean(),
+      ]);
+
+      // Descartar agendas de usuarios eliminados
+      const agendas = todasLasAgendas.filter(a => a.profesional);
+
+      const sesiones = agendas.length
+        ? await Sesion.find({
+          profesional: { $in: agendas.map(a => a.profesional._id) },
+          fecha: { $gte: desde, $lte: finRango },
+          estado: { $in: ESTADOS_OCUPAN_TURNO },
+          horaEntrada: { $exists: true, $ne: null },
+        }).select('profesional fecha horaEntrada horaSalida').lean()
+        : [];
+
+      const feriadosPorDia = new Map(
+        feriados.map(f => [this._claveDia(f.fecha), f.descripcion])
+      );
+
+      const dias = [];
+
+      for (let i = 0; i < cantidadDias; i++) {
+        const dia = new Date(desde.getTime() + i * 86400000);
+        const claveDia = this._claveDia(dia);
+        const feriado = feriadosPorDia.get(claveDia);
+
+        const profesionales = agendas.map(agenda => {
+          const sesionesDia = sesiones.filter(s =>
+            s.profesional.toString() === agenda.profesional._id.toString() &&
+            this._claveDia(s.fecha) === claveDia
+          );
+
+          return {
+            profesional: agenda.profesional,
+            ...this._calcularTurnosDia(agenda, dia, sesionesDia, feriado),
+          };
+        });
+
+        dias.push({
+          fecha: claveDia,
+          dia: DIAS_SEMANA[dia.getUTCDay()],
+          feriado: feriado || null,
+          profesionales,
+        });
+      }
+
+      return {
+        success: true,
+        data: { dias },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Verificar que el profesional no tenga otra sesión en el mismo horario
+   * Lanza un error 409 si se supera la cantidad de sesiones simultáneas de su agenda
+   * @param {Object} datos - { profesionalId, fecha, horaEntrada, horaSalida, estado, excluirSesionId }
+   */
+  static async verificarSuperposicion({ profesionalId, fecha, horaEntrada, horaSalida = null, estado = null, excluirSesionId = null }) {
+    // Sin hora, o si la sesión no ocupa el turno (cancelada/ausente), no hay superposición posible
+    if (!profesionalId || !fecha || !horaEntrada) return;
+    if (estado && !ESTADOS_OCUPAN_TURNO.includes(estado)) return;
+
+    const agenda = await AgendaProfesional.findOne({ profesional: profesionalId })
+      .select('duracionTurno sesionesSimultaneas')
+      .lean();
+
+    const duracion = agenda?.duracionTurno || DURACION_TURNO_DEFECTO;
+    const capacidad = agenda?.sesionesSimultaneas || SESIONES_SIMULTANEAS_DEFECTO;
+
+    const inicioDia = this._inicioDia(fecha);
+    const query = {
+      profesional: profesionalId,
+      fecha: { $gte: inicioDia, $lte: new Date(inicioDia.getTime() + 86400000 - 1) },
+      estado: { $in: ESTADOS_OCUPAN_TURNO },
+      horaEntrada: { $exists: true, $ne: null },
+    };
+
+    if (excluirSesionId) {
+      query._id = { $ne: excluirSesionId };
+    }
+
+    const sesiones = await Sesion.find(query).select('horaEntrada horaSalida').lean();
+
+    const turno = this._rangoSesion({ horaEntrada, horaSalida }, duracion);
+    const superpuestas = sesiones.filter(s =>
+      this._seSuperponen(turno, this._rangoSesion(s, duracion))
+    );
+
+    if (superpuestas.length >= capacidad) {
+      const ocupado = this._rangoSesion(superpuestas[0], duracion);
+      throw new ErrorResponse(
+        `El profesional ya tiene una sesión de ${this._aHora(ocupado.inicio)} a ${this._aHora(ocupado.fin)} ese día. ` +
+        'Un administrador puede forzar la superposición',
+        HTTP_STATUS.CONFLICT
+      );
+    }
+  }
+
+  /**
+   * Calcular los turnos libres de un profesional en un día
+   */
+  static _calcularTurnosDia(agenda, dia, sesionesDia, feriado) {
+    const duracion = agenda.duracionTurno || DURACION_TURNO_DEFECTO;
+    const capacidad = agenda.sesionesSimultaneas || SESIONES_SIMULTANEAS_DEFECTO;
+
+    if (feriado) {
+      return { disponible: false, motivo: `Feriado: ${feriado}`, turnosLibres: [] };
+    }
+
+    const diaLibre = (agenda.diasLibres || []).find(d =>
+      this._inicioDia(d.fechaInicio) <= dia && this._inicioDia(d.fechaFin) >= dia
+    );
+
+    if (diaLibre) {
+      return { disponible: false, motivo: diaLibre.motivo || 'Día libre', turnosLibres: [] };
+    }
+
+    const nombreDia = DIAS_SEMANA[dia.getUTCDay()];
+    const bloques = (agenda.horarioSemanal || []).filter(b => b.dia === nombreDia);
+
+    if (!bloques.length) {
+      return { disponible: false, motivo: 'No atiende este día', turnosLibres: [] };
+    }
+
+    const descansos = (agenda.descansos || [])
+      .filter(d => !d.dia || d.dia === nombreDia)
+      .map(d => ({ inicio: this._aMinutos(d.horaInicio), fin: this._aMinutos(d.horaFin) }));
+
+    const ocupados = sesionesDia.map(s => this._rangoSesion(s, duracion));
+
+    const turnosLibres = [];
+
+    bloques
+      .map(b => ({ inicio: this._aMinutos(b.horaInicio), fin: this._aMinutos(b.horaFin) }))
+      .sort((a, b) => a.inicio - b.inicio)
+      .forEach(bloque => {
+        for (let inicio = bloque.inicio; inicio + duracion <= bloque.fin; inicio += duracion) {
+          const turno = { inicio, fin: inicio + duracion };
+
+          if (descansos.some(d => this._seSuperponen(turno, d))) continue;
+
+          const cantidadOcupados = ocupados.filter(o => this._seSuperponen(turno, o)).length;
+
+          if (cantidadOcupados < capacidad) {
+            turnosLibres.push({
+              horaInicio: this._aHora(turno.inicio),
+              horaFin: this._aHora(turno.fin),
+              cuposLibres: capacidad - cantidadOcupados,
+            });
+          }
+        }
+      });
+
+    return {
+      disponible: turnosLibres.length > 0,
+      motivo: turnosLibres.length ? null : 'Sin turnos libres',
+      turnosLibres,
+    };
+  }
+
+  /**
+   * Rango en minutos que ocupa una sesión (si no tiene hora de salida se usa la duración del turno)
+   */
+  static _rangoSesion(sesion, duracion) {
+    const inicio = this._aMinutos(sesion.horaEntrada);
+    const fin = sesion.horaSalida ? this._aMinutos(sesion.horaSalida) : inicio + duracion;
+
+    return { inicio, fin: fin > inicio ? fin : inicio + duracion };
+  }
+
+  static _seSuperponen(a, b) {
+    return a.inicio < b.fin && b.inicio < a.fin;
+  }
+
+  /**
+   * Convertir 'HH:MM' a minutos desde medianoche
+   */
+  static _aMinutos(hora) {
+    const [horas, minutos] = hora.split(':').map(Number);
+    return horas * 60 + (minutos || 0);
+  }
+
+  /**
+   * Convertir minutos desde medianoche a 'HH:MM'
+   */
+  static _aHora(minutos) {
+    const horas = Math.floor(minutos / 60).toString().padStart(2, '0');
+    return `${horas}:${(minutos % 60).toString().padStart(2, '0')}`;
+  }
+
+  /**
+   * Inicio del día en UTC para una fecha
+   */
+  static _inicioDia(fecha) {
+    const fechaDate = new Date(fecha);
+    return new Date(Date.UTC(fechaDate.getUTCFullYear(), fechaDate.getUTCMonth(), fechaDate.getUTCDate()));
+  }
+
+  static _claveDia(fecha) {
+    return new Date(fecha).toISOString().slice(0, 10);
+  }
+}
+
+export default AgendaService;
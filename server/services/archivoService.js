@@ -0,0 +1,239 @@
+import mongoose from 'mongoose';
+import Paciente from '../models/Paciente.js';
+import Sesion from '../models/Sesion.js';
+import ErrorResponse from '../utils/ErrorResponse.js';
+import { obtenerAlmacenamiento } from '../utils/almacenamientoArchivos.js';
+import { HTTP_STATUS } from '../conf/constants.js';
+
+// Colecciones de archivos soportadas y el modelo al que pertenecen
+const COLECCIONES = {
+  documentos: { modelo: Paciente, ruta: 'pacientes', noEncontrado: 'Paciente no encontrado' },
+  fotos: { modelo: Paciente, ruta: 'pacientes', noEncontrado: 'Paciente no encontrado' },
+  adjuntos: { modelo: Sesion, ruta: 'sesiones', noEncontrado: 'Sesión no encontrada' },
+};
+
+/**
+ * Servicio para gestionar archivos de pacientes (documentos, fotos) y adjuntos de sesiones
+ */
+class ArchivoService {
+  /**
+   * Subir un archivo y registrarlo en la colección correspondiente
+   * @param {String} coleccion - 'documentos', 'fotos' o 'adjuntos'
+   * @param {String} id - ID del paciente o de la sesión
+   * @param {Object} archivo - Archivo recibido por multer (req.file)
+   * @param {Object} datos - { tipo, nombre, descripcion }
+   * @param {String} userId - ID del usuario que sube el archivo
+   * @returns {Promise<Object>}
+   */
+  static async subirArchivo(coleccion, id, archivo, datos = {}, userId) {
+    try {
+      const config = this._obtenerConfiguracion(coleccion);
+
+      if (!archivo) {
+        throw new ErrorResponse('Debe adjuntar un archivo en el campo "archivo"', HTTP_STATUS.BAD_REQUEST);
+      }
+
+      const existe = await config.modelo.exists({ _id: id });
+      if (!existe) {
+        throw new ErrorResponse(config.noEncontrado, HTTP_STATUS.NOT_FOUND);
+      }
+
+      const nombreAlmacenamiento = process.env.STORAGE_DRIVER || 'local';
+      const almacenamiento = obtenerAlmacenamiento(nombreAlmacenamiento);
+
+      const clave = await almacenamiento.guardar(archivo.buffer, {
+        nombreOriginal: archivo.originalname,
+        carpeta: `${config.ruta}/${id}/${coleccion}`,
+      });
+
+      const archivoId = new mongoose.Types.ObjectId();
+      const registro = {
+        _id: archivoId,
+        ...this._camposPorColeccion(coleccion, archivo, datos),
+        url: `/api/${config.ruta}/${id}/${coleccion}/${archivoId}`,
+        fecha: new Date(),
+        archivo: {
+          clave,
+          nombreOriginal: archivo.originalname,
+          mimetype: archivo.mimetype,
+          tamano: archivo.size,
+          almacenamiento: nombreAlmacenamiento,
+        },
+        subidoPor: userId,
+      };
+
+      try {
+        await config.modelo.updateOne(
+          { _id: id },
+          { $push: { [coleccion]: registro } },
+          { runValidators: true }
+        );
+      } catch (error) {
+        // No dejar archivos huérfanos si no se pudo registrar
+        await almacenamiento.eliminar(clave);
+        throw error;
+      }
+
+      return {
+        success: true,
+        message: 'Archivo subido exitosamente',
+        data: registro,
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Listar los archivos de una colección
+   * @param {String} coleccion - 'documentos', 'fotos' o 'adjuntos'
+   * @param {String} id - ID del paciente o de la sesión
+   * @returns {Promise<Object>}
+   */
+  static async listarArchivos(coleccion, id) {
+    try {
+      const config = this._obtenerConfiguracion(coleccion);
+
+      const documento = await config.modelo.findById(id)
+        .select(coleccion)
+        .populate(`${coleccion}.subidoPor`, 'nombre apellido')
+        .lean();
+
+      if (!documento) {
+        throw new ErrorResponse(config.noEncontrado, HTTP_STATUS.NOT_FOUND);
+      }
+
+      const archivos = [...(documento[coleccion] || [])]
+        .sort((a, b) => new Date(b.fecha) - new Date(a.fecha));
+
+      return {
+        success: true,
+        data: archivos,
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener un archivo para descargarlo
+   * @param {String} coleccion - 'documentos', 'fotos' o 'adjuntos'
+   * @param {String} id - ID del paciente o de la sesión
+   * @param {String} archivoId - ID del archivo dentro de la colección
+   * @returns {Promise<Object>} data: { archivo, stream }
+   */
+  static async obtenerArchivo(coleccion, id, archivoId) {
+    try {
+      const registro = await this._buscarRegistro(coleccion, id, archivoId);
+
+      if (!registro.archivo?.clave) {
+        throw new ErrorResponse(
+          'El archivo no fue cargado en el servidor (solo tiene una URL externa)',
+          HTTP_STATUS.NOT_FOUND
+        );
+      }
+
+      const almacenamiento = obtenerAlmacenamiento(registro.archivo.almacenamiento || 'local');
+      const stream = await almacenamiento.obtenerStream(registro.archivo.clave);
+
+      return {
+        success: true,
+        data: {
+          archivo: registro.archivo,
+          stream,
+        },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Eliminar un archivo de la colección y del almacenamiento
+   * @param {String} coleccion - 'documentos', 'fotos' o 'adjuntos'
+   * @param {String} id - ID del paciente o de la sesión
+   * @param {String} archivoId - ID del archivo dentro de la colección
+   * @returns {Promise<Object>}
+   */
+  static async eliminarArchivo(coleccion, id, archivoId) {
+    try {
+      const config = this._obtenerConfiguracion(coleccion);
+      const registro = await this._buscarRegistro(coleccion, id, archivoId);
+
+      await config.modelo.updateOne(
+        { _id: id },
+        { $pull: { [coleccion]: { _id: registro._id } } }
+      );
+
+      if (registro.archivo?.clave) {
+        const almacenamiento = obtenerAlmacenamiento(registro.archivo.almacenamiento || 'local');
+        await almacenamiento.eliminar(registro.archivo.clave);
+      }
+
+      return {
+        success: true,
+        message: 'Archivo eliminado exitosamente',
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener la configuración de una colección
+   */
+  static _obtenerConfiguracion(coleccion) {
+    const config = COLECCIONES[coleccion];
+
+    if (!config) {
+      throw new ErrorResponse('Colección de archivos inválida', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    return config;
+  }
+
+  /**
+   * Buscar un archivo dentro de la colección de un paciente o sesión
+   */
+  static async _buscarRegistro(coleccion, id, archivoId) {
+    const config = this._obtenerConfiguracion(coleccion);
+
+    const documento = await config.modelo.findById(id).select(coleccion).lean();
+    if (!documento) {
+      throw new ErrorResponse(config.noEncontrado, HTTP_STATUS.NOT_FOUND);
+    }
+
+    const registro = (documento[coleccion] || []).find(a => a._id.toString() === archivoId);
+    if (!registro) {
+      throw new ErrorResponse('Archivo no encontrado', HTTP_STATUS.NOT_FOUND);
+    }
+
+    return registro;
+  }
+
+  /**
+   * Campos descriptivos propios de cada colección
+   */
+  static _camposPorColeccion(coleccion, archivo, datos) {
+    switch (coleccion) {
+      case 'documentos':
+        return {
+          tipo: datos.tipo || 'otro',
+          nombre: datos.nombre || archivo.originalname,
+        };
+      case 'fotos':
+        return {
+          descripcion: datos.descripcion || null,
+        };
+      case 'adjuntos':
+        return {
+          tipo: datos.tipo || (archivo.mimetype.startsWith('image/') ? 'foto' : 'documento'),
+          descripcion: datos.descripcion || null,
+        };
+      default:
+        return {};
+    }
+  }
+}
+
+export default ArchivoService;
@@ -0,0 +1,366 @@
+import mongoose from 'mongoose';
+import PoliticaAsistencia from '../models/PoliticaAsistencia.js';
+import Sesion from '../models/Sesion.js';
+import Paciente from '../models/Paciente.js';
+import MovimientoCuenta from '../models/MovimientoCuenta.js';
+import Notificacion from '../models/Notificacion.js';
+import User from '../models/User.js';
+import ErrorResponse from '../utils/ErrorResponse.js';
+import { HTTP_STATUS, ROLES } from '../conf/constants.js';
+
+const redondear = (valor) => Math.round((valor + Number.EPSILON) * 100) / 100;
+
+// Campos configurables de la política
+const CAMPOS_POLITICA = ['activa', 'maxAusencias', 'periodoDias', 'notificarAdministradores'];
+
+/**
+ * Servicio de asistencia: estadísticas de ausencias por paciente y
+ * aplicación de la política de ausencias (marca, aviso y cargo por ausencia)
+ */
+class AsistenciaService {
+  /**
+   * Obtener la política de asistencia (valores por defecto si no se configuró)
+   * @returns {Promise<Object>}
+   */
+  static async obtenerPolitica() {
+    try {
+      const politica = await PoliticaAsistencia.obtener();
+
+      return {
+        success: true,
+        data: { politica },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Configurar la política de asistencia
+   * Los cambios rigen para las ausencias que se registren de ahí en adelante
+   * @param {Object} datos - { activa, maxAusencias, periodoDias, notificarAdministradores, cargoAusencia }
+   * @param {String} userId - ID del usuario que modifica
+   * @returns {Promise<Object>}
+   */
+  static async actualizarPolitica(datos, userId) {
+    try {
+      const politica = await PoliticaAsistencia.obtener();
+
+      CAMPOS_POLITICA.forEach(campo => {
+        if (datos[campo] !== undefined) {
+          politica[campo] = datos[campo];
+        }
+      });
+
+      ['activo', 'monto'].forEach(campo => {
+        if (datos.cargoAusencia?.[campo] !== undefined) {
+          politica.set(`cargoAusencia.${campo}`, datos.cargoAusencia[campo]);
+        }
+      });
+
+      politica.modificadoPor = userId;
+      await politica.save();
+
+      return {
+        success: true,
+        message: 'Política de asistencia actualizada exitosamente',
+        data: { politica },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Aplicar la política después de registrar, justificar o corregir una ausencia:
+   * genera o anula el cargo por ausencia y marca al paciente si acumula
+   * demasiadas ausencias sin justificar en el período
+   * @param {Object} sesion - Documento de la sesión
+   * @param {String} userId - ID del usuario que registra el cambio
+   * @returns {Promise<Object>} { cargoAusencia, alertaAusencias }
+   */
+  static async aplicarPolitica(sesion, userId) {
+    const politica = await PoliticaAsistencia.obtener();
+    const pacienteId = sesion.paciente._id || sesion.paciente;
+    const ausenciaSinJustificar = sesion.estado === 'ausente' && !sesion.ausenciaJustificada;
+
+    const cargoAusencia = await this._sincronizarCargoAusencia(sesion, politica, userId);
+    const alertaAusencias = ausenciaSinJustificar && politica.activa
+      ? await this._evaluarAlerta(pacienteId, sesion, politica)
+      : null;
+
+    return { cargoAusencia, alertaAusencias };
+  }
+
+  /**
+   * Estadísticas de asistencia de un paciente
+   * @param {String} pacienteId - ID del paciente
+   * @returns {Promise<Object>}
+   */
+  static async obtenerAsistenciaPaciente(pacienteId) {
+    try {
+      const paciente = await Paciente.findById(pacienteId).select('nombre apellido alertaAusencias').lean();
+
+      if (!paciente) {
+        throw new ErrorResponse('Paciente no encontrado', HTTP_STATUS.NOT_FOUND);
+      }
+
+      const politica = await PoliticaAsistencia.obtener();
+      const { desde, hasta } = politica.ventana(new Date());
+      const pacienteObjectId = new mongoose.Types.ObjectId(pacienteId);
+
+      const [porEstado, ausenciasPeriodo, ultimasAusencias, cargos] = await Promise.all([
+        Sesion.aggregate([
+          { $match: { paciente: pacienteObjectId } },
+          {
+            $group: {
+              _id: '$estado',
+              cantidad: { $sum: 1 },
+              justificadas: { $sum: { $cond: ['$ausenciaJustificada', 1, 0] } },
+            },
+          },
+        ]),
+        Sesion.countDocuments({
+          paciente: pacienteObjectId,
+          estado: 'ausente',
+          ausenciaJustificada: { $ne: true },
+          fecha: { $gte: desde, $lte: hasta },
+        }),
+        Sesion.find({ paciente: pacienteObjectId, estado: 'ausente' })
+          .sort('-fecha')
+          .limit(10)
+          .select('fecha horaEntrada numeroSesion ausenciaJustificada motivoCancelacion profesional')
+          .populate('profesional', 'nombre apellido')
+          .lean(),
+        MovimientoCuenta.aggregate([
+          { $match: { paciente: pacienteObjectId, tipo: 'cargo', anulado: false, ausencia: { $ne: null } } },
+          { $group: { _id: null, total: { $sum: '$monto' }, cantidad: { $sum: 1 } } },
+        ]),
+      ]);
+
+      const cantidades = Object.fromEntries(porEstado.map(e => [e._id, e]));
+      const realizadas = cantidades.realizada?.cantidad || 0;
+      const ausentes = cantidades.ausente?.cantidad || 0;
+      const justificadas = cantidades.ausente?.justificadas || 0;
+
+      return {
+        success: true,
+        data: {
+          paciente: {
+            _id: paciente._id,
+            nombre: paciente.nombre,
+            apellido: paciente.apellido,
+          },
+          estadisticas: {
+            totalSesiones: porEstado.reduce((total, e) => total + e.cantidad, 0),
+            programadas: cantidades.programada?.cantidad || 0,
+            realizadas,
+            canceladas: cantidades.cancelada?.cantidad || 0,
+            ausentes,
+            ausenciasJustificadas: justificadas,
+            ausenciasSinJustificar: ausentes - justificadas,
+            // Sobre los turnos a los que el paciente debía asistir
+            tasaAusentismo: realizadas + ausentes
+              ? redondear((ausentes / (realizadas + ausentes)) * 100)
+              : 0,
+          },
+          periodo: {
+            desde,
+            hasta,
+            ausenciasSinJustificar: ausenciasPeriodo,
+            maxAusencias: politica.maxAusencias,
+          },
+          cargosAusencia: {
+            cantidad: cargos[0]?.cantidad || 0,
+            total: redondear(cargos[0]?.total || 0),
+          },
+          alertaAusencias: paciente.alertaAusencias || { activa: false },
+          ultimasAusencias,
+        },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Listar los pacientes marcados por ausencias reiteradas
+   * @param {Object} opciones - { page, limit }
+   * @returns {Promise<Object>}
+   */
+  static async obtenerPacientesConAlerta(opciones = {}) {
+    try {
+      const { page = 1, limit = 20 } = opciones;
+      const query = { 'alertaAusencias.activa': true };
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const [pacientes, total] = await Promise.all([
+        Paciente.find(query)
+          .select('nombre apellido dni telefono alertaAusencias')
+          .sort('-alertaAusencias.fecha')
+          .skip(skip)
+          .limit(parseInt(limit))
+          .lean(),
+        Paciente.countDocuments(query),
+      ]);
+
+      return {
+        success: true,
+        data: {
+          pacientes,
+          pagination: {
+            total,
+            page: parseInt(page),
+            pages: Math.ceil(total / parseInt(limit)),
+            limit: parseInt(limit),
+          },
+        },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Quitar la marca por ausencias de un paciente
+   * Para volver a marcarlo solo cuentan las ausencias desde ese día
+   * @param {String} pacienteId - ID del paciente
+   * @param {String} userId - ID del usuario que la quita
+   * @returns {Promise<Object>}
+   */
+  static async quitarAlerta(pacienteId, userId) {
+    try {
+      const paciente = await Paciente.findById(pacienteId);
+
+      if (!paciente) {
+        throw new ErrorResponse('Paciente no encontrado', HTTP_STATUS.NOT_FOUND);
+      }
+
+      if (!paciente.alertaAusencias?.activa) {
+        throw new ErrorResponse('El paciente no tiene una marca por ausencias activa', HTTP_STATUS.BAD_REQUEST);
+      }
+
+      paciente.alertaAusencias.activa = false;
+      paciente.alertaAusencias.quitadaPor = userId;
+      paciente.alertaAusencias.fechaQuitada = new Date();
+      paciente.modificadoPor = userId;
+      await paciente.save();
+
+      return {
+        success: true,
+        message: 'Marca por ausencias quitada exitosamente',
+        data: { alertaAusencias: paciente.alertaAusencias },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // ============================================================
+  // Helpers privados
+  // ============================================================
+
+  /**
+   * Crear el cargo por una ausencia sin justificar o anularlo si dejó de corresponder.
+   * El monto queda fijo al crearlo aunque después cambie la política
+   */
+  static async _sincronizarCargoAusencia(sesion, politica, userId) {
+    const ausenciaSinJustificar = sesion.estado === 'ausente' && !sesion.ausenciaJustificada;
+    const cargo = await MovimientoCuenta.findOne({ ausencia: sesion._id, tipo: 'cargo', anulado: false });
+
+    if (ausenciaSinJustificar && !cargo && politica.activa && politica.cargoAusencia?.activo) {
+      return MovimientoCuenta.create({
+        paciente: sesion.paciente._id || sesion.paciente,
+        tipo: 'cargo',
+        fecha: sesion.fecha,
+        monto: politica.cargoAusencia.monto,
+        ausencia: sesion._id,
+        concepto: `Ausencia a la sesión N° ${sesion.numeroSesion || '-'}`,
+        registradoPor: userId,
+      });
+    }
+
+    if (!ausenciaSinJustificar && cargo) {
+      cargo.anulado = true;
+      cargo.motivoAnulacion = sesion.estado === 'ausente' ? 'Ausencia justificada' : `Sesión ${sesion.estado}`;
+      cargo.anuladoPor = userId;
+      await cargo.save();
+      return null;
+    }
+
+    return cargo;
+  }
+
+  /**
+   * Marcar al paciente (y avisar a los administradores) si sus ausencias sin justificar
+   * en el período que termina en la fecha de la sesión llegan al máximo de la política
+   */
+  static async _evaluarAlerta(pacienteId, sesion, politica) {
+    const paciente = await Paciente.findById(pacienteId).select('nombre apellido alertaAusencias');
+    if (!paciente) return null;
+
+    const alerta = paciente.alertaAusencias || {};
+    let { desde, hasta } = politica.ventana(sesion.fecha);
+
+    // Después de quitar la marca solo cuentan las ausencias nuevas
+    if (alerta.fechaQuitada) {
+      const quitada = new Date(alerta.fechaQuitada);
+      const diaQuitada = new Date(Date.UTC(quitada.getUTCFullYear(), quitada.getUTCMonth(), quitada.getUTCDate()));
+      if (diaQuitada > desde) desde = diaQuitada;
+    }
+
+    const ausencias = await Sesion.countDocuments({
+      paciente: paciente._id,
+      estado: 'ausente',
+      ausenciaJustificada: { $ne: true },
+      fecha: { $gte: desde, $lte: hasta },
+    });
+
+    if (ausencias < politica.maxAusencias) {
+      return alerta.activa ? alerta : null;
+    }
+
+    // Si ya estaba marcado solo se actualiza la cantidad de ausencias
+    if (alerta.activa) {
+      paciente.set('alertaAusencias.ausencias', Math.max(ausencias, alerta.ausencias || 0));
+      await paciente.save();
+      return paciente.alertaAusencias;
+    }
+
+    paciente.alertaAusencias = {
+      activa: true,
+      ausencias,
+      periodoDias: politica.periodoDias,
+      fecha: new Date(),
+      quitadaPor: null,
+      fechaQuitada: null,
+    };
+    await paciente.save();
+
+    if (politica.notificarAdministradores) {
+      await this._notificarAdministradores(paciente, sesion, ausencias, politica);
+    }
+
+    return paciente.alertaAusencias;
+  }
+
+  static async _notificarAdministradores(paciente, sesion, ausencias, politica) {
+    const administradores = await User.find({ rol: ROLES.ADMIN, estadoCuenta: 'activo' }).select('_id').lean();
+
+    await Notificacion.crearNotificacionesMultiples(administradores.map(usuario => ({
+      usuario: usuario._id,
+      tipo: 'ausencias_reiteradas',
+      titulo: 'Paciente con ausencias reiteradas',
+      mensaje: `${paciente.nombre} ${paciente.apellido} acumula ${ausencias} ausencias sin justificar en los últimos ${politica.periodoDias} días`,
+      datos: {
+        pacienteId: paciente._id,
+        sesionId: sesion._id,
+        fecha: sesion.fecha,
+        url: `/pacientes/${paciente._id}`,
+      },
+      prioridad: 'alta',
+    })));
+  }
+}
+
+export default AsistenciaService;
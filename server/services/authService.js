@@ -334,6 +334,98 @@ class AuthService {
     }
   }
 
+  /**
+   * Solicita la recuperación de contraseña enviando un enlace por email
+   * Responde igual exista o no el email, para no revelar qué cuentas están registradas
+   * @param {String} email - Email del usuario
+   * @returns {Promise<Object>}
+   */
+  static async solicitarRecuperacionPassword(email) {
+    try {
+      const respuesta = {
+        success: true,
+        message: 'Si el email está registrado, recibirás un enlace para restablecer tu contraseña',
+      };
+
+      const usuario = await User.findOne({ email }).select('+resetPasswordToken +resetPasswordExpire');
+
+      if (!usuario) {
+        return respuesta;
+      }
+
+      // Generar token (solo se guarda el hash)
+      const resetToken = usuario.generarResetPasswordToken();
+      await usuario.save({ validateBeforeSave: false });
+
+      // La respuesta es la misma aunque el email falle, para no revelar qué cuentas existen
+      try {
+        const emailResult = await EmailService.enviarEmailRecuperacion(
+          usuario.email,
+          usuario.nombre,
+          resetToken
+        );
+
+        if (!emailResult.success) {
+          throw new Error(emailResult.development
+            ? 'SendGrid no está configurado (SENDGRID_API_KEY y SENDGRID_FROM_EMAIL)'
+            : emailResult.message || 'No se pudo enviar el email');
+        }
+      } catch (emailError) {
+        console.error('Error enviando el email de recuperación de contraseña:', emailError.message);
+
+        // Invalidar el token si el email no pudo enviarse
+        usuario.resetPasswordToken = undefined;
+        usuario.resetPasswordExpire = undefined;
+        await usuario.save({ validateBeforeSave: false });
+      }
+
+      return respuesta;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Restablece la contraseña usando el token recibido por email
+   * Invalida el refresh token para cerrar las sesiones abiertas
+   * @param {String} resetToken - Token recibido por email
+   * @param {String} password - Nueva contraseña
+   * @returns {Promise<Object>}
+   */
+  static async restablecerPassword(resetToken, password) {
+    try {
+      const usuario = await User.findOne({
+        resetPasswordToken: User.hashearResetToken(resetToken),
+        resetPasswordExpire: { $gt: Date.now() },
+      }).select('+password +resetPasswordToken +resetPasswordExpire +refreshToken');
+
+      if (!usuario) {
+        throw new ErrorResponse('El enlace de recuperación es inválido o ha expirado', HTTP_STATUS.BAD_REQUEST);
+      }
+
+      usuario.password = password;
+      usuario.resetPasswordToken = undefined;
+      usuario.resetPasswordExpire = undefined;
+      usuario.refreshToken = undefined;
+
+      // Desbloquear la cuenta si estaba bloqueada por intentos fallidos
+      usuario.metadata.intentosFallidos = 0;
+      usuario.metadata.bloqueadoHasta = null;
+
+      await usuario.save();
+
+      return {
+        success: true,
+        message: 'Contraseña restablecida exitosamente. Ya puedes iniciar sesión con tu nueva contraseña',
+        data: {
+          usuario: usuario.obtenerDatosPublicos(),
+        },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
   /**
    * Cierra sesión del usuario
    * @param {String} userId - ID del usuario
@@ -0,0 +1,462 @@
+import Autorizacion, { ESTADOS_SESION_NO_CONSUMEN } from '../models/Autorizacion.js';
+import ObraSocial from '../models/ObraSocial.js';
+import Paciente from '../models/Paciente.js';
+import Sesion from '../models/Sesion.js';
+import EpisodioService from './episodioService.js';
+import ErrorResponse from '../utils/ErrorResponse.js';
+import { HTTP_STATUS } from '../conf/constants.js';
+
+const MS_POR_DIA = 24 * 60 * 60 * 1000;
+
+// Umbrales para avisar que una autorización está por vencer o agotarse
+export const DIAS_AVISO_VENCIMIENTO = 7;
+export const SESIONES_AVISO_RESTANTES = 2;
+
+// Campos editables de una autorización
+const CAMPOS_EDITABLES = [
+  'numeroOrden',
+  'medico',
+  'sesionesAutorizadas',
+  'fechaInicio',
+  'fechaVencimiento',
+  'documento',
+  'observaciones',
+];
+
+/**
+ * Servicio de autorizaciones (órdenes médicas) de obras sociales
+ */
+class AutorizacionService {
+  /**
+   * Crear una autorización para un paciente
+   * Si no se indica el médico se toma el médico derivante del paciente
+   * Si no se indica el episodio se vincula al episodio abierto
+   * @param {Object} datos - Datos de la autorización
+   * @param {String} userId - ID del usuario que la crea
+   * @returns {Promise<Object>}
+   */
+  static async crearAutorizacion(datos, userId) {
+    try {
+      const paciente = await Paciente.findById(datos.paciente);
+
+      if (!paciente) {
+        throw new ErrorResponse('Paciente no encontrado', HTTP_STATUS.NOT_FOUND);
+      }
+
+      await this._verificarNumeroOrdenDisponible(paciente._id, datos.numeroOrden);
+      this._verificarDocumento(paciente, datos.documento);
+
+      const resolucion = await EpisodioService.resolverEpisodio(paciente, datos.episodio, userId);
+      const { episodio, advertencias } = resolucion;
+
+      const medicoDerivante = paciente.medicoDerivante || {};
+      const medico = datos.medico?.nombre
+        ? datos.medico
+        : {
+          nombre: medicoDerivante.nombre,
+          matricula: medicoDerivante.matricula,
+          especialidad: medicoDerivante.especialidad,
+        };
+
+      const autorizacion = new Autorizacion({
+        paciente: paciente._id,
+        obraSocial: datos.obraSocial || paciente.obraSocial?.entidad || null,
+        episodio: episodio._id,
+        creadoPor: userId,
+      });
+      this._asignarCampos(autorizacion, { ...datos, medico });
+
+      await autorizacion.validate();
+      await EpisodioService.confirmarEpisodio(resolucion);
+      await autorizacion.save();
+
+      // Si el paciente no tenía médico derivante se completa con el de la orden
+      if (!medicoDerivante.nombre && medico.nombre) {
+        await Paciente.updateOne(
+          { _id: paciente._id },
+          {
+            $set: {
+              'medicoDerivante.nombre': medico.nombre,
+              'medicoDerivante.matricula': medico.matricula,
+              'medicoDerivante.especialidad': medico.especialidad,
+            },
+          }
+        );
+      }
+
+      return {
+        success: true,
+        message: 'Autorización registrada exitosamente',
+        data: { autorizacion, advertencias },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Listar autorizaciones
+   * @param {Object} filtros - { paciente, episodio, estado, porVencer }
+   * @returns {Promise<Object>}
+   */
+  static async obtenerAutorizaciones(filtros = {}) {
+    try {
+      const { paciente, episodio, estado, porVencer } = filtros;
+      const query = {};
+
+      if (paciente) query.paciente = paciente;
+      if (episodio) query.episodio = episodio;
+      if (estado) query.estado = estado;
+
+      if (porVencer === true || porVencer === 'true') {
+        Object.assign(query, this.filtroPorVencer());
+      }
+
+      const autorizaciones = await Autorizacion.find(query)
+        .populate('paciente', 'nombre apellido dni')
+        .populate('obraSocial', 'nombre')
+        .sort('fechaVencimiento');
+
+      return {
+        success: true,
+        data: {
+          autorizaciones,
+          total: autorizaciones.length,
+        },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener una autorización con las sesiones vinculadas
+   * @param {String} autorizacionId - ID de la autorización
+   * @returns {Promise<Object>}
+   */
+  static async obtenerAutorizacionPorId(autorizacionId) {
+    try {
+      const autorizacion = await Autorizacion.findById(autorizacionId)
+        .populate('paciente', 'nombre apellido dni obraSocial medicoDerivante')
+        .populate('obraSocial', 'nombre')
+        .populate('creadoPor', 'nombre apellido');
+
+      if (!autorizacion) {
+        throw new ErrorResponse('Autorización no encontrada', HTTP_STATUS.NOT_FOUND);
+      }
+
+      const sesiones = await Sesion.find({ autorizacion: autorizacion._id })
+        .select('fecha horaEntrada estado numeroSesion profesional')
+        .populate('profesional', 'nombre apellido')
+        .sort('fecha')
+        .lean();
+
+      return {
+        success: true,
+        data: { autorizacion, sesiones },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Actualizar una autorización
+   * @param {String} autorizacionId - ID de la autorización
+   * @param {Object} datos - Datos a actualizar
+   * @param {String} userId - ID del usuario que modifica
+   * @returns {Promise<Object>}
+   */
+  static async actualizarAutorizacion(autorizacionId, datos, userId) {
+    try {
+      const autorizacion = await Autorizacion.findById(autorizacionId);
+
+      if (!autorizacion) {
+        throw new ErrorResponse('Autorización no encontrada', HTTP_STATUS.NOT_FOUND);
+      }
+
+      if (autorizacion.estado === 'anulada') {
+        throw new ErrorResponse('No se puede modificar una autorización anulada', HTTP_STATUS.CONFLICT);
+      }
+
+      if (datos.numeroOrden && datos.numeroOrden !== autorizacion.numeroOrden) {
+        await this._verificarNumeroOrdenDisponible(autorizacion.paciente, datos.numeroOrden, autorizacion._id);
+      }
+
+      if (datos.sesionesAutorizadas !== undefined && datos.sesionesAutorizadas < autorizacion.sesionesConsumidas) {
+        throw new ErrorResponse(
+          `La autorización ya tiene ${autorizacion.sesionesConsumidas} sesiones consumidas`,
+          HTTP_STATUS.BAD_REQUEST
+        );
+      }
+
+      if (datos.documento) {
+        const paciente = await Paciente.findById(autorizacion.paciente).select('documentos');
+        this._verificarDocumento(paciente, datos.documento);
+      }
+
+      this._asignarCampos(autorizacion, datos);
+      autorizacion.modificadoPor = userId;
+
+      // Con nueva vigencia o cupo se vuelve a avisar cuando corresponda
+      if (['sesionesAutorizadas', 'fechaVencimiento'].some(campo => autorizacion.isModified(campo))) {
+        autorizacion.notificacionVencimiento = null;
+      }
+
+      await autorizacion.save();
+
+      return {
+        success: true,
+        message: 'Autorización actualizada exitosamente',
+        data: { autorizacion },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Anular una autorización (las sesiones ya vinculadas conservan el vínculo)
+   * @param {String} autorizacionId - ID de la autorización
+   * @param {String} motivo - Motivo de la anulación
+   * @param {String} userId - ID del usuario que anula
+   * @returns {Promise<Object>}
+   */
+  static async anularAutorizacion(autorizacionId, motivo, userId) {
+    try {
+      const autorizacion = await Autorizacion.findById(autorizacionId);
+
+      if (!autorizacion) {
+        throw new ErrorResponse('Autorización no encontrada', HTTP_STATUS.NOT_FOUND);
+      }
+
+      autorizacion.estado = 'anulada';
+      autorizacion.modificadoPor = userId;
+      if (motivo) {
+        autorizacion.observaciones = motivo;
+      }
+      await autorizacion.save();
+
+      return {
+        success: true,
+        message: 'Autorización anulada exitosamente',
+        data: { autorizacion },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Resolver la autorización que cubre una sesión nueva del paciente
+   * - Si se indica una autorización se valida su vigencia y cupo (bloquea si no alcanza)
+   * - Si no, se toma la autorización vigente con cupo que vence primero
+   * - Sin autorización disponible se bloquea solo si la obra social la exige
+   * - Con episodioId solo se usan las autorizaciones de ese episodio (o sin episodio)
+   * - Con excluirSesionId esa sesión no cuenta en el cupo (la que se reprograma)
+   * @param {Object} paciente - Documento del paciente
+   * @param {Date} fecha - Fecha de la sesión
+   * @param {Object} opciones - { autorizacionId, permitirSinAutorizacion, episodioId, excluirSesionId }
+   * @returns {Promise<Object>} { autorizacion, advertencias }
+   */
+  static async asignarAutorizacion(paciente, fecha, opciones = {}) {
+    const fechaSesion = new Date(fecha);
+    const advertencias = [];
+
+    if (opciones.autorizacionId) {
+      const autorizacion = await Autorizacion.findOne({
+        _id: opciones.autorizacionId,
+        paciente: paciente._id,
+      });
+
+      if (!autorizacion) {
+        throw new ErrorResponse('Autorización no encontrada para el paciente', HTTP_STATUS.NOT_FOUND);
+      }
+
+      if (opciones.episodioId && autorizacion.episodio && !autorizacion.episodio.equals(opciones.episodioId)) {
+        throw new ErrorResponse('La autorización corresponde a otro episodio de tratamiento', HTTP_STATUS.CONFLICT);
+      }
+
+      const consumidas = await this._contarConsumidas(autorizacion._id, opciones.excluirSesionId);
+      const motivo = this._motivoNoDisponible(autorizacion, consumidas, fechaSesion);
+
+      if (motivo) {
+        throw new ErrorResponse(motivo, HTTP_STATUS.CONFLICT);
+      }
+
+      advertencias.push(...this._advertencias(autorizacion, consumidas + 1));
+      return { autorizacion: autorizacion._id, advertencias };
+    }
+
+    const candidatas = await Autorizacion.find({
+      paciente: paciente._id,
+      estado: { $ne: 'anulada' },
+      fechaInicio: { $lte: fechaSesion },
+      fechaVencimiento: { $gte: fechaSesion },
+      ...(opciones.episodioId && { episodio: { $in: [opciones.episodioId, null] } }),
+    }).sort('fechaVencimiento');
+
+    for (const autorizacion of candidatas) {
+      const consumidas = await this._contarConsumidas(autorizacion._id, opciones.excluirSesionId);
+
+      if (consumidas < autorizacion.sesionesAutorizadas) {
+        advertencias.push(...this._advertencias(autorizacion, consumidas + 1));
+        return { autorizacion: autorizacion._id, advertencias };
+      }
+    }
+
+    const requiereAutorizacion = await this._requiereAutorizacion(paciente);
+
+    if (requiereAutorizacion && !opciones.permitirSinAutorizacion) {
+      throw new ErrorResponse(
+        'El paciente no tiene una autorización de la obra social vigente con sesiones disponibles',
+        HTTP_STATUS.CONFLICT
+      );
+    }
+
+    if (requiereAutorizacion || await Autorizacion.exists({ paciente: paciente._id })) {
+      advertencias.push('La sesión no queda cubierta por ninguna autorización vigente con sesiones disponibles');
+    }
+
+    return { autorizacion: null, advertencias };
+  }
+
+  /**
+   * Marcar como vencidas las autorizaciones activas cuya vigencia terminó
+   * @returns {Promise<Object>}
+   */
+  static async actualizarVencidas() {
+    try {
+      const resultado = await Autorizacion.updateMany(
+        { estado: 'activa', fechaVencimiento: { $lt: new Date() } },
+        { $set: { estado: 'vencida' } }
+      );
+
+      return {
+        success: true,
+        message: `${resultado.modifiedCount} autorizaciones vencidas`,
+        data: { cantidad: resultado.modifiedCount },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Filtro de autorizaciones activas que vencen pronto o a las que les quedan pocas sesiones
+   * @returns {Object}
+   */
+  static filtroPorVencer() {
+    return {
+      estado: 'activa',
+      $or: [
+        { fechaVencimiento: { $lte: new Date(Date.now() + DIAS_AVISO_VENCIMIENTO * MS_POR_DIA) } },
+        {
+          $expr: {
+            $lte: [{ $subtract: ['$sesionesAutorizadas', '$sesionesConsumidas'] }, SESIONES_AVISO_RESTANTES],
+          },
+        },
+      ],
+    };
+  }
+
+  static _contarConsumidas(autorizacionId, excluirSesionId = null) {
+    return Sesion.countDocuments({
+      autorizacion: autorizacionId,
+      estado: { $nin: ESTADOS_SESION_NO_CONSUMEN },
+      ...(excluirSesionId && { _id: { $ne: excluirSesionId } }),
+    });
+  }
+
+  /**
+   * Motivo por el que una autorización no puede cubrir la sesión (null si puede)
+   */
+  static _motivoNoDisponible(autorizacion, consumidas, fecha) {
+    if (autorizacion.estado === 'anulada') {
+      return `La autorización ${autorizacion.numeroOrden} está anulada`;
+    }
+    if (!autorizacion.cubreFecha(fecha)) {
+      return `La autorización ${autorizacion.numeroOrden} no está vigente para la fecha de la sesión`;
+    }
+    if (consumidas >= autorizacion.sesionesAutorizadas) {
+      return `La autorización ${autorizacion.numeroOrden} ya consumió sus ${autorizacion.sesionesAutorizadas} sesiones`;
+    }
+    return null;
+  }
+
+  /**
+   * Avisos de cupo o vigencia por terminar al vincular una sesión
+   */
+  static _advertencias(autorizacion, consumidas) {
+    const advertencias = [];
+    const restantes = autorizacion.sesionesAutorizadas - consumidas;
+
+    if (restantes === 0) {
+      advertencias.push(`Se utilizó la última sesión autorizada de la orden ${autorizacion.numeroOrden}`);
+    } else if (restantes <= SESIONES_AVISO_RESTANTES) {
+      advertencias.push(restantes === 1
+        ? `Queda 1 sesión autorizada en la orden ${autorizacion.numeroOrden}`
+        : `Quedan ${restantes} sesiones autorizadas en la orden ${autorizacion.numeroOrden}`);
+    }
+
+    if (autorizacion.fechaVencimiento.getTime() - Date.now() <= DIAS_AVISO_VENCIMIENTO * MS_POR_DIA) {
+      advertencias.push(
+        `La orden ${autorizacion.numeroOrden} vence el ${autorizacion.fechaVencimiento.toLocaleDateString('es-AR', { timeZone: 'UTC' })}`
+      );
+    }
+
+    return advertencias;
+  }
+
+  static async _requiereAutorizacion(paciente) {
+    const entidad = paciente.obraSocial?.entidad;
+    if (!entidad) return false;
+
+    const obraSocial = await ObraSocial.findById(entidad);
+    if (!obraSocial || !obraSocial.activa) return false;
+
+    return obraSocial.obtenerCobertura(paciente.obraSocial.plan).requiereAutorizacion;
+  }
+
+  static async _verificarNumeroOrdenDisponible(pacienteId, numeroOrden, excluirId = null) {
+    if (!numeroOrden) return;
+
+    const query = { paciente: pacienteId, numeroOrden };
+    if (excluirId) {
+      query._id = { $ne: excluirId };
+    }
+
+    if (await Autorizacion.exists(query)) {
+      throw new ErrorResponse(
+        `El paciente ya tiene registrada la orden ${numeroOrden}`,
+        HTTP_STATUS.CONFLICT
+      );
+    }
+  }
+
+  /**
+   * El documento debe ser una orden médica cargada en los documentos del paciente
+   */
+  static _verificarDocumento(paciente, documentoId) {
+    if (!documentoId) return;
+
+    const documento = paciente.documentos?.id(documentoId);
+
+    if (!documento || documento.tipo !== 'orden_medica') {
+      throw new ErrorResponse(
+        'El documento indicado no es una orden médica del paciente',
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+  }
+
+  static _asignarCampos(autorizacion, datos) {
+    CAMPOS_EDITABLES.forEach(campo => {
+      if (datos[campo] !== undefined) {
+        autorizacion[campo] = datos[campo];
+      }
+    });
+  }
+}
+
+export default AutorizacionService;
@@ -0,0 +1,276 @@
+import CierreCaja from '../models/CierreCaja.js';
+import MovimientoCuenta, { METODOS_PAGO_CUENTA } from '../models/MovimientoCuenta.js';
+import ErrorResponse from '../utils/ErrorResponse.js';
+import { HTTP_STATUS } from '../conf/constants.js';
+
+const REDONDEO = 100;
+const redondear = (monto) => Math.round(monto * REDONDEO) / REDONDEO;
+
+/**
+ * Servicio del cierre de caja diario: totales de los pagos del día por método,
+ * montos contados, diferencias y bloqueo de los pagos de días cerrados
+ */
+class CierreCajaService {
+  /**
+   * Resumen de caja de un día: totales esperados por método, pagos y cierre (si existe)
+   * @param {Date|String} fecha - Día a consultar (por defecto hoy)
+   * @returns {Promise<Object>}
+   */
+  static async obtenerResumenDia(fecha = new Date()) {
+    try {
+      const { inicioDia, finDia } = this._rangoDia(fecha);
+
+      const [totales, movimientos, cierre] = await Promise.all([
+        this.calcularTotalesDia(inicioDia),
+        MovimientoCuenta.find({
+          tipo: { $in: ['pago', 'reintegro'] },
+          anulado: false,
+          fecha: { $gte: inicioDia, $lte: finDia },
+        })
+          .populate('paciente', 'nombre apellido dni')
+          .populate('registradoPor', 'nombre apellido')
+          .sort('fecha'),
+        CierreCaja.findOne({ fecha: inicioDia }).populate('cerradoPor', 'nombre apellido'),
+      ]);
+
+      return {
+        success: true,
+        data: {
+          fecha: inicioDia,
+          totales,
+          totalEsperado: redondear(totales.reduce((total, t) => total + t.esperado, 0)),
+          movimientos,
+          cierre,
+        },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Cerrar la caja de un día con los montos contados por método de pago
+   * Un día reabierto por un administrador se vuelve a cerrar recalculando los totales
+   * @param {Object} datos - { fecha, contado: { efectivo, transferencia, tarjeta, otro }, observaciones }
+   * @param {String} userId - ID del usuario que cierra
+   * @returns {Promise<Object>}
+   */
+  static async cerrarCaja(datos, userId) {
+    try {
+      const { inicioDia } = this._rangoDia(datos.fecha || new Date());
+
+      if (inicioDia > new Date()) {
+        throw new ErrorResponse('No se puede cerrar la caja de un día futuro', HTTP_STATUS.BAD_REQUEST);
+      }
+
+      let cierre = await CierreCaja.findOne({ fecha: inicioDia });
+
+      if (cierre && cierre.estado === 'cerrada') {
+        throw new ErrorResponse('La caja de este día ya está cerrada', HTTP_STATUS.CONFLICT);
+      }
+
+      const contado = datos.contado || {};
+      const totales = await this.calcularTotalesDia(inicioDia);
+
+      if (!cierre) {
+        cierre = new CierreCaja({ fecha: inicioDia });
+      }
+
+      cierre.totales = totales.map(total => ({
+        ...total,
+        contado: contado[total.metodoPago] || 0,
+      }));
+      cierre.estado = 'cerrada';
+      cierre.observaciones = datos.observaciones ?? cierre.observaciones;
+      cierre.cerradoPor = userId;
+      cierre.fechaCierre = new Date();
+      await cierre.save();
+
+      return {
+        success: true,
+        message: cierre.diferencia === 0
+          ? 'Caja cerrada sin diferencias'
+          : `Caja cerrada con una diferencia de $${cierre.diferencia}`,
+        data: { cierre },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Reabrir la caja de un día para permitir cambios en sus pagos (solo administradores)
+   * @param {String} cierreId - ID del cierre
+   * @param {String} motivo - Motivo de la reapertura
+   * @param {String} userId - ID del administrador
+   * @returns {Promise<Object>}
+   */
+  static async reabrirCaja(cierreId, motivo, userId) {
+    try {
+      const cierre = await CierreCaja.findById(cierreId);
+
+      if (!cierre) {
+        throw new ErrorResponse('Cierre de caja no encontrado', HTTP_STATUS.NOT_FOUND);
+      }
+
+      if (cierre.estado !== 'cerrada') {
+        throw new ErrorResponse('La caja de este día ya está abierta', HTTP_STATUS.CONFLICT);
+      }
+
+      cierre.estado = 'reabierta';
+      cierre.reaperturas.push({ usuario: userId, fecha: new Date(), motivo });
+      await cierre.save();
+
+      return {
+        success: true,
+        message: 'Caja reabierta exitosamente',
+        data: { cierre },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Listar cierres de caja
+   * @param {Object} opciones - { fechaInicio, fechaFin, estado, page, limit }
+   * @returns {Promise<Object>}
+   */
+  static async obtenerCierres(opciones = {}) {
+    try {
+      const { fechaInicio, fechaFin, estado, page = 1, limit = 31 } = opciones;
+      const query = {};
+
+      if (estado) query.estado = estado;
+
+      if (fechaInicio || fechaFin) {
+        query.fecha = {};
+        if (fechaInicio) query.fecha.$gte = this._rangoDia(fechaInicio).inicioDia;
+        if (fechaFin) query.fecha.$lte = this._rangoDia(fechaFin).finDia;
+      }
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const [cierres, total] = await Promise.all([
+        CierreCaja.find(query)
+          .populate('cerradoPor', 'nombre apellido')
+          .sort('-fecha')
+          .skip(skip)
+          .limit(parseInt(limit)),
+        CierreCaja.countDocuments(query),
+      ]);
+
+      return {
+        success: true,
+        data: {
+          cierres,
+          pagination: {
+            total,
+            page: parseInt(page),
+            pages: Math.ceil(total / parseInt(limit)),
+            limit: parseInt(limit),
+          },
+        },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener un cierre de caja por ID
+   * @param {String} cierreId - ID del cierre
+   * @returns {Promise<Object>}
+   */
+  static async obtenerCierrePorId(cierreId) {
+    try {
+      const cierre = await CierreCaja.findById(cierreId)
+        .populate('cerradoPor', 'nombre apellido')
+        .populate('reaperturas.usuario', 'nombre apellido');
+
+      if (!cierre) {
+        throw new ErrorResponse('Cierre de caja no encontrado', HTTP_STATUS.NOT_FOUND);
+      }
+
+      return {
+        success: true,
+        data: { cierre },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Pagos menos reintegros de un día agrupados por método de pago
+   * @param {Date} fecha - Día
+   * @returns {Promise<Array>} [{ metodoPago, cantidadPagos, esperado }]
+   */
+  static async calcularTotalesDia(fecha) {
+    const { inicioDia, finDia } = this._rangoDia(fecha);
+
+    const movimientos = await MovimientoCuenta.aggregate([
+      {
+        $match: {
+          tipo: { $in: ['pago', 'reintegro'] },
+          anulado: false,
+          fecha: { $gte: inicioDia, $lte: finDia },
+        },
+      },
+      {
+        $group: {
+          _id: { metodoPago: '$metodoPago', tipo: '$tipo' },
+          total: { $sum: '$monto' },
+          cantidad: { $sum: 1 },
+        },
+      },
+    ]);
+
+    return METODOS_PAGO_CUENTA.map(metodoPago => {
+      const pagos = movimientos.find(m => m._id.metodoPago === metodoPago && m._id.tipo === 'pago');
+      const reintegros = movimientos.find(m => m._id.metodoPago === metodoPago && m._id.tipo === 'reintegro');
+
+      return {
+        metodoPago,
+        cantidadPagos: pagos?.cantidad || 0,
+        esperado: redondear((pagos?.total || 0) - (reintegros?.total || 0)),
+      };
+    });
+  }
+
+  /**
+   * Cierre de caja de un día (para el resumen diario)
+   * @param {Date} fecha - Día
+   * @returns {Promise<Document|null>}
+   */
+  static async obtenerCierreDia(fecha) {
+    return CierreCaja.findOne({ fecha: this._rangoDia(fecha).inicioDia });
+  }
+
+  /**
+   * Impedir registrar, anular o reintegrar pagos de un día con la caja cerrada
+   * @param {Date} fecha - Fecha del pago
+   * @returns {Promise<void>}
+   */
+  static async verificarDiaAbierto(fecha = new Date()) {
+    const { inicioDia } = this._rangoDia(fecha);
+    const cerrada = await CierreCaja.exists({ fecha: inicioDia, estado: 'cerrada' });
+
+    if (cerrada) {
+      throw new ErrorResponse(
+        `La caja del ${inicioDia.toLocaleDateString('es-AR', { timeZone: 'UTC' })} está cerrada. Un administrador debe reabrirla para modificar sus pagos`,
+        HTTP_STATUS.CONFLICT
+      );
+    }
+  }
+
+  static _rangoDia(fecha) {
+    const dia = new Date(fecha);
+    const inicioDia = new Date(Date.UTC(dia.getUTCFullYear(), dia.getUTCMonth(), dia.getUTCDate(), 0, 0, 0, 0));
+    const finDia = new Date(Date.UTC(dia.getUTCFullYear(), dia.getUTCMonth(), dia.getUTCDate(), 23, 59, 59, 999));
+
+    return { inicioDia, finDia };
+  }
+}
+
+export default CierreCajaService;
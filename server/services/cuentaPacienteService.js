@@ -0,0 +1,369 @@
+import mongoose from 'mongoose';
+import MovimientoCuenta, { montoACargoPaciente } from '../models/MovimientoCuenta.js';
+import Paciente from '../models/Paciente.js';
+import Sesion from '../models/Sesion.js';
+import ReciboService from './reciboService.js';
+import CierreCajaService from './cierreCajaService.js';
+import ErrorResponse from '../utils/ErrorResponse.js';
+import { HTTP_STATUS } from '../conf/constants.js';
+
+/**
+ * Servicio de la cuenta corriente de los pacientes (cargos, pagos y reintegros)
+ */
+class CuentaPacienteService {
+  /**
+   * Obtener la cuenta de un paciente: saldo, movimientos y sesiones impagas
+   * @param {String} pacienteId - ID del paciente
+   * @param {Object} opciones - { page, limit, incluirAnulados }
+   * @returns {Promise<Object>}
+   */
+  static async obtenerCuenta(pacienteId, opciones = {}) {
+    try {
+      const { page = 1, limit = 50, incluirAnulados = false } = opciones;
+
+      await this._obtenerPaciente(pacienteId);
+
+      const query = { paciente: pacienteId };
+      if (incluirAnulados !== true && incluirAnulados !== 'true') {
+        query.anulado = false;
+      }
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const [movimientos, total, saldo, cargosPendientes] = await Promise.all([
+        MovimientoCuenta.find(query)
+          .populate('sesion', 'fecha numeroSesion')
+          .populate('registradoPor', 'nombre apellido')
+          .sort('-fecha -createdAt')
+          .skip(skip)
+          .limit(parseInt(limit)),
+        MovimientoCuenta.countDocuments(query),
+        MovimientoCuenta.calcularSaldo(pacienteId),
+        MovimientoCuenta.obtenerCargosPendientes(pacienteId),
+      ]);
+
+      return {
+        success: true,
+        data: {
+          saldo: {
+            ...saldo,
+            saldoPendiente: Math.max(saldo.saldo, 0),
+            saldoAFavor: Math.max(-saldo.saldo, 0),
+          },
+          cargosPendientes,
+          movimientos,
+          pagination: {
+            total,
+            page: parseInt(page),
+            pages: Math.ceil(total / parseInt(limit)),
+            limit: parseInt(limit),
+          },
+        },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Registrar un pago del paciente
+   * - Con "aplicaciones" se imputa a las sesiones indicadas (pagos parciales o de varias sesiones)
+   * - Lo que no se imputa queda como saldo a favor y se usa para los cargos impagos más antiguos
+   * - Se emite un recibo numerado del pago
+   * @param {String} pacienteId - ID del paciente
+   * @param {Object} datos - { monto, metodoPago, fecha, concepto, aplicaciones: [{ sesion, monto }] }
+   * @param {String} userId - ID del usuario que registra
+   * @returns {Promise<Object>}
+   */
+  static async registrarPago(pacienteId, datos, userId) {
+    try {
+      await this._obtenerPaciente(pacienteId);
+      await CierreCajaService.verificarDiaAbierto(datos.fecha || new Date());
+
+      const aplicaciones = await this._validarAplicaciones(pacienteId, datos.aplicaciones || []);
+      const totalAplicado = aplicaciones.reduce((total, a) => total + a.monto, 0);
+
+      if (totalAplicado > datos.monto) {
+        throw new ErrorResponse(
+          'Lo imputado a sesiones no puede superar el monto del pago',
+          HTTP_STATUS.BAD_REQUEST
+        );
+      }
+
+      const movimiento = await MovimientoCuenta.create({
+        paciente: pacienteId,
+        tipo: 'pago',
+        fecha: datos.fecha || new Date(),
+        monto: datos.monto,
+        aplicaciones,
+        metodoPago: datos.metodoPago || 'efectivo',
+        concepto: datos.concepto || 'Pago',
+        registradoPor: userId,
+      });
+
+      await MovimientoCuenta.actualizarPagoSesiones(aplicaciones.map(a => a.sesion));
+      await MovimientoCuenta.aplicarCredito(pacienteId);
+
+      // El recibo incluye también las sesiones a las que se imputó el saldo a favor
+      const pago = await MovimientoCuenta.findById(movimiento._id);
+      const recibo = await ReciboService.emitirRecibo(pago, userId);
+
+      return {
+        success: true,
+        message: `Pago registrado exitosamente (recibo ${recibo.numeroFormateado})`,
+        data: {
+          movimiento: pago,
+          recibo,
+          saldo: await MovimientoCuenta.calcularSaldo(pacienteId),
+        },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Registrar un reintegro de dinero al paciente (solo hasta su saldo a favor)
+   * @param {String} pacienteId - ID del paciente
+   * @param {Object} datos - { monto, metodoPago, fecha, concepto }
+   * @param {String} userId - ID del usuario que registra
+   * @returns {Promise<Object>}
+   */
+  static async registrarReintegro(pacienteId, datos, userId) {
+    try {
+      await this._obtenerPaciente(pacienteId);
+      await CierreCajaService.verificarDiaAbierto(datos.fecha || new Date());
+
+      const saldoAFavor = await MovimientoCuenta.calcularCreditoDisponible(pacienteId);
+
+      if (datos.monto > saldoAFavor) {
+        throw new ErrorResponse(
+          `El reintegro supera el saldo a favor del paciente ($${saldoAFavor})`,
+          HTTP_STATUS.BAD_REQUEST
+        );
+      }
+
+      const movimiento = await MovimientoCuenta.create({
+        paciente: pacienteId,
+        tipo: 'reintegro',
+        fecha: datos.fecha || new Date(),
+        monto: datos.monto,
+        metodoPago: datos.metodoPago || 'efectivo',
+        concepto: datos.concepto || 'Reintegro',
+        registradoPor: userId,
+      });
+
+      return {
+        success: true,
+        message: 'Reintegro registrado exitosamente',
+        data: {
+          movimiento,
+          saldo: await MovimientoCuenta.calcularSaldo(pacienteId),
+        },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Anular un pago o reintegro (los cargos se manejan desde la sesión)
+   * @param {String} movimientoId - ID del movimiento
+   * @param {String} motivo - Motivo de la anulación
+   * @param {String} userId - ID del usuario que anula
+   * @returns {Promise<Object>}
+   */
+  static async anularMovimiento(movimientoId, motivo, userId) {
+    try {
+      const movimiento = await MovimientoCuenta.findById(movimientoId);
+
+      if (!movimiento) {
+        throw new ErrorResponse('Movimiento no encontrado', HTTP_STATUS.NOT_FOUND);
+      }
+
+      if (movimiento.tipo === 'cargo') {
+        throw new ErrorResponse(
+          'Los cargos se anulan cancelando o modificando la sesión',
+          HTTP_STATUS.BAD_REQUEST
+        );
+      }
+
+      if (movimiento.anulado) {
+        throw new ErrorResponse('El movimiento ya está anulado', HTTP_STATUS.CONFLICT);
+      }
+
+      if (movimiento.paqueteVendido) {
+        throw new ErrorResponse(
+          'Los movimientos de un paquete se anulan anulando la venta del paquete',
+          HTTP_STATUS.BAD_REQUEST
+        );
+      }
+
+      await CierreCajaService.verificarDiaAbierto(movimiento.fecha);
+
+      // Un pago no se puede anular si lo que libera ya fue reintegrado
+      if (movimiento.tipo === 'pago') {
+        const credito = await MovimientoCuenta.calcularCreditoDisponible(movimiento.paciente);
+        if (movimiento.montoDisponible > credito) {
+          throw new ErrorResponse(
+            'Parte del pago ya fue reintegrada al paciente. Anule primero el reintegro',
+            HTTP_STATUS.CONFLICT
+          );
+        }
+      }
+
+      movimiento.anulado = true;
+      movimiento.motivoAnulacion = motivo || null;
+      movimiento.anuladoPor = userId;
+      await movimiento.save();
+
+      if (movimiento.tipo === 'pago') {
+        await MovimientoCuenta.actualizarPagoSesiones(movimiento.aplicaciones.map(a => a.sesion));
+        await ReciboService.anularRecibosMovimiento(movimiento._id, motivo, userId);
+      }
+      await MovimientoCuenta.aplicarCredito(movimiento.paciente);
+
+      return {
+        success: true,
+        message: 'Movimiento anulado exitosamente',
+        data: {
+          movimiento,
+          saldo: await MovimientoCuenta.calcularSaldo(movimiento.paciente),
+        },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Anular los pagos imputados a una sesión (al desmarcarla como pagada en la planilla)
+   * Los pagos que también cubren otras sesiones solo liberan lo imputado a esta
+   * @param {Object} sesion - Documento de la sesión
+   * @param {String} userId - ID del usuario
+   * @returns {Promise<void>}
+   */
+  static async revertirPagosSesion(sesion, userId) {
+    const pagos = await MovimientoCuenta.find({ tipo: 'pago', anulado: false, 'aplicaciones.sesion': sesion._id });
+    const soloEstaSesion = pago => pago.aplicaciones.every(a => a.sesion.toString() === sesion._id.toString());
+    const seAnula = pago => soloEstaSesion(pago) && pago.montoDisponible === 0;
+
+    // Los pagos que se anulan no pueden ser de un día con la caja cerrada
+    for (const pago of pagos.filter(seAnula)) {
+      await CierreCajaService.verificarDiaAbierto(pago.fecha);
+    }
+
+    for (const pago of pagos) {
+      if (seAnula(pago)) {
+        pago.anulado = true;
+        pago.motivoAnulacion = 'Pago desmarcado en la planilla';
+        pago.anuladoPor = userId;
+        await ReciboService.anularRecibosMovimiento(pago._id, pago.motivoAnulacion, userId);
+      } else {
+        pago.aplicaciones = pago.aplicaciones.filter(a => a.sesion.toString() !== sesion._id.toString());
+      }
+      await pago.save();
+    }
+
+    await MovimientoCuenta.actualizarPagoSesiones([sesion._id]);
+  }
+
+  /**
+   * Pasar a la cuenta corriente las sesiones registradas antes de que existiera
+   * (cargos de sesiones realizadas y pagos de sesiones marcadas como pagadas)
+   * @returns {Promise<Object>}
+   */
+  static async migrarSesiones() {
+    try {
+      let cargos = 0;
+      let pagos = 0;
+
+      const cursor = Sesion.find({
+        $or: [{ estado: 'realizada' }, { 'pago.pagado': true }],
+      }).cursor();
+
+      for await (const sesion of cursor) {
+        const tieneCargo = await MovimientoCuenta.exists({ sesion: sesion._id, tipo: 'cargo' });
+        const tienePago = await MovimientoCuenta.exists({ tipo: 'pago', 'aplicaciones.sesion': sesion._id });
+        const aCargo = montoACargoPaciente(sesion);
+
+        if (sesion.pago.pagado && !tienePago && aCargo > 0) {
+          await MovimientoCuenta.create({
+            paciente: sesion.paciente,
+            tipo: 'pago',
+            fecha: sesion.pago.fechaPago || sesion.fecha,
+            monto: aCargo,
+            aplicaciones: [{ sesion: sesion._id, monto: aCargo }],
+            metodoPago: ['efectivo', 'transferencia', 'tarjeta'].includes(sesion.pago.metodoPago)
+              ? sesion.pago.metodoPago
+              : 'otro',
+            concepto: 'Pago migrado de la sesión',
+          });
+          pagos++;
+        }
+
+        if (!tieneCargo) {
+          await MovimientoCuenta.sincronizarCargoSesion(sesion);
+          if (sesion.estado === 'realizada' && aCargo > 0) cargos++;
+        }
+      }
+
+      return {
+        success: true,
+        message: `Cuenta corriente migrada: ${cargos} cargos y ${pagos} pagos registrados`,
+        data: { cargos, pagos },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Validar que las sesiones a imputar sean del paciente y no superen su saldo impago
+   */
+  static async _validarAplicaciones(pacienteId, aplicaciones) {
+    if (!aplicaciones.length) return [];
+
+    const ids = aplicaciones.map(a => a.sesion);
+    const sesiones = await Sesion.find({ _id: { $in: ids }, paciente: pacienteId }).select('estado pago').lean();
+    const imputado = await MovimientoCuenta.obtenerImputadoPorSesion(
+      ids.map(id => new mongoose.Types.ObjectId(id))
+    );
+
+    return aplicaciones.map(aplicacion => {
+      const sesion = sesiones.find(s => s._id.toString() === String(aplicacion.sesion));
+
+      if (!sesion) {
+        throw new ErrorResponse(`La sesión ${aplicacion.sesion} no pertenece al paciente`, HTTP_STATUS.BAD_REQUEST);
+      }
+
+      if (sesion.estado === 'cancelada') {
+        throw new ErrorResponse(`La sesión ${aplicacion.sesion} está cancelada`, HTTP_STATUS.BAD_REQUEST);
+      }
+
+      const saldoSesion = montoACargoPaciente(sesion) - (imputado.get(sesion._id.toString()) || 0);
+      const monto = aplicacion.monto ?? saldoSesion;
+
+      if (monto <= 0 || monto > saldoSesion) {
+        throw new ErrorResponse(
+          `El monto imputado a la sesión ${aplicacion.sesion} debe ser mayor a 0 y no superar su saldo ($${saldoSesion})`,
+          HTTP_STATUS.BAD_REQUEST
+        );
+      }
+
+      return { sesion: sesion._id, monto };
+    });
+  }
+
+  static async _obtenerPaciente(pacienteId) {
+    const paciente = await Paciente.findById(pacienteId).select('_id');
+
+    if (!paciente) {
+      throw new ErrorResponse('Paciente no encontrado', HTTP_STATUS.NOT_FOUND);
+    }
+
+    return paciente;
+  }
+}
+
+export default CuentaPacienteService;
@@ -46,7 +46,7 @@ class EmailService {
    * @param {Object} options - Opciones del email
    * @returns {Promise<Object>}
    */
-  static async enviarEmail({ to, subject, html, text }) {
+  static async enviarEmail({ to, subject, html, text, attachments }) {
     try {
       // Validar configuración
       const validacion = this.validarConfiguracion();
@@ -81,6 +81,7 @@ class EmailService {
         subject,
         text,
         html,
+        ...(attachments?.length ? { attachments } : {}),
       };
 
       const response = await sgMail.send(msg);
@@ -700,6 +701,15 @@ class EmailService {
    * Envía email de resumen diario a administradores
    */
   static async enviarResumenDiario({ to, nombre, resumen }) {
+    const { cierreCaja } = resumen;
+    let cierreCajaTexto = 'Sin cerrar';
+
+    if (cierreCaja?.estado === 'cerrada') {
+      cierreCajaTexto = `$${cierreCaja.totalContado.toFixed(2)} (diferencia $${cierreCaja.diferencia.toFixed(2)})`;
+    } else if (cierreCaja) {
+      cierreCajaTexto = 'Reabierta';
+    }
+
     const html = `
       <!DOCTYPE html>
       <html lang="es">
@@ -776,6 +786,11 @@ class EmailService {
               <p>Pagos Pendientes</p>
             </div>
             
+            <div class="metric-box">
+              <div class="metric-value">${cierreCajaTexto}</div>
+              <p>Cierre de Caja</p>
+            </div>
+            
             <p>¡Que tengas un excelente día!</p>
           </div>
         </div>
@@ -795,6 +810,7 @@ class EmailService {
       Ingresos del Día: $${resumen.ingresosDia.toFixed(2)}
       Pacientes Nuevos: ${resumen.pacientesNuevos}
       Pagos Pendientes: ${resumen.pagosPendientes}
+      Cierre de Caja: ${cierreCajaTexto}
       
       ¡Que tengas un excelente día!
       
@@ -808,6 +824,220 @@ class EmailService {
       text,
     });
   }
+
+  /**
+   * Envía al paciente el recibo de un pago con el PDF adjunto
+   * @param {Object} datos - { to, pacienteNombre, numero, fecha, monto, pdf (Buffer) }
+   * @returns {Promise<Object>}
+   */
+  static async enviarRecibo({ to, pacienteNombre, numero, fecha, monto, pdf }) {
+    const fechaFormateada = new Date(fecha).toLocaleDateString('es-AR');
+    const montoFormateado = Number(monto).toFixed(2);
+
+    const html = `
+      <!DOCTYPE html>
+      <html lang="es">
+      <head>
+        <meta charset="UTF-8">
+        <style>
+          body {
+            font-family: Arial, sans-serif;
+            line-height: 1.6;
+            color: #333;
+          }
+          .container {
+            max-width: 600px;
+            margin: 0 auto;
+            padding: 20px;
+          }
+          .header {
+            background-color: #2c3e50;
+            color: white;
+            padding: 20px;
+            text-align: center;
+            border-radius: 10px 10px 0 0;
+          }
+          .content {
+            background-color: white;
+            padding: 30px;
+            border-radius: 0 0 10px 10px;
+          }
+          .info-box {
+            background-color: #ecf0f1;
+            padding: 20px;
+            border-left: 4px solid #2c3e50;
+            margin: 20px 0;
+            border-radius: 4px;
+          }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Recibo de Pago</h1>
+          </div>
+          <div class="content">
+            <h2>Hola ${pacienteNombre},</h2>
+            <p>Te enviamos el recibo de tu pago:</p>
+            <div class="info-box">
+              <p><strong>Recibo:</strong> ${numero}</p>
+              <p><strong>Fecha:</strong> ${fechaFormateada}</p>
+              <p><strong>Monto:</strong> $${montoFormateado}</p>
+            </div>
+            <p>Encontrarás el comprobante en PDF adjunto a este email.</p>
+            <p>¡Gracias!</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    const text = `
+      Hola ${pacienteNombre},
+      
+      Te enviamos el recibo de tu pago:
+      
+      Recibo: ${numero}
+      Fecha: ${fechaFormateada}
+      Monto: $${montoFormateado}
+      
+      Encontrarás el comprobante en PDF adjunto a este email.
+      
+      Clínica Fisioterapia
+    `;
+
+    return await this.enviarEmail({
+      to,
+      subject: `Recibo ${numero} - Clínica Fisioterapia`,
+      html,
+      text,
+      attachments: [{
+        content: pdf.toString('base64'),
+        filename: `recibo-${numero}.pdf`,
+        type: 'application/pdf',
+        disposition: 'attachment',
+      }],
+    });
+  }
+
+  /**
+   * Envía al paciente la hoja de su programa de ejercicios domiciliarios
+   * @param {Object} datos - { to, pacienteNombre, profesionalNombre, fecha, ejercicios, indicaciones, fechaFin }
+   * @returns {Promise<Object>}
+   */
+  static async enviarProgramaEjercicios({ to, pacienteNombre, profesionalNombre, fecha, ejercicios, indicaciones, fechaFin }) {
+    const fechaFormateada = new Date(fecha).toLocaleDateString('es-AR');
+    const hasta = fechaFin ? new Date(fechaFin).toLocaleDateString('es-AR') : null;
+
+    const dosisTexto = ({ series, repeticiones, duracionSegundos, frecuencia } = {}) => [
+      series && `${series} series`,
+      repeticiones && `${repeticiones} repeticiones`,
+      duracionSegundos && `${duracionSegundos} segundos`,
+      frecuencia,
+    ].filter(Boolean).join(' · ');
+
+    const ejerciciosHtml = ejercicios.map((ejercicio, indice) => `
+              <div class="ejercicio">
+                <h3>${indice + 1}. ${ejercicio.nombre}</h3>
+                ${ejercicio.imagenUrl ? `<img src="${ejercicio.imagenUrl}" alt="${ejercicio.nombre}">` : ''}
+                <p class="dosis">${dosisTexto(ejercicio.dosis)}</p>
+                ${ejercicio.descripcion ? `<p>${ejercicio.descripcion}</p>` : ''}
+                ${ejercicio.observaciones ? `<p><strong>Importante:</strong> ${ejercicio.observaciones}</p>` : ''}
+                ${ejercicio.videoUrl ? `<p><a href="${ejercicio.videoUrl}">Ver video del ejercicio</a></p>` : ''}
+              </div>`).join('');
+
+    const html = `
+      <!DOCTYPE html>
+      <html lang="es">
+      <head>
+        <meta charset="UTF-8">
+        <style>
+          body {
+            font-family: Arial, sans-serif;
+            line-height: 1.6;
+            color: #333;
+          }
+          .container {
+            max-width: 600px;
+            margin: 0 auto;
+            padding: 20px;
+          }
+          .header {
+            background-color: #2c3e50;
+            color: white;
+            padding: 20px;
+            text-align: center;
+            border-radius: 10px 10px 0 0;
+          }
+          .content {
+            background-color: white;
+            padding: 30px;
+            border-radius: 0 0 10px 10px;
+          }
+          .info-box {
+            background-color: #ecf0f1;
+            padding: 20px;
+            border-left: 4px solid #2c3e50;
+            margin: 20px 0;
+            border-radius: 4px;
+          }
+          .ejercicio {
+            border-bottom: 1px solid #ecf0f1;
+            padding: 15px 0;
+          }
+          .ejercicio img {
+            max-width: 100%;
+            border-radius: 4px;
+          }
+          .dosis {
+            font-weight: bold;
+            color: #3498db;
+          }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Tus Ejercicios en Casa</h1>
+          </div>
+          <div class="content">
+            <h2>Hola ${pacienteNombre},</h2>
+            <p>Estos son los ejercicios que te indicó ${profesionalNombre || 'tu fisioterapeuta'} el ${fechaFormateada}${hasta ? ` para hacer hasta el ${hasta}` : ''}:</p>
+            ${ejerciciosHtml}
+            ${indicaciones ? `<div class="info-box"><p><strong>Indicaciones:</strong> ${indicaciones}</p></div>` : ''}
+            <p>Si algún ejercicio te produce dolor, suspéndelo y cuéntanos en tu próxima sesión.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    const ejerciciosTexto = ejercicios.map((ejercicio, indice) => [
+      `${indice + 1}. ${ejercicio.nombre} - ${dosisTexto(ejercicio.dosis)}`,
+      ejercicio.descripcion,
+      ejercicio.observaciones && `Importante: ${ejercicio.observaciones}`,
+      ejercicio.videoUrl && `Video: ${ejercicio.videoUrl}`,
+    ].filter(Boolean).join('\n      ')).join('\n\n      ');
+
+    const text = `
+      Hola ${pacienteNombre},
+      
+      Estos son los ejercicios que te indicó ${profesionalNombre || 'tu fisioterapeuta'} el ${fechaFormateada}${hasta ? ` para hacer hasta el ${hasta}` : ''}:
+      
+      ${ejerciciosTexto}
+      ${indicaciones ? `\n      Indicaciones: ${indicaciones}\n` : ''}
+      Si algún ejercicio te produce dolor, suspéndelo y cuéntanos en tu próxima sesión.
+      
+      Clínica Fisioterapia
+    `;
+
+    return await this.enviarEmail({
+      to,
+      subject: 'Tus ejercicios en casa - Clínica Fisioterapia',
+      html,
+      text,
+    });
+  }
 }
 
 export default EmailService;
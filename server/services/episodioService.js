@@ -0,0 +1,529 @@
+import EpisodioTratamiento from '../models/EpisodioTratamiento.js';
+import Paciente from '../models/Paciente.js';
+import Sesion from '../models/Sesion.js';
+import Autorizacion from '../models/Autorizacion.js';
+import PlanTratamiento from '../models/PlanTratamiento.js';
+import ErrorResponse from '../utils/ErrorResponse.js';
+import { HTTP_STATUS } from '../conf/constants.js';
+
+// Campos del episodio que se pueden modificar
+const CAMPOS_EPISODIO = ['motivoConsulta', 'diagnostico', 'tratamiento', 'fechaApertura', 'observacionesCierre'];
+
+/**
+ * Servicio de episodios de tratamiento
+ * Cada episodio tiene su diagnóstico, numeración de sesiones, autorizaciones, plan y alta médica.
+ * El diagnóstico y el tratamiento del paciente reflejan los del episodio abierto.
+ */
+class EpisodioService {
+  /**
+   * Abrir un episodio de tratamiento nuevo (el paciente vuelve con otra lesión)
+   * @param {Object} datos - { paciente, motivoConsulta, diagnostico, tratamiento, fechaApertura }
+   * @param {String} userId - ID del usuario que lo abre
+   * @returns {Promise<Object>}
+   */
+  static async abrirEpisodio(datos, userId) {
+    try {
+      const paciente = await Paciente.findById(datos.paciente);
+
+      if (!paciente) {
+        throw new ErrorResponse('Paciente no encontrado', HTTP_STATUS.NOT_FOUND);
+      }
+
+      // Los pacientes anteriores a los episodios se migran antes de abrir el nuevo
+      await this._migrarPaciente(paciente);
+
+      const abierto = await EpisodioTratamiento.findOne({ paciente: paciente._id, estado: 'abierto' })
+        .select('numero')
+        .lean();
+
+      if (abierto) {
+        throw new ErrorResponse(
+          `El paciente tiene abierto el episodio N° ${abierto.numero}. Dé el alta o ciérrelo antes de abrir uno nuevo`,
+          HTTP_STATUS.CONFLICT
+        );
+      }
+
+      const episodio = await this._crearEpisodio(paciente, this._campos(datos), userId);
+
+      await this._sincronizarPaciente(episodio, { estado: 'activo', fechaAltaMedica: null });
+
+      return {
+        success: true,
+        message: `Episodio N° ${episodio.numero} abierto exitosamente`,
+        data: { episodio },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Listar los episodios de un paciente (el más reciente primero)
+   * @param {String} pacienteId - ID del paciente
+   * @returns {Promise<Object>}
+   */
+  static async obtenerEpisodiosPaciente(pacienteId) {
+    try {
+      const paciente = await Paciente.findById(pacienteId);
+
+      if (!paciente) {
+        throw new ErrorResponse('Paciente no encontrado', HTTP_STATUS.NOT_FOUND);
+      }
+
+      await this._migrarPaciente(paciente);
+
+      const episodios = await EpisodioTratamiento.find({ paciente: paciente._id })
+        .sort('-numero')
+        .lean();
+
+      return {
+        success: true,
+        data: {
+          episodios,
+          total: episodios.length,
+        },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener un episodio con sus autorizaciones y su plan de tratamiento
+   * @param {String} episodioId - ID del episodio
+   * @returns {Promise<Object>}
+   */
+  static async obtenerEpisodioPorId(episodioId) {
+    try {
+      const episodio = await EpisodioTratamiento.findById(episodioId)
+        .populate('paciente', 'nombre apellido dni')
+        .populate('creadoPor', 'nombre apellido')
+        .populate('cerradoPor', 'nombre apellido')
+        .lean();
+
+      if (!episodio) {
+        throw new ErrorResponse('Episodio no encontrado', HTTP_STATUS.NOT_FOUND);
+      }
+
+      const [autorizaciones, planes] = await Promise.all([
+        Autorizacion.find({ episodio: episodio._id })
+          .select('numeroOrden sesionesAutorizadas fechaInicio fechaVencimiento estado')
+          .sort('fechaInicio')
+          .lean(),
+        PlanTratamiento.find({ episodio: episodio._id })
+          .select('diagnostico estado fechaInicio fechaFinEstimada fechaCierre')
+          .sort('-fechaInicio')
+          .lean(),
+      ]);
+
+      return {
+        success: true,
+        data: {
+          episodio,
+          autorizaciones,
+          planes,
+        },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Actualizar el diagnóstico, el tratamiento o los datos de un episodio
+   * Si el episodio está abierto se refleja en la ficha del paciente
+   * @param {String} episodioId - ID del episodio
+   * @param {Object} datos - Campos a actualizar
+   * @returns {Promise<Object>}
+   */
+  static async actualizarEpisodio(episodioId, datos) {
+    try {
+      const episodio = await EpisodioTratamiento.findById(episodioId);
+
+      if (!episodio) {
+        throw new ErrorResponse('Episodio no encontrado', HTTP_STATUS.NOT_FOUND);
+      }
+
+      episodio.set(this._campos(datos));
+      await episodio.save();
+
+      if (episodio.estado === 'abierto') {
+        await this._sincronizarPaciente(episodio);
+      }
+
+      return {
+        success: true,
+        message: 'Episodio actualizado exitosamente',
+        data: { episodio },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Dar el alta médica de un episodio
+   * Finaliza el plan de tratamiento activo del episodio y marca al paciente de alta
+   * @param {String} episodioId - ID del episodio
+   * @param {Object} datosAlta - { fecha, observaciones }
+   * @param {String} userId - ID del usuario que da el alta
+   * @returns {Promise<Object>}
+   */
+  static async darAltaEpisodio(episodioId, datosAlta = {}, userId) {
+    try {
+      const episodio = await this._obtenerEpisodioAbierto(episodioId);
+      const fechaAlta = datosAlta.fecha ? new Date(datosAlta.fecha) : new Date();
+
+      episodio.set({
+        estado: 'alta',
+        fechaAltaMedica: fechaAlta,
+        fechaCierre: new Date(),
+        observacionesCierre: datosAlta.observaciones || episodio.observacionesCierre,
+        cerradoPor: userId,
+      });
+      await episodio.save();
+
+      await PlanTratamiento.updateMany(
+        { episodio: episodio._id, estado: 'activo' },
+        { $set: { estado: 'finalizado', fechaCierre: new Date(), modificadoPor: userId } }
+      );
+
+      const paciente = await Paciente.findById(episodio.paciente);
+      paciente.estado = 'alta';
+      paciente.fechaAltaMedica = fechaAlta;
+
+      if (datosAlta.observaciones) {
+        paciente.observaciones =
+          `${paciente.observaciones || ''}\n\nALTA MÉDICA (${new Date().toLocaleDateString()}): ${datosAlta.observaciones}`;
+      }
+
+      await paciente.save();
+
+      return {
+        success: true,
+        message: 'Alta médica registrada exitosamente',
+        data: {
+          episodio,
+          paciente: paciente.obtenerDatosPublicos(),
+        },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Cerrar un episodio sin alta médica (abandono, derivación)
+   * Cancela el plan de tratamiento activo del episodio
+   * @param {String} episodioId - ID del episodio
+   * @param {Object} datos - { observaciones, estadoPaciente }
+   * @param {String} userId - ID del usuario que lo cierra
+   * @returns {Promise<Object>}
+   */
+  static async cerrarEpisodio(episodioId, datos = {}, userId) {
+    try {
+      const episodio = await this._obtenerEpisodioAbierto(episodioId);
+
+      episodio.set({
+        estado: 'cerrado',
+        fechaCierre: new Date(),
+        observacionesCierre: datos.observaciones || episodio.observacionesCierre,
+        cerradoPor: userId,
+      });
+      await episodio.save();
+
+      await PlanTratamiento.updateMany(
+        { episodio: episodio._id, estado: 'activo' },
+        { $set: { estado: 'cancelado', fechaCierre: new Date(), modificadoPor: userId } }
+      );
+
+      await Paciente.updateOne(
+        { _id: episodio.paciente },
+        { $set: { estado: datos.estadoPaciente || 'inactivo' } }
+      );
+
+      return {
+        success: true,
+        message: `Episodio N° ${episodio.numero} cerrado exitosamente`,
+        data: { episodio },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Crear el episodio inicial de los pacientes que todavía no tienen episodios
+   * con su diagnóstico, tratamiento, sesiones, autorizaciones y planes actuales
+   * @returns {Promise<Object>}
+   */
+  static async migrarEpisodios() {
+    try {
+      const conEpisodios = await EpisodioTratamiento.distinct('paciente');
+      const pacientes = await Paciente.find({ _id: { $nin: conEpisodios } });
+
+      let migrados = 0;
+
+      for (const paciente of pacientes) {
+        if (await this._migrarPaciente(paciente)) migrados += 1;
+      }
+
+      return {
+        success: true,
+        message: `Episodios iniciales creados para ${migrados} pacientes`,
+        data: { pacientesMigrados: migrados },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Crear el primer episodio de un paciente recién registrado
+   * @param {Object} paciente - Documento del paciente
+   * @param {String} userId - ID del usuario que lo registra
+   * @returns {Promise<Object>} Episodio creado
+   */
+  static async crearEpisodioInicial(paciente, userId) {
+    const { diagnostico, tratamiento } = paciente.toObject();
+
+    return this._crearEpisodio(paciente, { diagnostico, tratamiento, fechaApertura: new Date() }, userId);
+  }
+
+  /**
+   * Episodio vigente del paciente: el abierto o, si no hay, el último
+   * @param {String} pacienteId - ID del paciente
+   * @returns {Promise<Object|null>}
+   */
+  static async obtenerEpisodioActual(pacienteId) {
+    const abierto = await EpisodioTratamiento.findOne({ paciente: pacienteId, estado: 'abierto' }).lean();
+    if (abierto) return abierto;
+
+    return EpisodioTratamiento.findOne({ paciente: pacienteId })
+      .sort({ numero: -1 })
+      .lean();
+  }
+
+  /**
+   * Resolver el episodio al que se vincula un registro nuevo del paciente (sesión, autorización, plan)
+   * - Si se indica un episodio se valida que sea del paciente
+   * - Si no, se toma el episodio abierto
+   * - Si el paciente tuvo alta y no tiene episodio abierto, se prepara uno nuevo sin diagnóstico
+   *   (episodioNuevo) que no se guarda hasta confirmarEpisodio: así, si falla alguna verificación
+   *   del registro, no queda un episodio vacío ni el paciente reactivado
+   * @param {Object} paciente - Documento del paciente
+   * @param {String} episodioId - Episodio indicado (opcional)
+   * @param {String} userId - ID del usuario
+   * @returns {Promise<Object>} { episodio, advertencias, episodioNuevo }
+   */
+  static async resolverEpisodio(paciente, episodioId, userId) {
+    const advertencias = [];
+
+    if (episodioId) {
+      const episodio = await EpisodioTratamiento.findOne({ _id: episodioId, paciente: paciente._id }).lean();
+
+      if (!episodio) {
+        throw new ErrorResponse('Episodio no encontrado para el paciente', HTTP_STATUS.NOT_FOUND);
+      }
+
+      if (episodio.estado !== 'abierto') {
+        advertencias.push(`El episodio N° ${episodio.numero} está cerrado`);
+      }
+
+      return { episodio, advertencias };
+    }
+
+    await this._migrarPaciente(paciente);
+
+    const episodio = await EpisodioTratamiento.findOne({ paciente: paciente._id, estado: 'abierto' }).lean();
+
+    if (episodio) {
+      return { episodio, advertencias, episodioNuevo: null };
+    }
+
+    const episodioNuevo = await this._construirEpisodio(paciente, {}, userId);
+    advertencias.push(`Se abrió el episodio de tratamiento N° ${episodioNuevo.numero}; complete el diagnóstico`);
+
+    return { episodio: episodioNuevo.toObject(), advertencias, episodioNuevo };
+  }
+
+  /**
+   * Guardar el episodio preparado por resolverEpisodio (si hubo que abrir uno)
+   * y reactivar al paciente. Se llama después de las verificaciones del registro
+   * @param {Object} resolucion - Resultado de resolverEpisodio
+   */
+  static async confirmarEpisodio({ episodioNuevo }) {
+    if (!episodioNuevo || !episodioNuevo.isNew) return;
+
+    await this._guardarEpisodio(episodioNuevo);
+    await this._sincronizarPaciente(episodioNuevo, { estado: 'activo', fechaAltaMedica: null });
+  }
+
+  /**
+   * Actualizar el tratamiento de un episodio (y del paciente si es el episodio abierto)
+   * @param {String} episodioId - ID del episodio
+   * @param {Object} tratamiento - Campos de tratamiento a actualizar
+   */
+  static async actualizarTratamiento(episodioId, tratamiento) {
+    const cambios = Object.fromEntries(
+      Object.entries(tratamiento)
+        .filter(([, valor]) => valor !== undefined)
+        .map(([campo, valor]) => [`tratamiento.${campo}`, valor])
+    );
+
+    const episodio = await EpisodioTratamiento.findByIdAndUpdate(episodioId, { $set: cambios }, { new: true });
+
+    if (episodio?.estado === 'abierto') {
+      await Paciente.updateOne({ _id: episodio.paciente }, { $set: cambios });
+    }
+  }
+
+  /**
+   * Reflejar en la ficha del paciente los datos del episodio abierto al modificarla
+   * @param {String} pacienteId - ID del paciente
+   * @param {Object} datos - { diagnostico, tratamiento } actualizados del paciente
+   */
+  static async sincronizarDesdePaciente(pacienteId, { diagnostico, tratamiento }) {
+    const cambios = {
+      ...(diagnostico !== undefined && { diagnostico }),
+      ...(tratamiento !== undefined && { tratamiento }),
+    };
+
+    if (!Object.keys(cambios).length) return;
+
+    await EpisodioTratamiento.updateOne({ paciente: pacienteId, estado: 'abierto' }, { $set: cambios });
+  }
+
+  // ============================================================
+  // Helpers privados
+  // ============================================================
+
+  static _campos(datos) {
+    return Object.fromEntries(
+      CAMPOS_EPISODIO
+        .filter(campo => datos[campo] !== undefined)
+        .map(campo => [campo, datos[campo]])
+    );
+  }
+
+  /**
+   * Obtener un episodio que todavía esté abierto
+   */
+  static async _obtenerEpisodioAbierto(episodioId) {
+    const episodio = await EpisodioTratamiento.findById(episodioId);
+
+    if (!episodio) {
+      throw new ErrorResponse('Episodio no encontrado', HTTP_STATUS.NOT_FOUND);
+    }
+
+    if (episodio.estado !== 'abierto') {
+      throw new ErrorResponse(`El episodio N° ${episodio.numero} ya está cerrado`, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    return episodio;
+  }
+
+  /**
+   * Crear un episodio con el número siguiente del paciente
+   */
+  static async _crearEpisodio(paciente, datos, userId) {
+    return this._guardarEpisodio(await this._construirEpisodio(paciente, datos, userId));
+  }
+
+  /**
+   * Preparar (sin guardar) un episodio con el número siguiente del paciente
+   */
+  static async _construirEpisodio(paciente, datos, userId) {
+    const ultimo = await EpisodioTratamiento.findOne({ paciente: paciente._id })
+      .sort('-numero')
+      .select('numero')
+      .lean();
+
+    return new EpisodioTratamiento({
+      ...datos,
+      paciente: paciente._id,
+      numero: (ultimo?.numero || 0) + 1,
+      creadoPor: userId,
+    });
+  }
+
+  static async _guardarEpisodio(episodio) {
+    try {
+      return await episodio.save();
+    } catch (error) {
+      // Otro pedido abrió un episodio del paciente al mismo tiempo
+      if (error.code === 11000) {
+        throw new ErrorResponse('El paciente ya tiene un episodio abierto', HTTP_STATUS.CONFLICT);
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Crear el episodio N° 1 de un paciente anterior a los episodios con sus datos actuales
+   * y vincularle las sesiones, autorizaciones y planes existentes
+   * @returns {Promise<Boolean>} true si se migró el paciente
+   */
+  static async _migrarPaciente(paciente) {
+    if (await EpisodioTratamiento.exists({ paciente: paciente._id })) return false;
+
+    const primeraSesion = await Sesion.findOne({ paciente: paciente._id })
+      .sort('fecha')
+      .select('fecha')
+      .lean();
+
+    const { diagnostico, tratamiento } = paciente.toObject();
+    const conAlta = paciente.estado === 'alta';
+
+    let episodio;
+    try {
+      episodio = await EpisodioTratamiento.create({
+        paciente: paciente._id,
+        numero: 1,
+        estado: conAlta ? 'alta' : 'abierto',
+        diagnostico,
+        tratamiento,
+        fechaApertura: tratamiento?.fechaInicio || primeraSesion?.fecha || paciente.fechaAlta || paciente.createdAt,
+        fechaAltaMedica: conAlta ? paciente.fechaAltaMedica : null,
+        fechaCierre: conAlta ? paciente.fechaAltaMedica || new Date() : null,
+      });
+    } catch (error) {
+      // Otro pedido ya migró al paciente
+      if (error.code === 11000) return false;
+      throw error;
+    }
+
+    const filtro = { paciente: paciente._id, episodio: null };
+
+    await Promise.all([
+      Sesion.updateMany(filtro, { $set: { episodio: episodio._id } }),
+      Autorizacion.updateMany(filtro, { $set: { episodio: episodio._id } }),
+      PlanTratamiento.updateMany(filtro, { $set: { episodio: episodio._id } }),
+    ]);
+
+    await EpisodioTratamiento.actualizarEstadisticas(episodio._id);
+
+    return true;
+  }
+
+  /**
+   * Copiar el diagnóstico y el tratamiento del episodio abierto a la ficha del paciente
+   */
+  static async _sincronizarPaciente(episodio, extra = {}) {
+    const { paciente, diagnostico, tratamiento } = episodio.toObject ? episodio.toObject() : episodio;
+
+    await Paciente.updateOne(
+      { _id: paciente },
+      {
+        $set: {
+          diagnostico: diagnostico || {},
+          tratamiento: tratamiento || {},
+          ...extra,
+        },
+      }
+    );
+  }
+}
+
+export default EpisodioService;
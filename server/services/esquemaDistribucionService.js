@@ -0,0 +1,342 @@
+import EsquemaDistribucion from '../models/EsquemaDistribucion.js';
+import PagoPersonal from '../models/PagoPersonal.js';
+import User from '../models/User.js';
+import ErrorResponse from '../utils/ErrorResponse.js';
+import { HTTP_STATUS } from '../conf/constants.js';
+
+// Reparto fijo que usaba la planilla antes de los esquemas configurables
+const REPARTO_ANTERIOR = [
+  { clave: 'farfan', valor: 30 },
+  { clave: 'mica', valor: 20 },
+  { clave: 'ffma', valor: 50, recibeRedondeo: true },
+];
+
+/**
+ * Servicio de esquemas de distribución de la planilla de pagos del personal
+ * Cada esquema es una versión que rige desde su fecha hasta la versión siguiente
+ */
+class EsquemaDistribucionService {
+  /**
+   * Crear una versión del esquema de distribución
+   * @param {Object} datos - { nombre, vigenciaDesde, participantes, observaciones }
+   * @param {String} userId - ID del usuario que lo crea
+   * @returns {Promise<Object>}
+   */
+  static async crearEsquema(datos, userId) {
+    try {
+      const esquema = new EsquemaDistribucion({
+        nombre: datos.nombre,
+        vigenciaDesde: datos.vigenciaDesde,
+        participantes: await this._resolverParticipantes(datos.participantes),
+        observaciones: datos.observaciones,
+        creadoPor: userId,
+      });
+
+      // La validación normaliza la vigencia al inicio del día
+      await esquema.validate();
+      await this._verificarVigenciaDisponible(esquema.vigenciaDesde);
+      await esquema.save();
+
+      return {
+        success: true,
+        message: 'Esquema de distribución creado exitosamente',
+        data: { esquema },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Listar las versiones del esquema (la más reciente primero)
+   * @returns {Promise<Object>}
+   */
+  static async obtenerEsquemas() {
+    try {
+      const esquemas = await EsquemaDistribucion.find()
+        .sort('-vigenciaDesde')
+        .populate('participantes.usuario', 'nombre apellido email')
+        .lean();
+
+      const registrosPorEsquema = await PagoPersonal.aggregate([
+        { $match: { esquema: { $in: esquemas.map(e => e._id) } } },
+        { $group: { _id: '$esquema', cantidad: { $sum: 1 } } },
+      ]);
+
+      const cantidades = new Map(registrosPorEsquema.map(r => [r._id.toString(), r.cantidad]));
+
+      return {
+        success: true,
+        data: {
+          esquemas: esquemas.map(e => ({
+            ...e,
+            cantidadRegistros: cantidades.get(e._id.toString()) || 0,
+          })),
+          total: esquemas.length,
+        },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener una versión del esquema por ID
+   * @param {String} esquemaId - ID del esquema
+   * @returns {Promise<Object>}
+   */
+  static async obtenerEsquemaPorId(esquemaId) {
+    try {
+      const esquema = await EsquemaDistribucion.findById(esquemaId)
+        .populate('participantes.usuario', 'nombre apellido email')
+        .lean();
+
+      if (!esquema) {
+        throw new ErrorResponse('Esquema de distribución no encontrado', HTTP_STATUS.NOT_FOUND);
+      }
+
+      const cantidadRegistros = await PagoPersonal.countDocuments({ esquema: esquema._id });
+
+      return {
+        success: true,
+        data: {
+          esquema: { ...esquema, cantidadRegistros },
+        },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener la versión vigente para una fecha
+   * @param {Date} fecha - Fecha a consultar (por defecto hoy)
+   * @returns {Promise<Object>}
+   */
+  static async obtenerEsquemaVigente(fecha = new Date()) {
+    try {
+      const fechaConsulta = new Date(fecha);
+
+      if (Number.isNaN(fechaConsulta.getTime())) {
+        throw new ErrorResponse('Fecha inválida', HTTP_STATUS.BAD_REQUEST);
+      }
+
+      const esquema = await EsquemaDistribucion.obtenerVigente(fechaConsulta)
+        .populate('participantes.usuario', 'nombre apellido email');
+
+      if (!esquema) {
+        throw new ErrorResponse(
+          'No hay un esquema de distribución vigente para la fecha indicada',
+          HTTP_STATUS.NOT_FOUND
+        );
+      }
+
+      return {
+        success: true,
+        data: { esquema },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Actualizar una versión del esquema
+   * Solo se puede si ningún registro de la planilla se repartió con ella:
+   * para cambiar el reparto de ahí en adelante se crea una versión nueva
+   * @param {String} esquemaId - ID del esquema
+   * @param {Object} datos - Datos a actualizar
+   * @param {String} userId - ID del usuario que modifica
+   * @returns {Promise<Object>}
+   */
+  static async actualizarEsquema(esquemaId, datos, userId) {
+    try {
+      const esquema = await this._obtenerEsquemaSinUso(esquemaId, 'modificar');
+
+      if (datos.nombre !== undefined) esquema.nombre = datos.nombre;
+      if (datos.observaciones !== undefined) esquema.observaciones = datos.observaciones;
+
+      if (datos.vigenciaDesde !== undefined) {
+        esquema.vigenciaDesde = datos.vigenciaDesde;
+        await esquema.validate();
+        await this._verificarVigenciaDisponible(esquema.vigenciaDesde, esquema._id);
+      }
+
+      if (datos.participantes !== undefined) {
+        esquema.participantes = await this._resolverParticipantes(datos.participantes);
+      }
+
+      esquema.modificadoPor = userId;
+      await esquema.save();
+
+      return {
+        success: true,
+        message: 'Esquema de distribución actualizado exitosamente',
+        data: { esquema },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Eliminar una versión del esquema que no se usó en ningún registro
+   * @param {String} esquemaId - ID del esquema
+   * @returns {Promise<Object>}
+   */
+  static async eliminarEsquema(esquemaId) {
+    try {
+      const esquema = await this._obtenerEsquemaSinUso(esquemaId, 'eliminar');
+      await esquema.deleteOne();
+
+      return {
+        success: true,
+        message: 'Esquema de distribución eliminado exitosamente',
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Migrar la planilla al esquema configurable
+   * Crea la versión inicial con el reparto anterior (30% / 20% / 50%) vinculada a los
+   * usuarios indicados y convierte los registros guardados con el formato anterior
+   * conservando los montos que ya tenían
+   * @param {Object} usuarios - { farfan, mica, ffma } IDs de usuario de cada participante
+   * @param {String} userId - ID del usuario que ejecuta la migración
+   * @returns {Promise<Object>}
+   */
+  static async migrarRegistrosAnteriores(usuarios, userId) {
+    try {
+      const participantes = await this._resolverParticipantes(
+        REPARTO_ANTERIOR.map(({ clave, valor, recibeRedondeo = false }) => ({
+          usuario: usuarios[clave],
+          tipo: 'porcentaje',
+          valor,
+          recibeRedondeo,
+        }))
+      );
+
+      const filtroAnteriores = { 'distribucion.farfan': { $exists: true } };
+      const [primerRegistro] = await PagoPersonal.collection
+        .find(filtroAnteriores)
+        .sort({ fecha: 1 })
+        .limit(1)
+        .toArray();
+
+      let esquema = primerRegistro
+        ? await EsquemaDistribucion.obtenerVigente(primerRegistro.fecha)
+        : await EsquemaDistribucion.findOne().sort('vigenciaDesde');
+      let esquemaCreado = false;
+
+      if (!esquema) {
+        esquema = await EsquemaDistribucion.create({
+          nombre: 'Reparto inicial',
+          vigenciaDesde: primerRegistro?.fecha || new Date(Date.UTC(2000, 0, 1)),
+          participantes,
+          observaciones: 'Creado al migrar la planilla de pagos del personal',
+          creadoPor: userId,
+        });
+        esquemaCreado = true;
+      }
+
+      const registros = await PagoPersonal.collection.find(filtroAnteriores).toArray();
+
+      for (const registro of registros) {
+        const distribucion = REPARTO_ANTERIOR.map(({ clave }, indice) => ({
+          participante: participantes[indice].usuario,
+          nombre: participantes[indice].nombre,
+          monto: Number(registro.distribucion[clave] || 0),
+        }));
+
+        await PagoPersonal.collection.updateOne(
+          { _id: registro._id },
+          { $set: { distribucion, esquema: esquema._id } }
+        );
+      }
+
+      return {
+        success: true,
+        message: `${registros.length} registros migrados al esquema de distribución`,
+        data: {
+          esquema,
+          esquemaCreado,
+          registrosMigrados: registros.length,
+        },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // ============================================================
+  // Helpers privados
+  // ============================================================
+
+  /**
+   * Validar que los usuarios existan y copiar su nombre al participante
+   */
+  static async _resolverParticipantes(participantes = []) {
+    if (!Array.isArray(participantes)) {
+      throw new ErrorResponse('Los participantes deben ser una lista', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    const usuarios = await User.find({ _id: { $in: participantes.map(p => p.usuario) } })
+      .select('nombre apellido')
+      .lean();
+    const usuariosPorId = new Map(usuarios.map(u => [u._id.toString(), u]));
+
+    return participantes.map(p => {
+      const usuario = usuariosPorId.get(String(p.usuario));
+
+      if (!usuario) {
+        throw new ErrorResponse(`Usuario ${p.usuario} no encontrado`, HTTP_STATUS.NOT_FOUND);
+      }
+
+      return {
+        usuario: usuario._id,
+        nombre: [usuario.nombre, usuario.apellido].filter(Boolean).join(' '),
+        tipo: p.tipo || 'porcentaje',
+        valor: p.valor,
+        recibeRedondeo: Boolean(p.recibeRedondeo),
+      };
+    });
+  }
+
+  static async _verificarVigenciaDisponible(vigenciaDesde, excluirId = null) {
+    const query = { vigenciaDesde };
+    if (excluirId) query._id = { $ne: excluirId };
+
+    if (await EsquemaDistribucion.exists(query)) {
+      throw new ErrorResponse(
+        'Ya existe una versión del esquema con esa fecha de vigencia',
+        HTTP_STATUS.CONFLICT
+      );
+    }
+  }
+
+  /**
+   * Obtener un esquema que todavía no se usó para repartir registros
+   */
+  static async _obtenerEsquemaSinUso(esquemaId, accion) {
+    const esquema = await EsquemaDistribucion.findById(esquemaId);
+
+    if (!esquema) {
+      throw new ErrorResponse('Esquema de distribución no encontrado', HTTP_STATUS.NOT_FOUND);
+    }
+
+    const cantidadRegistros = await PagoPersonal.countDocuments({ esquema: esquema._id });
+
+    if (cantidadRegistros > 0) {
+      throw new ErrorResponse(
+        `No se puede ${accion} el esquema porque ya se usó en ${cantidadRegistros} registros de la planilla. Cree una nueva versión con otra fecha de vigencia`,
+        HTTP_STATUS.CONFLICT
+      );
+    }
+
+    return esquema;
+  }
+}
+
+export default EsquemaDistribucionService;
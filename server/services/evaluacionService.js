@@ -0,0 +1,450 @@
+import mongoose from 'mongoose';
+import PlantillaEvaluacion from '../models/PlantillaEvaluacion.js';
+import Evaluacion from '../models/Evaluacion.js';
+import Paciente from '../models/Paciente.js';
+import Sesion from '../models/Sesion.js';
+import ErrorResponse from '../utils/ErrorResponse.js';
+import { PLANTILLAS_EVALUACION_PREDEFINIDAS } from '../conf/plantillasEvaluacion.js';
+import { HTTP_STATUS } from '../conf/constants.js';
+
+// Campos de una plantilla que se copian a cada versión nueva
+const CAMPOS_PLANTILLA = ['nombre', 'descripcion', 'tipo', 'items', 'puntuacion'];
+
+/**
+ * Servicio de evaluaciones clínicas estructuradas (goniometría, fuerza y cuestionarios)
+ * Las plantillas se versionan: modificar una crea una versión nueva y las evaluaciones
+ * ya registradas conservan la versión con la que se puntuaron
+ */
+class EvaluacionService {
+  /**
+   * Crear una plantilla de evaluación (versión 1)
+   * @param {Object} datos - { clave, nombre, descripcion, tipo, items, puntuacion }
+   * @param {String} userId - ID del usuario que la crea
+   * @returns {Promise<Object>}
+   */
+  static async crearPlantilla(datos, userId) {
+    try {
+      if (await PlantillaEvaluacion.exists({ clave: String(datos.clave).toLowerCase() })) {
+        throw new ErrorResponse(
+          `Ya existe una plantilla con la clave ${datos.clave}. Modifíquela para crear una nueva versión`,
+          HTTP_STATUS.CONFLICT
+        );
+      }
+
+      const plantilla = await PlantillaEvaluacion.create({
+        clave: datos.clave,
+        ...this._camposPlantilla(datos),
+        creadoPor: userId,
+      });
+
+      return {
+        success: true,
+        message: 'Plantilla de evaluación creada exitosamente',
+        data: { plantilla },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Cargar las plantillas predefinidas que todavía no existen
+   * (goniometría, Daniels, Oswestry, NDI, DASH y KOOS)
+   * @param {String} userId - ID del usuario que las carga
+   * @returns {Promise<Object>}
+   */
+  static async cargarPlantillasPredefinidas(userId) {
+    try {
+      const existentes = await PlantillaEvaluacion.distinct('clave', {
+        clave: { $in: PLANTILLAS_EVALUACION_PREDEFINIDAS.map(p => p.clave) },
+      });
+
+      const nuevas = PLANTILLAS_EVALUACION_PREDEFINIDAS.filter(p => !existentes.includes(p.clave));
+      const plantillas = [];
+
+      for (const datos of nuevas) {
+        plantillas.push(await PlantillaEvaluacion.create({ ...datos, creadoPor: userId }));
+      }
+
+      return {
+        success: true,
+        message: `${plantillas.length} plantillas predefinidas cargadas`,
+        data: {
+          plantillas,
+          omitidas: existentes,
+        },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Listar plantillas (por defecto la versión vigente de cada una)
+   * @param {Object} opciones - { tipo, clave, todasLasVersiones, incluirInactivas }
+   * @returns {Promise<Object>}
+   */
+  static async obtenerPlantillas(opciones = {}) {
+    try {
+      const { tipo, clave, todasLasVersiones, incluirInactivas } = opciones;
+      const query = {};
+
+      if (tipo) query.tipo = tipo;
+      if (clave) query.clave = String(clave).toLowerCase();
+      if (todasLasVersiones !== 'true') query.vigente = true;
+      if (incluirInactivas !== 'true') query.activa = true;
+
+      const plantillas = await PlantillaEvaluacion.find(query)
+        .sort('nombre -version')
+        .lean();
+
+      return {
+        success: true,
+        data: {
+          plantillas,
+          total: plantillas.length,
+        },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener una plantilla por ID
+   * @param {String} plantillaId - ID de la plantilla
+   * @returns {Promise<Object>}
+   */
+  static async obtenerPlantillaPorId(plantillaId) {
+    try {
+      const plantilla = await this._obtenerPlantilla(plantillaId);
+
+      return {
+        success: true,
+        data: { plantilla },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Modificar una plantilla: crea una versión nueva a partir de la vigente
+   * @param {String} plantillaId - ID de cualquier versión de la plantilla
+   * @param {Object} datos - Campos a cambiar
+   * @param {String} userId - ID del usuario que la modifica
+   * @returns {Promise<Object>}
+   */
+  static async crearVersion(plantillaId, datos, userId) {
+    try {
+      const { clave } = await this._obtenerPlantilla(plantillaId);
+      const vigente = await PlantillaEvaluacion.findOne({ clave, vigente: true });
+
+      const nueva = new PlantillaEvaluacion({
+        clave,
+        version: vigente.version + 1,
+        activa: vigente.activa,
+        ...this._camposPlantilla(vigente.toObject()),
+        ...this._camposPlantilla(datos),
+        creadoPor: userId,
+      });
+
+      await nueva.save();
+
+      vigente.vigente = false;
+      await vigente.save();
+
+      return {
+        success: true,
+        message: `Versión ${nueva.version} de la plantilla creada exitosamente`,
+        data: { plantilla: nueva },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Activar o desactivar una plantilla (todas sus versiones)
+   * Una plantilla inactiva no se ofrece para evaluaciones nuevas
+   * @param {String} plantillaId - ID de cualquier versión de la plantilla
+   * @param {Boolean} activa - Nuevo estado
+   * @returns {Promise<Object>}
+   */
+  static async cambiarEstadoPlantilla(plantillaId, activa) {
+    try {
+      const { clave } = await this._obtenerPlantilla(plantillaId);
+      await PlantillaEvaluacion.updateMany({ clave }, { $set: { activa } });
+
+      return {
+        success: true,
+        message: activa ? 'Plantilla activada exitosamente' : 'Plantilla desactivada exitosamente',
+        data: { clave, activa },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Registrar una evaluación de un paciente
+   * El resultado se calcula con la versión vigente de la plantilla
+   * @param {Object} datos - { paciente, sesion, plantilla (ID o clave), momento, fecha, respuestas, observaciones }
+   * @param {String} userId - ID del profesional que evalúa
+   * @returns {Promise<Object>}
+   */
+  static async registrarEvaluacion(datos, userId) {
+    try {
+      if (!(await Paciente.exists({ _id: datos.paciente }))) {
+        throw new ErrorResponse('Paciente no encontrado', HTTP_STATUS.NOT_FOUND);
+      }
+
+      const sesion = await this._obtenerSesionDelPaciente(datos.sesion, datos.paciente);
+      const plantilla = await this._obtenerPlantillaVigente(datos.plantilla);
+      const respuestas = this._validarRespuestas(plantilla, datos.respuestas);
+
+      const evaluacion = await Evaluacion.create({
+        paciente: datos.paciente,
+        sesion: sesion?._id || null,
+        plantilla: plantilla._id,
+        clave: plantilla.clave,
+        nombre: plantilla.nombre,
+        tipo: plantilla.tipo,
+        version: plantilla.version,
+        momento: datos.momento,
+        fecha: datos.fecha || sesion?.fecha || new Date(),
+        respuestas,
+        resultado: plantilla.calcularResultado(respuestas),
+        observaciones: datos.observaciones,
+        profesional: userId,
+      });
+
+      return {
+        success: true,
+        message: 'Evaluación registrada exitosamente',
+        data: { evaluacion },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Listar las evaluaciones de un paciente (la más reciente primero)
+   * @param {String} pacienteId - ID del paciente
+   * @param {Object} opciones - { clave, tipo, sesion, page, limit }
+   * @returns {Promise<Object>}
+   */
+  static async obtenerEvaluaciones(pacienteId, opciones = {}) {
+    try {
+      const { clave, tipo, sesion, page = 1, limit = 20 } = opciones;
+      const query = { paciente: pacienteId };
+
+      if (clave) query.clave = String(clave).toLowerCase();
+      if (tipo) query.tipo = tipo;
+      if (sesion) query.sesion = sesion;
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const [evaluaciones, total] = await Promise.all([
+        Evaluacion.find(query)
+          .sort('-fecha')
+          .skip(skip)
+          .limit(parseInt(limit))
+          .populate('profesional', 'nombre apellido')
+          .lean(),
+        Evaluacion.countDocuments(query),
+      ]);
+
+      return {
+        success: true,
+        data: {
+          evaluaciones,
+          pagination: {
+            total,
+            page: parseInt(page),
+            pages: Math.ceil(total / parseInt(limit)),
+            limit: parseInt(limit),
+          },
+        },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener una evaluación con la versión de plantilla con la que se registró
+   * @param {String} evaluacionId - ID de la evaluación
+   * @returns {Promise<Object>}
+   */
+  static async obtenerEvaluacionPorId(evaluacionId) {
+    try {
+      const evaluacion = await Evaluacion.findById(evaluacionId)
+        .populate('plantilla')
+        .populate('paciente', 'nombre apellido dni')
+        .populate('sesion', 'fecha numeroSesion')
+        .populate('profesional', 'nombre apellido');
+
+      if (!evaluacion) {
+        throw new ErrorResponse('Evaluación no encontrada', HTTP_STATUS.NOT_FOUND);
+      }
+
+      return {
+        success: true,
+        data: { evaluacion },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Corregir una evaluación. Se vuelve a puntuar con su misma versión de plantilla
+   * @param {String} evaluacionId - ID de la evaluación
+   * @param {Object} datos - { respuestas, momento, fecha, observaciones }
+   * @param {String} userId - ID del usuario que modifica
+   * @returns {Promise<Object>}
+   */
+  static async actualizarEvaluacion(evaluacionId, datos, userId) {
+    try {
+      const evaluacion = await Evaluacion.findById(evaluacionId);
+
+      if (!evaluacion) {
+        throw new ErrorResponse('Evaluación no encontrada', HTTP_STATUS.NOT_FOUND);
+      }
+
+      if (datos.respuestas !== undefined) {
+        const plantilla = await this._obtenerPlantilla(evaluacion.plantilla);
+        evaluacion.respuestas = this._validarRespuestas(plantilla, datos.respuestas);
+        evaluacion.resultado = plantilla.calcularResultado(evaluacion.respuestas);
+      }
+
+      ['momento', 'fecha', 'observaciones'].forEach(campo => {
+        if (datos[campo] !== undefined) evaluacion[campo] = datos[campo];
+      });
+
+      evaluacion.modificadoPor = userId;
+      await evaluacion.save();
+
+      return {
+        success: true,
+        message: 'Evaluación actualizada exitosamente',
+        data: { evaluacion },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Eliminar una evaluación
+   * @param {String} evaluacionId - ID de la evaluación
+   * @returns {Promise<Object>}
+   */
+  static async eliminarEvaluacion(evaluacionId) {
+    try {
+      const evaluacion = await Evaluacion.findByIdAndDelete(evaluacionId);
+
+      if (!evaluacion) {
+        throw new ErrorResponse('Evaluación no encontrada', HTTP_STATUS.NOT_FOUND);
+      }
+
+      return {
+        success: true,
+        message: 'Evaluación eliminada exitosamente',
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // ============================================================
+  // Helpers privados
+  // ============================================================
+
+  static _camposPlantilla(datos) {
+    return Object.fromEntries(
+      CAMPOS_PLANTILLA
+        .filter(campo => datos[campo] !== undefined)
+        .map(campo => [campo, datos[campo]])
+    );
+  }
+
+  static async _obtenerPlantilla(plantillaId) {
+    const plantilla = await PlantillaEvaluacion.findById(plantillaId);
+
+    if (!plantilla) {
+      throw new ErrorResponse('Plantilla de evaluación no encontrada', HTTP_STATUS.NOT_FOUND);
+    }
+
+    return plantilla;
+  }
+
+  /**
+   * Versión vigente y activa de una plantilla indicada por ID (de cualquier versión) o por clave
+   */
+  static async _obtenerPlantillaVigente(plantillaOClave) {
+    let plantilla = await PlantillaEvaluacion.findOne({
+      clave: String(plantillaOClave || '').toLowerCase(),
+      vigente: true,
+    });
+
+    if (!plantilla && mongoose.Types.ObjectId.isValid(plantillaOClave)) {
+      const { clave } = await this._obtenerPlantilla(plantillaOClave);
+      plantilla = await PlantillaEvaluacion.findOne({ clave, vigente: true });
+    }
+
+    if (!plantilla) {
+      throw new ErrorResponse('Plantilla de evaluación no encontrada', HTTP_STATUS.NOT_FOUND);
+    }
+
+    if (!plantilla.activa) {
+      throw new ErrorResponse('La plantilla de evaluación está desactivada', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    return plantilla;
+  }
+
+  static async _obtenerSesionDelPaciente(sesionId, pacienteId) {
+    if (!sesionId) return null;
+
+    const sesion = await Sesion.findById(sesionId).select('paciente fecha').lean();
+
+    if (!sesion) {
+      throw new ErrorResponse('Sesión no encontrada', HTTP_STATUS.NOT_FOUND);
+    }
+
+    if (sesion.paciente.toString() !== String(pacienteId)) {
+      throw new ErrorResponse('La sesión no pertenece al paciente', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    return sesion;
+  }
+
+  /**
+   * Validar las respuestas contra la plantilla y normalizar el lado
+   * (los ítems que no se miden por lado se guardan sin lado)
+   */
+  static _validarRespuestas(plantilla, respuestas) {
+    if (!Array.isArray(respuestas)) {
+      throw new ErrorResponse('Las respuestas deben ser una lista', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    const errores = plantilla.validarRespuestas(respuestas);
+
+    if (errores.length) {
+      throw new ErrorResponse(errores.map(e => e.message).join('. '), HTTP_STATUS.BAD_REQUEST);
+    }
+
+    const porLado = new Set(plantilla.items.filter(item => item.porLado).map(item => item.codigo));
+
+    return respuestas.map(({ codigo, lado, valor }) => ({
+      codigo,
+      lado: porLado.has(codigo) ? lado : null,
+      valor,
+    }));
+  }
+}
+
+export default EvaluacionService;
@@ -1,5 +1,11 @@
 import Sesion from '../models/Sesion.js';
 import Paciente from '../models/Paciente.js';
+import Evaluacion from '../models/Evaluacion.js';
+import PlantillaEvaluacion from '../models/PlantillaEvaluacion.js';
+import PlanTratamiento from '../models/PlanTratamiento.js';
+import EpisodioTratamiento from '../models/EpisodioTratamiento.js';
+import PlanTratamientoService from './planTratamientoService.js';
+import EpisodioService from './episodioService.js';
 import ErrorResponse from '../utils/ErrorResponse.js';
 import { HTTP_STATUS } from '../conf/constants.js';
 
@@ -9,10 +15,11 @@ import { HTTP_STATUS } from '../conf/constants.js';
 class EvolucionService {
   /**
    * Obtener datos de evolución de un paciente
+   * Por defecto muestra el episodio vigente (abierto o último); episodio=todos muestra toda la historia
    */
   static async obtenerDatosEvolucion(pacienteId, opciones = {}) {
     try {
-      const { fechaInicio = null, fechaFin = null } = opciones;
+      const { fechaInicio = null, fechaFin = null, episodio: episodioId = null } = opciones;
 
       // Verificar que el paciente existe
       const paciente = await Paciente.findById(pacienteId);
@@ -20,6 +27,18 @@ class EvolucionService {
         throw new ErrorResponse('Paciente no encontrado', HTTP_STATUS.NOT_FOUND);
       }
 
+      let episodio = null;
+
+      if (episodioId && episodioId !== 'todos') {
+        episodio = await EpisodioTratamiento.findOne({ _id: episodioId, paciente: pacienteId }).lean();
+
+        if (!episodio) {
+          throw new ErrorResponse('Episodio no encontrado para el paciente', HTTP_STATUS.NOT_FOUND);
+        }
+      } else if (!episodioId) {
+        episodio = await EpisodioService.obtenerEpisodioActual(pacienteId);
+      }
+
       // Construir query
       const query = { paciente: pacienteId, estado: 'realizada' };
       
@@ -29,12 +48,37 @@ class EvolucionService {
         if (fechaFin) query.fecha.$lte = new Date(fechaFin);
       }
 
+      if (episodio) {
+        query.episodio = episodio._id;
+      }
+
       // Obtener sesiones realizadas ordenadas por fecha
       const sesiones = await Sesion.find(query)
         .select('fecha numeroSesion evolucion detallesTratamiento')
         .sort('fecha')
         .lean();
 
+      // Evaluaciones estructuradas del mismo período (y de las fechas del episodio)
+      const fechasEvaluaciones = this._rangoEpisodio(query.fecha, episodio);
+
+      const evaluaciones = await Evaluacion.find({
+        paciente: pacienteId,
+        ...(fechasEvaluaciones && { fecha: fechasEvaluaciones }),
+      })
+        .select('clave nombre tipo fecha momento respuestas resultado')
+        .sort('fecha')
+        .lean();
+
+      const plantillas = await PlantillaEvaluacion.find({
+        clave: { $in: [...new Set(evaluaciones.map(e => e.clave))] },
+        vigente: true,
+      }).lean();
+
+      // Plan de tratamiento activo (o el último) del episodio con el progreso de sus objetivos
+      const plan = await PlanTratamiento.findOne(episodio ? { episodio: episodio._id } : { paciente: pacienteId })
+        .sort({ estado: 1, fechaInicio: -1 })
+        .lean();
+
       // Preparar datos para gráficos
       const datosEvolucion = {
         paciente: {
@@ -42,6 +86,17 @@ class EvolucionService {
           nombre: `${paciente.nombre} ${paciente.apellido}`,
           dni: paciente.dni,
         },
+        episodio: episodio
+          ? {
+            id: episodio._id,
+            numero: episodio.numero,
+            estado: episodio.estado,
+            diagnostico: episodio.diagnostico,
+            fechaApertura: episodio.fechaApertura,
+            fechaAltaMedica: episodio.fechaAltaMedica,
+            fechaCierre: episodio.fechaCierre,
+          }
+          : null,
         sesiones: sesiones.map(s => ({
           fecha: s.fecha,
           numeroSesion: s.numeroSesion,
@@ -55,8 +110,10 @@ class EvolucionService {
           dolor: this._prepararDatosGraficoDolor(sesiones),
           movilidad: this._prepararDatosGraficoMovilidad(sesiones),
           estadoGeneral: this._prepararDatosGraficoEstadoGeneral(sesiones),
+          evaluaciones: this._prepararDatosGraficoEvaluaciones(evaluaciones, plantillas),
         },
         estadisticas: this._calcularEstadisticas(sesiones),
+        planTratamiento: plan ? await this._prepararProgresoPlan(plan) : null,
       };
 
       return {
@@ -68,6 +125,27 @@ class EvolucionService {
     }
   }
 
+  /**
+   * Acotar un rango de fechas a las fechas del episodio
+   * El primer episodio incluye lo registrado antes de su apertura
+   */
+  static _rangoEpisodio(rango, episodio) {
+    if (!episodio) return rango;
+
+    const fechas = { ...rango };
+    const apertura = new Date(episodio.fechaApertura);
+
+    if (episodio.numero > 1 && (!fechas.$gte || fechas.$gte < apertura)) {
+      fechas.$gte = apertura;
+    }
+
+    if (episodio.fechaCierre && (!fechas.$lte || fechas.$lte > new Date(episodio.fechaCierre))) {
+      fechas.$lte = new Date(episodio.fechaCierre);
+    }
+
+    return Object.keys(fechas).length ? fechas : null;
+  }
+
   /**
    * Preparar datos para gráfico de dolor (escala 0-10)
    */
@@ -116,6 +194,90 @@ class EvolucionService {
       }));
   }
 
+  /**
+   * Preparar series de las evaluaciones estructuradas agrupadas por plantilla:
+   * puntaje total y subescalas de los cuestionarios, y una serie por ítem y lado
+   * en goniometría y fuerza
+   */
+  static _prepararDatosGraficoEvaluaciones(evaluaciones, plantillas) {
+    const plantillasPorClave = new Map(plantillas.map(p => [p.clave, p]));
+    const grupos = new Map();
+
+    evaluaciones.forEach(evaluacion => {
+      const plantilla = plantillasPorClave.get(evaluacion.clave);
+      const itemsPorCodigo = new Map((plantilla?.items || []).map(item => [item.codigo, item]));
+
+      if (!grupos.has(evaluacion.clave)) {
+        grupos.set(evaluacion.clave, {
+          clave: evaluacion.clave,
+          nombre: plantilla?.nombre || evaluacion.nombre,
+          tipo: evaluacion.tipo,
+          mayorEsMejor: evaluacion.tipo === 'cuestionario' ? Boolean(plantilla?.puntuacion?.mayorEsMejor) : true,
+          series: new Map(),
+        });
+      }
+
+      const { series } = grupos.get(evaluacion.clave);
+      const agregarPunto = (clave, nombre, valor, valorNormal = null) => {
+        if (valor === null || valor === undefined) return;
+        if (!series.has(clave)) series.set(clave, { clave, nombre, valorNormal, datos: [] });
+
+        series.get(clave).datos.push({
+          fecha: evaluacion.fecha,
+          valor,
+          momento: evaluacion.momento,
+          evaluacionId: evaluacion._id,
+        });
+      };
+
+      if (evaluacion.tipo === 'cuestionario') {
+        agregarPunto('total', 'Puntaje total', evaluacion.resultado?.puntaje);
+        (evaluacion.resultado?.subescalas || []).forEach(s => agregarPunto(s.clave, s.nombre, s.puntaje));
+      } else {
+        evaluacion.respuestas.forEach(r => {
+          const item = itemsPorCodigo.get(r.codigo);
+          const nombre = [item?.texto || r.codigo, r.lado].filter(Boolean).join(' - ');
+          agregarPunto(r.lado ? `${r.codigo}:${r.lado}` : r.codigo, nombre, r.valor, item?.valorNormal ?? null);
+        });
+      }
+    });
+
+    return [...grupos.values()].map(grupo => ({
+      ...grupo,
+      series: [...grupo.series.values()].map(serie => ({
+        ...serie,
+        inicial: serie.datos[0].valor,
+        final: serie.datos[serie.datos.length - 1].valor,
+        cambio: Math.round((serie.datos[serie.datos.length - 1].valor - serie.datos[0].valor) * 100) / 100,
+      })),
+    }));
+  }
+
+  /**
+   * Progreso de los objetivos del plan de tratamiento y resumen de cumplimiento
+   */
+  static async _prepararProgresoPlan(plan) {
+    const objetivos = await PlanTratamientoService.calcularProgreso(plan);
+    const vigentes = objetivos.filter(o => o.estado !== 'descartado');
+
+    return {
+      id: plan._id,
+      estado: plan.estado,
+      diagnostico: plan.diagnostico,
+      fechaInicio: plan.fechaInicio,
+      fechaFinEstimada: plan.fechaFinEstimada,
+      tecnicas: plan.tecnicas,
+      frecuencia: plan.frecuencia,
+      objetivos,
+      resumen: {
+        total: vigentes.length,
+        logrados: vigentes.filter(o => o.estado === 'logrado').length,
+        sinMediciones: vigentes.filter(o => o.estado === 'sin_mediciones').length,
+        revisionesVencidas: vigentes.filter(o => o.revision.vencida).length,
+      },
+    };
+  }
+
   /**
    * Calcular estadísticas de evolución
    */
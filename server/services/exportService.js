@@ -1,26 +1,115 @@
 import Sesion from '../models/Sesion.js';
 import Paciente from '../models/Paciente.js';
+import EvolucionService from './evolucionService.js';
+import SesionService from './sesionService.js';
+import PacienteService from './pacienteService.js';
+import PagoPersonalService from './pagoPersonalService.js';
+import LiquidacionService from './liquidacionService.js';
+import PdfGenerator from '../utils/pdfGenerator.js';
+import ExportadorTabular from '../utils/exportadorTabular.js';
 import ErrorResponse from '../utils/ErrorResponse.js';
 import { HTTP_STATUS } from '../conf/constants.js';
 
+// Cantidad de registros que se leen por lote al exportar planillas
+const TAMANO_LOTE = 500;
+
+const COLUMNAS_SESIONES = [
+  { titulo: 'Fecha', campo: 'fecha', tipo: 'fecha', ancho: 12 },
+  { titulo: 'Orden', campo: 'numeroOrden', tipo: 'numero', ancho: 8 },
+  { titulo: 'Paciente', campo: 'paciente', ancho: 28 },
+  { titulo: 'DNI', campo: 'dni', ancho: 12 },
+  { titulo: 'Obra Social', campo: 'obraSocial', ancho: 18 },
+  { titulo: 'Profesional', campo: 'profesional', ancho: 22 },
+  { titulo: 'Tipo', campo: 'tipoSesion', ancho: 12 },
+  { titulo: 'Entrada', campo: 'horaEntrada', ancho: 9 },
+  { titulo: 'Salida', campo: 'horaSalida', ancho: 9 },
+  { titulo: 'Duración (min)', campo: 'duracion', tipo: 'numero', ancho: 14 },
+  { titulo: 'N° Sesión', campo: 'numeroSesion', tipo: 'numero', ancho: 10 },
+  { titulo: 'Estado', campo: 'estado', ancho: 12 },
+  { titulo: 'Monto', campo: 'monto', tipo: 'moneda', ancho: 12 },
+  { titulo: 'Pagado', campo: 'pagado', ancho: 8 },
+  { titulo: 'Método de Pago', campo: 'metodoPago', ancho: 15 },
+  { titulo: 'Fecha de Pago', campo: 'fechaPago', tipo: 'fecha', ancho: 14 },
+];
+
+const COLUMNAS_PACIENTES = [
+  { titulo: 'Apellido', campo: 'apellido', ancho: 18 },
+  { titulo: 'Nombre', campo: 'nombre', ancho: 18 },
+  { titulo: 'DNI', campo: 'dni', ancho: 12 },
+  { titulo: 'Fecha de Nacimiento', campo: 'fechaNacimiento', tipo: 'fecha', ancho: 18 },
+  { titulo: 'Teléfono', campo: 'telefono', ancho: 15 },
+  { titulo: 'Email', campo: 'email', ancho: 25 },
+  { titulo: 'Obra Social', campo: 'obraSocial', ancho: 18 },
+  { titulo: 'N° Afiliado', campo: 'numeroAfiliado', ancho: 15 },
+  { titulo: 'Diagnóstico', campo: 'diagnostico', ancho: 30 },
+  { titulo: 'Estado', campo: 'estado', ancho: 10 },
+  { titulo: 'Fecha de Alta', campo: 'fechaAlta', tipo: 'fecha', ancho: 14 },
+  { titulo: 'Valor Sesión', campo: 'valorSesion', tipo: 'moneda', ancho: 13 },
+  { titulo: 'Sesiones Totales', campo: 'sesionesTotales', tipo: 'numero', ancho: 15 },
+  { titulo: 'Sesiones Realizadas', campo: 'sesionesRealizadas', tipo: 'numero', ancho: 18 },
+  { titulo: 'Monto Pagado', campo: 'montoPagado', tipo: 'moneda', ancho: 14 },
+  { titulo: 'Monto Adeudado', campo: 'montoAdeudado', tipo: 'moneda', ancho: 15 },
+];
+
+const COLUMNAS_PLANILLA_PERSONAL = [
+  { titulo: 'Semana', campo: 'semana', tipo: 'numero', ancho: 8 },
+  { titulo: 'Día', campo: 'dia', ancho: 11 },
+  { titulo: 'Fecha', campo: 'fecha', tipo: 'fecha', ancho: 12 },
+  { titulo: 'Monto', campo: 'monto', tipo: 'moneda', ancho: 12 },
+  // Una columna por participante del reparto (se agregan al exportar)
+  { titulo: 'Estado', campo: 'estado', ancho: 11 },
+  { titulo: 'Registrado por', campo: 'colaborador', ancho: 22 },
+  { titulo: 'Observaciones', campo: 'observaciones', ancho: 30 },
+];
+
+const COLUMNAS_LIQUIDACION = [
+  { titulo: 'Fecha', campo: 'fecha', tipo: 'fecha', ancho: 12 },
+  { titulo: 'Paciente', campo: 'paciente', ancho: 28 },
+  { titulo: 'DNI', campo: 'dni', ancho: 12 },
+  { titulo: 'N° Afiliado', campo: 'numeroAfiliado', ancho: 16 },
+  { titulo: 'Plan', campo: 'plan', ancho: 12 },
+  { titulo: 'N° Sesión', campo: 'numeroSesion', tipo: 'numero', ancho: 10 },
+  { titulo: 'Monto', campo: 'monto', tipo: 'moneda', ancho: 12 },
+  { titulo: 'Estado', campo: 'estado', ancho: 11 },
+  { titulo: 'Monto Pagado', campo: 'montoPagado', tipo: 'moneda', ancho: 14 },
+  { titulo: 'Motivo Rechazo', campo: 'motivoRechazo', ancho: 30 },
+];
+
+const COLUMNAS_REPORTE_PROFESIONALES = [
+  { titulo: 'Profesional', campo: 'profesional', ancho: 28 },
+  { titulo: 'Sesiones', campo: 'sesionesTotales', tipo: 'numero', ancho: 10 },
+  { titulo: 'Realizadas', campo: 'sesionesRealizadas', tipo: 'numero', ancho: 11 },
+  { titulo: 'Canceladas', campo: 'sesionesCanceladas', tipo: 'numero', ancho: 11 },
+  { titulo: 'Ausencias', campo: 'ausencias', tipo: 'numero', ancho: 10 },
+  { titulo: '% Ausentismo', campo: 'tasaAusentismo', tipo: 'numero', ancho: 13 },
+  { titulo: 'Duración Promedio (min)', campo: 'duracionPromedio', tipo: 'numero', ancho: 22 },
+  { titulo: 'Ingresos', campo: 'ingresos', tipo: 'moneda', ancho: 14 },
+  { titulo: 'Comisión', campo: 'comision', tipo: 'moneda', ancho: 14 },
+];
+
 /**
- * Servicio de exportación a PDF
- * Nota: Requiere instalar pdfkit o similar
- * npm install pdfkit
+ * Servicio de exportación a PDF y planillas (Excel/CSV)
  */
 class ExportService {
   /**
-   * Generar PDF de planilla diaria
+   * Obtener datos de la planilla diaria para exportar
+   * @param {String} fecha - Fecha de la planilla (YYYY-MM-DD)
+   * @returns {Promise<Object>}
    */
   static async generarPDFPlanillaDiaria(fecha, opciones = {}) {
     try {
-      // Normalizar fecha
+      // Normalizar la fecha en UTC (mismo criterio que la planilla de sesiones)
       const fechaDate = new Date(fecha);
-      const inicioDia = new Date(fechaDate);
-      inicioDia.setHours(0, 0, 0, 0);
-      
-      const finDia = new Date(fechaDate);
-      finDia.setHours(23, 59, 59, 999);
+      if (isNaN(fechaDate.getTime())) {
+        throw new ErrorResponse('Fecha inválida (formato: YYYY-MM-DD)', HTTP_STATUS.BAD_REQUEST);
+      }
+
+      const year = fechaDate.getUTCFullYear();
+      const month = fechaDate.getUTCMonth();
+      const day = fechaDate.getUTCDate();
+
+      const inicioDia = new Date(Date.UTC(year, month, day, 0, 0, 0, 0));
+      const finDia = new Date(Date.UTC(year, month, day, 23, 59, 59, 999));
 
       // Obtener sesiones del día
       const sesiones = await Sesion.find({
@@ -44,11 +133,12 @@ class ExportService {
 
       // Preparar datos para PDF
       const datosPDF = {
-        fecha: fechaDate.toLocaleDateString('es-AR', {
+        fecha: inicioDia.toLocaleDateString('es-AR', {
           weekday: 'long',
           year: 'numeric',
           month: 'long',
           day: 'numeric',
+          timeZone: 'UTC',
         }),
         sesiones: sesiones.map(s => ({
           orden: s.numeroOrden || '-',
@@ -69,7 +159,7 @@ class ExportService {
       return {
         success: true,
         data: datosPDF,
-        message: 'Datos preparados para PDF. Nota: Requiere implementar generación de PDF con pdfkit',
+        message: 'Planilla diaria obtenida exitosamente',
       };
     } catch (error) {
       throw error;
@@ -77,7 +167,58 @@ class ExportService {
   }
 
   /**
-   * Generar PDF de ficha de paciente
+   * Crear el documento PDF de la planilla diaria
+   * El llamador debe hacer pipe del documento a la respuesta
+   * @param {Object} datos - Datos devueltos por generarPDFPlanillaDiaria
+   * @returns {PDFDocument}
+   */
+  static crearPDFPlanillaDiaria(datos) {
+    const doc = PdfGenerator.crearDocumento({
+      titulo: 'Planilla Diaria de Sesiones',
+      subtitulo: datos.fecha,
+      layout: 'landscape',
+    });
+
+    const columnas = [
+      { titulo: 'Orden', campo: 'orden', ancho: 0.6, alinear: 'center' },
+      { titulo: 'Paciente', campo: 'paciente', ancho: 2.2 },
+      { titulo: 'DNI', campo: 'dni', ancho: 1.1 },
+      { titulo: 'Obra Social', campo: 'obraSocial', ancho: 1.6 },
+      { titulo: 'Entrada', campo: 'horaEntrada', ancho: 0.8, alinear: 'center' },
+      { titulo: 'Salida', campo: 'horaSalida', ancho: 0.8, alinear: 'center' },
+      { titulo: 'Monto', campo: 'montoFormateado', ancho: 1.1, alinear: 'right' },
+      { titulo: 'Pagado', campo: 'pagado', ancho: 0.7, alinear: 'center' },
+      { titulo: 'Método', campo: 'metodoPago', ancho: 1.2 },
+    ];
+
+    const filas = datos.sesiones.map(s => ({
+      ...s,
+      montoFormateado: PdfGenerator.formatearMoneda(s.monto),
+    }));
+
+    PdfGenerator.dibujarTabla(doc, columnas, filas);
+
+    // Pie de totales
+    PdfGenerator.dibujarSeccion(doc, 'Totales del día');
+    PdfGenerator.dibujarCampos(doc, [
+      { etiqueta: 'Sesiones', valor: datos.totales.sesiones },
+      { etiqueta: 'Total cobrado', valor: PdfGenerator.formatearMoneda(datos.totales.ingresos) },
+      { etiqueta: 'Total pendiente', valor: PdfGenerator.formatearMoneda(datos.totales.pendientes) },
+      {
+        etiqueta: 'Total general',
+        valor: PdfGenerator.formatearMoneda(datos.totales.ingresos + datos.totales.pendientes),
+      },
+    ]);
+
+    PdfGenerator.numerarPaginas(doc);
+
+    return doc;
+  }
+
+  /**
+   * Obtener datos de la ficha clínica completa de un paciente
+   * @param {String} pacienteId - ID del paciente
+   * @returns {Promise<Object>}
    */
   static async generarPDFFichaPaciente(pacienteId) {
     try {
@@ -89,54 +230,547 @@ class ExportService {
         throw new ErrorResponse('Paciente no encontrado', HTTP_STATUS.NOT_FOUND);
       }
 
-      // Obtener sesiones del paciente
+      // Historial completo de sesiones (orden cronológico)
       const sesiones = await Sesion.find({ paciente: pacienteId })
         .populate('profesional', 'nombre apellido')
-        .sort('-fecha')
-        .limit(50) // Últimas 50 sesiones
+        .sort('fecha')
         .lean();
 
+      // Datos de evolución para el gráfico de dolor (todos los episodios, como el historial)
+      const { data: evolucion } = await EvolucionService.obtenerDatosEvolucion(pacienteId, { episodio: 'todos' });
+
+      const formatearFecha = fecha => (fecha ? new Date(fecha).toLocaleDateString('es-AR', { timeZone: 'UTC' }) : '-');
+      const direccion = paciente.direccion || {};
+
       // Preparar datos para PDF
       const datosPDF = {
         paciente: {
           nombreCompleto: `${paciente.nombre} ${paciente.apellido}`,
           dni: paciente.dni,
-          fechaNacimiento: paciente.fechaNacimiento
-            ? new Date(paciente.fechaNacimiento).toLocaleDateString('es-AR')
-            : '-',
+          fechaNacimiento: formatearFecha(paciente.fechaNacimiento),
           edad: paciente.edad || paciente.edadCalculada || '-',
           genero: paciente.genero || '-',
           telefono: paciente.telefono,
+          telefonoAlternativo: paciente.telefonoAlternativo || '-',
           email: paciente.email || '-',
-          direccion: paciente.direccion
-            ? `${paciente.direccion.calle || ''} ${paciente.direccion.numero || ''}, ${paciente.direccion.ciudad || ''}`
-            : '-',
+          direccion: [
+            [direccion.calle, direccion.numero].filter(Boolean).join(' '),
+            direccion.barrio,
+            direccion.referencia,
+            direccion.ciudad,
+            direccion.provincia,
+          ].filter(Boolean).join(', ') || '-',
           obraSocial: paciente.obraSocial?.nombre || 'Particular',
+          numeroAfiliado: paciente.obraSocial?.numeroAfiliado || '-',
+          planObraSocial: paciente.obraSocial?.plan || '-',
+          vigenciaObraSocial: paciente.obraSocial?.vigenciaHasta
+            ? `${formatearFecha(paciente.obraSocial.vigenciaDesde)} al ${formatearFecha(paciente.obraSocial.vigenciaHasta)}`
+            : '-',
           diagnostico: paciente.diagnostico?.principal || '-',
+          diagnosticosSecundarios: paciente.diagnostico?.secundarios?.join(', ') || '-',
+          observacionesDiagnostico: paciente.diagnostico?.observaciones || '-',
+          antecedentes: {
+            patologicos: paciente.antecedentes?.patologicos || '-',
+            quirurgicos: paciente.antecedentes?.quirurgicos || '-',
+            alergias: paciente.antecedentes?.alergias || '-',
+            medicacion: paciente.antecedentes?.medicacion || '-',
+          },
+          medicoDerivante: {
+            nombre: paciente.medicoDerivante?.nombre || '-',
+            matricula: paciente.medicoDerivante?.matricula || '-',
+            especialidad: paciente.medicoDerivante?.especialidad || '-',
+            telefono: paciente.medicoDerivante?.telefono || '-',
+          },
+          contactoEmergencia: {
+            nombre: paciente.contactoEmergencia?.nombre || '-',
+            relacion: paciente.contactoEmergencia?.relacion || '-',
+            telefono: paciente.contactoEmergencia?.telefono || '-',
+          },
+          tratamiento: {
+            cantidadTotalSesiones: paciente.tratamiento?.cantidadTotalSesiones || '-',
+            fechaInicio: formatearFecha(paciente.tratamiento?.fechaInicio),
+            fechaFinEstimada: formatearFecha(paciente.tratamiento?.fechaFinEstimada),
+            observaciones: paciente.tratamiento?.observaciones || '-',
+          },
+          observaciones: paciente.observaciones || '-',
           estado: paciente.estado,
-          fechaAlta: new Date(paciente.fechaAlta).toLocaleDateString('es-AR'),
+          fechaAlta: formatearFecha(paciente.fechaAlta),
+          fechaAltaMedica: formatearFecha(paciente.fechaAltaMedica),
           estadisticas: paciente.estadisticas,
         },
         sesiones: sesiones.map(s => ({
-          fecha: new Date(s.fecha).toLocaleDateString('es-AR'),
+          fecha: formatearFecha(s.fecha),
           numeroSesion: s.numeroSesion || '-',
-          profesional: `${s.profesional.nombre} ${s.profesional.apellido}`,
+          tipoSesion: s.tipoSesion,
+          profesional: s.profesional ? `${s.profesional.nombre} ${s.profesional.apellido}` : '-',
           estado: s.estado,
+          dolor: s.evolucion?.dolor ?? '-',
+          movilidad: s.evolucion?.movilidad || '-',
+          estadoGeneral: s.evolucion?.estadoGeneral || '-',
+          observacionesEvolucion: s.evolucion?.observaciones || '-',
+          tecnicas: s.detallesTratamiento?.tecnicas?.join(', ') || '-',
           monto: s.pago?.monto || 0,
           pagado: s.pago?.pagado ? 'Sí' : 'No',
         })),
         totalSesiones: sesiones.length,
+        evolucion: {
+          dolor: evolucion.graficos.dolor.map(p => ({
+            fecha: formatearFecha(p.fecha),
+            numeroSesion: p.numeroSesion,
+            valor: p.valor,
+          })),
+          estadisticas: evolucion.estadisticas,
+        },
       };
 
       return {
         success: true,
         data: datosPDF,
-        message: 'Datos preparados para PDF. Nota: Requiere implementar generación de PDF con pdfkit',
+        message: 'Ficha del paciente obtenida exitosamente',
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Crear el documento PDF de la ficha clínica del paciente
+   * El llamador debe hacer pipe del documento a la respuesta
+   * @param {Object} datos - Datos devueltos por generarPDFFichaPaciente
+   * @returns {PDFDocument}
+   */
+  static crearPDFFichaPaciente(datos) {
+    const { paciente, sesiones, evolucion } = datos;
+
+    const doc = PdfGenerator.crearDocumento({
+      titulo: 'Ficha Clínica del Paciente',
+      subtitulo: `${paciente.nombreCompleto} - DNI ${paciente.dni}`,
+    });
+
+    PdfGenerator.dibujarSeccion(doc, 'Datos personales');
+    PdfGenerator.dibujarCampos(doc, [
+      { etiqueta: 'Nombre completo', valor: paciente.nombreCompleto },
+      { etiqueta: 'DNI', valor: paciente.dni },
+      { etiqueta: 'Fecha de nacimiento', valor: paciente.fechaNacimiento },
+      { etiqueta: 'Edad', valor: paciente.edad },
+      { etiqueta: 'Género', valor: paciente.genero },
+      { etiqueta: 'Teléfono', valor: paciente.telefono },
+      { etiqueta: 'Teléfono alternativo', valor: paciente.telefonoAlternativo },
+      { etiqueta: 'Email', valor: paciente.email },
+      { etiqueta: 'Dirección', valor: paciente.direccion },
+      { etiqueta: 'Estado', valor: paciente.estado },
+      { etiqueta: 'Fecha de alta', valor: paciente.fechaAlta },
+      { etiqueta: 'Alta médica', valor: paciente.fechaAltaMedica },
+    ]);
+
+    PdfGenerator.dibujarSeccion(doc, 'Obra social');
+    PdfGenerator.dibujarCampos(doc, [
+      { etiqueta: 'Obra social', valor: paciente.obraSocial },
+      { etiqueta: 'N° de afiliado', valor: paciente.numeroAfiliado },
+      { etiqueta: 'Plan', valor: paciente.planObraSocial },
+      { etiqueta: 'Vigencia', valor: paciente.vigenciaObraSocial },
+    ]);
+
+    PdfGenerator.dibujarSeccion(doc, 'Diagnóstico');
+    PdfGenerator.dibujarCampos(doc, [
+      { etiqueta: 'Principal', valor: paciente.diagnostico },
+      { etiqueta: 'Secundarios', valor: paciente.diagnosticosSecundarios },
+      { etiqueta: 'Observaciones', valor: paciente.observacionesDiagnostico },
+    ]);
+
+    PdfGenerator.dibujarSeccion(doc, 'Antecedentes');
+    PdfGenerator.dibujarCampos(doc, [
+      { etiqueta: 'Patológicos', valor: paciente.antecedentes.patologicos },
+      { etiqueta: 'Quirúrgicos', valor: paciente.antecedentes.quirurgicos },
+      { etiqueta: 'Alergias', valor: paciente.antecedentes.alergias },
+      { etiqueta: 'Medicación', valor: paciente.antecedentes.medicacion },
+    ]);
+
+    PdfGenerator.dibujarSeccion(doc, 'Médico derivante');
+    PdfGenerator.dibujarCampos(doc, [
+      { etiqueta: 'Nombre', valor: paciente.medicoDerivante.nombre },
+      { etiqueta: 'Matrícula', valor: paciente.medicoDerivante.matricula },
+      { etiqueta: 'Especialidad', valor: paciente.medicoDerivante.especialidad },
+      { etiqueta: 'Teléfono', valor: paciente.medicoDerivante.telefono },
+    ]);
+
+    PdfGenerator.dibujarSeccion(doc, 'Contacto de emergencia');
+    PdfGenerator.dibujarCampos(doc, [
+      { etiqueta: 'Nombre', valor: paciente.contactoEmergencia.nombre },
+      { etiqueta: 'Relación', valor: paciente.contactoEmergencia.relacion },
+      { etiqueta: 'Teléfono', valor: paciente.contactoEmergencia.telefono },
+    ]);
+
+    PdfGenerator.dibujarSeccion(doc, 'Tratamiento');
+    PdfGenerator.dibujarCampos(doc, [
+      { etiqueta: 'Sesiones indicadas', valor: paciente.tratamiento.cantidadTotalSesiones },
+      { etiqueta: 'Inicio', valor: paciente.tratamiento.fechaInicio },
+      { etiqueta: 'Fin estimado', valor: paciente.tratamiento.fechaFinEstimada },
+      { etiqueta: 'Observaciones', valor: paciente.tratamiento.observaciones },
+      { etiqueta: 'Observaciones generales', valor: paciente.observaciones },
+    ]);
+
+    // Historial de sesiones en una página nueva
+    doc.addPage();
+    PdfGenerator.dibujarSeccion(doc, `Historial de sesiones (${datos.totalSesiones})`);
+    PdfGenerator.dibujarTabla(doc, [
+      { titulo: 'Fecha', campo: 'fecha', ancho: 1 },
+      { titulo: 'N°', campo: 'numeroSesion', ancho: 0.4, alinear: 'center' },
+      { titulo: 'Profesional', campo: 'profesional', ancho: 1.4 },
+      { titulo: 'Estado', campo: 'estado', ancho: 0.9 },
+      { titulo: 'Dolor', campo: 'dolor', ancho: 0.5, alinear: 'center' },
+      { titulo: 'Movilidad', campo: 'movilidad', ancho: 0.8 },
+      { titulo: 'Estado gral.', campo: 'estadoGeneral', ancho: 0.9 },
+      { titulo: 'Técnicas', campo: 'tecnicas', ancho: 1.4 },
+      { titulo: 'Observaciones', campo: 'observacionesEvolucion', ancho: 2 },
+    ], sesiones);
+
+    // Gráfico de evolución del dolor
+    PdfGenerator.asegurarEspacio(doc, 230); // Mantener el título junto al gráfico
+    PdfGenerator.dibujarSeccion(doc, 'Evolución del dolor (escala 0-10)');
+    PdfGenerator.dibujarGraficoLineas(
+      doc,
+      evolucion.dolor.map(p => ({
+        etiqueta: p.numeroSesion ? `S${p.numeroSesion}` : p.fecha,
+        valor: p.valor,
+      })),
+      { minimo: 0, maximo: 10 }
+    );
+
+    const { dolor } = evolucion.estadisticas;
+    PdfGenerator.dibujarCampos(doc, [
+      { etiqueta: 'Dolor inicial', valor: dolor.inicial },
+      { etiqueta: 'Dolor actual', valor: dolor.final },
+      { etiqueta: 'Promedio', valor: dolor.promedio },
+      {
+        etiqueta: 'Mejora',
+        valor: dolor.mejoraPorcentual !== null ? `${dolor.mejoraPorcentual}%` : null,
+      },
+    ]);
+
+    PdfGenerator.numerarPaginas(doc);
+
+    return doc;
+  }
+
+  /**
+   * Exportar sesiones a Excel/CSV con los mismos filtros que SesionService.obtenerSesiones
+   * @param {Stream} stream - Stream de destino
+   * @param {String} formato - 'xlsx' o 'csv'
+   * @param {Object} opciones - Filtros (pacienteId, fecha, fechaInicio, fechaFin, estado, pagado, sortBy)
+   * @returns {Promise<void>}
+   */
+  static async exportarSesiones(stream, formato, opciones = {}) {
+    try {
+      // Desempatar por _id para que la paginación por lotes sea estable
+      const sortBy = `${opciones.sortBy || '-fecha -numeroOrden'} _id`;
+
+      await this._exportarPorLotes(
+        stream,
+        { formato, hoja: 'Sesiones', columnas: COLUMNAS_SESIONES },
+        async page => {
+          const { data } = await SesionService.obtenerSesiones({}, {
+            ...opciones,
+            sortBy,
+            page,
+            limit: TAMANO_LOTE,
+          });
+          return { registros: data.sesiones, hayMas: data.pagination.hasNextPage };
+        },
+        s => ({
+          fecha: s.fecha,
+          numeroOrden: s.numeroOrden,
+          paciente: s.paciente ? `${s.paciente.apellido}, ${s.paciente.nombre}` : null,
+          dni: s.paciente?.dni,
+          obraSocial: s.paciente?.obraSocial?.nombre || 'Particular',
+          profesional: s.profesional ? `${s.profesional.nombre} ${s.profesional.apellido}` : null,
+          tipoSesion: s.tipoSesion,
+          horaEntrada: s.horaEntrada,
+          horaSalida: s.horaSalida,
+          duracion: s.duracion,
+          numeroSesion: s.numeroSesion,
+          estado: s.estado,
+          monto: s.pago?.monto || 0,
+          pagado: s.pago?.pagado ? 'Sí' : 'No',
+          metodoPago: s.pago?.metodoPago,
+          fechaPago: s.pago?.fechaPago,
+        })
+      );
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Exportar pacientes a Excel/CSV con los mismos filtros que PacienteService.obtenerPacientes
+   * @param {Stream} stream - Stream de destino
+   * @param {String} formato - 'xlsx' o 'csv'
+   * @param {Object} opciones - Filtros (estado, obraSocial, busqueda, sortBy)
+   * @returns {Promise<void>}
+   */
+  static async exportarPacientes(stream, formato, opciones = {}) {
+    try {
+      const sortBy = `${opciones.sortBy || 'apellido nombre'} _id`;
+
+      await this._exportarPorLotes(
+        stream,
+        { formato, hoja: 'Pacientes', columnas: COLUMNAS_PACIENTES },
+        async page => {
+          const { data } = await PacienteService.obtenerPacientes({}, {
+            ...opciones,
+            sortBy,
+            page,
+            limit: TAMANO_LOTE,
+          });
+          return { registros: data.pacientes, hayMas: data.pagination.hasNextPage };
+        },
+        p => ({
+          apellido: p.apellido,
+          nombre: p.nombre,
+          dni: p.dni,
+          fechaNacimiento: p.fechaNacimiento,
+          telefono: p.telefono,
+          email: p.email,
+          obraSocial: p.obraSocial?.nombre || 'Particular',
+          numeroAfiliado: p.obraSocial?.numeroAfiliado,
+          diagnostico: p.diagnostico?.principal,
+          estado: p.estado,
+          fechaAlta: p.fechaAlta,
+          valorSesion: p.valorSesion,
+          sesionesTotales: p.resumenSesiones.sesionesTotales,
+          sesionesRealizadas: p.resumenSesiones.sesionesRealizadas,
+          montoPagado: p.resumenSesiones.montoPagado,
+          montoAdeudado: p.resumenSesiones.montoAdeudado,
+        })
+      );
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Exportar la planilla mensual de pagos al personal a Excel/CSV
+   * @param {Stream} stream - Stream de destino
+   * @param {String} formato - 'xlsx' o 'csv'
+   * @param {Number} año - Año
+   * @param {Number} mes - Mes (1-12)
+   * @returns {Promise<void>}
+   */
+  static async exportarPlanillaPersonal(stream, formato, año, mes) {
+    try {
+      const { data } = await PagoPersonalService.obtenerPlanillaMes(año, mes);
+
+      // Columnas del reparto según los participantes que cobraron en el mes
+      const participantes = data.totales.distribucion.map(d => ({
+        titulo: d.nombre,
+        campo: d.participante.toString(),
+        tipo: 'moneda',
+        ancho: 14,
+      }));
+      const indiceMonto = COLUMNAS_PLANILLA_PERSONAL.findIndex(c => c.campo === 'monto') + 1;
+      const columnas = [
+        ...COLUMNAS_PLANILLA_PERSONAL.slice(0, indiceMonto),
+        ...participantes,
+        ...COLUMNAS_PLANILLA_PERSONAL.slice(indiceMonto),
+      ];
+
+      await this._exportarPorLotes(
+        stream,
+        { formato, hoja: `Planilla ${mes}-${año}`, columnas },
+        async () => {
+          // Aplanar semanas/días en una fila por día
+          const registros = Object.values(data.semanas).flatMap(semana =>
+            Object.entries(semana.dias).map(([dia, registro]) => ({ semana: semana.semana, dia, ...registro }))
+          );
+          registros.sort((a, b) => new Date(a.fecha) - new Date(b.fecha));
+
+          return { registros, hayMas: false };
+        },
+        r => {
+          const reparto = Array.isArray(r.distribucion) ? r.distribucion : [];
+
+          return {
+            semana: r.semana,
+            dia: r.dia,
+            fecha: r.fecha,
+            monto: r.monto,
+            ...Object.fromEntries(reparto.map(d => [d.participante.toString(), d.monto])),
+            estado: r.estado,
+            colaborador: r.colaborador?.nombreCompleto,
+            observaciones: r.observaciones,
+          };
+        }
+      );
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener los datos de una liquidación para exportar su detalle
+   * @param {String} liquidacionId - ID de la liquidación
+   * @returns {Promise<Object>}
+   */
+  static async generarDetalleLiquidacion(liquidacionId) {
+    try {
+      const { data } = await LiquidacionService.obtenerLiquidacionPorId(liquidacionId);
+      const { liquidacion } = data;
+      const periodo = `${String(liquidacion.periodo.mes).padStart(2, '0')}-${liquidacion.periodo.año}`;
+
+      return {
+        success: true,
+        message: 'Detalle de liquidación generado exitosamente',
+        data: {
+          liquidacion,
+          periodo,
+          nombreArchivo: `liquidacion-${liquidacion.obraSocial.nombre}-${periodo}`
+            .normalize('NFD')
+            .replace(/[^\w-]+/g, '-'),
+        },
       };
     } catch (error) {
       throw error;
     }
   }
+
+  /**
+   * Crear el PDF con el detalle de una liquidación para presentar a la obra social
+   * El llamador debe hacer pipe del documento a la respuesta
+   * @param {Object} datos - Datos devueltos por generarDetalleLiquidacion
+   * @returns {PDFDocument}
+   */
+  static crearPDFLiquidacion(datos) {
+    const { liquidacion, periodo } = datos;
+
+    const doc = PdfGenerator.crearDocumento({
+      titulo: `Liquidación ${liquidacion.obraSocial.nombre}`,
+      subtitulo: `Período ${periodo}`,
+      layout: 'landscape',
+    });
+
+    PdfGenerator.dibujarCampos(doc, [
+      { etiqueta: 'Obra social', valor: liquidacion.obraSocial.nombre },
+      { etiqueta: 'CUIT', valor: liquidacion.obraSocial.cuit },
+      { etiqueta: 'Estado', valor: liquidacion.estado },
+      {
+        etiqueta: 'Fecha de presentación',
+        valor: liquidacion.fechaPresentacion
+          ? new Date(liquidacion.fechaPresentacion).toLocaleDateString('es-AR')
+          : null,
+      },
+    ]);
+
+    PdfGenerator.dibujarSeccion(doc, 'Detalle de sesiones');
+    PdfGenerator.dibujarTabla(doc, [
+      { titulo: 'Fecha', campo: 'fecha', ancho: 0.9 },
+      { titulo: 'Paciente', campo: 'pacienteNombre', ancho: 2.2 },
+      { titulo: 'DNI', campo: 'dni', ancho: 1 },
+      { titulo: 'N° Afiliado', campo: 'numeroAfiliado', ancho: 1.3 },
+      { titulo: 'Plan', campo: 'plan', ancho: 0.9 },
+      { titulo: 'Sesión', campo: 'numeroSesion', ancho: 0.6, alinear: 'center' },
+      { titulo: 'Monto', campo: 'montoFormateado', ancho: 1.1, alinear: 'right' },
+      { titulo: 'Estado', campo: 'estado', ancho: 0.9 },
+    ], liquidacion.items.map(item => ({
+      ...item,
+      fecha: new Date(item.fecha).toLocaleDateString('es-AR', { timeZone: 'UTC' }),
+      montoFormateado: PdfGenerator.formatearMoneda(item.monto),
+    })));
+
+    PdfGenerator.dibujarSeccion(doc, 'Totales');
+    PdfGenerator.dibujarCampos(doc, [
+      { etiqueta: 'Sesiones', valor: liquidacion.totales.cantidadSesiones },
+      { etiqueta: 'Total liquidado', valor: PdfGenerator.formatearMoneda(liquidacion.totales.montoTotal) },
+      { etiqueta: 'Total pagado', valor: PdfGenerator.formatearMoneda(liquidacion.totales.montoPagado) },
+      { etiqueta: 'Total rechazado', valor: PdfGenerator.formatearMoneda(liquidacion.totales.montoRechazado) },
+    ]);
+
+    PdfGenerator.numerarPaginas(doc);
+
+    return doc;
+  }
+
+  /**
+   * Exportar el detalle de una liquidación a Excel/CSV
+   * @param {Stream} stream - Stream de destino
+   * @param {String} formato - 'xlsx' o 'csv'
+   * @param {Object} datos - Datos devueltos por generarDetalleLiquidacion
+   * @returns {Promise<void>}
+   */
+  static async exportarLiquidacion(stream, formato, datos) {
+    try {
+      await this._exportarPorLotes(
+        stream,
+        { formato, hoja: `Liquidación ${datos.periodo}`, columnas: COLUMNAS_LIQUIDACION },
+        async () => ({ registros: datos.liquidacion.items, hayMas: false }),
+        item => ({
+          fecha: item.fecha,
+          paciente: item.pacienteNombre,
+          dni: item.dni,
+          numeroAfiliado: item.numeroAfiliado,
+          plan: item.plan,
+          numeroSesion: item.numeroSesion,
+          monto: item.monto,
+          estado: item.estado,
+          montoPagado: item.montoPagado,
+          motivoRechazo: item.motivoRechazo,
+        })
+      );
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Exportar el reporte de productividad y comisiones por profesional a Excel/CSV
+   * @param {Stream} stream - Stream de destino
+   * @param {String} formato - 'xlsx' o 'csv'
+   * @param {Object} reporte - Datos devueltos por ReporteService.obtenerReporteProfesionales
+   * @returns {Promise<void>}
+   */
+  static async exportarReporteProfesionales(stream, formato, reporte) {
+    try {
+      await this._exportarPorLotes(
+        stream,
+        { formato, hoja: 'Profesionales', columnas: COLUMNAS_REPORTE_PROFESIONALES },
+        async () => ({ registros: reporte.profesionales, hayMas: false }),
+        fila => ({
+          ...fila,
+          profesional: fila.profesional.nombreCompleto,
+        })
+      );
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Recorrer los resultados lote por lote escribiendo cada fila en la planilla
+   * El primer lote se obtiene antes de escribir, así los errores de filtros
+   * todavía pueden responderse como JSON
+   * @param {Stream} stream - Stream de destino
+   * @param {Object} configuracion - { formato, hoja, columnas }
+   * @param {Function} obtenerLote - (page) => Promise<{ registros, hayMas }>
+   * @param {Function} convertirFila - Convierte un registro en una fila
+   */
+  static async _exportarPorLotes(stream, configuracion, obtenerLote, convertirFila) {
+    let page = 1;
+    let lote = await obtenerLote(page);
+
+    const exportador = new ExportadorTabular(stream, configuracion);
+
+    for (;;) {
+      for (const registro of lote.registros) {
+        await exportador.agregarFila(convertirFila(registro));
+      }
+
+      if (!lote.hayMas) break;
+
+      page += 1;
+      lote = await obtenerLote(page);
+    }
+
+    await exportador.finalizar();
+  }
 }
 
 export default ExportService;
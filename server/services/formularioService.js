@@ -0,0 +1,477 @@
+import PlantillaFormulario from '../models/PlantillaFormulario.js';
+import Formulario from '../models/Formulario.js';
+import Paciente from '../models/Paciente.js';
+import Sesion from '../models/Sesion.js';
+import ErrorResponse from '../utils/ErrorResponse.js';
+import { HTTP_STATUS } from '../conf/constants.js';
+
+// Campos de una plantilla que se pueden crear o modificar
+const CAMPOS_PLANTILLA = ['nombre', 'descripcion', 'ambito', 'asignacion', 'campos', 'activa'];
+
+/**
+ * Servicio de formularios clínicos configurables
+ * Los administradores definen plantillas con sus campos y a qué diagnósticos o tipos
+ * de sesión aplican; los formularios completados se validan contra la plantilla
+ */
+class FormularioService {
+  /**
+   * Crear una plantilla de formulario
+   * @param {Object} datos - { nombre, descripcion, ambito, asignacion, campos }
+   * @param {String} userId - ID del usuario que la crea
+   * @returns {Promise<Object>}
+   */
+  static async crearPlantilla(datos, userId) {
+    try {
+      const plantilla = await PlantillaFormulario.create({
+        ...this._camposPlantilla(datos),
+        creadoPor: userId,
+      });
+
+      return {
+        success: true,
+        message: 'Plantilla de formulario creada exitosamente',
+        data: { plantilla },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Listar plantillas de formulario
+   * @param {Object} opciones - { ambito, tipoSesion, diagnostico, incluirInactivas }
+   * @returns {Promise<Object>}
+   */
+  static async obtenerPlantillas(opciones = {}) {
+    try {
+      const { ambito, tipoSesion, diagnostico, incluirInactivas } = opciones;
+      const query = {};
+
+      if (ambito) query.ambito = ambito;
+      if (tipoSesion) query['asignacion.tiposSesion'] = tipoSesion;
+      if (incluirInactivas !== 'true') query.activa = true;
+
+      let plantillas = await PlantillaFormulario.find(query)
+        .sort('nombre')
+        .populate('creadoPor', 'nombre apellido');
+
+      if (diagnostico) {
+        plantillas = plantillas.filter(plantilla =>
+          plantilla.asignacion.diagnosticos.length && plantilla.aplicaA({ diagnosticos: [diagnostico] })
+        );
+      }
+
+      return {
+        success: true,
+        data: {
+          plantillas,
+          total: plantillas.length,
+        },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Plantillas activas que corresponden al diagnóstico del paciente
+   * o al tipo de la sesión (más las generales)
+   * @param {Object} opciones - { paciente, sesion }
+   * @returns {Promise<Object>}
+   */
+  static async obtenerPlantillasAplicables({ paciente: pacienteId, sesion: sesionId } = {}) {
+    try {
+      let sesion = null;
+
+      if (sesionId) {
+        sesion = await Sesion.findById(sesionId).select('paciente tipoSesion').lean();
+
+        if (!sesion) {
+          throw new ErrorResponse('Sesión no encontrada', HTTP_STATUS.NOT_FOUND);
+        }
+      }
+
+      const paciente = await Paciente.findById(pacienteId || sesion?.paciente)
+        .select('diagnostico')
+        .lean();
+
+      if (!paciente) {
+        throw new ErrorResponse('Paciente no encontrado', HTTP_STATUS.NOT_FOUND);
+      }
+
+      const criterios = {
+        diagnosticos: this._diagnosticosPaciente(paciente),
+        tipoSesion: sesion?.tipoSesion,
+      };
+
+      const plantillas = (await PlantillaFormulario.find({
+        activa: true,
+        ...(!sesion && { ambito: 'paciente' }),
+      }).sort('nombre'))
+        .filter(plantilla => plantilla.aplicaA(criterios));
+
+      // Formularios ya completados (del paciente o de la sesión) para cada plantilla
+      const completados = await Formulario.find({
+        paciente: paciente._id,
+        plantilla: { $in: plantillas.map(p => p._id) },
+        $or: [{ ambito: 'paciente' }, ...(sesion ? [{ sesion: sesion._id }] : [])],
+      })
+        .select('plantilla updatedAt')
+        .lean();
+
+      const completadoPorPlantilla = new Map(completados.map(f => [f.plantilla.toString(), f]));
+
+      return {
+        success: true,
+        data: {
+          plantillas: plantillas.map(plantilla => ({
+            ...plantilla.toObject(),
+            formularioCompletado: completadoPorPlantilla.get(plantilla._id.toString())?._id || null,
+          })),
+          total: plantillas.length,
+        },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener una plantilla de formulario por ID
+   * @param {String} plantillaId - ID de la plantilla
+   * @returns {Promise<Object>}
+   */
+  static async obtenerPlantillaPorId(plantillaId) {
+    try {
+      const plantilla = await this._obtenerPlantilla(plantillaId);
+
+      return {
+        success: true,
+        data: { plantilla },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Actualizar una plantilla de formulario
+   * Los formularios ya completados conservan la etiqueta y el tipo de sus campos
+   * @param {String} plantillaId - ID de la plantilla
+   * @param {Object} datos - Campos a actualizar
+   * @param {String} userId - ID del usuario que la modifica
+   * @returns {Promise<Object>}
+   */
+  static async actualizarPlantilla(plantillaId, datos, userId) {
+    try {
+      const plantilla = await this._obtenerPlantilla(plantillaId);
+
+      plantilla.set(this._camposPlantilla(datos));
+      plantilla.modificadoPor = userId;
+      await plantilla.save();
+
+      return {
+        success: true,
+        message: 'Plantilla de formulario actualizada exitosamente',
+        data: { plantilla },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Desactivar una plantilla de formulario (los formularios completados se conservan)
+   * @param {String} plantillaId - ID de la plantilla
+   * @param {String} userId - ID del usuario que la desactiva
+   * @returns {Promise<Object>}
+   */
+  static async desactivarPlantilla(plantillaId, userId) {
+    try {
+      const plantilla = await this._obtenerPlantilla(plantillaId);
+
+      plantilla.activa = false;
+      plantilla.modificadoPor = userId;
+      await plantilla.save();
+
+      return {
+        success: true,
+        message: 'Plantilla de formulario desactivada exitosamente',
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Completar un formulario para un paciente o una sesión
+   * @param {Object} datos - { plantilla, paciente, sesion, valores }
+   * @param {String} userId - ID del usuario que lo completa
+   * @returns {Promise<Object>}
+   */
+  static async completarFormulario(datos, userId) {
+    try {
+      const plantilla = await this._obtenerPlantilla(datos.plantilla);
+
+      if (!plantilla.activa) {
+        throw new ErrorResponse('La plantilla de formulario está desactivada', HTTP_STATUS.BAD_REQUEST);
+      }
+
+      const { pacienteId, sesionId } = await this._validarDestino(plantilla, datos);
+
+      if (plantilla.ambito === 'paciente'
+        && await Formulario.exists({ plantilla: plantilla._id, paciente: pacienteId })) {
+        throw new ErrorResponse(
+          'El paciente ya tiene este formulario completado. Actualícelo en lugar de crear otro',
+          HTTP_STATUS.CONFLICT
+        );
+      }
+
+      if (sesionId && await Formulario.exists({ plantilla: plantilla._id, sesion: sesionId })) {
+        throw new ErrorResponse(
+          'La sesión ya tiene este formulario completado. Actualícelo en lugar de crear otro',
+          HTTP_STATUS.CONFLICT
+        );
+      }
+
+      const formulario = await Formulario.create({
+        plantilla: plantilla._id,
+        nombre: plantilla.nombre,
+        ambito: plantilla.ambito,
+        paciente: pacienteId,
+        sesion: sesionId,
+        respuestas: this._validarValores(plantilla, datos.valores),
+        completadoPor: userId,
+      });
+
+      return {
+        success: true,
+        message: 'Formulario completado exitosamente',
+        data: { formulario },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Listar los formularios completados de un paciente
+   * @param {String} pacienteId - ID del paciente
+   * @param {Object} opciones - { plantilla, sesion, ambito, page, limit }
+   * @returns {Promise<Object>}
+   */
+  static async obtenerFormularios(pacienteId, opciones = {}) {
+    try {
+      const { plantilla, sesion, ambito, page = 1, limit = 20 } = opciones;
+      const query = { paciente: pacienteId };
+
+      if (plantilla) query.plantilla = plantilla;
+      if (sesion) query.sesion = sesion;
+      if (ambito) query.ambito = ambito;
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const [formularios, total] = await Promise.all([
+        Formulario.find(query)
+          .sort('-createdAt')
+          .skip(skip)
+          .limit(parseInt(limit))
+          .populate('sesion', 'fecha numeroSesion tipoSesion')
+          .populate('completadoPor', 'nombre apellido')
+          .lean(),
+        Formulario.countDocuments(query),
+      ]);
+
+      return {
+        success: true,
+        data: {
+          formularios,
+          pagination: {
+            total,
+            page: parseInt(page),
+            pages: Math.ceil(total / parseInt(limit)),
+            limit: parseInt(limit),
+          },
+        },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener un formulario completado por ID
+   * @param {String} formularioId - ID del formulario
+   * @returns {Promise<Object>}
+   */
+  static async obtenerFormularioPorId(formularioId) {
+    try {
+      const formulario = await Formulario.findById(formularioId)
+        .populate('plantilla')
+        .populate('paciente', 'nombre apellido dni')
+        .populate('sesion', 'fecha numeroSesion tipoSesion')
+        .populate('completadoPor', 'nombre apellido')
+        .populate('modificadoPor', 'nombre apellido');
+
+      if (!formulario) {
+        throw new ErrorResponse('Formulario no encontrado', HTTP_STATUS.NOT_FOUND);
+      }
+
+      return {
+        success: true,
+        data: { formulario },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Actualizar los valores de un formulario completado
+   * Se validan contra la plantilla actual
+   * @param {String} formularioId - ID del formulario
+   * @param {Object} datos - { valores }
+   * @param {String} userId - ID del usuario que lo modifica
+   * @returns {Promise<Object>}
+   */
+  static async actualizarFormulario(formularioId, datos, userId) {
+    try {
+      const formulario = await Formulario.findById(formularioId);
+
+      if (!formulario) {
+        throw new ErrorResponse('Formulario no encontrado', HTTP_STATUS.NOT_FOUND);
+      }
+
+      const plantilla = await this._obtenerPlantilla(formulario.plantilla);
+
+      formulario.respuestas = this._validarValores(plantilla, datos.valores);
+      formulario.modificadoPor = userId;
+      await formulario.save();
+
+      return {
+        success: true,
+        message: 'Formulario actualizado exitosamente',
+        data: { formulario },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Eliminar un formulario completado
+   * @param {String} formularioId - ID del formulario
+   * @returns {Promise<Object>}
+   */
+  static async eliminarFormulario(formularioId) {
+    try {
+      const formulario = await Formulario.findByIdAndDelete(formularioId);
+
+      if (!formulario) {
+        throw new ErrorResponse('Formulario no encontrado', HTTP_STATUS.NOT_FOUND);
+      }
+
+      return {
+        success: true,
+        message: 'Formulario eliminado exitosamente',
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // ============================================================
+  // Helpers privados
+  // ============================================================
+
+  static _camposPlantilla(datos) {
+    return Object.fromEntries(
+      CAMPOS_PLANTILLA
+        .filter(campo => datos[campo] !== undefined)
+        .map(campo => [campo, datos[campo]])
+    );
+  }
+
+  static async _obtenerPlantilla(plantillaId) {
+    const plantilla = await PlantillaFormulario.findById(plantillaId);
+
+    if (!plantilla) {
+      throw new ErrorResponse('Plantilla de formulario no encontrada', HTTP_STATUS.NOT_FOUND);
+    }
+
+    return plantilla;
+  }
+
+  static _diagnosticosPaciente(paciente) {
+    return [paciente.diagnostico?.principal, ...(paciente.diagnostico?.secundarios || [])].filter(Boolean);
+  }
+
+  /**
+   * Validar que el formulario se guarde donde indica el ámbito de la plantilla
+   * y que la plantilla corresponda al paciente o a la sesión
+   */
+  static async _validarDestino(plantilla, { paciente: pacienteId, sesion: sesionId }) {
+    let sesion = null;
+
+    if (plantilla.ambito === 'sesion' && !sesionId) {
+      throw new ErrorResponse('Este formulario se completa por sesión: indique la sesión', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    // En los formularios del paciente la sesión solo sirve para saber si la plantilla aplica
+    if (sesionId) {
+      sesion = await Sesion.findById(sesionId).select('paciente tipoSesion').lean();
+
+      if (!sesion) {
+        throw new ErrorResponse('Sesión no encontrada', HTTP_STATUS.NOT_FOUND);
+      }
+
+      if (pacienteId && sesion.paciente.toString() !== String(pacienteId)) {
+        throw new ErrorResponse('La sesión no pertenece al paciente', HTTP_STATUS.BAD_REQUEST);
+      }
+    }
+
+    const paciente = await Paciente.findById(sesion?.paciente || pacienteId).select('diagnostico').lean();
+
+    if (!paciente) {
+      throw new ErrorResponse('Paciente no encontrado', HTTP_STATUS.NOT_FOUND);
+    }
+
+    const criterios = {
+      diagnosticos: this._diagnosticosPaciente(paciente),
+      tipoSesion: sesion?.tipoSesion,
+    };
+
+    if (!plantilla.aplicaA(criterios)) {
+      throw new ErrorResponse(
+        sesion
+          ? 'La plantilla no corresponde al diagnóstico del paciente ni al tipo de sesión'
+          : 'La plantilla no corresponde al diagnóstico del paciente',
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+
+    return {
+      pacienteId: paciente._id,
+      sesionId: plantilla.ambito === 'sesion' ? sesion._id : null,
+    };
+  }
+
+  /**
+   * Validar los valores contra la plantilla y devolver las respuestas a guardar
+   */
+  static _validarValores(plantilla, valores) {
+    if (!valores || typeof valores !== 'object' || Array.isArray(valores)) {
+      throw new ErrorResponse('Los valores deben ser un objeto { campo: valor }', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    const { errores, respuestas } = plantilla.validarValores(valores);
+
+    if (errores.length) {
+      throw new ErrorResponse(errores.map(e => e.message).join('. '), HTTP_STATUS.UNPROCESSABLE_ENTITY);
+    }
+
+    return respuestas;
+  }
+}
+
+export default FormularioService;
@@ -0,0 +1,422 @@
+import Liquidacion from '../models/Liquidacion.js';
+import ObraSocial from '../models/ObraSocial.js';
+import Paciente from '../models/Paciente.js';
+import Sesion from '../models/Sesion.js';
+import ErrorResponse from '../utils/ErrorResponse.js';
+import { HTTP_STATUS } from '../conf/constants.js';
+
+/**
+ * Servicio de liquidaciones mensuales a obras sociales
+ */
+class LiquidacionService {
+  /**
+   * Obtener las sesiones realizadas de un período que todavía no se liquidaron
+   * @param {String} obraSocialId - ID de la obra social
+   * @param {Number} año - Año
+   * @param {Number} mes - Mes (1-12)
+   * @returns {Promise<Object>}
+   */
+  static async obtenerSesionesPendientes(obraSocialId, año, mes) {
+    try {
+      const obraSocial = await this._obtenerObraSocial(obraSocialId);
+      const sesiones = await this._buscarSesionesLiquidables(obraSocial._id, año, mes);
+      const items = sesiones.map(s => this._crearItem(s));
+
+      return {
+        success: true,
+        data: {
+          obraSocial: { _id: obraSocial._id, nombre: obraSocial.nombre },
+          periodo: { año, mes },
+          items,
+          cantidadSesiones: items.length,
+          montoTotal: items.reduce((total, item) => total + item.monto, 0),
+        },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Generar una liquidación (borrador) con las sesiones pendientes del período
+   * Las sesiones incluidas quedan bloqueadas para edición
+   * @param {Object} datos - { obraSocial, año, mes, observaciones }
+   * @param {String} userId - ID del usuario que la genera
+   * @returns {Promise<Object>}
+   */
+  static async generarLiquidacion(datos, userId) {
+    try {
+      const { año, mes } = datos;
+      const obraSocial = await this._obtenerObraSocial(datos.obraSocial);
+      const sesiones = await this._buscarSesionesLiquidables(obraSocial._id, año, mes);
+
+      if (!sesiones.length) {
+        throw new ErrorResponse(
+          `No hay sesiones pendientes de liquidar para ${obraSocial.nombre} en ${mes}/${año}`,
+          HTTP_STATUS.BAD_REQUEST
+        );
+      }
+
+      const liquidacion = new Liquidacion({
+        obraSocial: obraSocial._id,
+        periodo: { año, mes },
+        observaciones: datos.observaciones,
+        creadoPor: userId,
+      });
+
+      // Bloquear solo las sesiones que sigan libres (evita incluir una sesión en dos liquidaciones)
+      await Sesion.updateMany(
+        { _id: { $in: sesiones.map(s => s._id) }, liquidacion: null },
+        { $set: { liquidacion: liquidacion._id, 'pago.estadoObraSocial': 'liquidada' } }
+      );
+
+      const idsBloqueados = new Set(
+        (await Sesion.find({ liquidacion: liquidacion._id }).distinct('_id')).map(id => id.toString())
+      );
+
+      liquidacion.items = sesiones
+        .filter(s => idsBloqueados.has(s._id.toString()))
+        .map(s => this._crearItem(s));
+      liquidacion.cambiarEstado('borrador', userId, 'Liquidación generada');
+
+      try {
+        if (!liquidacion.items.length) {
+          throw new ErrorResponse('Las sesiones del período ya fueron incluidas en otra liquidación', HTTP_STATUS.CONFLICT);
+        }
+        await liquidacion.save();
+      } catch (error) {
+        // No dejar sesiones bloqueadas por una liquidación que no se guardó
+        await this._liberarSesiones([...idsBloqueados], liquidacion._id);
+        throw error;
+      }
+
+      return {
+        success: true,
+        message: `Liquidación generada con ${liquidacion.items.length} sesiones`,
+        data: { liquidacion },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Listar liquidaciones
+   * @param {Object} filtros - { obraSocial, estado, año, mes }
+   * @returns {Promise<Object>}
+   */
+  static async obtenerLiquidaciones(filtros = {}) {
+    try {
+      const query = {};
+
+      if (filtros.obraSocial) query.obraSocial = filtros.obraSocial;
+      if (filtros.estado) query.estado = filtros.estado;
+      if (filtros.año) query['periodo.año'] = parseInt(filtros.año);
+      if (filtros.mes) query['periodo.mes'] = parseInt(filtros.mes);
+
+      const liquidaciones = await Liquidacion.find(query)
+        .select('-items -historial')
+        .populate('obraSocial', 'nombre')
+        .populate('creadoPor', 'nombre apellido')
+        .sort('-periodo.año -periodo.mes -createdAt')
+        .lean();
+
+      return {
+        success: true,
+        data: { liquidaciones, total: liquidaciones.length },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener una liquidación con su detalle
+   * @param {String} liquidacionId - ID de la liquidación
+   * @returns {Promise<Object>}
+   */
+  static async obtenerLiquidacionPorId(liquidacionId) {
+    try {
+      const liquidacion = await Liquidacion.findById(liquidacionId)
+        .populate('obraSocial', 'nombre cuit')
+        .populate('creadoPor', 'nombre apellido')
+        .populate('historial.usuario', 'nombre apellido')
+        .lean();
+
+      if (!liquidacion) {
+        throw new ErrorResponse('Liquidación no encontrada', HTTP_STATUS.NOT_FOUND);
+      }
+
+      return {
+        success: true,
+        data: { liquidacion },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Eliminar una liquidación en borrador y liberar sus sesiones
+   * @param {String} liquidacionId - ID de la liquidación
+   * @returns {Promise<Object>}
+   */
+  static async eliminarLiquidacion(liquidacionId) {
+    try {
+      const liquidacion = await this._obtenerLiquidacion(liquidacionId, ['borrador']);
+
+      await this._liberarSesiones(liquidacion.items.map(i => i.sesion), liquidacion._id);
+      await liquidacion.deleteOne();
+
+      return {
+        success: true,
+        message: 'Liquidación eliminada y sesiones liberadas',
+        data: { liquidacion },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Marcar una liquidación como presentada a la obra social
+   * @param {String} liquidacionId - ID de la liquidación
+   * @param {String} userId - ID del usuario
+   * @param {String} observacion - Observación opcional
+   * @returns {Promise<Object>}
+   */
+  static async presentarLiquidacion(liquidacionId, userId, observacion = null) {
+    try {
+      const liquidacion = await this._obtenerLiquidacion(liquidacionId, ['borrador']);
+
+      liquidacion.fechaPresentacion = new Date();
+      liquidacion.cambiarEstado('presentada', userId, observacion);
+      await liquidacion.save();
+
+      return {
+        success: true,
+        message: 'Liquidación presentada exitosamente',
+        data: { liquidacion },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Registrar el resultado de una liquidación presentada (pagos y débitos)
+   * Las sesiones rechazadas se liberan y vuelven a quedar pendientes de liquidar
+   * @param {String} liquidacionId - ID de la liquidación
+   * @param {Object} datos - { pagos: [{ sesion, montoPagado }], rechazos: [{ sesion, motivo }], pagarRestantes, observacion }
+   * @param {String} userId - ID del usuario
+   * @returns {Promise<Object>}
+   */
+  static async registrarPago(liquidacionId, datos, userId) {
+    try {
+      const liquidacion = await this._obtenerLiquidacion(liquidacionId, ['presentada', 'pagada_parcial']);
+      const { pagos = [], rechazos = [], pagarRestantes = false, observacion = null } = datos;
+
+      const sesionesPagadas = [];
+      const sesionesRechazadas = [];
+
+      rechazos.forEach(rechazo => {
+        const item = this._buscarItemPendiente(liquidacion, rechazo.sesion);
+        item.estado = 'rechazada';
+        item.motivoRechazo = rechazo.motivo || null;
+        sesionesRechazadas.push(item.sesion);
+      });
+
+      pagos.forEach(pago => {
+        const item = this._buscarItemPendiente(liquidacion, pago.sesion);
+        item.estado = 'pagada';
+        item.montoPagado = pago.montoPagado ?? item.monto;
+        sesionesPagadas.push(item.sesion);
+      });
+
+      if (pagarRestantes) {
+        liquidacion.items
+          .filter(item => item.estado === 'incluida')
+          .forEach(item => {
+            item.estado = 'pagada';
+            item.montoPagado = item.monto;
+            sesionesPagadas.push(item.sesion);
+          });
+      }
+
+      if (!sesionesPagadas.length && !sesionesRechazadas.length) {
+        throw new ErrorResponse('Debe indicar al menos un pago o un rechazo', HTTP_STATUS.BAD_REQUEST);
+      }
+
+      const estado = this._calcularEstado(liquidacion);
+      if (estado === 'pagada') {
+        liquidacion.fechaPago = new Date();
+      }
+      liquidacion.cambiarEstado(estado, userId, observacion);
+      await liquidacion.save();
+
+      if (sesionesPagadas.length) {
+        await Sesion.updateMany(
+          { _id: { $in: sesionesPagadas }, liquidacion: liquidacion._id },
+          { $set: { 'pago.estadoObraSocial': 'cobrada' } }
+        );
+      }
+      await this._liberarSesiones(sesionesRechazadas, liquidacion._id);
+
+      return {
+        success: true,
+        message: 'Resultado de la liquidación registrado exitosamente',
+        data: { liquidacion },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Rechazar todas las sesiones pendientes de una liquidación presentada
+   * @param {String} liquidacionId - ID de la liquidación
+   * @param {String} motivo - Motivo del rechazo
+   * @param {String} userId - ID del usuario
+   * @returns {Promise<Object>}
+   */
+  static async rechazarLiquidacion(liquidacionId, motivo, userId) {
+    try {
+      const liquidacion = await this._obtenerLiquidacion(liquidacionId, ['presentada', 'pagada_parcial']);
+
+      const pendientes = liquidacion.items.filter(item => item.estado === 'incluida');
+      pendientes.forEach(item => {
+        item.estado = 'rechazada';
+        item.motivoRechazo = motivo || null;
+      });
+
+      liquidacion.cambiarEstado(this._calcularEstado(liquidacion), userId, motivo);
+      await liquidacion.save();
+
+      await this._liberarSesiones(pendientes.map(item => item.sesion), liquidacion._id);
+
+      return {
+        success: true,
+        message: 'Liquidación rechazada. Las sesiones volvieron a quedar pendientes',
+        data: { liquidacion },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Sesiones realizadas del período cubiertas por la obra social y no liquidadas
+   * Incluye sesiones anteriores al catálogo cobradas con metodoPago 'obra_social'
+   */
+  static async _buscarSesionesLiquidables(obraSocialId, año, mes) {
+    const pacientes = await Paciente.find({ 'obraSocial.entidad': obraSocialId }).distinct('_id');
+
+    return Sesion.find({
+      estado: 'realizada',
+      liquidacion: null,
+      fecha: {
+        $gte: new Date(Date.UTC(año, mes - 1, 1)),
+        $lt: new Date(Date.UTC(año, mes, 1)),
+      },
+      $or: [
+        { 'pago.obraSocial': obraSocialId, 'pago.montoObraSocial': { $gt: 0 } },
+        { 'pago.obraSocial': null, 'pago.metodoPago': 'obra_social', paciente: { $in: pacientes } },
+      ],
+    })
+      .populate('paciente', 'nombre apellido dni obraSocial')
+      .sort('fecha numeroOrden')
+      .lean();
+  }
+
+  /**
+   * Crear el ítem de la liquidación a partir de una sesión
+   */
+  static _crearItem(sesion) {
+    return {
+      sesion: sesion._id,
+      paciente: sesion.paciente._id,
+      fecha: sesion.fecha,
+      pacienteNombre: `${sesion.paciente.apellido}, ${sesion.paciente.nombre}`,
+      dni: sesion.paciente.dni,
+      numeroAfiliado: sesion.paciente.obraSocial?.numeroAfiliado || null,
+      plan: sesion.pago?.planObraSocial || sesion.paciente.obraSocial?.plan || null,
+      numeroSesion: sesion.numeroSesion,
+      monto: sesion.pago?.montoObraSocial > 0 ? sesion.pago.montoObraSocial : sesion.pago?.monto || 0,
+    };
+  }
+
+  /**
+   * Estado de la liquidación según el resultado de sus ítems
+   */
+  static _calcularEstado(liquidacion) {
+    const items = liquidacion.items;
+    const pendientes = items.filter(i => i.estado === 'incluida').length;
+    const pagadas = items.filter(i => i.estado === 'pagada');
+    const rechazadas = items.filter(i => i.estado === 'rechazada').length;
+
+    if (!pendientes && !pagadas.length) return 'rechazada';
+
+    const pagoCompleto = pagadas.every(i => i.montoPagado >= i.monto);
+    if (!pendientes && !rechazadas && pagoCompleto) return 'pagada';
+
+    return 'pagada_parcial';
+  }
+
+  static _buscarItemPendiente(liquidacion, sesionId) {
+    const item = liquidacion.items.find(i => i.sesion.toString() === String(sesionId));
+
+    if (!item) {
+      throw new ErrorResponse(`La sesión ${sesionId} no pertenece a la liquidación`, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    if (item.estado !== 'incluida') {
+      throw new ErrorResponse(`La sesión ${sesionId} ya fue ${item.estado}`, HTTP_STATUS.CONFLICT);
+    }
+
+    return item;
+  }
+
+  /**
+   * Liberar sesiones de una liquidación (vuelven a quedar pendientes de liquidar)
+   */
+  static async _liberarSesiones(sesionIds, liquidacionId) {
+    if (!sesionIds.length) return;
+
+    await Sesion.updateMany(
+      { _id: { $in: sesionIds }, liquidacion: liquidacionId },
+      { $set: { liquidacion: null, 'pago.estadoObraSocial': 'pendiente' } }
+    );
+  }
+
+  static async _obtenerObraSocial(obraSocialId) {
+    const obraSocial = await ObraSocial.findById(obraSocialId);
+
+    if (!obraSocial) {
+      throw new ErrorResponse('Obra social no encontrada', HTTP_STATUS.NOT_FOUND);
+    }
+
+    return obraSocial;
+  }
+
+  /**
+   * Obtener una liquidación verificando que esté en uno de los estados permitidos
+   */
+  static async _obtenerLiquidacion(liquidacionId, estadosPermitidos) {
+    const liquidacion = await Liquidacion.findById(liquidacionId);
+
+    if (!liquidacion) {
+      throw new ErrorResponse('Liquidación no encontrada', HTTP_STATUS.NOT_FOUND);
+    }
+
+    if (!estadosPermitidos.includes(liquidacion.estado)) {
+      throw new ErrorResponse(
+        `La operación no está permitida para una liquidación en estado "${liquidacion.estado}"`,
+        HTTP_STATUS.CONFLICT
+      );
+    }
+
+    return liquidacion;
+  }
+}
+
+export default LiquidacionService;
@@ -0,0 +1,330 @@
+import mongoose from 'mongoose';
+import ListaEspera, { PRIORIDADES_LISTA_ESPERA } from '../models/ListaEspera.js';
+import Paciente from '../models/Paciente.js';
+import SesionService from './sesionService.js';
+import AgendaService from './agendaService.js';
+import PacienteService from './pacienteService.js';
+import ErrorResponse from '../utils/ErrorResponse.js';
+import { HTTP_STATUS } from '../conf/constants.js';
+
+// Campos editables de una entrada de la lista de espera
+const CAMPOS_EDITABLES = ['paciente', 'interesado', 'preferencias', 'profesional', 'tipoSesion', 'prioridad', 'notas'];
+
+/**
+ * Servicio de la lista de espera de pacientes sin turno
+ */
+class ListaEsperaService {
+  /**
+   * Agregar una entrada a la lista de espera
+   * @param {Object} datos - Paciente o interesado, preferencias, prioridad y notas
+   * @param {String} userId - ID del usuario que la registra
+   * @returns {Promise<Object>}
+   */
+  static async crearEntrada(datos, userId) {
+    try {
+      await this._verificarPaciente(datos.paciente);
+
+      const entrada = new ListaEspera({ creadoPor: userId });
+      this._asignarCampos(entrada, datos);
+      await entrada.save();
+      await this._poblar(entrada);
+
+      return {
+        success: true,
+        message: 'Entrada agregada a la lista de espera',
+        data: { entrada },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Listar la lista de espera ordenada por prioridad y antigüedad
+   * @param {Object} opciones - { estado, prioridad, profesional, paciente, page, limit }
+   * @returns {Promise<Object>}
+   */
+  static async obtenerEntradas(opciones = {}) {
+    try {
+      const { estado = 'pendiente', prioridad, profesional, paciente, page = 1, limit = 50 } = opciones;
+      const query = {};
+
+      if (estado !== 'todas') query.estado = estado;
+      if (prioridad) query.prioridad = prioridad;
+      if (profesional) query.profesional = new mongoose.Types.ObjectId(profesional);
+      if (paciente) query.paciente = new mongoose.Types.ObjectId(paciente);
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const [resultados, total] = await Promise.all([
+        ListaEspera.aggregate([
+          { $match: query },
+          { $addFields: { _orden: { $indexOfArray: [PRIORIDADES_LISTA_ESPERA, '$prioridad'] } } },
+          { $sort: { _orden: -1, createdAt: 1 } },
+          { $skip: skip },
+          { $limit: parseInt(limit) },
+          { $project: { _orden: 0 } },
+        ]),
+        ListaEspera.countDocuments(query),
+      ]);
+
+      const entradas = await ListaEspera.populate(resultados, [
+        { path: 'paciente', select: 'nombre apellido dni telefono' },
+        { path: 'profesional', select: 'nombre apellido' },
+      ]);
+
+      return {
+        success: true,
+        data: {
+          entradas,
+          pagination: {
+            total,
+            page: parseInt(page),
+            pages: Math.ceil(total / parseInt(limit)),
+            limit: parseInt(limit),
+          },
+        },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener una entrada de la lista de espera
+   * @param {String} entradaId - ID de la entrada
+   * @returns {Promise<Object>}
+   */
+  static async obtenerEntradaPorId(entradaId) {
+    try {
+      const entrada = await this._obtenerEntrada(entradaId);
+      await this._poblar(entrada);
+      await entrada.populate('sesion', 'fecha horaEntrada horaSalida estado');
+
+      return {
+        success: true,
+        data: { entrada },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Actualizar una entrada pendiente
+   * @param {String} entradaId - ID de la entrada
+   * @param {Object} datos - Datos a actualizar
+   * @param {String} userId - ID del usuario que modifica
+   * @returns {Promise<Object>}
+   */
+  static async actualizarEntrada(entradaId, datos, userId) {
+    try {
+      const entrada = await this._obtenerEntradaPendiente(entradaId);
+
+      if (datos.paciente !== undefined) {
+        await this._verificarPaciente(datos.paciente);
+      }
+
+      this._asignarCampos(entrada, datos);
+      entrada.modificadoPor = userId;
+      await entrada.save();
+      await this._poblar(entrada);
+
+      return {
+        success: true,
+        message: 'Entrada de la lista de espera actualizada exitosamente',
+        data: { entrada },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Quitar una entrada de la lista (queda como cancelada)
+   * @param {String} entradaId - ID de la entrada
+   * @param {String} userId - ID del usuario que la cancela
+   * @returns {Promise<Object>}
+   */
+  static async cancelarEntrada(entradaId, userId) {
+    try {
+      const entrada = await this._obtenerEntradaPendiente(entradaId);
+
+      entrada.estado = 'cancelada';
+      entrada.modificadoPor = userId;
+      await entrada.save();
+
+      return {
+        success: true,
+        message: 'Entrada quitada de la lista de espera',
+        data: { entrada },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Sugerir entradas de la lista de espera para un turno libre
+   * @param {Object} turno - { fecha, horaEntrada, profesional }
+   * @returns {Promise<Object>}
+   */
+  static async obtenerSugerencias(turno) {
+    try {
+      const fecha = new Date(turno.fecha);
+
+      if (Number.isNaN(fecha.getTime())) {
+        throw new ErrorResponse('Fecha inválida', HTTP_STATUS.BAD_REQUEST);
+      }
+
+      const sugerencias = await ListaEspera.buscarCoincidencias({ ...turno, fecha });
+
+      return {
+        success: true,
+        data: {
+          sugerencias,
+          total: sugerencias.length,
+        },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Convertir una entrada en una sesión en un solo paso
+   * Si la entrada es de un interesado que todavía no es paciente, se lo registra
+   * con sus datos (el DNI es obligatorio) o se vincula el paciente indicado
+   * @param {String} entradaId - ID de la entrada
+   * @param {Object} datos - { fecha, horaEntrada, horaSalida, tipoSesion, monto, observaciones, profesional, paciente, dni }
+   * @param {String} userId - ID del usuario que asigna el turno
+   * @param {Object} opciones - { permitirSuperposicion, permitirSinAutorizacion } (solo administradores)
+   * @returns {Promise<Object>}
+   */
+  static async convertirEnSesion(entradaId, datos, userId, opciones = {}) {
+    try {
+      const entrada = await this._obtenerEntradaPendiente(entradaId);
+      const profesionalId = datos.profesional || entrada.profesional || userId;
+      let pacienteId = entrada.paciente || datos.paciente;
+      let pacienteCreado = false;
+
+      // Verificar el turno antes de registrar al interesado como paciente
+      if (!opciones.permitirSuperposicion) {
+        await AgendaService.verificarSuperposicion({
+          profesionalId,
+          fecha: datos.fecha,
+          horaEntrada: datos.horaEntrada,
+          horaSalida: datos.horaSalida,
+        });
+      }
+
+      if (pacienteId) {
+        await this._verificarPaciente(pacienteId);
+      } else {
+        const { nombre, apellido, telefono, email } = entrada.interesado;
+        const { data } = await PacienteService.crearPaciente(
+          {
+            nombre,
+            apellido,
+            telefono,
+            email: email || null,
+            dni: datos.dni || entrada.interesado.dni,
+          },
+          userId
+        );
+
+        pacienteId = data.paciente._id;
+        pacienteCreado = true;
+
+        // Vincular al paciente ya: si el turno no se puede registrar, el reintento lo reutiliza
+        entrada.paciente = pacienteId;
+        entrada.modificadoPor = userId;
+        await entrada.save();
+      }
+
+      const { data } = await SesionService.registrarSesion(
+        {
+          paciente: pacienteId,
+          fecha: datos.fecha,
+          horaEntrada: datos.horaEntrada,
+          horaSalida: datos.horaSalida,
+          tipoSesion: datos.tipoSesion || entrada.tipoSesion,
+          pago: datos.monto !== undefined ? { monto: datos.monto } : undefined,
+          observaciones: datos.observaciones || entrada.notas,
+        },
+        profesionalId,
+        opciones
+      );
+
+      entrada.paciente = pacienteId;
+      entrada.estado = 'asignada';
+      entrada.sesion = data.sesion._id;
+      entrada.fechaAsignacion = new Date();
+      entrada.modificadoPor = userId;
+      await entrada.save();
+
+      return {
+        success: true,
+        message: 'Turno asignado desde la lista de espera',
+        data: {
+          entrada,
+          sesion: data.sesion,
+          advertencias: data.advertencias,
+          pacienteCreado,
+        },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // ============================================================
+  // Helpers privados
+  // ============================================================
+
+  static async _obtenerEntrada(entradaId) {
+    const entrada = await ListaEspera.findById(entradaId);
+
+    if (!entrada) {
+      throw new ErrorResponse('Entrada de la lista de espera no encontrada', HTTP_STATUS.NOT_FOUND);
+    }
+
+    return entrada;
+  }
+
+  static async _obtenerEntradaPendiente(entradaId) {
+    const entrada = await this._obtenerEntrada(entradaId);
+
+    if (entrada.estado !== 'pendiente') {
+      throw new ErrorResponse(
+        `La entrada ya está ${entrada.estado} y no se puede modificar`,
+        HTTP_STATUS.CONFLICT
+      );
+    }
+
+    return entrada;
+  }
+
+  static async _verificarPaciente(pacienteId) {
+    if (!pacienteId) return;
+
+    if (!(await Paciente.exists({ _id: pacienteId }))) {
+      throw new ErrorResponse('Paciente no encontrado', HTTP_STATUS.NOT_FOUND);
+    }
+  }
+
+  static async _poblar(entrada) {
+    await entrada.populate('paciente', 'nombre apellido dni telefono');
+    await entrada.populate('profesional', 'nombre apellido');
+  }
+
+  static _asignarCampos(entrada, datos) {
+    CAMPOS_EDITABLES.forEach(campo => {
+      if (datos[campo] !== undefined) {
+        entrada[campo] = datos[campo];
+      }
+    });
+  }
+}
+
+export default ListaEsperaService;
@@ -1,8 +1,14 @@
 import Notificacion from '../models/Notificacion.js';
 import Sesion from '../models/Sesion.js';
 import Paciente from '../models/Paciente.js';
+import Autorizacion from '../models/Autorizacion.js';
+import { saldoSesion } from '../models/MovimientoCuenta.js';
+import User from '../models/User.js';
+import AutorizacionService from './autorizacionService.js';
+import PlanTratamientoService from './planTratamientoService.js';
 import ErrorResponse from '../utils/ErrorResponse.js';
-import { HTTP_STATUS } from '../conf/constants.js';
+import { emitirAUsuario, EVENTOS_SOCKET } from '../utils/socket.js';
+import { HTTP_STATUS, ROLES } from '../conf/constants.js';
 
 /**
  * Servicio de gestión de notificaciones
@@ -159,6 +165,8 @@ class NotificacionService {
 
       await notificacion.marcarComoLeida();
 
+      emitirAUsuario(usuarioId, EVENTOS_SOCKET.NOTIFICACION_LEIDA, { notificacionId: notificacion._id });
+
       return {
         success: true,
         message: 'Notificación marcada como leída',
@@ -187,6 +195,8 @@ class NotificacionService {
         }
       );
 
+      emitirAUsuario(usuarioId, EVENTOS_SOCKET.NOTIFICACIONES_LEIDAS, { actualizadas: resultado.modifiedCount });
+
       return {
         success: true,
         message: 'Todas las notificaciones marcadas como leídas',
@@ -211,6 +221,8 @@ class NotificacionService {
         throw new ErrorResponse('Notificación no encontrada', HTTP_STATUS.NOT_FOUND);
       }
 
+      emitirAUsuario(usuarioId, EVENTOS_SOCKET.NOTIFICACION_ELIMINADA, { notificacionId: notificacion._id });
+
       return {
         success: true,
         message: 'Notificación eliminada exitosamente',
@@ -297,11 +309,11 @@ class NotificacionService {
           usuario: sesion.profesional._id,
           tipo: 'pago_pendiente',
           titulo: 'Pago pendiente',
-          mensaje: `El paciente ${sesion.paciente.nombre} ${sesion.paciente.apellido} tiene un pago pendiente de $${sesion.pago.monto}`,
+          mensaje: `El paciente ${sesion.paciente.nombre} ${sesion.paciente.apellido} tiene un pago pendiente de $${saldoSesion(sesion)}`,
           datos: {
             pacienteId: sesion.paciente._id,
             sesionId: sesion._id,
-            monto: sesion.pago.monto,
+            monto: saldoSesion(sesion),
             fecha: sesion.fecha,
             url: `/sesiones/${sesion._id}`,
           },
@@ -323,6 +335,124 @@ class NotificacionService {
       return { success: false, error: error.message };
     }
   }
+
+  /**
+   * Generar notificaciones para autorizaciones de obra social por vencer o agotarse
+   * Se avisa una sola vez por autorización a administradores y empleados
+   */
+  static async generarNotificacionesAutorizacionesPorVencer() {
+    try {
+      const autorizaciones = await Autorizacion.find({
+        ...AutorizacionService.filtroPorVencer(),
+        notificacionVencimiento: null,
+      })
+        .populate('paciente', 'nombre apellido')
+        .lean();
+
+      const usuarios = autorizaciones.length > 0
+        ? await User.find({ rol: { $in: [ROLES.ADMIN, ROLES.EMPLEADO] }, estadoCuenta: 'activo' }).select('_id').lean()
+        : [];
+
+      const notificaciones = [];
+
+      for (const autorizacion of autorizaciones) {
+        const restantes = autorizacion.sesionesAutorizadas - autorizacion.sesionesConsumidas;
+        const vence = new Date(autorizacion.fechaVencimiento).toLocaleDateString('es-AR', { timeZone: 'UTC' });
+
+        for (const usuario of usuarios) {
+          notificaciones.push({
+            usuario: usuario._id,
+            tipo: 'autorizacion_por_vencer',
+            titulo: 'Autorización por vencer',
+            mensaje: `La orden ${autorizacion.numeroOrden} de ${autorizacion.paciente.nombre} ${autorizacion.paciente.apellido} vence el ${vence} y le quedan ${restantes} sesiones`,
+            datos: {
+              pacienteId: autorizacion.paciente._id,
+              fecha: autorizacion.fechaVencimiento,
+              url: `/pacientes/${autorizacion.paciente._id}`,
+              metadata: { autorizacionId: autorizacion._id },
+            },
+            prioridad: 'alta',
+            fechaExpiracion: new Date(new Date(autorizacion.fechaVencimiento).getTime() + 24 * 60 * 60 * 1000),
+          });
+        }
+      }
+
+      if (notificaciones.length > 0) {
+        await Notificacion.crearNotificacionesMultiples(notificaciones);
+      }
+
+      if (autorizaciones.length > 0) {
+        await Autorizacion.updateMany(
+          { _id: { $in: autorizaciones.map(a => a._id) } },
+          { $set: { notificacionVencimiento: new Date() } }
+        );
+      }
+
+      return {
+        success: true,
+        message: `${notificaciones.length} notificaciones de autorizaciones por vencer generadas`,
+        data: { cantidad: notificaciones.length },
+      };
+    } catch (error) {
+      console.error('Error al generar notificaciones de autorizaciones por vencer:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Generar notificaciones de objetivos de tratamiento cuya fecha de revisión
+   * pasó sin evaluación (al profesional del plan y a los administradores)
+   * Se avisa una sola vez por fecha de revisión
+   */
+  static async generarNotificacionesRevisionesObjetivos() {
+    try {
+      const { data } = await PlanTratamientoService.obtenerRevisionesVencidas({ soloSinNotificar: true });
+
+      const administradores = data.revisiones.length > 0
+        ? await User.find({ rol: ROLES.ADMIN, estadoCuenta: 'activo' }).select('_id').lean()
+        : [];
+
+      const notificaciones = [];
+
+      for (const { plan, paciente, objetivo } of data.revisiones) {
+        const destinatarios = new Set(administradores.map(a => a._id.toString()));
+        if (plan.profesional) destinatarios.add(plan.profesional.toString());
+
+        const revision = objetivo.revision.fecha.toLocaleDateString('es-AR', { timeZone: 'UTC' });
+
+        for (const usuario of destinatarios) {
+          notificaciones.push({
+            usuario,
+            tipo: 'revision_objetivo',
+            titulo: 'Revisión de objetivo sin evaluación',
+            mensaje: `El objetivo "${objetivo.descripcion}" de ${paciente.nombre} ${paciente.apellido} tenía revisión el ${revision} y no se registró ninguna evaluación`,
+            datos: {
+              pacienteId: paciente._id,
+              fecha: objetivo.revision.fecha,
+              url: `/pacientes/${paciente._id}`,
+              metadata: { planId: plan._id, objetivoId: objetivo._id },
+            },
+            prioridad: 'media',
+          });
+        }
+      }
+
+      if (notificaciones.length > 0) {
+        await Notificacion.crearNotificacionesMultiples(notificaciones);
+      }
+
+      await PlanTratamientoService.marcarRevisionesNotificadas(data.revisiones);
+
+      return {
+        success: true,
+        message: `${notificaciones.length} notificaciones de revisiones de objetivos generadas`,
+        data: { cantidad: notificaciones.length },
+      };
+    } catch (error) {
+      console.error('Error al generar notificaciones de revisiones de objetivos:', error);
+      return { success: false, error: error.message };
+    }
+  }
 }
 
 export default NotificacionService;
@@ -0,0 +1,383 @@
+import mongoose from 'mongoose';
+import ObraSocial from '../models/ObraSocial.js';
+import Paciente from '../models/Paciente.js';
+import Sesion from '../models/Sesion.js';
+import ErrorResponse from '../utils/ErrorResponse.js';
+import { HTTP_STATUS } from '../conf/constants.js';
+
+// Campos editables de una obra social
+const CAMPOS_EDITABLES = [
+  'nombre',
+  'alias',
+  'cuit',
+  'contacto',
+  'montoCobertura',
+  'copago',
+  'topeSesionesAnual',
+  'requiereAutorizacion',
+  'planes',
+  'observaciones',
+  'activa',
+];
+
+/**
+ * Servicio del catálogo de obras sociales y cálculo de cobertura por sesión
+ */
+class ObraSocialService {
+  /**
+   * Crear una obra social
+   * @param {Object} datos - Datos de la obra social
+   * @param {String} userId - ID del usuario que la crea
+   * @returns {Promise<Object>}
+   */
+  static async crearObraSocial(datos, userId) {
+    try {
+      await this._verificarNombreDisponible(datos.nombre);
+
+      const obraSocial = new ObraSocial({ creadoPor: userId });
+      this._asignarCampos(obraSocial, datos);
+      await obraSocial.save();
+
+      return {
+        success: true,
+        message: 'Obra social creada exitosamente',
+        data: { obraSocial },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Listar obras sociales
+   * @param {Object} opciones - { activa, busqueda }
+   * @returns {Promise<Object>}
+   */
+  static async obtenerObrasSociales(opciones = {}) {
+    try {
+      const { activa, busqueda } = opciones;
+      const query = {};
+
+      if (activa !== undefined) {
+        query.activa = activa === true || activa === 'true';
+      }
+
+      if (busqueda) {
+        query.$or = [
+          { nombre: new RegExp(busqueda, 'i') },
+          { alias: new RegExp(busqueda, 'i') },
+        ];
+      }
+
+      const obrasSociales = await ObraSocial.find(query).sort('nombre').lean();
+
+      // Cantidad de pacientes por obra social
+      const pacientesPorObraSocial = await Paciente.aggregate([
+        { $match: { 'obraSocial.entidad': { $in: obrasSociales.map(o => o._id) } } },
+        { $group: { _id: '$obraSocial.entidad', cantidad: { $sum: 1 } } },
+      ]);
+
+      const cantidades = new Map(pacientesPorObraSocial.map(p => [p._id.toString(), p.cantidad]));
+
+      return {
+        success: true,
+        data: {
+          obrasSociales: obrasSociales.map(o => ({
+            ...o,
+            cantidadPacientes: cantidades.get(o._id.toString()) || 0,
+          })),
+          total: obrasSociales.length,
+        },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener una obra social por ID
+   * @param {String} obraSocialId - ID de la obra social
+   * @returns {Promise<Object>}
+   */
+  static async obtenerObraSocialPorId(obraSocialId) {
+    try {
+      const obraSocial = await ObraSocial.findById(obraSocialId).lean();
+
+      if (!obraSocial) {
+        throw new ErrorResponse('Obra social no encontrada', HTTP_STATUS.NOT_FOUND);
+      }
+
+      const cantidadPacientes = await Paciente.countDocuments({ 'obraSocial.entidad': obraSocial._id });
+
+      return {
+        success: true,
+        data: {
+          obraSocial: { ...obraSocial, cantidadPacientes },
+        },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Actualizar una obra social
+   * Si cambia el nombre se actualiza también en los pacientes que la tienen
+   * @param {String} obraSocialId - ID de la obra social
+   * @param {Object} datos - Datos a actualizar
+   * @param {String} userId - ID del usuario que modifica
+   * @returns {Promise<Object>}
+   */
+  static async actualizarObraSocial(obraSocialId, datos, userId) {
+    try {
+      const obraSocial = await ObraSocial.findById(obraSocialId);
+
+      if (!obraSocial) {
+        throw new ErrorResponse('Obra social no encontrada', HTTP_STATUS.NOT_FOUND);
+      }
+
+      if (datos.nombre && datos.nombre !== obraSocial.nombre) {
+        await this._verificarNombreDisponible(datos.nombre, obraSocial._id);
+      }
+
+      this._asignarCampos(obraSocial, datos);
+      obraSocial.modificadoPor = userId;
+      const cambioNombre = obraSocial.isModified('nombre');
+      await obraSocial.save();
+
+      if (cambioNombre) {
+        await Paciente.updateMany(
+          { 'obraSocial.entidad': obraSocial._id },
+          { $set: { 'obraSocial.nombre': obraSocial.nombre } }
+        );
+      }
+
+      return {
+        success: true,
+        message: 'Obra social actualizada exitosamente',
+        data: { obraSocial },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Desactivar una obra social (no se elimina porque la referencian pacientes y sesiones)
+   * @param {String} obraSocialId - ID de la obra social
+   * @param {String} userId - ID del usuario que la desactiva
+   * @returns {Promise<Object>}
+   */
+  static async desactivarObraSocial(obraSocialId, userId) {
+    try {
+      const obraSocial = await ObraSocial.findByIdAndUpdate(
+        obraSocialId,
+        { activa: false, modificadoPor: userId },
+        { new: true }
+      );
+
+      if (!obraSocial) {
+        throw new ErrorResponse('Obra social no encontrada', HTTP_STATUS.NOT_FOUND);
+      }
+
+      return {
+        success: true,
+        message: 'Obra social desactivada exitosamente',
+        data: { obraSocial },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Vincular al catálogo los pacientes que solo tienen el nombre de la obra social cargado
+   * Compara sin mayúsculas, puntos ni acentos y también contra los alias
+   * @returns {Promise<Object>}
+   */
+  static async vincularPacientes() {
+    try {
+      const nombres = await Paciente.distinct('obraSocial.nombre', {
+        'obraSocial.entidad': null,
+        'obraSocial.nombre': { $nin: [null, '', 'Particular'] },
+      });
+
+      let pacientesVinculados = 0;
+      const sinCoincidencia = [];
+
+      for (const nombre of nombres) {
+        const obraSocial = await ObraSocial.buscarPorNombre(nombre);
+
+        if (!obraSocial) {
+          sinCoincidencia.push(nombre);
+          continue;
+        }
+
+        const resultado = await Paciente.updateMany(
+          { 'obraSocial.entidad': null, 'obraSocial.nombre': nombre },
+          { $set: { 'obraSocial.entidad': obraSocial._id, 'obraSocial.nombre': obraSocial.nombre } }
+        );
+
+        pacientesVinculados += resultado.modifiedCount;
+      }
+
+      return {
+        success: true,
+        message: `${pacientesVinculados} pacientes vinculados al catálogo de obras sociales`,
+        data: {
+          pacientesVinculados,
+          sinCoincidencia,
+        },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Resolver la obra social que se carga en un paciente contra el catálogo
+   * - Si viene "entidad" se valida y se toma el nombre del catálogo
+   * - Si solo viene el nombre se busca en el catálogo (nombre o alias)
+   * @param {Object} datosObraSocial - obraSocial del paciente
+   * @returns {Promise<Object>}
+   */
+  static async resolverObraSocialPaciente(datosObraSocial) {
+    if (!datosObraSocial) return datosObraSocial;
+
+    const datos = { ...datosObraSocial };
+    let obraSocial = null;
+
+    if (datos.entidad) {
+      if (!mongoose.Types.ObjectId.isValid(datos.entidad)) {
+        throw new ErrorResponse('ID de obra social inválido', HTTP_STATUS.BAD_REQUEST);
+      }
+
+      obraSocial = await ObraSocial.findById(datos.entidad);
+
+      if (!obraSocial) {
+        throw new ErrorResponse('Obra social no encontrada', HTTP_STATUS.NOT_FOUND);
+      }
+    } else if (datos.nombre) {
+      obraSocial = await ObraSocial.buscarPorNombre(datos.nombre);
+    }
+
+    if (!obraSocial) {
+      datos.entidad = null;
+      return datos;
+    }
+
+    if (datos.plan && !obraSocial.obtenerCobertura(datos.plan).plan) {
+      throw new ErrorResponse(
+        `El plan "${datos.plan}" no existe en ${obraSocial.nombre}`,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+
+    datos.entidad = obraSocial._id;
+    datos.nombre = obraSocial.nombre;
+
+    return datos;
+  }
+
+  /**
+   * Calcular cuánto de una sesión paga la obra social y cuánto el paciente
+   * Si no se indica monto se usa cobertura + copago. Si se alcanzó el tope anual
+   * o la cobertura no está vigente, el paciente paga el total
+   * @param {Object} paciente - Documento del paciente
+   * @param {Number} monto - Monto total de la sesión (opcional)
+   * @param {Date} fecha - Fecha de la sesión
+   * @param {String} excluirSesionId - Sesión a no contar en el tope (al recalcular)
+   * @returns {Promise<Object>} campos para sesion.pago
+   */
+  static async calcularCobertura(paciente, monto, fecha = new Date(), excluirSesionId = null) {
+    const sinCobertura = (observacionCobertura = null) => ({
+      ...(monto !== undefined && monto !== null ? { monto } : {}),
+      montoObraSocial: 0,
+      montoPaciente: monto ?? null,
+      obraSocial: null,
+      planObraSocial: null,
+      observacionCobertura,
+    });
+
+    const entidad = paciente.obraSocial?.entidad;
+    if (!entidad) return sinCobertura();
+
+    const obraSocial = await ObraSocial.findById(entidad);
+    if (!obraSocial || !obraSocial.activa) {
+      return sinCobertura(obraSocial ? 'Obra social inactiva' : null);
+    }
+
+    const fechaSesion = new Date(fecha);
+    const { vigenciaDesde, vigenciaHasta } = paciente.obraSocial;
+
+    if ((vigenciaDesde && fechaSesion < vigenciaDesde) || (vigenciaHasta && fechaSesion > vigenciaHasta)) {
+      return sinCobertura('Cobertura del paciente fuera de vigencia');
+    }
+
+    const cobertura = obraSocial.obtenerCobertura(paciente.obraSocial.plan);
+    const montoTotal = monto ?? cobertura.montoCobertura + cobertura.copago;
+    let observacionCobertura = null;
+    let montoObraSocial = Math.min(cobertura.montoCobertura, montoTotal);
+
+    // Tope anual de sesiones cubiertas
+    if (cobertura.topeSesionesAnual) {
+      const año = fechaSesion.getUTCFullYear();
+      const query = {
+        paciente: paciente._id,
+        'pago.obraSocial': obraSocial._id,
+        'pago.montoObraSocial': { $gt: 0 },
+        estado: { $nin: ['cancelada', 'ausente'] },
+        fecha: {
+          $gte: new Date(Date.UTC(año, 0, 1)),
+          $lt: new Date(Date.UTC(año + 1, 0, 1)),
+        },
+      };
+
+      if (excluirSesionId) {
+        query._id = { $ne: excluirSesionId };
+      }
+
+      const sesionesCubiertas = await Sesion.countDocuments(query);
+
+      if (sesionesCubiertas >= cobertura.topeSesionesAnual) {
+        montoObraSocial = 0;
+        observacionCobertura = `Tope anual de ${cobertura.topeSesionesAnual} sesiones alcanzado`;
+      }
+    }
+
+    return {
+      monto: montoTotal,
+      montoObraSocial,
+      montoPaciente: montoTotal - montoObraSocial,
+      obraSocial: obraSocial._id,
+      planObraSocial: cobertura.plan,
+      observacionCobertura,
+    };
+  }
+
+  /**
+   * Verificar que no exista otra obra social con el mismo nombre normalizado o alias
+   */
+  static async _verificarNombreDisponible(nombre, excluirId = null) {
+    if (!nombre) return;
+
+    const existente = await ObraSocial.buscarPorNombre(nombre);
+
+    if (existente && (!excluirId || existente._id.toString() !== excluirId.toString())) {
+      throw new ErrorResponse(
+        `Ya existe la obra social "${existente.nombre}"`,
+        HTTP_STATUS.CONFLICT
+      );
+    }
+  }
+
+  static _asignarCampos(obraSocial, datos) {
+    CAMPOS_EDITABLES.forEach(campo => {
+      if (datos[campo] !== undefined) {
+        obraSocial[campo] = datos[campo];
+      }
+    });
+  }
+}
+
+export default ObraSocialService;
@@ -1,5 +1,10 @@
+import mongoose from 'mongoose';
 import Paciente from '../models/Paciente.js';
 import Sesion from '../models/Sesion.js';
+import ObraSocial from '../models/ObraSocial.js';
+import ObraSocialService from './obraSocialService.js';
+import { SALDO_SESION_EXPR } from '../models/MovimientoCuenta.js';
+import EpisodioService from './episodioService.js';
 import ErrorResponse from '../utils/ErrorResponse.js';
 import { HTTP_STATUS } from '../conf/constants.js';
 
@@ -27,12 +32,20 @@ aciente - Datos del paciente
         );
       }
 
+      // Vincular la obra social con el catálogo
+      if (datosPaciente.obraSocial) {
+        datosPaciente.obraSocial = await ObraSocialService.resolverObraSocialPaciente(datosPaciente.obraSocial);
+      }
+
       // Crear paciente
       const paciente = await Paciente.create({
         ...datosPaciente,
         creadoPor: userId,
       });
 
+      // El diagnóstico y el tratamiento iniciales forman el primer episodio
+      await EpisodioService.crearEpisodioInicial(paciente, userId);
+
       return {
         success: true,
         message: 'Paciente creado exitosamente',
@@ -68,8 +81,10 @@ aciente - Datos del paciente
         query.estado = estado;
       }
 
-      // Filtro por obra social
-      if (obraSocial) {
+      // Filtro por obra social (ID del catálogo o nombre)
+      if (obraSocial && mongoose.Types.ObjectId.isValid(obraSocial)) {
+        query['obraSocial.entidad'] = obraSocial;
+      } else if (obraSocial) {
         query['obraSocial.nombre'] = new RegExp(obraSocial, 'i');
       }
 
@@ -122,9 +137,7 @@ aciente - Datos del paciente
               montoPagado: {
                 $sum: { $cond: [{ $eq: ['$pago.pagado', true] }, '$pago.monto', 0] },
               },
-              montoAdeudado: {
-                $sum: { $cond: [{ $eq: ['$pago.pagado', false] }, '$pago.monto', 0] },
-              },
+              montoAdeudado: { $sum: SALDO_SESION_EXPR },
             },
           },
         ]);
@@ -247,11 +260,29 @@ aciente - Datos del paciente
         }
       }
 
+      // Vincular la obra social con el catálogo
+      if (datosActualizar.obraSocial) {
+        datosActualizar.obraSocial = await ObraSocialService.resolverObraSocialPaciente(datosActualizar.obraSocial);
+      }
+
+      // La marca por ausencias la maneja la política de asistencia
+      delete datosActualizar.alertaAusencias;
+
       // Actualizar
       Object.assign(paciente, datosActualizar);
       paciente.modificadoPor = userId;
       await paciente.save();
 
+      // El diagnóstico y el tratamiento de la ficha son los del episodio abierto
+      if (datosActualizar.diagnostico || datosActualizar.tratamiento) {
+        const { diagnostico, tratamiento } = paciente.toObject();
+
+        await EpisodioService.sincronizarDesdePaciente(paciente._id, {
+          diagnostico: datosActualizar.diagnostico && diagnostico,
+          tratamiento: datosActualizar.tratamiento && tratamiento,
+        });
+      }
+
       return {
         success: true,
         message: 'Paciente actualizado exitosamente',
@@ -325,11 +356,13 @@ aciente - Datos del paciente
 
   /**
    * Dar de alta médica a un paciente
+   * Cierra el episodio de tratamiento abierto; el paciente puede volver con un episodio nuevo
    * @param {String} pacienteId - ID del paciente
    * @param {Object} datosAlta - Datos del alta médica
+   * @param {String} userId - ID del usuario que da el alta
    * @returns {Promise<Object>}
    */
-  static async darAltaMedica(pacienteId, datosAlta = {}) {
+  static async darAltaMedica(pacienteId, datosAlta = {}, userId) {
     try {
       const paciente = await Paciente.findById(pacienteId);
 
@@ -337,21 +370,14 @@ aciente - Datos del paciente
         throw new ErrorResponse('Paciente no encontrado', HTTP_STATUS.NOT_FOUND);
       }
 
-      paciente.estado = 'alta';
-      paciente.fechaAltaMedica = datosAlta.fecha || new Date();
-      
-      if (datosAlta.observaciones) {
-        paciente.observaciones = 
-          `${paciente.observaciones || ''}\n\nALTA MÉDICA (${new Date().toLocaleDateString()}): ${datosAlta.observaciones}`;
-      }
+      const { data } = await EpisodioService.obtenerEpisodiosPaciente(paciente._id);
+      const abierto = data.episodios.find(e => e.estado === 'abierto');
 
-      await paciente.save();
+      if (!abierto) {
+        throw new ErrorResponse('El paciente no tiene un episodio de tratamiento abierto', HTTP_STATUS.BAD_REQUEST);
+      }
 
-      return {
-        success: true,
-        message: 'Alta médica registrada exitosamente',
-        data: { paciente: paciente.obtenerDatosPublicos() },
-      };
+      return await EpisodioService.darAltaEpisodio(abierto._id, datosAlta, userId);
     } catch (error) {
       throw error;
     }
@@ -385,17 +411,33 @@ aciente - Datos del paciente
         }
       ]);
 
-      // Estadísticas por obra social
+      // Estadísticas por obra social (agrupa por catálogo; los no vinculados por nombre)
       const porObraSocial = await Paciente.aggregate([
         { $match: query },
         {
           $group: {
-            _id: '$obraSocial.nombre',
+            _id: { $ifNull: ['$obraSocial.entidad', '$obraSocial.nombre'] },
+            nombre: { $first: '$obraSocial.nombre' },
             cantidad: { $sum: 1 }
           }
         },
         { $sort: { cantidad: -1 } },
-        { $limit: 10 }
+        { $limit: 10 },
+        {
+          $lookup: {
+            from: ObraSocial.collection.name,
+            localField: '_id',
+            foreignField: '_id',
+            as: 'entidad'
+          }
+        },
+        {
+          $project: {
+            _id: { $ifNull: [{ $arrayElemAt: ['$entidad.nombre', 0] }, '$nombre'] },
+            obraSocial: { $ifNull: [{ $arrayElemAt: ['$entidad._id', 0] }, null] },
+            cantidad: 1
+          }
+        }
       ]);
 
       return {
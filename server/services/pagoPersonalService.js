@@ -1,8 +1,12 @@
 import PagoPersonal from '../models/PagoPersonal.js';
+import EsquemaDistribucion from '../models/EsquemaDistribucion.js';
+import MovimientoCuenta from '../models/MovimientoCuenta.js';
 import ErrorResponse from '../utils/ErrorResponse.js';
 import { HTTP_STATUS } from '../conf/constants.js';
 
 const ESTADOS_VALIDOS = ['pendiente', 'procesado', 'pagado', 'cancelado'];
+// Registros que el generador desde sesiones no modifica
+const ESTADOS_BLOQUEADOS = ['procesado', 'pagado'];
 const DIAS_SEMANA = [
   'domingo',
   'lunes',
@@ -67,6 +71,72 @@ class PagoPersonalService {
     };
   }
 
+  /**
+   * Comparar la planilla del mes con lo cobrado a los pacientes cada día
+   * (vista previa de lo que haría generarDesdeSesiones)
+   */
+  static async previsualizarDesdeSesiones(año, mes) {
+    const { dias, resumen } = await this._compararConSesiones(año, mes);
+
+    return {
+      success: true,
+      data: {
+        año,
+        mes,
+        dias,
+        resumen,
+      },
+    };
+  }
+
+  /**
+   * Crear o actualizar los días del mes con el monto cobrado a los pacientes
+   * No modifica registros procesados o pagados ni días sin cobros
+   */
+  static async generarDesdeSesiones(año, mes, usuarioId) {
+    const { dias } = await this._compararConSesiones(año, mes);
+    const resultado = {
+      creados: 0,
+      actualizados: 0,
+      registros: [],
+    };
+
+    for (const dia of dias) {
+      if (dia.accion !== 'crear' && dia.accion !== 'actualizar') continue;
+
+      let registro;
+
+      if (dia.accion === 'crear') {
+        registro = new PagoPersonal({
+          ...this._normalizarDatos({ fecha: dia.fecha, monto: dia.montoSesiones }),
+          creadoPor: usuarioId,
+        });
+        resultado.creados += 1;
+      } else {
+        registro = await PagoPersonal.findById(dia.registro.id);
+        registro.monto = dia.montoSesiones;
+        registro.modificadoPor = usuarioId;
+        resultado.actualizados += 1;
+      }
+
+      Object.assign(registro, await this._calcularDistribucion(registro.monto, registro.fecha));
+      registro.origen = 'sesiones';
+      registro.cantidadSesiones = dia.cantidadSesiones;
+
+      await registro.save();
+      resultado.registros.push(this._formatearRegistro(registro));
+    }
+
+    return {
+      success: true,
+      message: `Planilla generada desde sesiones: ${resultado.creados} creados, ${resultado.actualizados} actualizados`,
+      data: {
+        ...resultado,
+        total: resultado.registros.length,
+      },
+    };
+  }
+
   /**
    * Obtener planilla completa de un mes
    */
@@ -215,6 +285,15 @@ class PagoPersonalService {
     }
 
     this._aplicarActualizacion(registro, datosActualizar);
+
+    // Repartir de nuevo si cambia el monto o la fecha (puede regir otra versión del esquema)
+    if (registro.isModified('monto') || registro.isModified('fecha') || datosActualizar.distribucion) {
+      Object.assign(
+        registro,
+        await this._calcularDistribucion(registro.monto, registro.fecha, datosActualizar.distribucion)
+      );
+    }
+
     registro.modificadoPor = usuarioId;
 
     await registro.save();
@@ -257,13 +336,29 @@ class PagoPersonalService {
           _id: null,
           totalRegistros: { $sum: 1 },
           montoTotal: { $sum: '$monto' },
-          farfan: { $sum: '$distribucion.farfan' },
-          mica: { $sum: '$distribucion.mica' },
-          ffma: { $sum: '$distribucion.ffma' },
         },
       },
     ]);
 
+    const porParticipante = await PagoPersonal.aggregate([
+      { $match: match },
+      { $unwind: '$distribucion' },
+      {
+        $group: {
+          _id: '$distribucion.participante',
+          nombre: { $last: '$distribucion.nombre' },
+          monto: { $sum: '$distribucion.monto' },
+        },
+      },
+      { $sort: { monto: -1 } },
+    ]);
+
+    const distribucion = porParticipante.map(p => ({
+      participante: p._id,
+      nombre: p.nombre,
+      monto: this._redondear(p.monto),
+    }));
+
     const porEstado = await PagoPersonal.aggregate([
       { $match: match },
       {
@@ -283,16 +378,12 @@ class PagoPersonalService {
           ? {
               totalRegistros: resumen.totalRegistros,
               montoTotal: Math.round(resumen.montoTotal * 100) / 100,
-              distribucion: {
-                farfan: Math.round(resumen.farfan * 100) / 100,
-                mica: Math.round(resumen.mica * 100) / 100,
-                ffma: Math.round(resumen.ffma * 100) / 100,
-              },
+              distribucion,
             }
           : {
               totalRegistros: 0,
               montoTotal: 0,
-              distribucion: { farfan: 0, mica: 0, ffma: 0 },
+              distribucion: [],
             },
         porEstado,
       },
@@ -305,6 +396,10 @@ class PagoPersonalService {
 
   static async _upsertRegistro(datos, usuarioId) {
     const normalizados = this._normalizarDatos(datos);
+    Object.assign(
+      normalizados,
+      await this._calcularDistribucion(normalizados.monto, normalizados.fecha, datos.distribucion)
+    );
 
     const query = {
       año: normalizados.año,
@@ -366,7 +461,6 @@ class PagoPersonalService {
       diaSemana,
       fecha,
       monto,
-      distribucion: this._calcularDistribucion(monto, datos.distribucion),
       observaciones: datos.observaciones?.trim() || undefined,
       estado,
     };
@@ -401,12 +495,6 @@ class PagoPersonalService {
         throw new ErrorResponse('El monto debe ser un número positivo', HTTP_STATUS.BAD_REQUEST);
       }
       registro.monto = monto;
-      registro.distribucion = this._calcularDistribucion(monto, datos.distribucion ?? registro.distribucion);
-    } else if (datos.distribucion) {
-      registro.distribucion = this._calcularDistribucion(
-        registro.monto,
-        datos.distribucion
-      );
     }
 
     if (datos.observaciones !== undefined) {
@@ -421,30 +509,165 @@ class PagoPersonalService {
     }
   }
 
-  static _calcularDistribucion(monto, distribucion = {}) {
-    const resultado = {
-      farfan: Number(distribucion.farfan ?? 0),
-      mica: Number(distribucion.mica ?? 0),
-      ffma: Number(distribucion.ffma ?? 0),
-    };
+  /**
+   * Repartir el monto con la versión del esquema vigente a la fecha del registro.
+   * Se respeta una distribución manual ([{ participante, monto }]) de los participantes
+   * del esquema si suma el monto del registro
+   */
+  static async _calcularDistribucion(monto, fecha, distribucionManual = null) {
+    const esquema = await EsquemaDistribucion.obtenerVigente(fecha);
+
+    if (!esquema) {
+      throw new ErrorResponse(
+        'No hay un esquema de distribución vigente para la fecha del registro',
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
 
-    const totalDistribucion =
-      resultado.farfan + resultado.mica + resultado.ffma;
+    if (Array.isArray(distribucionManual) && distribucionManual.length) {
+      const distribucion = distribucionManual.map(item => {
+        const participante = esquema.participantes.find(
+          p => p.usuario.toString() === String(item.participante)
+        );
+
+        if (!participante) {
+          throw new ErrorResponse(
+            `El participante ${item.participante} no pertenece al esquema "${esquema.nombre}"`,
+            HTTP_STATUS.BAD_REQUEST
+          );
+        }
+
+        return {
+          participante: participante.usuario,
+          nombre: participante.nombre,
+          monto: this._redondear(Number(item.monto) || 0),
+        };
+      });
 
-    const necesitaRecalculo =
-      monto > 0 &&
-      (totalDistribucion === 0 ||
-        Math.abs(totalDistribucion - monto) > 0.5);
+      const total = distribucion.reduce((suma, d) => suma + d.monto, 0);
 
-    if (necesitaRecalculo) {
-      resultado.farfan = this._redondear(monto * 0.3);
-      resultado.mica = this._redondear(monto * 0.2);
-      resultado.ffma = this._redondear(
-        monto - resultado.farfan - resultado.mica
-      );
+      if (Math.abs(total - monto) <= 0.5) {
+        return { esquema: esquema._id, distribucion };
+      }
     }
 
-    return resultado;
+    return {
+      esquema: esquema._id,
+      distribucion: esquema.calcularReparto(monto),
+    };
+  }
+
+  /**
+   * Armar por día lo cobrado, el registro existente y la acción a aplicar:
+   * crear | actualizar | sin_cambios | bloqueado (procesado/pagado) | sin_sesiones (se conserva)
+   * Lo cobrado son los pagos no anulados de la cuenta de los pacientes menos los reintegros,
+   * por fecha de pago (la misma fuente que el cierre de caja): incluye pagos parciales y ventas
+   * de paquetes, y no la parte de la obra social ni las sesiones descontadas de un paquete
+   */
+  static async _compararConSesiones(año, mes) {
+    const inicio = new Date(Date.UTC(año, mes - 1, 1));
+    const fin = new Date(Date.UTC(año, mes, 1));
+
+    const [sesionesPorDia, registros] = await Promise.all([
+      MovimientoCuenta.aggregate([
+        {
+          $match: {
+            tipo: { $in: ['pago', 'reintegro'] },
+            anulado: false,
+            fecha: { $gte: inicio, $lt: fin },
+          },
+        },
+        {
+          $group: {
+            _id: { $dateToString: { format: '%Y-%m-%d', date: '$fecha' } },
+            // Los reintegros restan de lo cobrado en el día
+            monto: {
+              $sum: { $cond: [{ $eq: ['$tipo', 'reintegro'] }, { $multiply: ['$monto', -1] }, '$monto'] },
+            },
+            sesiones: { $push: { $ifNull: ['$aplicaciones.sesion', []] } },
+          },
+        },
+        {
+          // Sesiones distintas a las que se imputaron los pagos del día
+          $project: {
+            monto: 1,
+            cantidadSesiones: {
+              $size: {
+                $reduce: {
+                  input: '$sesiones',
+                  initialValue: [],
+                  in: { $setUnion: ['$$value', '$$this'] },
+                },
+              },
+            },
+          },
+        },
+      ]),
+      PagoPersonal.find({ fecha: { $gte: inicio, $lt: fin } }).lean(),
+    ]);
+
+    const sesiones = new Map(sesionesPorDia.map(s => [s._id, s]));
+    const registrosPorDia = new Map(
+      registros.map(r => [r.fecha.toISOString().split('T')[0], r])
+    );
+    const claves = [...new Set([...sesiones.keys(), ...registrosPorDia.keys()])].sort();
+
+    const resumen = {
+      montoSesiones: 0,
+      montoPlanilla: 0,
+      crear: 0,
+      actualizar: 0,
+      sin_cambios: 0,
+      bloqueado: 0,
+      sin_sesiones: 0,
+    };
+    const dias = [];
+
+    claves.forEach(clave => {
+      const delDia = sesiones.get(clave);
+      const registro = registrosPorDia.get(clave);
+      // Un día con más reintegros que pagos no genera monto negativo en la planilla
+      const montoSesiones = this._redondear(Math.max(delDia?.monto || 0, 0));
+
+      // Días sin registro ni cobros
+      if (!registro && montoSesiones === 0) return;
+
+      let accion;
+      if (!registro) accion = 'crear';
+      else if (ESTADOS_BLOQUEADOS.includes(registro.estado)) accion = 'bloqueado';
+      else if (!delDia) accion = 'sin_sesiones';
+      else if (this._redondear(registro.monto) === montoSesiones) accion = 'sin_cambios';
+      else accion = 'actualizar';
+
+      const fecha = new Date(`${clave}T00:00:00.000Z`);
+
+      dias.push({
+        fecha,
+        semana: this._obtenerSemanaDelMes(fecha),
+        diaSemana: this._obtenerDiaSemana(fecha),
+        montoSesiones,
+        cantidadSesiones: delDia?.cantidadSesiones || 0,
+        registro: registro
+          ? {
+              id: registro._id,
+              monto: registro.monto,
+              estado: registro.estado,
+              origen: registro.origen || 'manual',
+            }
+          : null,
+        diferencia: this._redondear(montoSesiones - (registro?.monto || 0)),
+        accion,
+      });
+
+      resumen.montoSesiones += montoSesiones;
+      resumen.montoPlanilla += registro?.monto || 0;
+      resumen[accion] += 1;
+    });
+
+    resumen.montoSesiones = this._redondear(resumen.montoSesiones);
+    resumen.montoPlanilla = this._redondear(resumen.montoPlanilla);
+
+    return { dias, resumen };
   }
 
   static _obtenerSemanaDelMes(fecha) {
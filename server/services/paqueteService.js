@@ -0,0 +1,419 @@
+import Paquete from '../models/Paquete.js';
+import PaqueteVendido from '../models/PaqueteVendido.js';
+import MovimientoCuenta from '../models/MovimientoCuenta.js';
+import Paciente from '../models/Paciente.js';
+import Sesion from '../models/Sesion.js';
+import ReciboService from './reciboService.js';
+import CierreCajaService from './cierreCajaService.js';
+import ErrorResponse from '../utils/ErrorResponse.js';
+import { HTTP_STATUS } from '../conf/constants.js';
+
+const MS_POR_DIA = 24 * 60 * 60 * 1000;
+
+// Días de anticipación para el reporte de paquetes por vencer
+export const DIAS_AVISO_VENCIMIENTO_PAQUETE = 15;
+
+// Campos editables de un paquete del catálogo
+const CAMPOS_EDITABLES = [
+  'nombre',
+  'descripcion',
+  'cantidadSesiones',
+  'precio',
+  'diasVigencia',
+  'activo',
+];
+
+/**
+ * Servicio de paquetes (bonos) de sesiones: catálogo, ventas y saldos
+ */
+class PaqueteService {
+  /**
+   * Crear un paquete en el catálogo
+   * @param {Object} datos - Datos del paquete
+   * @param {String} userId - ID del usuario que lo crea
+   * @returns {Promise<Object>}
+   */
+  static async crearPaquete(datos, userId) {
+    try {
+      const paquete = new Paquete({ creadoPor: userId });
+      this._asignarCampos(paquete, datos);
+      await paquete.save();
+
+      return {
+        success: true,
+        message: 'Paquete creado exitosamente',
+        data: { paquete },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Listar paquetes del catálogo
+   * @param {Object} opciones - { activo }
+   * @returns {Promise<Object>}
+   */
+  static async obtenerPaquetes(opciones = {}) {
+    try {
+      const query = {};
+
+      if (opciones.activo !== undefined) {
+        query.activo = opciones.activo === true || opciones.activo === 'true';
+      }
+
+      const paquetes = await Paquete.find(query).sort('nombre');
+
+      return {
+        success: true,
+        data: {
+          paquetes,
+          total: paquetes.length,
+        },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Actualizar un paquete del catálogo (no modifica los paquetes ya vendidos)
+   * @param {String} paqueteId - ID del paquete
+   * @param {Object} datos - Datos a actualizar
+   * @param {String} userId - ID del usuario que modifica
+   * @returns {Promise<Object>}
+   */
+  static async actualizarPaquete(paqueteId, datos, userId) {
+    try {
+      const paquete = await Paquete.findById(paqueteId);
+
+      if (!paquete) {
+        throw new ErrorResponse('Paquete no encontrado', HTTP_STATUS.NOT_FOUND);
+      }
+
+      this._asignarCampos(paquete, datos);
+      paquete.modificadoPor = userId;
+      await paquete.save();
+
+      return {
+        success: true,
+        message: 'Paquete actualizado exitosamente',
+        data: { paquete },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Desactivar un paquete del catálogo (no se elimina porque lo referencian las ventas)
+   * @param {String} paqueteId - ID del paquete
+   * @param {String} userId - ID del usuario que lo desactiva
+   * @returns {Promise<Object>}
+   */
+  static async desactivarPaquete(paqueteId, userId) {
+    try {
+      const paquete = await Paquete.findByIdAndUpdate(
+        paqueteId,
+        { activo: false, modificadoPor: userId },
+        { new: true }
+      );
+
+      if (!paquete) {
+        throw new ErrorResponse('Paquete no encontrado', HTTP_STATUS.NOT_FOUND);
+      }
+
+      return {
+        success: true,
+        message: 'Paquete desactivado exitosamente',
+        data: { paquete },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Vender un paquete a un paciente
+   * El precio se asienta en la cuenta del paciente como cargo y pago del paquete
+   * (con su recibo), y las sesiones realizadas mientras esté vigente se descuentan de él
+   * @param {Object} datos - { paciente, paquete, metodoPago, fechaCompra, observaciones }
+   * @param {String} userId - ID del usuario que vende
+   * @returns {Promise<Object>}
+   */
+  static async venderPaquete(datos, userId) {
+    try {
+      const [paciente, paquete] = await Promise.all([
+        Paciente.findById(datos.paciente).select('_id'),
+        Paquete.findById(datos.paquete),
+      ]);
+
+      if (!paciente) {
+        throw new ErrorResponse('Paciente no encontrado', HTTP_STATUS.NOT_FOUND);
+      }
+
+      if (!paquete) {
+        throw new ErrorResponse('Paquete no encontrado', HTTP_STATUS.NOT_FOUND);
+      }
+
+      if (!paquete.activo) {
+        throw new ErrorResponse('El paquete no está disponible para la venta', HTTP_STATUS.BAD_REQUEST);
+      }
+
+      const fechaCompra = datos.fechaCompra ? new Date(datos.fechaCompra) : new Date();
+      await CierreCajaService.verificarDiaAbierto(fechaCompra);
+      const fechaVencimiento = new Date(Date.UTC(
+        fechaCompra.getUTCFullYear(),
+        fechaCompra.getUTCMonth(),
+        fechaCompra.getUTCDate() + paquete.diasVigencia,
+        23, 59, 59, 999
+      ));
+
+      const paqueteVendido = await PaqueteVendido.create({
+        paciente: paciente._id,
+        paquete: paquete._id,
+        nombre: paquete.nombre,
+        cantidadSesiones: paquete.cantidadSesiones,
+        precio: paquete.precio,
+        fechaCompra,
+        fechaVencimiento,
+        metodoPago: datos.metodoPago || 'efectivo',
+        observaciones: datos.observaciones,
+        vendidoPor: userId,
+      });
+
+      const movimientoBase = {
+        paciente: paciente._id,
+        fecha: fechaCompra,
+        monto: paquete.precio,
+        paqueteVendido: paqueteVendido._id,
+        concepto: `Paquete ${paquete.nombre}`,
+        registradoPor: userId,
+      };
+
+      await MovimientoCuenta.create({ ...movimientoBase, tipo: 'cargo' });
+      const pago = await MovimientoCuenta.create({
+        ...movimientoBase,
+        tipo: 'pago',
+        metodoPago: paqueteVendido.metodoPago,
+      });
+
+      const recibo = await ReciboService.emitirRecibo(pago, userId);
+
+      return {
+        success: true,
+        message: 'Paquete vendido exitosamente',
+        data: { paqueteVendido, recibo },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Listar paquetes vendidos
+   * @param {Object} opciones - { paciente, estado }
+   * @returns {Promise<Object>}
+   */
+  static async obtenerVentas(opciones = {}) {
+    try {
+      const { paciente, estado } = opciones;
+      const query = {};
+
+      if (paciente) query.paciente = paciente;
+      if (estado) query.estado = estado;
+
+      const ventas = await PaqueteVendido.find(query)
+        .populate('paciente', 'nombre apellido dni')
+        .populate('vendidoPor', 'nombre apellido')
+        .sort('-fechaCompra');
+
+      return {
+        success: true,
+        data: {
+          ventas,
+          total: ventas.length,
+        },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener un paquete vendido con las sesiones que lo consumieron
+   * @param {String} paqueteVendidoId - ID del paquete vendido
+   * @returns {Promise<Object>}
+   */
+  static async obtenerVentaPorId(paqueteVendidoId) {
+    try {
+      const paqueteVendido = await PaqueteVendido.findById(paqueteVendidoId)
+        .populate('paciente', 'nombre apellido dni telefono')
+        .populate('vendidoPor', 'nombre apellido')
+        .populate('anuladoPor', 'nombre apellido');
+
+      if (!paqueteVendido) {
+        throw new ErrorResponse('Paquete vendido no encontrado', HTTP_STATUS.NOT_FOUND);
+      }
+
+      const sesiones = await Sesion.find({ 'pago.paquete': paqueteVendido._id })
+        .select('fecha numeroSesion horaEntrada estado profesional')
+        .populate('profesional', 'nombre apellido')
+        .sort('fecha');
+
+      return {
+        success: true,
+        data: { paqueteVendido, sesiones },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Anular la venta de un paquete (solo si no se usó ninguna sesión)
+   * También se anulan el cargo y el pago del paquete en la cuenta del paciente
+   * @param {String} paqueteVendidoId - ID del paquete vendido
+   * @param {String} motivo - Motivo de la anulación
+   * @param {String} userId - ID del usuario que anula
+   * @returns {Promise<Object>}
+   */
+  static async anularVenta(paqueteVendidoId, motivo, userId) {
+    try {
+      const paqueteVendido = await PaqueteVendido.findById(paqueteVendidoId);
+
+      if (!paqueteVendido) {
+        throw new ErrorResponse('Paquete vendido no encontrado', HTTP_STATUS.NOT_FOUND);
+      }
+
+      if (paqueteVendido.estado === 'anulado') {
+        throw new ErrorResponse('El paquete ya está anulado', HTTP_STATUS.CONFLICT);
+      }
+
+      const consumidas = await Sesion.countDocuments({ 'pago.paquete': paqueteVendido._id });
+
+      if (consumidas > 0) {
+        throw new ErrorResponse(
+          `No se puede anular: el paquete ya tiene ${consumidas} sesiones realizadas`,
+          HTTP_STATUS.CONFLICT
+        );
+      }
+
+      await CierreCajaService.verificarDiaAbierto(paqueteVendido.fechaCompra);
+
+      paqueteVendido.estado = 'anulado';
+      paqueteVendido.anuladoPor = userId;
+      if (motivo) {
+        paqueteVendido.observaciones = [paqueteVendido.observaciones, `Anulado: ${motivo}`]
+          .filter(Boolean)
+          .join(' - ');
+      }
+      await paqueteVendido.save();
+
+      const movimientos = await MovimientoCuenta.find({ paqueteVendido: paqueteVendido._id, anulado: false });
+
+      for (const movimiento of movimientos) {
+        movimiento.anulado = true;
+        movimiento.motivoAnulacion = motivo || 'Venta de paquete anulada';
+        movimiento.anuladoPor = userId;
+        await movimiento.save();
+
+        if (movimiento.tipo === 'pago') {
+          await ReciboService.anularRecibosMovimiento(movimiento._id, movimiento.motivoAnulacion, userId);
+        }
+      }
+
+      return {
+        success: true,
+        message: 'Venta de paquete anulada exitosamente',
+        data: { paqueteVendido },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Reporte de paquetes vigentes: sesiones y saldo pendientes de uso,
+   * y paquetes que vencen en los próximos días con sesiones sin usar
+   * @param {Object} opciones - { dias }
+   * @returns {Promise<Object>}
+   */
+  static async obtenerReporte(opciones = {}) {
+    try {
+      const dias = parseInt(opciones.dias) || DIAS_AVISO_VENCIMIENTO_PAQUETE;
+      const limite = new Date(Date.now() + dias * MS_POR_DIA);
+
+      await this.actualizarVencidos();
+
+      const activos = await PaqueteVendido.find({ estado: 'activo' })
+        .populate('paciente', 'nombre apellido dni telefono')
+        .sort('fechaVencimiento');
+
+      const saldos = activos.map(paquete => ({
+        paqueteVendido: paquete._id,
+        paciente: paquete.paciente,
+        nombre: paquete.nombre,
+        fechaCompra: paquete.fechaCompra,
+        fechaVencimiento: paquete.fechaVencimiento,
+        cantidadSesiones: paquete.cantidadSesiones,
+        sesionesConsumidas: paquete.sesionesConsumidas,
+        sesionesRestantes: paquete.sesionesRestantes,
+        // Valor de las sesiones cobradas y todavía no realizadas
+        saldoPendiente: Math.round(
+          (paquete.precio / paquete.cantidadSesiones) * paquete.sesionesRestantes * 100
+        ) / 100,
+      }));
+
+      const porVencer = saldos.filter(s => s.fechaVencimiento <= limite);
+
+      return {
+        success: true,
+        data: {
+          resumen: {
+            paquetesActivos: saldos.length,
+            sesionesPendientes: saldos.reduce((total, s) => total + s.sesionesRestantes, 0),
+            saldoPendiente: Math.round(saldos.reduce((total, s) => total + s.saldoPendiente, 0) * 100) / 100,
+            paquetesPorVencer: porVencer.length,
+          },
+          saldos,
+          porVencer,
+          diasAviso: dias,
+        },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Marcar como vencidos los paquetes activos cuya vigencia terminó
+   * @returns {Promise<Object>}
+   */
+  static async actualizarVencidos() {
+    try {
+      const resultado = await PaqueteVendido.updateMany(
+        { estado: 'activo', fechaVencimiento: { $lt: new Date() } },
+        { $set: { estado: 'vencido' } }
+      );
+
+      return {
+        success: true,
+        message: `${resultado.modifiedCount} paquetes vencidos`,
+        data: { cantidad: resultado.modifiedCount },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  static _asignarCampos(paquete, datos) {
+    CAMPOS_EDITABLES.forEach(campo => {
+      if (datos[campo] !== undefined) {
+        paquete[campo] = datos[campo];
+      }
+    });
+  }
+}
+
+export default PaqueteService;
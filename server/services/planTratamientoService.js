@@ -0,0 +1,528 @@
+import PlanTratamiento from '../models/PlanTratamiento.js';
+import Paciente from '../models/Paciente.js';
+import Sesion from '../models/Sesion.js';
+import Evaluacion from '../models/Evaluacion.js';
+import EpisodioService from './episodioService.js';
+import ErrorResponse from '../utils/ErrorResponse.js';
+import { HTTP_STATUS } from '../conf/constants.js';
+
+const MS_POR_DIA = 24 * 60 * 60 * 1000;
+
+// Una medición hasta estos días antes de la fecha de revisión cuenta como revisión
+export const DIAS_TOLERANCIA_REVISION = 7;
+
+// Campos del plan que se pueden modificar (los objetivos tienen sus propias rutas)
+const CAMPOS_PLAN = ['diagnostico', 'fechaInicio', 'fechaFinEstimada', 'tecnicas', 'frecuencia', 'observaciones', 'profesional'];
+const CAMPOS_OBJETIVO = ['descripcion', 'indicador', 'comparacion', 'valorObjetivo', 'valorInicial', 'unidad', 'fechaRevision', 'descartado'];
+
+const COMPARADORES = {
+  mayor_igual: (valor, objetivo) => valor >= objetivo,
+  menor_igual: (valor, objetivo) => valor <= objetivo,
+  mayor: (valor, objetivo) => valor > objetivo,
+  menor: (valor, objetivo) => valor < objetivo,
+};
+
+/**
+ * Servicio de planes de tratamiento con objetivos medibles
+ * El progreso de cada objetivo se calcula con las evaluaciones estructuradas
+ * o con el dolor registrado en las sesiones
+ */
+class PlanTratamientoService {
+  /**
+   * Crear el plan de tratamiento de un paciente (uno activo por episodio)
+   * @param {Object} datos - { paciente, episodio, diagnostico, fechaInicio, fechaFinEstimada, tecnicas, frecuencia, objetivos, observaciones, profesional }
+   * @param {String} userId - ID del usuario que lo crea
+   * @returns {Promise<Object>}
+   */
+  static async crearPlan(datos, userId) {
+    try {
+      const paciente = await Paciente.findById(datos.paciente);
+
+      if (!paciente) {
+        throw new ErrorResponse('Paciente no encontrado', HTTP_STATUS.NOT_FOUND);
+      }
+
+      const resolucion = await EpisodioService.resolverEpisodio(paciente, datos.episodio, userId);
+      const { episodio, advertencias } = resolucion;
+
+      if (await PlanTratamiento.exists({ episodio: episodio._id, estado: 'activo' })) {
+        throw new ErrorResponse(
+          'El episodio ya tiene un plan de tratamiento activo. Finalícelo o modifíquelo',
+          HTTP_STATUS.CONFLICT
+        );
+      }
+
+      const plan = new PlanTratamiento({
+        paciente: paciente._id,
+        episodio: episodio._id,
+        diagnostico: episodio.diagnostico?.principal || undefined,
+        ...this._campos(datos, CAMPOS_PLAN),
+        objetivos: (datos.objetivos || []).map(objetivo => this._campos(objetivo, CAMPOS_OBJETIVO)),
+        profesional: datos.profesional || userId,
+        creadoPor: userId,
+      });
+
+      await plan.validate();
+      await EpisodioService.confirmarEpisodio(resolucion);
+      await plan.save();
+
+      await this._sincronizarTratamientoPaciente(plan);
+
+      return {
+        success: true,
+        message: 'Plan de tratamiento creado exitosamente',
+        data: { plan, advertencias },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Listar los planes de tratamiento de un paciente (el más reciente primero)
+   * @param {String} pacienteId - ID del paciente
+   * @param {Object} opciones - { estado, episodio }
+   * @returns {Promise<Object>}
+   */
+  static async obtenerPlanesPaciente(pacienteId, opciones = {}) {
+    try {
+      const query = { paciente: pacienteId };
+      if (opciones.estado) query.estado = opciones.estado;
+      if (opciones.episodio) query.episodio = opciones.episodio;
+
+      const planes = await PlanTratamiento.find(query)
+        .sort('-fechaInicio')
+        .populate('profesional', 'nombre apellido')
+        .lean();
+
+      return {
+        success: true,
+        data: {
+          planes,
+          total: planes.length,
+        },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener un plan con el progreso de cada objetivo
+   * @param {String} planId - ID del plan
+   * @returns {Promise<Object>}
+   */
+  static async obtenerPlanPorId(planId) {
+    try {
+      const plan = await PlanTratamiento.findById(planId)
+        .populate('paciente', 'nombre apellido dni')
+        .populate('profesional', 'nombre apellido')
+        .lean();
+
+      if (!plan) {
+        throw new ErrorResponse('Plan de tratamiento no encontrado', HTTP_STATUS.NOT_FOUND);
+      }
+
+      return {
+        success: true,
+        data: {
+          plan,
+          progreso: await this.calcularProgreso(plan),
+        },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Actualizar los datos generales de un plan
+   * @param {String} planId - ID del plan
+   * @param {Object} datos - Campos a actualizar
+   * @param {String} userId - ID del usuario que lo modifica
+   * @returns {Promise<Object>}
+   */
+  static async actualizarPlan(planId, datos, userId) {
+    try {
+      const plan = await this._obtenerPlan(planId);
+
+      plan.set(this._campos(datos, CAMPOS_PLAN));
+      plan.modificadoPor = userId;
+      await plan.save();
+
+      await this._sincronizarTratamientoPaciente(plan);
+
+      return {
+        success: true,
+        message: 'Plan de tratamiento actualizado exitosamente',
+        data: { plan },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Finalizar, cancelar o reactivar un plan
+   * @param {String} planId - ID del plan
+   * @param {String} estado - activo | finalizado | cancelado
+   * @param {String} userId - ID del usuario que lo modifica
+   * @returns {Promise<Object>}
+   */
+  static async cambiarEstadoPlan(planId, estado, userId) {
+    try {
+      const plan = await PlanTratamiento.findById(planId);
+
+      if (!plan) {
+        throw new ErrorResponse('Plan de tratamiento no encontrado', HTTP_STATUS.NOT_FOUND);
+      }
+
+      const ambito = plan.episodio ? { episodio: plan.episodio } : { paciente: plan.paciente };
+
+      if (estado === 'activo' && plan.estado !== 'activo'
+        && await PlanTratamiento.exists({ ...ambito, estado: 'activo' })) {
+        throw new ErrorResponse('El episodio ya tiene otro plan de tratamiento activo', HTTP_STATUS.CONFLICT);
+      }
+
+      plan.estado = estado;
+      plan.fechaCierre = estado === 'activo' ? null : new Date();
+      plan.modificadoPor = userId;
+      await plan.save();
+
+      return {
+        success: true,
+        message: `Plan de tratamiento ${estado === 'activo' ? 'reactivado' : estado} exitosamente`,
+        data: { plan },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Agregar un objetivo a un plan
+   * @param {String} planId - ID del plan
+   * @param {Object} datos - { descripcion, indicador, comparacion, valorObjetivo, valorInicial, unidad, fechaRevision }
+   * @param {String} userId - ID del usuario que lo agrega
+   * @returns {Promise<Object>}
+   */
+  static async agregarObjetivo(planId, datos, userId) {
+    try {
+      const plan = await this._obtenerPlan(planId);
+
+      plan.objetivos.push(this._campos(datos, CAMPOS_OBJETIVO));
+      plan.modificadoPor = userId;
+      await plan.save();
+
+      return {
+        success: true,
+        message: 'Objetivo agregado exitosamente',
+        data: { objetivo: plan.objetivos[plan.objetivos.length - 1] },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Actualizar un objetivo. Al cambiar la fecha de revisión se vuelve a avisar si vence
+   * @param {String} planId - ID del plan
+   * @param {String} objetivoId - ID del objetivo
+   * @param {Object} datos - Campos a actualizar
+   * @param {String} userId - ID del usuario que lo modifica
+   * @returns {Promise<Object>}
+   */
+  static async actualizarObjetivo(planId, objetivoId, datos, userId) {
+    try {
+      const plan = await this._obtenerPlan(planId);
+      const objetivo = this._obtenerObjetivo(plan, objetivoId);
+
+      if (datos.fechaRevision !== undefined) {
+        objetivo.notificacionRevision = null;
+      }
+
+      objetivo.set(this._campos(datos, CAMPOS_OBJETIVO));
+      plan.modificadoPor = userId;
+      await plan.save();
+
+      return {
+        success: true,
+        message: 'Objetivo actualizado exitosamente',
+        data: { objetivo },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Eliminar un objetivo de un plan
+   * @param {String} planId - ID del plan
+   * @param {String} objetivoId - ID del objetivo
+   * @param {String} userId - ID del usuario que lo elimina
+   * @returns {Promise<Object>}
+   */
+  static async eliminarObjetivo(planId, objetivoId, userId) {
+    try {
+      const plan = await this._obtenerPlan(planId);
+
+      this._obtenerObjetivo(plan, objetivoId).deleteOne();
+      plan.modificadoPor = userId;
+      await plan.save();
+
+      return {
+        success: true,
+        message: 'Objetivo eliminado exitosamente',
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Objetivos de planes activos cuya fecha de revisión pasó sin una medición
+   * @param {Object} opciones - { soloSinNotificar, profesional }
+   * @returns {Promise<Object>}
+   */
+  static async obtenerRevisionesVencidas(opciones = {}) {
+    try {
+      const { soloSinNotificar = false, profesional } = opciones;
+      const ahora = new Date();
+
+      const planes = await PlanTratamiento.find({
+        estado: 'activo',
+        ...(profesional && { profesional }),
+        objetivos: {
+          $elemMatch: {
+            fechaRevision: { $lt: ahora },
+            descartado: false,
+            ...(soloSinNotificar && { notificacionRevision: null }),
+          },
+        },
+      })
+        .populate('paciente', 'nombre apellido dni')
+        .lean();
+
+      const revisiones = [];
+
+      for (const plan of planes) {
+        const progreso = await this.calcularProgreso(plan);
+
+        progreso
+          .filter(objetivo => objetivo.revision.vencida)
+          .filter(objetivo => !soloSinNotificar || !objetivo.revision.notificada)
+          .forEach(objetivo => revisiones.push({
+            plan: {
+              _id: plan._id,
+              diagnostico: plan.diagnostico,
+              profesional: plan.profesional,
+            },
+            paciente: plan.paciente,
+            objetivo,
+          }));
+      }
+
+      revisiones.sort((a, b) => a.objetivo.revision.fecha - b.objetivo.revision.fecha);
+
+      return {
+        success: true,
+        data: {
+          revisiones,
+          total: revisiones.length,
+        },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Registrar que se avisó la revisión vencida de los objetivos
+   * @param {Array} revisiones - [{ plan: { _id }, objetivo: { _id } }]
+   */
+  static async marcarRevisionesNotificadas(revisiones) {
+    for (const { plan, objetivo } of revisiones) {
+      await PlanTratamiento.updateOne(
+        { _id: plan._id, 'objetivos._id': objetivo._id },
+        { $set: { 'objetivos.$.notificacionRevision': new Date() } }
+      );
+    }
+  }
+
+  /**
+   * Calcular el progreso de cada objetivo del plan con las mediciones del paciente
+   * desde el inicio del plan (o unos días antes, para incluir la evaluación inicial)
+   * @param {Object} plan - Plan de tratamiento (documento o lean)
+   * @returns {Promise<Array>} Objetivos con mediciones, valor actual, progreso y revisión
+   */
+  static async calcularProgreso(plan) {
+    const pacienteId = plan.paciente?._id || plan.paciente;
+    const desde = new Date(new Date(plan.fechaInicio).getTime() - DIAS_TOLERANCIA_REVISION * MS_POR_DIA);
+    const objetivos = plan.objetivos || [];
+
+    const claves = [...new Set(objetivos
+      .filter(o => o.indicador.fuente === 'evaluacion')
+      .map(o => o.indicador.clave))];
+
+    const [evaluaciones, sesiones] = await Promise.all([
+      claves.length
+        ? Evaluacion.find({ paciente: pacienteId, clave: { $in: claves }, fecha: { $gte: desde } })
+          .select('clave fecha respuestas resultado')
+          .sort('fecha')
+          .lean()
+        : [],
+      objetivos.some(o => o.indicador.fuente === 'dolor')
+        ? Sesion.find({
+          paciente: pacienteId,
+          ...(plan.episodio && { episodio: plan.episodio._id || plan.episodio }),
+          estado: 'realizada',
+          fecha: { $gte: desde },
+          'evolucion.dolor': { $ne: null },
+        })
+          .select('fecha evolucion.dolor')
+          .sort('fecha')
+          .lean()
+        : [],
+    ]);
+
+    return objetivos.map(objetivo => this._progresoObjetivo(objetivo, { evaluaciones, sesiones }));
+  }
+
+  // ============================================================
+  // Helpers privados
+  // ============================================================
+
+  static _campos(datos, campos) {
+    return Object.fromEntries(
+      campos
+        .filter(campo => datos[campo] !== undefined)
+        .map(campo => [campo, datos[campo]])
+    );
+  }
+
+  static async _obtenerPlan(planId) {
+    const plan = await PlanTratamiento.findById(planId);
+
+    if (!plan) {
+      throw new ErrorResponse('Plan de tratamiento no encontrado', HTTP_STATUS.NOT_FOUND);
+    }
+
+    if (plan.estado !== 'activo') {
+      throw new ErrorResponse('Solo se pueden modificar planes de tratamiento activos', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    return plan;
+  }
+
+  static _obtenerObjetivo(plan, objetivoId) {
+    const objetivo = plan.objetivos.id(objetivoId);
+
+    if (!objetivo) {
+      throw new ErrorResponse('Objetivo no encontrado', HTTP_STATUS.NOT_FOUND);
+    }
+
+    return objetivo;
+  }
+
+  /**
+   * Mantener el tratamiento del episodio (y del paciente) con las fechas y la cantidad de sesiones del plan
+   */
+  static async _sincronizarTratamientoPaciente(plan) {
+    if (plan.episodio) {
+      await EpisodioService.actualizarTratamiento(plan.episodio, {
+        fechaInicio: plan.fechaInicio,
+        fechaFinEstimada: plan.fechaFinEstimada,
+        cantidadTotalSesiones: plan.frecuencia?.cantidadSesiones || undefined,
+      });
+      return;
+    }
+
+    const cambios = {
+      'tratamiento.fechaInicio': plan.fechaInicio,
+      'tratamiento.fechaFinEstimada': plan.fechaFinEstimada,
+      ...(plan.frecuencia?.cantidadSesiones && {
+        'tratamiento.cantidadTotalSesiones': plan.frecuencia.cantidadSesiones,
+      }),
+    };
+
+    await Paciente.updateOne({ _id: plan.paciente }, { $set: cambios });
+  }
+
+  /**
+   * Valores medidos del indicador de un objetivo, en orden cronológico
+   */
+  static _medicionesObjetivo({ indicador }, { evaluaciones, sesiones }) {
+    if (indicador.fuente === 'dolor') {
+      return sesiones.map(s => ({ fecha: s.fecha, valor: s.evolucion.dolor, sesionId: s._id }));
+    }
+
+    return evaluaciones
+      .filter(e => e.clave === indicador.clave)
+      .map(evaluacion => {
+        let valor;
+
+        if (indicador.codigo === 'total') {
+          valor = evaluacion.resultado?.puntaje;
+        } else {
+          const subescala = (evaluacion.resultado?.subescalas || []).find(s => s.clave === indicador.codigo);
+          const respuesta = evaluacion.respuestas.find(r =>
+            r.codigo === indicador.codigo && (!indicador.lado || r.lado === indicador.lado)
+          );
+          valor = subescala ? subescala.puntaje : respuesta?.valor;
+        }
+
+        return { fecha: evaluacion.fecha, valor, evaluacionId: evaluacion._id };
+      })
+      .filter(m => m.valor !== null && m.valor !== undefined);
+  }
+
+  static _progresoObjetivo(objetivo, fuentes) {
+    const mediciones = this._medicionesObjetivo(objetivo, fuentes);
+    const cumple = COMPARADORES[objetivo.comparacion];
+    const ultima = mediciones[mediciones.length - 1] || null;
+
+    const valorInicial = objetivo.valorInicial ?? mediciones[0]?.valor ?? null;
+    const valorActual = ultima?.valor ?? null;
+    const logrado = valorActual !== null && cumple(valorActual, objetivo.valorObjetivo);
+
+    let progreso = null;
+    if (valorActual !== null) {
+      const recorrido = objetivo.valorObjetivo - valorInicial;
+      progreso = recorrido === 0
+        ? (logrado ? 100 : 0)
+        : Math.round(Math.min(Math.max(((valorActual - valorInicial) / recorrido) * 100, 0), 100));
+    }
+
+    let estado = 'en_progreso';
+    if (objetivo.descartado) estado = 'descartado';
+    else if (!mediciones.length) estado = 'sin_mediciones';
+    else if (logrado) estado = 'logrado';
+
+    // La revisión vence si pasó la fecha y no hay mediciones desde unos días antes
+    const fechaRevision = objetivo.fechaRevision ? new Date(objetivo.fechaRevision) : null;
+    const medidoParaRevision = fechaRevision && mediciones.some(m =>
+      new Date(m.fecha) >= new Date(fechaRevision.getTime() - DIAS_TOLERANCIA_REVISION * MS_POR_DIA)
+    );
+
+    return {
+      _id: objetivo._id,
+      descripcion: objetivo.descripcion,
+      indicador: objetivo.indicador,
+      comparacion: objetivo.comparacion,
+      valorObjetivo: objetivo.valorObjetivo,
+      unidad: objetivo.unidad,
+      valorInicial,
+      valorActual,
+      progreso,
+      estado,
+      mediciones,
+      revision: {
+        fecha: fechaRevision,
+        vencida: Boolean(fechaRevision && !objetivo.descartado && fechaRevision < new Date() && !medidoParaRevision),
+        notificada: Boolean(objetivo.notificacionRevision),
+      },
+    };
+  }
+}
+
+export default PlanTratamientoService;
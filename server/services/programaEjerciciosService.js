@@ -0,0 +1,544 @@
+import Ejercicio from '../models/Ejercicio.js';
+import ProgramaEjercicios from '../models/ProgramaEjercicios.js';
+import Sesion from '../models/Sesion.js';
+import EmailService from './emailService.js';
+import ErrorResponse from '../utils/ErrorResponse.js';
+import { HTTP_STATUS } from '../conf/constants.js';
+
+// Campos editables de un ejercicio de la biblioteca
+const CAMPOS_EJERCICIO = ['nombre', 'descripcion', 'imagenUrl', 'videoUrl', 'zonaCorporal', 'dosis'];
+const CAMPOS_DOSIS = ['series', 'repeticiones', 'duracionSegundos', 'frecuencia'];
+
+/**
+ * Servicio de ejercicios domiciliarios
+ * Biblioteca de ejercicios, programas prescriptos en una sesión y adherencia
+ * informada por el paciente en las sesiones siguientes
+ */
+class ProgramaEjerciciosService {
+  /**
+   * Crear un ejercicio en la biblioteca
+   * @param {Object} datos - { nombre, descripcion, imagenUrl, videoUrl, zonaCorporal, dosis }
+   * @param {String} userId - ID del usuario que lo crea
+   * @returns {Promise<Object>}
+   */
+  static async crearEjercicio(datos, userId) {
+    try {
+      const ejercicio = await Ejercicio.create({
+        ...this._campos(datos, CAMPOS_EJERCICIO),
+        creadoPor: userId,
+      });
+
+      return {
+        success: true,
+        message: 'Ejercicio creado exitosamente',
+        data: { ejercicio },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Listar los ejercicios de la biblioteca
+   * @param {Object} opciones - { zonaCorporal, busqueda, incluirInactivos, page, limit }
+   * @returns {Promise<Object>}
+   */
+  static async obtenerEjercicios(opciones = {}) {
+    try {
+      const { zonaCorporal, busqueda, incluirInactivos, page = 1, limit = 50 } = opciones;
+      const query = {};
+
+      if (zonaCorporal) query.zonaCorporal = zonaCorporal;
+      if (incluirInactivos !== 'true') query.activo = true;
+
+      if (busqueda) {
+        const regex = new RegExp(busqueda.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+        query.$or = [{ nombre: regex }, { descripcion: regex }];
+      }
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const [ejercicios, total] = await Promise.all([
+        Ejercicio.find(query)
+          .sort('zonaCorporal nombre')
+          .skip(skip)
+          .limit(parseInt(limit))
+          .lean(),
+        Ejercicio.countDocuments(query),
+      ]);
+
+      return {
+        success: true,
+        data: {
+          ejercicios,
+          pagination: {
+            total,
+            page: parseInt(page),
+            pages: Math.ceil(total / parseInt(limit)),
+            limit: parseInt(limit),
+          },
+        },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener un ejercicio de la biblioteca
+   * @param {String} ejercicioId - ID del ejercicio
+   * @returns {Promise<Object>}
+   */
+  static async obtenerEjercicioPorId(ejercicioId) {
+    try {
+      const ejercicio = await Ejercicio.findById(ejercicioId)
+        .populate('creadoPor', 'nombre apellido')
+        .lean();
+
+      if (!ejercicio) {
+        throw new ErrorResponse('Ejercicio no encontrado', HTTP_STATUS.NOT_FOUND);
+      }
+
+      return {
+        success: true,
+        data: { ejercicio },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Actualizar un ejercicio de la biblioteca (los programas ya prescriptos no cambian)
+   * @param {String} ejercicioId - ID del ejercicio
+   * @param {Object} datos - Campos a actualizar
+   * @param {String} userId - ID del usuario que lo modifica
+   * @returns {Promise<Object>}
+   */
+  static async actualizarEjercicio(ejercicioId, datos, userId) {
+    try {
+      const ejercicio = await Ejercicio.findById(ejercicioId);
+
+      if (!ejercicio) {
+        throw new ErrorResponse('Ejercicio no encontrado', HTTP_STATUS.NOT_FOUND);
+      }
+
+      ejercicio.set(this._campos(datos, CAMPOS_EJERCICIO));
+      ejercicio.modificadoPor = userId;
+      await ejercicio.save();
+
+      return {
+        success: true,
+        message: 'Ejercicio actualizado exitosamente',
+        data: { ejercicio },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Activar o desactivar un ejercicio (los inactivos no se pueden prescribir)
+   * @param {String} ejercicioId - ID del ejercicio
+   * @param {Boolean} activo - Nuevo estado
+   * @param {String} userId - ID del usuario que lo modifica
+   * @returns {Promise<Object>}
+   */
+  static async cambiarEstadoEjercicio(ejercicioId, activo, userId) {
+    try {
+      const ejercicio = await Ejercicio.findById(ejercicioId);
+
+      if (!ejercicio) {
+        throw new ErrorResponse('Ejercicio no encontrado', HTTP_STATUS.NOT_FOUND);
+      }
+
+      ejercicio.activo = activo;
+      ejercicio.modificadoPor = userId;
+      await ejercicio.save();
+
+      return {
+        success: true,
+        message: activo ? 'Ejercicio activado exitosamente' : 'Ejercicio desactivado exitosamente',
+        data: { ejercicio },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Prescribir un programa de ejercicios domiciliarios desde una sesión
+   * Reemplaza al programa activo anterior del paciente y se envía por email si se pide "enviarEmail"
+   * @param {Object} datos - { sesion, ejercicios: [{ ejercicio, series, repeticiones, duracionSegundos, frecuencia, observaciones }], indicaciones, fechaFin, enviarEmail, email }
+   * @param {String} userId - ID del usuario que lo prescribe
+   * @returns {Promise<Object>}
+   */
+  static async prescribirPrograma(datos, userId) {
+    try {
+      const sesion = await Sesion.findById(datos.sesion).select('paciente episodio fecha estado profesional').lean();
+
+      if (!sesion) {
+        throw new ErrorResponse('Sesión no encontrada', HTTP_STATUS.NOT_FOUND);
+      }
+
+      if (sesion.estado === 'cancelada') {
+        throw new ErrorResponse('No se puede prescribir un programa en una sesión cancelada', HTTP_STATUS.BAD_REQUEST);
+      }
+
+      const ids = datos.ejercicios.map(item => item.ejercicio);
+      const biblioteca = await Ejercicio.find({ _id: { $in: ids }, activo: true }).lean();
+      const porId = new Map(biblioteca.map(ejercicio => [String(ejercicio._id), ejercicio]));
+
+      const faltantes = ids.filter(id => !porId.has(String(id)));
+
+      if (faltantes.length) {
+        throw new ErrorResponse(
+          `Ejercicios no encontrados o inactivos: ${faltantes.join(', ')}`,
+          HTTP_STATUS.NOT_FOUND
+        );
+      }
+
+      const ejercicios = datos.ejercicios.map(item => {
+        const ejercicio = porId.get(String(item.ejercicio));
+
+        return {
+          ejercicio: ejercicio._id,
+          nombre: ejercicio.nombre,
+          descripcion: ejercicio.descripcion,
+          imagenUrl: ejercicio.imagenUrl,
+          videoUrl: ejercicio.videoUrl,
+          zonaCorporal: ejercicio.zonaCorporal,
+          // La dosis indicada reemplaza a la propuesta por la biblioteca
+          dosis: { ...this._campos(ejercicio.dosis || {}, CAMPOS_DOSIS), ...this._campos(item, CAMPOS_DOSIS) },
+          observaciones: item.observaciones,
+        };
+      });
+
+      await ProgramaEjercicios.updateMany(
+        { paciente: sesion.paciente, estado: 'activo' },
+        { $set: { estado: 'reemplazado', modificadoPor: userId } }
+      );
+
+      const programa = await ProgramaEjercicios.create({
+        paciente: sesion.paciente,
+        episodio: sesion.episodio || null,
+        sesion: sesion._id,
+        profesional: sesion.profesional || userId,
+        fecha: sesion.fecha,
+        ejercicios,
+        indicaciones: datos.indicaciones,
+        fechaFin: datos.fechaFin || null,
+        creadoPor: userId,
+      });
+
+      let programaEnviado = false;
+
+      // Un error al enviar el email no revierte la prescripción (se puede reenviar)
+      if (datos.enviarEmail) {
+        try {
+          await this.enviarPrograma(programa._id, datos.email, userId);
+          programaEnviado = true;
+        } catch (error) {
+          console.error('Error enviando el programa de ejercicios por email:', error.message);
+        }
+      }
+
+      return {
+        success: true,
+        message: 'Programa de ejercicios prescripto exitosamente',
+        data: {
+          programa: await this._obtenerPrograma(programa._id),
+          programaEnviado,
+        },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Listar los programas de ejercicios de un paciente (el más reciente primero)
+   * @param {String} pacienteId - ID del paciente
+   * @param {Object} opciones - { estado, episodio, page, limit }
+   * @returns {Promise<Object>}
+   */
+  static async obtenerProgramasPaciente(pacienteId, opciones = {}) {
+    try {
+      const { estado, episodio, page = 1, limit = 20 } = opciones;
+      const query = { paciente: pacienteId };
+
+      if (estado) query.estado = estado;
+      if (episodio) query.episodio = episodio;
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const [programas, total] = await Promise.all([
+        ProgramaEjercicios.find(query)
+          .sort('-fecha')
+          .skip(skip)
+          .limit(parseInt(limit))
+          .populate('sesion', 'fecha numeroSesion')
+          .populate('profesional', 'nombre apellido')
+          .lean(),
+        ProgramaEjercicios.countDocuments(query),
+      ]);
+
+      return {
+        success: true,
+        data: {
+          programas,
+          pagination: {
+            total,
+            page: parseInt(page),
+            pages: Math.ceil(total / parseInt(limit)),
+            limit: parseInt(limit),
+          },
+        },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Programas de una sesión: los prescriptos en ella y el anterior del paciente,
+   * cuya adherencia se registra en esta sesión
+   * @param {String} sesionId - ID de la sesión
+   * @returns {Promise<Object>}
+   */
+  static async obtenerProgramasSesion(sesionId) {
+    try {
+      const sesion = await Sesion.findById(sesionId).select('paciente fecha').lean();
+
+      if (!sesion) {
+        throw new ErrorResponse('Sesión no encontrada', HTTP_STATUS.NOT_FOUND);
+      }
+
+      const [prescriptos, anterior] = await Promise.all([
+        ProgramaEjercicios.find({ sesion: sesion._id }).sort('-createdAt').lean(),
+        ProgramaEjercicios.findOne({
+          paciente: sesion.paciente,
+          sesion: { $ne: sesion._id },
+          fecha: { $lte: sesion.fecha },
+        })
+          .sort('-fecha -createdAt')
+          .lean(),
+      ]);
+
+      return {
+        success: true,
+        data: {
+          prescriptos,
+          anterior: anterior
+            ? {
+              ...anterior,
+              adherenciaSesion: anterior.adherencia.find(a => String(a.sesion) === String(sesion._id)) || null,
+            }
+            : null,
+        },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener un programa de ejercicios con su adherencia
+   * @param {String} programaId - ID del programa
+   * @returns {Promise<Object>}
+   */
+  static async obtenerProgramaPorId(programaId) {
+    try {
+      return {
+        success: true,
+        data: { programa: await this._obtenerPrograma(programaId) },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Finalizar un programa (el paciente deja de hacer los ejercicios)
+   * @param {String} programaId - ID del programa
+   * @param {String} userId - ID del usuario que lo finaliza
+   * @returns {Promise<Object>}
+   */
+  static async finalizarPrograma(programaId, userId) {
+    try {
+      const programa = await ProgramaEjercicios.findById(programaId);
+
+      if (!programa) {
+        throw new ErrorResponse('Programa de ejercicios no encontrado', HTTP_STATUS.NOT_FOUND);
+      }
+
+      if (programa.estado !== 'activo') {
+        throw new ErrorResponse('El programa de ejercicios no está activo', HTTP_STATUS.BAD_REQUEST);
+      }
+
+      programa.estado = 'finalizado';
+      programa.fechaFin = programa.fechaFin && programa.fechaFin < new Date() ? programa.fechaFin : new Date();
+      programa.modificadoPor = userId;
+      await programa.save();
+
+      return {
+        success: true,
+        message: 'Programa de ejercicios finalizado exitosamente',
+        data: { programa },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Enviar por email la hoja del programa al paciente (o al email indicado)
+   * @param {String} programaId - ID del programa
+   * @param {String} email - Email de destino (por defecto el del paciente)
+   * @param {String} userId - ID del usuario que envía
+   * @returns {Promise<Object>}
+   */
+  static async enviarPrograma(programaId, email, userId) {
+    try {
+      const programa = await this._obtenerPrograma(programaId);
+      const destinatario = email || programa.paciente.email;
+
+      if (!destinatario) {
+        throw new ErrorResponse('El paciente no tiene email registrado', HTTP_STATUS.BAD_REQUEST);
+      }
+
+      const resultado = await EmailService.enviarProgramaEjercicios({
+        to: destinatario,
+        pacienteNombre: `${programa.paciente.nombre} ${programa.paciente.apellido}`,
+        profesionalNombre: programa.profesional
+          ? `${programa.profesional.nombre} ${programa.profesional.apellido}`
+          : null,
+        fecha: programa.fecha,
+        ejercicios: programa.ejercicios,
+        indicaciones: programa.indicaciones,
+        fechaFin: programa.fechaFin,
+      });
+
+      if (!resultado.success) {
+        throw new ErrorResponse(resultado.message, HTTP_STATUS.SERVICE_UNAVAILABLE);
+      }
+
+      await ProgramaEjercicios.updateOne(
+        { _id: programa._id },
+        { $push: { envios: { email: destinatario, fecha: new Date(), usuario: userId } } }
+      );
+
+      return {
+        success: true,
+        message: `Programa de ejercicios enviado a ${destinatario}`,
+        data: { programa: await this._obtenerPrograma(programaId) },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Registrar la adherencia informada por el paciente en una sesión posterior a la prescripción
+   * Si ya se registró en esa sesión se reemplaza
+   * @param {String} programaId - ID del programa
+   * @param {Object} datos - { sesion, nivel, porcentaje, ejerciciosConDificultad, observaciones }
+   * @param {String} userId - ID del usuario que la registra
+   * @returns {Promise<Object>}
+   */
+  static async registrarAdherencia(programaId, datos, userId) {
+    try {
+      const programa = await ProgramaEjercicios.findById(programaId);
+
+      if (!programa) {
+        throw new ErrorResponse('Programa de ejercicios no encontrado', HTTP_STATUS.NOT_FOUND);
+      }
+
+      const sesion = await Sesion.findOne({ _id: datos.sesion, paciente: programa.paciente })
+        .select('fecha')
+        .lean();
+
+      if (!sesion) {
+        throw new ErrorResponse('Sesión no encontrada para el paciente', HTTP_STATUS.NOT_FOUND);
+      }
+
+      if (sesion._id.equals(programa.sesion) || sesion.fecha < programa.fecha) {
+        throw new ErrorResponse(
+          'La adherencia se registra en una sesión posterior a la prescripción del programa',
+          HTTP_STATUS.BAD_REQUEST
+        );
+      }
+
+      const idsPrograma = programa.ejercicios.map(e => String(e._id));
+      const ajenos = (datos.ejerciciosConDificultad || []).filter(id => !idsPrograma.includes(String(id)));
+
+      if (ajenos.length) {
+        throw new ErrorResponse(
+          `Los siguientes ejercicios no pertenecen al programa: ${ajenos.join(', ')}`,
+          HTTP_STATUS.BAD_REQUEST
+        );
+      }
+
+      const registro = {
+        sesion: sesion._id,
+        fecha: sesion.fecha,
+        nivel: datos.nivel,
+        porcentaje: datos.porcentaje ?? null,
+        ejerciciosConDificultad: datos.ejerciciosConDificultad || [],
+        observaciones: datos.observaciones,
+        registradoPor: userId,
+      };
+
+      const existente = programa.adherencia.find(a => a.sesion.equals(sesion._id));
+
+      if (existente) {
+        existente.set(registro);
+      } else {
+        programa.adherencia.push(registro);
+      }
+
+      programa.modificadoPor = userId;
+      await programa.save();
+
+      return {
+        success: true,
+        message: existente ? 'Adherencia actualizada exitosamente' : 'Adherencia registrada exitosamente',
+        data: { programa },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // ============================================================
+  // Helpers privados
+  // ============================================================
+
+  static _campos(datos, campos) {
+    return Object.fromEntries(
+      campos
+        .filter(campo => datos[campo] !== undefined && datos[campo] !== null)
+        .map(campo => [campo, datos[campo]])
+    );
+  }
+
+  /**
+   * Obtener un programa con los datos del paciente y del profesional
+   */
+  static async _obtenerPrograma(programaId) {
+    const programa = await ProgramaEjercicios.findById(programaId)
+      .populate('paciente', 'nombre apellido dni email')
+      .populate('profesional', 'nombre apellido')
+      .populate('sesion', 'fecha numeroSesion')
+      .populate('adherencia.sesion', 'fecha numeroSesion')
+      .lean();
+
+    if (!programa) {
+      throw new ErrorResponse('Programa de ejercicios no encontrado', HTTP_STATUS.NOT_FOUND);
+    }
+
+    return programa;
+  }
+}
+
+export default ProgramaEjerciciosService;
@@ -0,0 +1,323 @@
+import Recibo from '../models/Recibo.js';
+import Sesion from '../models/Sesion.js';
+import EmailService from './emailService.js';
+import PdfGenerator from '../utils/pdfGenerator.js';
+import ErrorResponse from '../utils/ErrorResponse.js';
+import { HTTP_STATUS } from '../conf/constants.js';
+
+const METODOS_PAGO_TEXTO = {
+  efectivo: 'Efectivo',
+  transferencia: 'Transferencia',
+  tarjeta: 'Tarjeta',
+  otro: 'Otro',
+};
+
+/**
+ * Servicio de recibos numerados de los pagos de pacientes
+ */
+class ReciboService {
+  /**
+   * Emitir el recibo de un pago de la cuenta del paciente y asociarlo
+   * al comprobante de las sesiones que cubre
+   * @param {Object} movimiento - Pago (MovimientoCuenta)
+   * @param {String} userId - ID del usuario que emite
+   * @returns {Promise<Document>}
+   */
+  static async emitirRecibo(movimiento, userId) {
+    const sesiones = (movimiento.aplicaciones || []).map(a => a.sesion);
+
+    const recibo = await Recibo.emitir({
+      paciente: movimiento.paciente,
+      movimiento: movimiento._id,
+      sesiones,
+      fecha: movimiento.fecha,
+      monto: movimiento.monto,
+      metodoPago: movimiento.metodoPago,
+      concepto: movimiento.concepto,
+      emitidoPor: userId,
+    });
+
+    if (sesiones.length) {
+      await Sesion.updateMany(
+        { _id: { $in: sesiones } },
+        {
+          $set: {
+            'pago.comprobante': {
+              numero: recibo.numeroFormateado,
+              tipo: 'recibo',
+              url: `/api/recibos/${recibo._id}/pdf`,
+            },
+          },
+        }
+      );
+    }
+
+    return recibo;
+  }
+
+  /**
+   * Listar recibos
+   * @param {Object} opciones - { paciente, estado, fechaInicio, fechaFin, page, limit }
+   * @returns {Promise<Object>}
+   */
+  static async obtenerRecibos(opciones = {}) {
+    try {
+      const { paciente, estado, fechaInicio, fechaFin, page = 1, limit = 50 } = opciones;
+      const query = {};
+
+      if (paciente) query.paciente = paciente;
+      if (estado) query.estado = estado;
+
+      if (fechaInicio || fechaFin) {
+        query.fecha = {};
+        if (fechaInicio) query.fecha.$gte = new Date(fechaInicio);
+        if (fechaFin) {
+          const fin = new Date(fechaFin);
+          fin.setUTCHours(23, 59, 59, 999);
+          query.fecha.$lte = fin;
+        }
+      }
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const [recibos, total] = await Promise.all([
+        Recibo.find(query)
+          .populate('paciente', 'nombre apellido dni')
+          .populate('emitidoPor', 'nombre apellido')
+          .sort('-numero')
+          .skip(skip)
+          .limit(parseInt(limit)),
+        Recibo.countDocuments(query),
+      ]);
+
+      return {
+        success: true,
+        data: {
+          recibos,
+          pagination: {
+            total,
+            page: parseInt(page),
+            pages: Math.ceil(total / parseInt(limit)),
+            limit: parseInt(limit),
+          },
+        },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener un recibo por ID
+   * @param {String} reciboId - ID del recibo
+   * @returns {Promise<Object>}
+   */
+  static async obtenerReciboPorId(reciboId) {
+    try {
+      const recibo = await this._obtenerRecibo(reciboId);
+
+      return {
+        success: true,
+        data: { recibo },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Crear el PDF de un recibo. El llamador debe hacer pipe del documento a la respuesta
+   * @param {String} reciboId - ID del recibo
+   * @returns {Promise<Object>} { doc, nombreArchivo }
+   */
+  static async generarPDF(reciboId) {
+    try {
+      const recibo = await this._obtenerRecibo(reciboId);
+
+      return {
+        doc: this._crearPDF(recibo),
+        nombreArchivo: `recibo-${recibo.numeroFormateado}`,
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Enviar un recibo por email al paciente (o al email indicado)
+   * @param {String} reciboId - ID del recibo
+   * @param {String} email - Email de destino (por defecto el del paciente)
+   * @param {String} userId - ID del usuario que envía
+   * @returns {Promise<Object>}
+   */
+  static async enviarRecibo(reciboId, email, userId) {
+    try {
+      const recibo = await this._obtenerRecibo(reciboId);
+
+      if (recibo.estado === 'anulado') {
+        throw new ErrorResponse('No se puede enviar un recibo anulado', HTTP_STATUS.BAD_REQUEST);
+      }
+
+      const destinatario = email || recibo.paciente.email;
+
+      if (!destinatario) {
+        throw new ErrorResponse('El paciente no tiene email registrado', HTTP_STATUS.BAD_REQUEST);
+      }
+
+      const resultado = await EmailService.enviarRecibo({
+        to: destinatario,
+        pacienteNombre: `${recibo.paciente.nombre} ${recibo.paciente.apellido}`,
+        numero: recibo.numeroFormateado,
+        fecha: recibo.fecha,
+        monto: recibo.monto,
+        pdf: await this._generarBufferPDF(recibo),
+      });
+
+      if (!resultado.success) {
+        throw new ErrorResponse(resultado.message, HTTP_STATUS.SERVICE_UNAVAILABLE);
+      }
+
+      await Recibo.updateOne(
+        { _id: recibo._id },
+        { $push: { envios: { email: destinatario, fecha: new Date(), usuario: userId } } }
+      );
+
+      return {
+        success: true,
+        message: `Recibo enviado a ${destinatario}`,
+        data: { recibo: await this._obtenerRecibo(reciboId) },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Anular un recibo: conserva su número y queda marcado como anulado (nunca se elimina)
+   * @param {String} reciboId - ID del recibo
+   * @param {String} motivo - Motivo de la anulación
+   * @param {String} userId - ID del usuario que anula
+   * @returns {Promise<Object>}
+   */
+  static async anularRecibo(reciboId, motivo, userId) {
+    try {
+      const recibo = await Recibo.findById(reciboId);
+
+      if (!recibo) {
+        throw new ErrorResponse('Recibo no encontrado', HTTP_STATUS.NOT_FOUND);
+      }
+
+      if (recibo.estado === 'anulado') {
+        throw new ErrorResponse('El recibo ya está anulado', HTTP_STATUS.CONFLICT);
+      }
+
+      await this._anular(recibo, motivo, userId);
+
+      return {
+        success: true,
+        message: `Recibo ${recibo.numeroFormateado} anulado exitosamente`,
+        data: { recibo },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Anular el recibo de un pago que se anuló en la cuenta del paciente
+   * @param {String} movimientoId - ID del pago
+   * @param {String} motivo - Motivo de la anulación
+   * @param {String} userId - ID del usuario que anula
+   * @returns {Promise<void>}
+   */
+  static async anularRecibosMovimiento(movimientoId, motivo, userId) {
+    const recibos = await Recibo.find({ movimiento: movimientoId, estado: 'emitido' });
+
+    for (const recibo of recibos) {
+      await this._anular(recibo, motivo || 'Pago anulado', userId);
+    }
+  }
+
+  static async _anular(recibo, motivo, userId) {
+    recibo.estado = 'anulado';
+    recibo.motivoAnulacion = motivo || null;
+    recibo.fechaAnulacion = new Date();
+    recibo.anuladoPor = userId;
+    await recibo.save();
+
+    // Las sesiones dejan de mostrar el comprobante anulado
+    await Sesion.updateMany(
+      { _id: { $in: recibo.sesiones }, 'pago.comprobante.numero': recibo.numeroFormateado },
+      { $unset: { 'pago.comprobante': '' } }
+    );
+  }
+
+  static async _obtenerRecibo(reciboId) {
+    const recibo = await Recibo.findById(reciboId)
+      .populate('paciente', 'nombre apellido dni email')
+      .populate('sesiones', 'fecha numeroSesion')
+      .populate('emitidoPor', 'nombre apellido')
+      .populate('anuladoPor', 'nombre apellido');
+
+    if (!recibo) {
+      throw new ErrorResponse('Recibo no encontrado', HTTP_STATUS.NOT_FOUND);
+    }
+
+    return recibo;
+  }
+
+  static _crearPDF(recibo) {
+    const doc = PdfGenerator.crearDocumento({
+      titulo: `Recibo ${recibo.numeroFormateado}`,
+      subtitulo: new Date(recibo.fecha).toLocaleDateString('es-AR'),
+    });
+
+    PdfGenerator.dibujarCampos(doc, [
+      { etiqueta: 'Recibí de', valor: `${recibo.paciente.nombre} ${recibo.paciente.apellido}` },
+      { etiqueta: 'DNI', valor: recibo.paciente.dni },
+      { etiqueta: 'La suma de', valor: PdfGenerator.formatearMoneda(recibo.monto) },
+      { etiqueta: 'Forma de pago', valor: METODOS_PAGO_TEXTO[recibo.metodoPago] || recibo.metodoPago },
+      { etiqueta: 'Concepto', valor: recibo.concepto },
+    ]);
+
+    if (recibo.sesiones.length) {
+      PdfGenerator.dibujarSeccion(doc, 'Sesiones');
+      PdfGenerator.dibujarTabla(doc, [
+        { titulo: 'Sesión', campo: 'numeroSesion', ancho: 1, alinear: 'center' },
+        { titulo: 'Fecha', campo: 'fecha', ancho: 2 },
+      ], recibo.sesiones.map(sesion => ({
+        numeroSesion: sesion.numeroSesion,
+        fecha: new Date(sesion.fecha).toLocaleDateString('es-AR', { timeZone: 'UTC' }),
+      })));
+    }
+
+    if (recibo.estado === 'anulado') {
+      PdfGenerator.dibujarSeccion(doc, 'RECIBO ANULADO');
+      PdfGenerator.dibujarCampos(doc, [
+        {
+          etiqueta: 'Fecha de anulación',
+          valor: recibo.fechaAnulacion ? new Date(recibo.fechaAnulacion).toLocaleDateString('es-AR') : null,
+        },
+        { etiqueta: 'Motivo', valor: recibo.motivoAnulacion },
+      ]);
+    }
+
+    PdfGenerator.numerarPaginas(doc);
+
+    return doc;
+  }
+
+  static _generarBufferPDF(recibo) {
+    return new Promise((resolve, reject) => {
+      const doc = this._crearPDF(recibo);
+      const partes = [];
+
+      doc.on('data', parte => partes.push(parte));
+      doc.on('end', () => resolve(Buffer.concat(partes)));
+      doc.on('error', reject);
+      doc.end();
+    });
+  }
+}
+
+export default ReciboService;
@@ -0,0 +1,165 @@
+import ReglaComision from '../models/ReglaComision.js';
+import User from '../models/User.js';
+import ErrorResponse from '../utils/ErrorResponse.js';
+import { HTTP_STATUS } from '../conf/constants.js';
+
+// Campos editables de una regla de comisión
+const CAMPOS_EDITABLES = ['profesional', 'tipoSesion', 'tipo', 'valor', 'activa', 'observaciones'];
+
+/**
+ * Servicio de reglas de comisión por profesional y tipo de sesión
+ */
+class ReglaComisionService {
+  /**
+   * Crear una regla de comisión
+   * @param {Object} datos - { profesional, tipoSesion, tipo, valor, observaciones }
+   * @param {String} userId - ID del usuario que la crea
+   * @returns {Promise<Object>}
+   */
+  static async crearRegla(datos, userId) {
+    try {
+      await this._verificarProfesional(datos.profesional);
+      await this._verificarCombinacionDisponible(datos.profesional ?? null, datos.tipoSesion ?? null);
+
+      const regla = new ReglaComision({ creadoPor: userId });
+      this._asignarCampos(regla, datos);
+      await regla.save();
+
+      return {
+        success: true,
+        message: 'Regla de comisión creada exitosamente',
+        data: { regla },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Listar reglas de comisión
+   * @param {Object} opciones - { profesional, activa }
+   * @returns {Promise<Object>}
+   */
+  static async obtenerReglas(opciones = {}) {
+    try {
+      const query = {};
+
+      if (opciones.profesional) query.profesional = opciones.profesional;
+      if (opciones.activa !== undefined) {
+        query.activa = opciones.activa === true || opciones.activa === 'true';
+      }
+
+      const reglas = await ReglaComision.find(query)
+        .populate('profesional', 'nombre apellido email')
+        .sort({ profesional: 1, tipoSesion: 1 })
+        .lean();
+
+      return {
+        success: true,
+        data: {
+          reglas,
+          total: reglas.length,
+        },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Actualizar una regla de comisión
+   * @param {String} reglaId - ID de la regla
+   * @param {Object} datos - Datos a actualizar
+   * @param {String} userId - ID del usuario que modifica
+   * @returns {Promise<Object>}
+   */
+  static async actualizarRegla(reglaId, datos, userId) {
+    try {
+      const regla = await this._obtenerRegla(reglaId);
+
+      if (datos.profesional !== undefined) {
+        await this._verificarProfesional(datos.profesional);
+      }
+
+      this._asignarCampos(regla, datos);
+
+      if (regla.isModified('profesional') || regla.isModified('tipoSesion')) {
+        await this._verificarCombinacionDisponible(regla.profesional, regla.tipoSesion, regla._id);
+      }
+
+      regla.modificadoPor = userId;
+      await regla.save();
+
+      return {
+        success: true,
+        message: 'Regla de comisión actualizada exitosamente',
+        data: { regla },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Eliminar una regla de comisión
+   * @param {String} reglaId - ID de la regla
+   * @returns {Promise<Object>}
+   */
+  static async eliminarRegla(reglaId) {
+    try {
+      const regla = await this._obtenerRegla(reglaId);
+      await regla.deleteOne();
+
+      return {
+        success: true,
+        message: 'Regla de comisión eliminada exitosamente',
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // ============================================================
+  // Helpers privados
+  // ============================================================
+
+  static async _obtenerRegla(reglaId) {
+    const regla = await ReglaComision.findById(reglaId);
+
+    if (!regla) {
+      throw new ErrorResponse('Regla de comisión no encontrada', HTTP_STATUS.NOT_FOUND);
+    }
+
+    return regla;
+  }
+
+  static async _verificarProfesional(profesionalId) {
+    if (!profesionalId) return;
+
+    if (!(await User.exists({ _id: profesionalId }))) {
+      throw new ErrorResponse('Profesional no encontrado', HTTP_STATUS.NOT_FOUND);
+    }
+  }
+
+  static async _verificarCombinacionDisponible(profesional, tipoSesion, excluirId = null) {
+    const query = { profesional, tipoSesion };
+    if (excluirId) query._id = { $ne: excluirId };
+
+    if (await ReglaComision.exists(query)) {
+      throw new ErrorResponse(
+        'Ya existe una regla de comisión para ese profesional y tipo de sesión',
+        HTTP_STATUS.CONFLICT
+      );
+    }
+  }
+
+  static _asignarCampos(regla, datos) {
+    CAMPOS_EDITABLES.forEach(campo => {
+      if (datos[campo] !== undefined) {
+        regla[campo] = datos[campo];
+      }
+    });
+  }
+}
+
+export default ReglaComisionService;
@@ -0,0 +1,175 @@
+import Sesion from '../models/Sesion.js';
+import ReglaComision from '../models/ReglaComision.js';
+import ErrorResponse from '../utils/ErrorResponse.js';
+import { HTTP_STATUS } from '../conf/constants.js';
+
+const redondear = (valor) => Math.round((valor + Number.EPSILON) * 100) / 100;
+
+/**
+ * Servicio de reportes de gestión
+ */
+class ReporteService {
+  /**
+   * Reporte de productividad y comisiones por profesional
+   * Ingresos cobrados por sesión: lo que pagó el paciente, lo cobrado a la obra social
+   * y el valor por sesión del paquete con el que se pagó
+   * @param {Object} filtros - { fechaInicio, fechaFin, profesional } (por defecto el mes actual)
+   * @returns {Promise<Object>}
+   */
+  static async obtenerReporteProfesionales(filtros = {}) {
+    try {
+      const { inicio, fin } = this._obtenerPeriodo(filtros.fechaInicio, filtros.fechaFin);
+      const query = { fecha: { $gte: inicio, $lte: fin } };
+
+      if (filtros.profesional) {
+        query.profesional = filtros.profesional;
+      }
+
+      const [sesiones, reglas] = await Promise.all([
+        Sesion.find(query)
+          .select('profesional tipoSesion estado duracion pago')
+          .populate('profesional', 'nombre apellido email')
+          .populate('pago.paquete', 'precio cantidadSesiones')
+          .lean(),
+        ReglaComision.find({ activa: true }).lean(),
+      ]);
+
+      const porProfesional = new Map();
+
+      sesiones.forEach(sesion => {
+        if (!sesion.profesional) return;
+
+        const clave = sesion.profesional._id.toString();
+
+        if (!porProfesional.has(clave)) {
+          porProfesional.set(clave, this._filaVacia(sesion.profesional));
+        }
+
+        const fila = porProfesional.get(clave);
+        const realizada = sesion.estado === 'realizada';
+        const ingresos = this._ingresosSesion(sesion);
+        const regla = ReglaComision.resolver(reglas, clave, sesion.tipoSesion);
+
+        fila.sesionesTotales += 1;
+        if (realizada) fila.sesionesRealizadas += 1;
+        if (sesion.estado === 'cancelada') fila.sesionesCanceladas += 1;
+        if (sesion.estado === 'ausente') fila.ausencias += 1;
+
+        if (realizada && sesion.duracion > 0) {
+          fila._minutos += sesion.duracion;
+          fila._sesionesConDuracion += 1;
+        }
+
+        fila.ingresos += ingresos;
+        fila.comision += ReglaComision.calcular(regla, ingresos, realizada);
+      });
+
+      const profesionales = [...porProfesional.values()]
+        .map(fila => this._cerrarFila(fila))
+        .sort((a, b) => b.ingresos - a.ingresos);
+
+      const totales = profesionales.reduce(
+        (acumulado, fila) => ({
+          sesionesTotales: acumulado.sesionesTotales + fila.sesionesTotales,
+          sesionesRealizadas: acumulado.sesionesRealizadas + fila.sesionesRealizadas,
+          sesionesCanceladas: acumulado.sesionesCanceladas + fila.sesionesCanceladas,
+          ausencias: acumulado.ausencias + fila.ausencias,
+          ingresos: redondear(acumulado.ingresos + fila.ingresos),
+          comision: redondear(acumulado.comision + fila.comision),
+        }),
+        { sesionesTotales: 0, sesionesRealizadas: 0, sesionesCanceladas: 0, ausencias: 0, ingresos: 0, comision: 0 }
+      );
+
+      return {
+        success: true,
+        data: {
+          periodo: { fechaInicio: inicio, fechaFin: fin },
+          profesionales,
+          totales,
+        },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // ============================================================
+  // Helpers privados
+  // ============================================================
+
+  /**
+   * Monto cobrado por una sesión
+   */
+  static _ingresosSesion(sesion) {
+    const pago = sesion.pago || {};
+    let ingresos = pago.montoPagado || 0;
+
+    if (pago.estadoObraSocial === 'cobrada') {
+      ingresos += pago.montoObraSocial || 0;
+    }
+
+    if (pago.paquete?.cantidadSesiones) {
+      ingresos += pago.paquete.precio / pago.paquete.cantidadSesiones;
+    }
+
+    return ingresos;
+  }
+
+  static _filaVacia(profesional) {
+    return {
+      profesional: {
+        id: profesional._id,
+        nombre: profesional.nombre,
+        apellido: profesional.apellido,
+        nombreCompleto: [profesional.nombre, profesional.apellido].filter(Boolean).join(' '),
+        email: profesional.email,
+      },
+      sesionesTotales: 0,
+      sesionesRealizadas: 0,
+      sesionesCanceladas: 0,
+      ausencias: 0,
+      ingresos: 0,
+      comision: 0,
+      _minutos: 0,
+      _sesionesConDuracion: 0,
+    };
+  }
+
+  static _cerrarFila(fila) {
+    const { _minutos, _sesionesConDuracion, ...datos } = fila;
+
+    return {
+      ...datos,
+      duracionPromedio: _sesionesConDuracion ? Math.round(_minutos / _sesionesConDuracion) : 0,
+      tasaAusentismo: datos.sesionesTotales
+        ? redondear((datos.ausencias / datos.sesionesTotales) * 100)
+        : 0,
+      ingresos: redondear(datos.ingresos),
+      comision: redondear(datos.comision),
+    };
+  }
+
+  /**
+   * Período del reporte en días UTC completos (por defecto el mes actual)
+   */
+  static _obtenerPeriodo(fechaInicio, fechaFin) {
+    const hoy = new Date();
+    const desde = fechaInicio ? new Date(fechaInicio) : new Date(Date.UTC(hoy.getUTCFullYear(), hoy.getUTCMonth(), 1));
+    const hasta = fechaFin ? new Date(fechaFin) : new Date(Date.UTC(hoy.getUTCFullYear(), hoy.getUTCMonth() + 1, 0));
+
+    if (Number.isNaN(desde.getTime()) || Number.isNaN(hasta.getTime())) {
+      throw new ErrorResponse('Fechas del período inválidas', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    const inicio = new Date(Date.UTC(desde.getUTCFullYear(), desde.getUTCMonth(), desde.getUTCDate()));
+    const fin = new Date(Date.UTC(hasta.getUTCFullYear(), hasta.getUTCMonth(), hasta.getUTCDate(), 23, 59, 59, 999));
+
+    if (inicio > fin) {
+      throw new ErrorResponse('La fecha de inicio no puede ser posterior a la fecha de fin', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    return { inicio, fin };
+  }
+}
+
+export default ReporteService;
@@ -2,6 +2,7 @@ import Sesion from '../models/Sesion.js';
 import Paciente from '../models/Paciente.js';
 import User from '../models/User.js';
 import EmailService from './emailService.js';
+import CierreCajaService from './cierreCajaService.js';
 import ErrorResponse from '../utils/ErrorResponse.js';
 import { HTTP_STATUS } from '../conf/constants.js';
 
@@ -29,6 +30,7 @@ class ResumenDiarioService {
         pacientesNuevos,
         pagosPendientes,
         administradores,
+        cierreCaja,
       ] = await Promise.all([
         Sesion.countDocuments({
           fecha: { $gte: inicioDia, $lte: finDia },
@@ -68,6 +70,8 @@ class ResumenDiarioService {
         User.find({ rol: 'administrador', emailVerificado: true })
           .select('email nombre apellido')
           .lean(),
+
+        CierreCajaService.obtenerCierreDia(hoy),
       ]);
 
       const resumen = {
@@ -82,6 +86,15 @@ class ResumenDiarioService {
         ingresosDia: ingresosDia[0]?.total || 0,
         pacientesNuevos,
         pagosPendientes,
+        // null si la caja del día todavía no se cerró
+        cierreCaja: cierreCaja
+          ? {
+            estado: cierreCaja.estado,
+            totalEsperado: cierreCaja.totalEsperado,
+            totalContado: cierreCaja.totalContado,
+            diferencia: cierreCaja.diferencia,
+          }
+          : null,
       };
 
       // Enviar email a cada administrador
@@ -1,9 +1,26 @@
 import mongoose from 'mongoose';
 import Sesion from '../models/Sesion.js';
 import Paciente from '../models/Paciente.js';
+import ListaEspera from '../models/ListaEspera.js';
+import { DIAS_SEMANA } from '../models/AgendaProfesional.js';
+import AgendaService from './agendaService.js';
+import ObraSocialService from './obraSocialService.js';
+import AutorizacionService from './autorizacionService.js';
+import CuentaPacienteService from './cuentaPacienteService.js';
+import ReciboService from './reciboService.js';
+import AsistenciaService from './asistenciaService.js';
+import EpisodioService from './episodioService.js';
+import { ESTADOS_SESION_NO_CONSUMEN } from '../models/Autorizacion.js';
+import { montoACargoPaciente, saldoSesion, SALDO_SESION_EXPR, METODOS_PAGO_CUENTA } from '../models/MovimientoCuenta.js';
 import ErrorResponse from '../utils/ErrorResponse.js';
+import { emitirATodos, EVENTOS_SOCKET } from '../utils/socket.js';
 import { HTTP_STATUS } from '../conf/constants.js';
 
+const MS_POR_DIA = 24 * 60 * 60 * 1000;
+
+// Alcance máximo de una serie de sesiones (evita bucles con horarios que nunca coinciden)
+const DIAS_MAXIMOS_SERIE = 365;
+
 /**
  * Servicio de gestión de sesiones
  */
@@ -12,9 +29,10 @@ class SesionService {
    * Registrar una nueva sesión
    * @param {Object} datosSesion - Datos de la sesión
    * @param {String} profesionalId - ID del profesional
+   * @param {Object} opciones - { permitirSuperposicion, permitirSinAutorizacion } (solo administradores)
    * @returns {Promise<Object>}
    */
-  static async registrarSesion(datosSesion, profesionalId) {
+  static async registrarSesion(datosSesion, profesionalId, opciones = {}) {
     try {
       // Verificar que el paciente existe
       const paciente = await Paciente.findById(datosSesion.paciente);
@@ -23,6 +41,41 @@ class SesionService {
         throw new ErrorResponse('Paciente no encontrado', HTTP_STATUS.NOT_FOUND);
       }
 
+      // Dividir el monto entre la obra social y el paciente
+      const cobertura = await ObraSocialService.calcularCobertura(
+        paciente,
+        datosSesion.pago?.monto,
+        datosSesion.fecha || new Date()
+      );
+      const { pagado, montoPagado, fechaPago, paquete, ...datosPago } = datosSesion.pago || {};
+      datosSesion.pago = { ...datosPago, ...cobertura };
+
+      // Vincular la sesión al episodio de tratamiento (abierto o indicado)
+      // Si hay que abrir uno, se guarda después de las verificaciones del turno
+      const resolucion = await EpisodioService.resolverEpisodio(
+        paciente,
+        datosSesion.episodio,
+        profesionalId
+      );
+      const { episodio, advertencias } = resolucion;
+      datosSesion.episodio = episodio._id;
+
+      // Vincular la sesión a la autorización (orden médica) vigente del episodio
+      if (!ESTADOS_SESION_NO_CONSUMEN.includes(datosSesion.estado)) {
+        const asignacion = await AutorizacionService.asignarAutorizacion(
+          paciente,
+          datosSesion.fecha || new Date(),
+          {
+            autorizacionId: datosSesion.autorizacion,
+            permitirSinAutorizacion: opciones.permitirSinAutorizacion,
+            episodioId: episodio._id,
+          }
+        );
+
+        datosSesion.autorizacion = asignacion.autorizacion;
+        advertencias.push(...asignacion.advertencias);
+      }
+
       // Obtener número de orden del día si no se proporciona
       if (!datosSesion.numeroOrden) {
         const fecha = datosSesion.fecha || new Date();
@@ -53,29 +106,64 @@ class SesionService {
 
       // Calcular número de sesión automáticamente solo si no se proporciona
       if (!datosSesion.numeroSesion) {
-        // Contar todas las sesiones del paciente (realizadas, programadas, canceladas)
-        const totalSesionesPaciente = await Sesion.countDocuments({
+        // Contar todas las sesiones del episodio (realizadas, programadas, canceladas)
+        const totalSesionesEpisodio = await Sesion.countDocuments({
           paciente: datosSesion.paciente,
+          episodio: episodio._id,
         });
         
-        // El número de sesión será el total + 1
-        datosSesion.numeroSesion = totalSesionesPaciente + 1;
+        // El número de sesión será el total + 1 (la numeración se reinicia en cada episodio)
+        datosSesion.numeroSesion = totalSesionesEpisodio + 1;
+      }
+
+      // Evitar turnos superpuestos del profesional
+      if (!opciones.permitirSuperposicion) {
+        await AgendaService.verificarSuperposicion({
+          profesionalId,
+          fecha: datosSesion.fecha || new Date(),
+          horaEntrada: datosSesion.horaEntrada,
+          horaSalida: datosSesion.horaSalida,
+          estado: datosSesion.estado,
+        });
       }
 
       // Crear sesión
-      const sesion = await Sesion.create({
+      const sesion = new Sesion({
         ...datosSesion,
         profesional: profesionalId,
       });
 
+      // Si se registra como pagada se cobra en el momento: no se descuenta del paquete del paciente
+      if (pagado) {
+        sesion.$locals.sinPaquete = true;
+      }
+
+      await sesion.validate();
+      await EpisodioService.confirmarEpisodio(resolucion);
+      await sesion.save();
+
+      // Si se registra como pagada, el pago se asienta en la cuenta del paciente
+      if (pagado) {
+        await this._registrarPagoEnCuenta(sesion, { metodoPago: datosPago.metodoPago }, profesionalId);
+        const { pago } = await Sesion.findById(sesion._id).select('pago').lean();
+        sesion.set({ 'pago.montoPagado': pago.montoPagado, 'pago.pagado': pago.pagado, 'pago.fechaPago': pago.fechaPago });
+      }
+
+      // Una sesión cargada como ausente pasa por la política de asistencia
+      if (sesion.estado === 'ausente') {
+        await AsistenciaService.aplicarPolitica(sesion, profesionalId);
+      }
+
       // Poblar datos del paciente
       await sesion.populate('paciente', 'nombre apellido dni obraSocial');
       await sesion.populate('profesional', 'nombre apellido');
 
+      this._notificarCambioPlanilla('creada', sesion);
+
       return {
         success: true,
         message: 'Sesión registrada exitosamente',
-        data: { sesion },
+        data: { sesion, advertencias },
       };
     } catch (error) {
       throw error;
@@ -96,6 +184,8 @@ class SesionService {
         sortBy = '-fecha -numeroOrden',
         pacienteId,
         fecha,
+        fechaInicio,
+        fechaFin,
         estado,
         pagado,
       } = opciones;
@@ -126,6 +216,17 @@ class SesionService {
         const inicioDia = new Date(Date.UTC(year, month - 1, day, 0, 0, 0, 0));
         const finDia = new Date(Date.UTC(year, month - 1, day, 23, 59, 59, 999));
         query.fecha = { $gte: inicioDia, $lte: finDia };
+      } else if (fechaInicio || fechaFin) {
+        // Rango de fechas inclusivo, normalizado en UTC
+        query.fecha = {};
+        if (fechaInicio) {
+          const inicio = new Date(fechaInicio);
+          query.fecha.$gte = new Date(Date.UTC(inicio.getUTCFullYear(), inicio.getUTCMonth(), inicio.getUTCDate(), 0, 0, 0, 0));
+        }
+        if (fechaFin) {
+          const fin = new Date(fechaFin);
+          query.fecha.$lte = new Date(Date.UTC(fin.getUTCFullYear(), fin.getUTCMonth(), fin.getUTCDate(), 23, 59, 59, 999));
+        }
       }
 
       if (estado) {
@@ -234,7 +335,7 @@ class SesionService {
       // Obtener información de tratamiento de cada paciente
       const pacientesIds = [...new Set(sesiones.map(s => s.paciente._id.toString()))];
       const pacientes = await Paciente.find({ _id: { $in: pacientesIds } })
-        .select('_id tratamiento')
+        .select('_id tratamiento alertaAusencias')
         .lean();
 
       const pacientesMap = {};
@@ -257,6 +358,9 @@ class SesionService {
             apellido: sesion.paciente.apellido,
             dni: sesion.paciente.dni,
             obraSocial: sesion.paciente.obraSocial?.nombre || 'Particular',
+            alertaAusencias: pacienteData?.alertaAusencias?.activa
+              ? pacienteData.alertaAusencias
+              : null,
           },
           horaEntrada: sesion.horaEntrada,
           horaSalida: sesion.horaSalida,
@@ -265,6 +369,7 @@ class SesionService {
           metodoPago: sesion.pago.metodoPago,
           observaciones: sesion.observaciones,
           estado: sesion.estado,
+          ausenciaJustificada: sesion.ausenciaJustificada || false,
           numeroSesion: sesion.numeroSesion,
           cantidadTotalSesiones: cantidadTotal,
           sesionInfo: cantidadTotal && sesion.numeroSesion 
@@ -280,7 +385,7 @@ class SesionService {
         if (sesion.estado === 'realizada') {
           acc.totalSesiones++;
           acc.totalRecaudado += sesion.pago.pagado ? sesion.pago.monto : 0;
-          acc.totalPendiente += !sesion.pago.pagado ? sesion.pago.monto : 0;
+          acc.totalPendiente += saldoSesion(sesion);
         }
         if (sesion.estado === 'cancelada') acc.canceladas++;
         if (sesion.estado === 'ausente') acc.ausentes++;
@@ -309,12 +414,12 @@ class SesionService {
   /**
    * Obtener historial de sesiones de un paciente
    * @param {String} pacienteId - ID del paciente
-   * @param {Object} opciones - Opciones de paginación
+   * @param {Object} opciones - Opciones de paginación y episodio (solo las sesiones de ese episodio)
    * @returns {Promise<Object>}
    */
   static async obtenerHistorialPaciente(pacienteId, opciones = {}) {
     try {
-      const { page = 1, limit = 20 } = opciones;
+      const { page = 1, limit = 20, episodio } = opciones;
 
       // Verificar que el paciente existe
       const paciente = await Paciente.findById(pacienteId);
@@ -323,20 +428,29 @@ class SesionService {
       }
 
       const skip = (page - 1) * limit;
+      const query = { paciente: new mongoose.Types.ObjectId(pacienteId) };
+
+      if (episodio) {
+        if (!mongoose.Types.ObjectId.isValid(episodio)) {
+          throw new ErrorResponse('ID de episodio inválido', HTTP_STATUS.BAD_REQUEST);
+        }
+
+        query.episodio = new mongoose.Types.ObjectId(episodio);
+      }
 
       const [sesiones, total] = await Promise.all([
-        Sesion.find({ paciente: pacienteId })
+        Sesion.find(query)
           .sort('-fecha')
           .skip(skip)
           .limit(limit)
           .populate('profesional', 'nombre apellido')
           .lean(),
-        Sesion.countDocuments({ paciente: pacienteId }),
+        Sesion.countDocuments(query),
       ]);
 
-      // Estadísticas del paciente - calcular de TODAS las sesiones
+      // Estadísticas del paciente (o del episodio) - calcular de TODAS las sesiones
       const estadisticasCalculadas = await Sesion.aggregate([
-        { $match: { paciente: new mongoose.Types.ObjectId(pacienteId) } },
+        { $match: query },
         {
           $group: {
             _id: null,
@@ -350,9 +464,7 @@ class SesionService {
             totalPagado: {
               $sum: { $cond: ['$pago.pagado', '$pago.monto', 0] }
             },
-            totalPendiente: {
-              $sum: { $cond: [{ $not: '$pago.pagado' }, '$pago.monto', 0] }
-            },
+            totalPendiente: { $sum: SALDO_SESION_EXPR },
             ultimaSesion: { $max: '$fecha' },
           }
         }
@@ -367,14 +479,16 @@ class SesionService {
         ultimaSesion: null,
       };
 
-      // Actualizar estadísticas en el modelo Paciente
-      paciente.estadisticas = {
-        totalSesiones: stats.totalSesiones,
-        totalAbonado: stats.totalPagado,
-        saldoPendiente: stats.totalPendiente,
-        ultimaSesion: stats.ultimaSesion,
-      };
-      await paciente.save();
+      // Actualizar estadísticas en el modelo Paciente (solo con el historial completo)
+      if (!episodio) {
+        paciente.estadisticas = {
+          totalSesiones: stats.totalSesiones,
+          totalAbonado: stats.totalPagado,
+          saldoPendiente: stats.totalPendiente,
+          ultimaSesion: stats.ultimaSesion,
+        };
+        await paciente.save();
+      }
 
       // Formatear estadísticas para la respuesta (mantener formato original)
       const estadisticas = {
@@ -410,9 +524,10 @@ class SesionService {
    * @param {String} sesionId - ID de la sesión
    * @param {Object} datosActualizar - Datos a actualizar
    * @param {String} userId - ID del usuario que modifica
+   * @param {Object} opciones - { permitirSuperposicion } (solo administradores)
    * @returns {Promise<Object>}
    */
-  static async actualizarSesion(sesionId, datosActualizar, userId) {
+  static async actualizarSesion(sesionId, datosActualizar, userId, opciones = {}) {
     try {
       const sesion = await Sesion.findById(sesionId);
 
@@ -420,13 +535,51 @@ class SesionService {
         throw new ErrorResponse('Sesión no encontrada', HTTP_STATUS.NOT_FOUND);
       }
 
+      this._verificarSesionEditable(sesion);
+
+      const estadoAnterior = sesion.estado;
+
+      // El episodio (y con él el número de sesión) se asigna al registrar la sesión
+      delete datosActualizar.episodio;
+
+      // El estado de pago lo calcula la cuenta del paciente (PUT /:id/pago)
+      if (datosActualizar.pago) {
+        const { pagado, montoPagado, fechaPago, paquete, ...datosPago } = datosActualizar.pago;
+        datosActualizar = { ...datosActualizar, pago: { ...sesion.toObject().pago, ...datosPago } };
+      }
+
       Object.assign(sesion, datosActualizar);
+
+      // Si cambia el turno, verificar que no se superponga con otra sesión del profesional
+      const cambiaTurno = ['fecha', 'horaEntrada', 'horaSalida', 'profesional', 'estado']
+        .some(campo => sesion.isModified(campo));
+
+      if (cambiaTurno && !opciones.permitirSuperposicion) {
+        await AgendaService.verificarSuperposicion({
+          profesionalId: sesion.profesional,
+          fecha: sesion.fecha,
+          horaEntrada: sesion.horaEntrada,
+          horaSalida: sesion.horaSalida,
+          estado: sesion.estado,
+          excluirSesionId: sesion._id,
+        });
+      }
+
+      const cambiaAsistencia = sesion.isModified('estado') || sesion.isModified('ausenciaJustificada');
+
       sesion.modificadoPor = userId;
       await sesion.save();
 
+      // Registrar, justificar o corregir una ausencia aplica la política de asistencia
+      if (cambiaAsistencia && [estadoAnterior, sesion.estado].includes('ausente')) {
+        await AsistenciaService.aplicarPolitica(sesion, userId);
+      }
+
       await sesion.populate('paciente', 'nombre apellido dni obraSocial');
       await sesion.populate('profesional', 'nombre apellido');
 
+      this._notificarCambioPlanilla('actualizada', sesion);
+
       return {
         success: true,
         message: 'Sesión actualizada exitosamente',
@@ -438,12 +591,16 @@ class SesionService {
   }
 
   /**
-   * Marcar pago de una sesión
+   * Registrar el pago de una sesión en la cuenta del paciente
+   * Sin monto se paga el saldo de la sesión. Un monto menor es un pago parcial
+   * y lo que exceda el saldo queda como saldo a favor del paciente.
+   * Se emite un recibo numerado que se envía por email si se pide "enviarRecibo"
    * @param {String} sesionId - ID de la sesión
-   * @param {Object} datosPago - Datos del pago
+   * @param {Object} datosPago - { monto, metodoPago, concepto, enviarRecibo }
+   * @param {String} userId - ID del usuario que registra el pago
    * @returns {Promise<Object>}
    */
-  static async registrarPago(sesionId, datosPago) {
+  static async registrarPago(sesionId, datosPago, userId) {
     try {
       const sesion = await Sesion.findById(sesionId);
 
@@ -451,19 +608,96 @@ class SesionService {
         throw new ErrorResponse('Sesión no encontrada', HTTP_STATUS.NOT_FOUND);
       }
 
-      sesion.pago = {
-        ...sesion.pago,
-        ...datosPago,
-        pagado: true,
-        fechaPago: new Date(),
+      if (sesion.estado === 'cancelada') {
+        throw new ErrorResponse('No se puede registrar el pago de una sesión cancelada', HTTP_STATUS.BAD_REQUEST);
+      }
+
+      const pago = await this._registrarPagoEnCuenta(sesion, datosPago, userId);
+
+      if (!pago) {
+        throw new ErrorResponse('La sesión no tiene saldo pendiente', HTTP_STATUS.BAD_REQUEST);
+      }
+
+      const { movimiento, recibo } = pago;
+      let reciboEnviado = false;
+
+      // Un error al enviar el email no revierte el pago (se puede reenviar desde /api/recibos)
+      if (datosPago.enviarRecibo) {
+        try {
+          await ReciboService.enviarRecibo(recibo._id, null, userId);
+          reciboEnviado = true;
+        } catch (error) {
+          console.error('Error enviando el recibo por email:', error.message);
+        }
+      }
+
+      const sesionActualizada = await Sesion.findById(sesionId);
+
+      this._notificarCambioPlanilla('pago_registrado', sesionActualizada);
+
+      return {
+        success: true,
+        message: sesionActualizada.pago.pagado
+          ? 'Pago registrado exitosamente'
+          : 'Pago parcial registrado exitosamente',
+        data: { sesion: sesionActualizada, movimiento, recibo, reciboEnviado },
       };
+    } catch (error) {
+      throw error;
+    }
+  }
 
+  /**
+   * Registrar que el paciente no asistió a la sesión, o cambiar la justificación
+   * de una ausencia ya registrada. Aplica la política de asistencia: cargo por
+   * ausencia y marca del paciente si acumula ausencias sin justificar
+   * @param {String} sesionId - ID de la sesión
+   * @param {Object} datos - { justificada, motivo }
+   * @param {String} userId - ID del usuario que registra la ausencia
+   * @returns {Promise<Object>}
+   */
+  static async registrarAusencia(sesionId, datos, userId) {
+    try {
+      const sesion = await Sesion.findById(sesionId);
+
+      if (!sesion) {
+        throw new ErrorResponse('Sesión no encontrada', HTTP_STATUS.NOT_FOUND);
+      }
+
+      this._verificarSesionEditable(sesion);
+
+      if (['cancelada', 'reprogramada'].includes(sesion.estado)) {
+        throw new ErrorResponse(
+          `No se puede registrar la ausencia de una sesión ${sesion.estado}`,
+          HTTP_STATUS.CONFLICT
+        );
+      }
+
+      sesion.estado = 'ausente';
+      sesion.ausenciaJustificada = Boolean(datos.justificada);
+      if (datos.motivo !== undefined) {
+        sesion.motivoCancelacion = datos.motivo;
+      }
+      sesion.modificadoPor = userId;
       await sesion.save();
 
+      const { cargoAusencia, alertaAusencias } = await AsistenciaService.aplicarPolitica(sesion, userId);
+
+      await sesion.populate('paciente', 'nombre apellido dni obraSocial');
+      await sesion.populate('profesional', 'nombre apellido');
+
+      this._notificarCambioPlanilla('actualizada', sesion);
+
       return {
         success: true,
-        message: 'Pago registrado exitosamente',
-        data: { sesion },
+        message: sesion.ausenciaJustificada
+          ? 'Ausencia justificada registrada'
+          : 'Ausencia registrada',
+        data: {
+          sesion,
+          cargoAusencia,
+          alertaAusencias,
+        },
       };
     } catch (error) {
       throw error;
@@ -476,9 +710,10 @@ class SesionService {
    * @param {String} motivo - Motivo de cancelación
    * @param {Date} nuevaFecha - Nueva fecha si se reprograma (opcional)
    * @param {String} profesionalId - ID del profesional que cancela
+   * @param {Object} opciones - { permitirSuperposicion, permitirSinAutorizacion } (solo administradores)
    * @returns {Promise<Object>}
    */
-  static async cancelarSesion(sesionId, motivo, nuevaFecha = null, profesionalId = null) {
+  static async cancelarSesion(sesionId, motivo, nuevaFecha = null, profesionalId = null, opciones = {}) {
     try {
       const sesion = await Sesion.findById(sesionId).populate('paciente');
 
@@ -486,10 +721,14 @@ class SesionService {
         throw new ErrorResponse('Sesión no encontrada', HTTP_STATUS.NOT_FOUND);
       }
 
+      this._verificarSesionEditable(sesion);
+
+      const estabaAusente = sesion.estado === 'ausente';
       sesion.estado = 'cancelada';
       sesion.motivoCancelacion = motivo;
 
       let sesionReprogramada = null;
+      const advertencias = [];
 
       // Si se proporciona nueva fecha, crear sesión reprogramada
       if (nuevaFecha) {
@@ -517,17 +756,46 @@ class SesionService {
 
         const numeroOrden = ultimaSesion ? ultimaSesion.numeroOrden + 1 : 1;
 
+        if (!opciones.permitirSuperposicion) {
+          await AgendaService.verificarSuperposicion({
+            profesionalId: profesionalId || sesion.profesional,
+            fecha: nuevaFecha,
+            horaEntrada: sesion.horaEntrada,
+            horaSalida: sesion.horaSalida,
+            excluirSesionId: sesion._id,
+          });
+        }
+
+        // La cobertura y la autorización se resuelven para la nueva fecha
+        // (la sesión cancelada deja libre su lugar en el cupo)
+        const cobertura = await ObraSocialService.calcularCobertura(
+          sesion.paciente,
+          sesion.pago.monto,
+          nuevaFecha,
+          sesion._id
+        );
+
+        const asignacion = await AutorizacionService.asignarAutorizacion(sesion.paciente, nuevaFecha, {
+          permitirSinAutorizacion: opciones.permitirSinAutorizacion,
+          episodioId: sesion.episodio,
+          excluirSesionId: sesion._id,
+        });
+        advertencias.push(...asignacion.advertencias);
+
         const nuevaSesion = await Sesion.create({
           paciente: sesion.paciente._id,
           fecha: nuevaFecha,
           horaEntrada: sesion.horaEntrada,
           horaSalida: sesion.horaSalida,
           pago: {
-            monto: sesion.pago.monto,
-            metodoPago: sesion.pago.metodoPago,
+            ...cobertura,
+            monto: cobertura.monto ?? sesion.pago.monto,
+            metodoPago: sesion.pago.metodoPago === 'paquete' ? 'pendiente' : sesion.pago.metodoPago,
             pagado: false,
           },
           tipoSesion: sesion.tipoSesion,
+          autorizacion: asignacion.autorizacion,
+          episodio: sesion.episodio,
           estado: 'reprogramada',
           profesional: profesionalId || sesion.profesional,
           numeroSesion: sesion.numeroSesion, // Mantiene el mismo número de sesión
@@ -545,6 +813,26 @@ class SesionService {
 
       await sesion.save();
 
+      // Cancelar una ausencia ya registrada anula su cargo por ausencia
+      if (estabaAusente) {
+        await AsistenciaService.aplicarPolitica(sesion, profesionalId);
+      }
+
+      this._notificarCambioPlanilla('cancelada', sesion);
+      if (sesionReprogramada) {
+        this._notificarCambioPlanilla('creada', sesionReprogramada);
+      }
+
+      // Sugerir pacientes de la lista de espera para el turno que quedó libre
+      const hoy = new Date();
+      const sugerenciasListaEspera = sesion.fecha >= new Date(Date.UTC(hoy.getUTCFullYear(), hoy.getUTCMonth(), hoy.getUTCDate()))
+        ? await ListaEspera.buscarCoincidencias({
+            fecha: sesion.fecha,
+            horaEntrada: sesion.horaEntrada,
+            profesional: sesion.profesional,
+          })
+        : [];
+
       return {
         success: true,
         message: nuevaFecha 
@@ -553,6 +841,336 @@ class SesionService {
         data: { 
           sesion,
           sesionReprogramada,
+          sugerenciasListaEspera,
+          advertencias,
+        },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Generar la serie de sesiones del tratamiento según los horarios habituales del paciente
+   * Se programan sesiones en los días y horarios habituales a partir de fechaInicio, salteando feriados
+   * @param {Object} datos - { paciente, fechaInicio, cantidadSesiones, tipoSesion, monto }
+   * @param {String} profesionalId - ID del profesional
+   * @param {Object} opciones - { permitirSuperposicion, permitirSinAutorizacion } (solo administradores)
+   * @returns {Promise<Object>}
+   */
+  static async generarSerie(datos, profesionalId, opciones = {}) {
+    try {
+      const paciente = await Paciente.findById(datos.paciente);
+
+      if (!paciente) {
+        throw new ErrorResponse('Paciente no encontrado', HTTP_STATUS.NOT_FOUND);
+      }
+
+      const horarios = (paciente.horariosHabituales || [])
+        .filter(h => h.dia)
+        .sort((a, b) => (a.horaEntrada || '').localeCompare(b.horaEntrada || ''));
+
+      if (!horarios.length) {
+        throw new ErrorResponse('El paciente no tiene horarios habituales cargados', HTTP_STATUS.BAD_REQUEST);
+      }
+
+      // La serie se programa en el episodio abierto del paciente
+      // (si hay que abrir uno, se guarda al programar la primera sesión)
+      const resolucion = await EpisodioService.resolverEpisodio(paciente, null, profesionalId);
+      const { episodio, advertencias } = resolucion;
+
+      // Si no se indica la cantidad, se programan las sesiones que faltan del tratamiento del episodio
+      let cantidad = datos.cantidadSesiones;
+
+      if (!cantidad) {
+        const totalTratamiento = episodio.tratamiento?.cantidadTotalSesiones;
+
+        if (!totalTratamiento) {
+          throw new ErrorResponse(
+            'Debe indicar la cantidad de sesiones o cargar la cantidad total del tratamiento del paciente',
+            HTTP_STATUS.BAD_REQUEST
+          );
+        }
+
+        const registradas = await Sesion.countDocuments({
+          paciente: paciente._id,
+          episodio: episodio._id,
+          estado: { $in: ['programada', 'realizada', 'reprogramada'] },
+        });
+
+        cantidad = totalTratamiento - registradas;
+
+        if (cantidad <= 0) {
+          throw new ErrorResponse(
+            'El paciente ya tiene registradas todas las sesiones del tratamiento',
+            HTTP_STATUS.BAD_REQUEST
+          );
+        }
+      }
+
+      const inicio = this._inicioDiaUTC(datos.fechaInicio);
+      const limite = new Date(inicio.getTime() + DIAS_MAXIMOS_SERIE * MS_POR_DIA);
+      const diasFeriado = await this._obtenerDiasFeriado(inicio, limite);
+
+      const serie = new mongoose.Types.ObjectId();
+      let numeroSesion = (await Sesion.countDocuments({ paciente: paciente._id, episodio: episodio._id })) + 1;
+
+      const sesiones = [];
+      const omitidas = [];
+
+      for (let fecha = inicio; sesiones.length < cantidad && fecha < limite; fecha = new Date(fecha.getTime() + MS_POR_DIA)) {
+        const claveDia = fecha.toISOString().slice(0, 10);
+        const horariosDia = horarios.filter(h => h.dia === DIAS_SEMANA[fecha.getUTCDay()]);
+
+        if (!horariosDia.length) continue;
+
+        if (diasFeriado.has(claveDia)) {
+          omitidas.push({ fecha: claveDia, motivo: 'Feriado' });
+          continue;
+        }
+
+        for (const horario of horariosDia) {
+          if (sesiones.length >= cantidad) break;
+
+          if (!opciones.permitirSuperposicion) {
+            try {
+              await AgendaService.verificarSuperposicion({
+                profesionalId,
+                fecha,
+                horaEntrada: horario.horaEntrada,
+                horaSalida: horario.horaSalida,
+              });
+            } catch (error) {
+              if (error.statusCode !== HTTP_STATUS.CONFLICT) throw error;
+
+              omitidas.push({ fecha: claveDia, horaEntrada: horario.horaEntrada, motivo: error.message });
+              continue;
+            }
+          }
+
+          let asignacion;
+          try {
+            asignacion = await AutorizacionService.asignarAutorizacion(paciente, fecha, {
+              permitirSinAutorizacion: opciones.permitirSinAutorizacion,
+              episodioId: episodio._id,
+            });
+          } catch (error) {
+            if (error.statusCode !== HTTP_STATUS.CONFLICT) throw error;
+
+            omitidas.push({ fecha: claveDia, horaEntrada: horario.horaEntrada, motivo: error.message });
+            continue;
+          }
+
+          const cobertura = await ObraSocialService.calcularCobertura(
+            paciente,
+            datos.monto ?? (paciente.valorSesion || undefined),
+            fecha
+          );
+
+          if (!sesiones.length) {
+            await EpisodioService.confirmarEpisodio(resolucion);
+          }
+
+          const sesion = await Sesion.create({
+            paciente: paciente._id,
+            fecha,
+            horaEntrada: horario.horaEntrada,
+            horaSalida: horario.horaSalida,
+            tipoSesion: datos.tipoSesion || 'presencial',
+            pago: {
+              ...cobertura,
+              monto: cobertura.monto ?? 0,
+              metodoPago: 'pendiente',
+              pagado: false,
+            },
+            estado: 'programada',
+            profesional: profesionalId,
+            numeroSesion: numeroSesion++,
+            numeroOrden: await this._siguienteNumeroOrden(fecha),
+            serie,
+            autorizacion: asignacion.autorizacion,
+            episodio: episodio._id,
+          });
+
+          sesiones.push(sesion);
+          this._notificarCambioPlanilla('creada', sesion);
+        }
+      }
+
+      if (!sesiones.length) {
+        throw new ErrorResponse(
+          'No se pudo programar ninguna sesión con los horarios habituales del paciente',
+          HTTP_STATUS.CONFLICT
+        );
+      }
+
+      // Actualizar las fechas estimadas del tratamiento del episodio
+      await EpisodioService.actualizarTratamiento(episodio._id, {
+        fechaInicio: episodio.tratamiento?.fechaInicio || sesiones[0].fecha,
+        fechaFinEstimada: sesiones[sesiones.length - 1].fecha,
+      });
+
+      return {
+        success: true,
+        message: sesiones.length === cantidad
+          ? `Serie generada: ${sesiones.length} sesiones programadas`
+          : `Serie generada parcialmente: ${sesiones.length} de ${cantidad} sesiones programadas`,
+        data: {
+          serie,
+          sesiones,
+          omitidas,
+          cantidadSolicitada: cantidad,
+          advertencias,
+        },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener las sesiones de una serie
+   * @param {String} serieId - ID de la serie
+   * @returns {Promise<Object>}
+   */
+  static async obtenerSerie(serieId) {
+    try {
+      const sesiones = await Sesion.find({ serie: serieId })
+        .populate('paciente', 'nombre apellido dni')
+        .populate('profesional', 'nombre apellido')
+        .sort('fecha horaEntrada')
+        .lean();
+
+      if (!sesiones.length) {
+        throw new ErrorResponse('Serie no encontrada', HTTP_STATUS.NOT_FOUND);
+      }
+
+      const resumen = sesiones.reduce((acc, sesion) => {
+        acc[sesion.estado] = (acc[sesion.estado] || 0) + 1;
+        return acc;
+      }, {});
+
+      return {
+        success: true,
+        data: {
+          serie: serieId,
+          paciente: sesiones[0].paciente,
+          sesiones,
+          resumen,
+          total: sesiones.length,
+        },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Modificar en bloque las sesiones programadas de una serie a partir de una fecha
+   * - accion 'cancelar': cancela las sesiones (opcionalmente solo las de diaOrigen)
+   * - accion 'mover': pasa las sesiones de diaOrigen a diaDestino de la misma semana y/o cambia el horario
+   * @param {String} serieId - ID de la serie
+   * @param {Object} cambios - { accion, desde, diaOrigen, diaDestino, horaEntrada, horaSalida, motivo }
+   * @param {String} userId - ID del usuario que modifica
+   * @param {Object} opciones - { permitirSuperposicion } (solo administradores)
+   * @returns {Promise<Object>}
+   */
+  static async actualizarSerie(serieId, cambios, userId, opciones = {}) {
+    try {
+      const { accion, diaOrigen, diaDestino, horaEntrada, horaSalida, motivo } = cambios;
+      const desde = this._inicioDiaUTC(cambios.desde || new Date());
+
+      let sesiones = await Sesion.find({
+        serie: serieId,
+        estado: 'programada',
+        fecha: { $gte: desde },
+      }).sort('fecha horaEntrada');
+
+      if (diaOrigen) {
+        sesiones = sesiones.filter(s => DIAS_SEMANA[s.fecha.getUTCDay()] === diaOrigen);
+      }
+
+      if (!sesiones.length) {
+        throw new ErrorResponse('No hay sesiones programadas de la serie para modificar', HTTP_STATUS.NOT_FOUND);
+      }
+
+      const actualizadas = [];
+      const omitidas = [];
+
+      if (accion === 'cancelar') {
+        for (const sesion of sesiones) {
+          sesion.estado = 'cancelada';
+          sesion.motivoCancelacion = motivo || 'Cancelación de la serie';
+          sesion.modificadoPor = userId;
+          await sesion.save();
+
+          actualizadas.push(sesion);
+          this._notificarCambioPlanilla('cancelada', sesion);
+        }
+      } else {
+        // Días a desplazar dentro de la semana (lunes a domingo)
+        const desplazamiento = diaDestino
+          ? this._indiceDiaSemana(diaDestino) - this._indiceDiaSemana(diaOrigen)
+          : 0;
+
+        const diasFeriado = await this._obtenerDiasFeriado(
+          new Date(sesiones[0].fecha.getTime() - 7 * MS_POR_DIA),
+          new Date(sesiones[sesiones.length - 1].fecha.getTime() + 7 * MS_POR_DIA)
+        );
+
+        for (const sesion of sesiones) {
+          const nuevaFecha = new Date(sesion.fecha.getTime() + desplazamiento * MS_POR_DIA);
+          const claveDia = nuevaFecha.toISOString().slice(0, 10);
+          const nuevaHoraEntrada = horaEntrada || sesion.horaEntrada;
+          // Si cambia la hora de entrada sin indicar la de salida, se usa la duración del turno
+          const nuevaHoraSalida = horaSalida || (horaEntrada ? null : sesion.horaSalida);
+
+          if (diasFeriado.has(claveDia)) {
+            omitidas.push({ sesionId: sesion._id, fecha: claveDia, motivo: 'Feriado' });
+            continue;
+          }
+
+          if (!opciones.permitirSuperposicion) {
+            try {
+              await AgendaService.verificarSuperposicion({
+                profesionalId: sesion.profesional,
+                fecha: nuevaFecha,
+                horaEntrada: nuevaHoraEntrada,
+                horaSalida: nuevaHoraSalida,
+                excluirSesionId: sesion._id,
+              });
+            } catch (error) {
+              if (error.statusCode !== HTTP_STATUS.CONFLICT) throw error;
+
+              omitidas.push({ sesionId: sesion._id, fecha: claveDia, motivo: error.message });
+              continue;
+            }
+          }
+
+          if (desplazamiento !== 0) {
+            sesion.fecha = nuevaFecha;
+            sesion.numeroOrden = await this._siguienteNumeroOrden(nuevaFecha);
+          }
+
+          sesion.horaEntrada = nuevaHoraEntrada;
+          sesion.horaSalida = nuevaHoraSalida;
+          if (!nuevaHoraSalida) {
+            sesion.duracion = 0;
+          }
+          sesion.modificadoPor = userId;
+          await sesion.save();
+
+          actualizadas.push(sesion);
+          this._notificarCambioPlanilla('actualizada', sesion);
+        }
+      }
+
+      return {
+        success: true,
+        message: `${actualizadas.length} sesiones de la serie ${accion === 'cancelar' ? 'canceladas' : 'modificadas'}`,
+        data: {
+          actualizadas,
+          omitidas,
         },
       };
     } catch (error) {
@@ -588,9 +1206,7 @@ class SesionService {
             totalRecaudado: {
               $sum: { $cond: ['$pago.pagado', '$pago.monto', 0] }
             },
-            totalPendiente: {
-              $sum: { $cond: [{ $not: '$pago.pagado' }, '$pago.monto', 0] }
-            },
+            totalPendiente: { $sum: SALDO_SESION_EXPR },
           }
         }
       ]);
@@ -648,8 +1264,8 @@ class SesionService {
         .populate('profesional', 'nombre apellido')
         .lean();
 
-      // Calcular totales y estadísticas
-      const totalPendiente = sesiones.reduce((sum, s) => sum + s.pago.monto, 0);
+      // Calcular totales y estadísticas (saldo a cargo del paciente)
+      const totalPendiente = sesiones.reduce((sum, s) => sum + saldoSesion(s), 0);
       
       // Agrupar por estado
       const porEstado = sesiones.reduce((acc, s) => {
@@ -688,6 +1304,9 @@ class SesionService {
         },
         pago: {
           monto: sesion.pago.monto,
+          montoPaciente: sesion.pago.montoPaciente,
+          montoPagado: sesion.pago.montoPagado || 0,
+          saldo: saldoSesion(sesion),
           metodoPago: sesion.pago.metodoPago,
           pagado: sesion.pago.pagado,
           fechaPago: sesion.pago.fechaPago,
@@ -720,9 +1339,10 @@ class SesionService {
    * @param {String} sesionId - ID de la sesión
    * @param {Object} datosActualizar - Datos a actualizar (pago, observaciones)
    * @param {String} userId - ID del usuario que modifica
+   * @param {Object} opciones - { permitirSuperposicion } (solo administradores)
    * @returns {Promise<Object>}
    */
-  static async actualizarDesdePlanilla(sesionId, datosActualizar, userId) {
+  static async actualizarDesdePlanilla(sesionId, datosActualizar, userId, opciones = {}) {
     try {
       const sesion = await Sesion.findById(sesionId);
 
@@ -730,20 +1350,17 @@ class SesionService {
         throw new ErrorResponse('Sesión no encontrada', HTTP_STATUS.NOT_FOUND);
       }
 
+      this._verificarSesionEditable(sesion);
+
       // Actualizar solo campos permitidos desde la planilla
+      // El estado de pago se registra en la cuenta del paciente, no se marca directamente
+      const { pagado, montoPagado, fechaPago, paquete, ...datosPago } = datosActualizar.pago || {};
+
       if (datosActualizar.pago !== undefined) {
         sesion.pago = {
           ...sesion.pago,
-          ...datosActualizar.pago,
+          ...datosPago,
         };
-        // Si se marca como pagado, actualizar fecha
-        if (datosActualizar.pago.pagado && !sesion.pago.fechaPago) {
-          sesion.pago.fechaPago = new Date();
-        }
-        // Si se desmarca como pagado, limpiar fecha
-        if (datosActualizar.pago.pagado === false) {
-          sesion.pago.fechaPago = null;
-        }
       }
 
       if (datosActualizar.observaciones !== undefined) {
@@ -758,12 +1375,45 @@ class SesionService {
         sesion.horaSalida = datosActualizar.horaSalida;
       }
 
+      // Si cambia el horario, verificar que no se superponga con otra sesión del profesional
+      const cambiaHorario = sesion.isModified('horaEntrada') || sesion.isModified('horaSalida');
+
+      if (cambiaHorario && !opciones.permitirSuperposicion) {
+        await AgendaService.verificarSuperposicion({
+          profesionalId: sesion.profesional,
+          fecha: sesion.fecha,
+          horaEntrada: sesion.horaEntrada,
+          horaSalida: sesion.horaSalida,
+          estado: sesion.estado,
+          excluirSesionId: sesion._id,
+        });
+      }
+
       sesion.modificadoPor = userId;
       await sesion.save();
 
+      // Marcar como pagada registra un pago por el saldo; desmarcarla revierte los pagos imputados
+      if (pagado === true && !sesion.pago.pagado) {
+        await this._registrarPagoEnCuenta(sesion, { metodoPago: datosPago.metodoPago }, userId);
+      } else if (pagado === false && sesion.pago.montoPagado > 0) {
+        await CuentaPacienteService.revertirPagosSesion(sesion, userId);
+      }
+
+      if (pagado !== undefined) {
+        const { pago } = await Sesion.findById(sesion._id).select('pago').lean();
+        sesion.set({
+          'pago.metodoPago': pago.metodoPago,
+          'pago.montoPagado': pago.montoPagado,
+          'pago.pagado': pago.pagado,
+          'pago.fechaPago': pago.fechaPago,
+        });
+      }
+
       await sesion.populate('paciente', 'nombre apellido dni obraSocial');
       await sesion.populate('profesional', 'nombre apellido');
 
+      this._notificarCambioPlanilla('actualizada', sesion);
+
       return {
         success: true,
         message: 'Sesión actualizada desde planilla exitosamente',
@@ -773,6 +1423,97 @@ class SesionService {
       throw error;
     }
   }
+
+  /**
+   * Registrar en la cuenta del paciente un pago imputado a la sesión
+   * Devuelve null si la sesión no tiene saldo a cargo del paciente
+   */
+  static async _registrarPagoEnCuenta(sesion, datosPago, userId) {
+    const saldoSesion = montoACargoPaciente(sesion) - (sesion.pago.montoPagado || 0);
+    if (saldoSesion <= 0) return null;
+
+    const monto = datosPago.monto ?? saldoSesion;
+    const metodoPago = [datosPago.metodoPago, sesion.pago.metodoPago]
+      .find(metodo => METODOS_PAGO_CUENTA.includes(metodo)) || 'efectivo';
+
+    const { data } = await CuentaPacienteService.registrarPago(
+      sesion.paciente._id || sesion.paciente,
+      {
+        monto,
+        metodoPago,
+        concepto: datosPago.concepto || `Pago sesión N° ${sesion.numeroSesion || '-'}`,
+        aplicaciones: [{ sesion: sesion._id, monto: Math.min(monto, saldoSesion) }],
+      },
+      userId
+    );
+
+    // El método de pago de la sesión se muestra en la planilla
+    if (metodoPago !== 'otro') {
+      await Sesion.updateOne({ _id: sesion._id }, { $set: { 'pago.metodoPago': metodoPago } });
+    }
+
+    return data;
+  }
+
+  /**
+   * Impedir cambios en sesiones incluidas en una liquidación de obra social
+   */
+  static _verificarSesionEditable(sesion) {
+    if (sesion.liquidacion) {
+      throw new ErrorResponse(
+        'La sesión está incluida en una liquidación de obra social y no puede modificarse',
+        HTTP_STATUS.CONFLICT
+      );
+    }
+  }
+
+  /**
+   * Siguiente número de orden disponible para un día
+   */
+  static async _siguienteNumeroOrden(fecha) {
+    const inicioDia = this._inicioDiaUTC(fecha);
+    const finDia = new Date(inicioDia.getTime() + MS_POR_DIA - 1);
+
+    const ultimaSesion = await Sesion.findOne({
+      fecha: { $gte: inicioDia, $lte: finDia }
+    }).sort('-numeroOrden').select('numeroOrden');
+
+    return ultimaSesion ? ultimaSesion.numeroOrden + 1 : 1;
+  }
+
+  /**
+   * Días feriados (YYYY-MM-DD) dentro de un rango
+   */
+  static async _obtenerDiasFeriado(fechaInicio, fechaFin) {
+    const resultado = await AgendaService.listarFeriados({ fechaInicio, fechaFin });
+    return new Set(resultado.data.feriados.map(f => f.fecha.toISOString().slice(0, 10)));
+  }
+
+  /**
+   * Posición del día en la semana, empezando el lunes (lunes = 0, domingo = 6)
+   */
+  static _indiceDiaSemana(dia) {
+    return (DIAS_SEMANA.indexOf(dia) + 6) % 7;
+  }
+
+  static _inicioDiaUTC(fecha) {
+    const fechaDate = new Date(fecha);
+    return new Date(Date.UTC(fechaDate.getUTCFullYear(), fechaDate.getUTCMonth(), fechaDate.getUTCDate()));
+  }
+
+  /**
+   * Avisar en tiempo real que cambió la planilla del día de la sesión
+   * @param {String} accion - 'creada', 'actualizada', 'pago_registrado' o 'cancelada'
+   * @param {Object} sesion - Sesión modificada
+   */
+  static _notificarCambioPlanilla(accion, sesion) {
+    emitirATodos(EVENTOS_SOCKET.PLANILLA_ACTUALIZADA, {
+      accion,
+      sesionId: sesion._id,
+      fecha: new Date(sesion.fecha).toISOString().slice(0, 10),
+      estado: sesion.estado,
+    });
+  }
 }
 
 export default SesionService;
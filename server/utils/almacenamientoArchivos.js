@@ -0,0 +1,100 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import ErrorResponse from './ErrorResponse.js';
+import { HTTP_STATUS } from '../conf/constants.js';
+
+/**
+ * Almacenamiento de archivos en disco local
+ *
+ * Todo almacenamiento debe implementar la misma interfaz:
+ *   guardar(buffer, { nombreOriginal, carpeta }) => Promise<String> (clave)
+ *   obtenerStream(clave) => Promise<ReadableStream>
+ *   eliminar(clave) => Promise<void>
+ */
+class AlmacenamientoLocal {
+  constructor(directorioBase = process.env.UPLOADS_DIR || 'uploads') {
+    this.directorioBase = path.resolve(directorioBase);
+  }
+
+  async guardar(buffer, { nombreOriginal = '', carpeta = '' } = {}) {
+    const extension = path.extname(nombreOriginal).toLowerCase();
+    const clave = path.posix.join(carpeta, `${crypto.randomUUID()}${extension}`);
+    const ruta = this._resolverRuta(clave);
+
+    await fs.promises.mkdir(path.dirname(ruta), { recursive: true });
+    await fs.promises.writeFile(ruta, buffer);
+
+    return clave;
+  }
+
+  async obtenerStream(clave) {
+    const ruta = this._resolverRuta(clave);
+
+    try {
+      await fs.promises.access(ruta, fs.constants.R_OK);
+    } catch (error) {
+      throw new ErrorResponse('Archivo no encontrado en el almacenamiento', HTTP_STATUS.NOT_FOUND);
+    }
+
+    return fs.createReadStream(ruta);
+  }
+
+  async eliminar(clave) {
+    try {
+      await fs.promises.unlink(this._resolverRuta(clave));
+    } catch (error) {
+      // Si el archivo ya no existe no hay nada que eliminar
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  /**
+   * Resolver la ruta física evitando salir del directorio base
+   */
+  _resolverRuta(clave) {
+    const ruta = path.resolve(this.directorioBase, clave);
+
+    if (!ruta.startsWith(this.directorioBase + path.sep)) {
+      throw new ErrorResponse('Clave de archivo inválida', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    return ruta;
+  }
+}
+
+// Almacenamientos disponibles (se pueden registrar otros, ej: S3)
+const almacenamientos = {
+  local: () => new AlmacenamientoLocal(),
+};
+
+const instancias = {};
+
+/**
+ * Registrar un nuevo tipo de almacenamiento
+ * @param {String} nombre - Nombre del almacenamiento (valor de STORAGE_DRIVER)
+ * @param {Function} fabrica - Función que devuelve una instancia con la interfaz de AlmacenamientoLocal
+ */
+export const registrarAlmacenamiento = (nombre, fabrica) => {
+  almacenamientos[nombre] = fabrica;
+  delete instancias[nombre];
+};
+
+/**
+ * Obtener el almacenamiento configurado (STORAGE_DRIVER, por defecto 'local')
+ * @param {String} nombre - Nombre del almacenamiento (opcional)
+ * @returns {Object}
+ */
+export const obtenerAlmacenamiento = (nombre = process.env.STORAGE_DRIVER || 'local') => {
+  if (!almacenamientos[nombre]) {
+    throw new ErrorResponse(`Almacenamiento de archivos desconocido: ${nombre}`, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+
+  if (!instancias[nombre]) {
+    instancias[nombre] = almacenamientos[nombre]();
+  }
+
+  return instancias[nombre];
+};
+
+export { AlmacenamientoLocal };
@@ -1,5 +1,7 @@
 import cron from 'node-cron';
 import NotificacionService from '../services/notificacionService.js';
+import AutorizacionService from '../services/autorizacionService.js';
+import PaqueteService from '../services/paqueteService.js';
 import RecordatorioService from '../services/recordatorioService.js';
 import ResumenDiarioService from '../services/resumenDiarioService.js';
 import colors from 'colors';
@@ -30,6 +32,40 @@ cron.schedule('0 8 * * *', async () => {
   }
 });
 
+// Ejecutar todos los días a las 8:00 AM - Vencer autorizaciones y avisar las que están por vencer
+cron.schedule('0 8 * * *', async () => {
+  console.log(colors.cyan('[CRON] Revisando autorizaciones de obras sociales...'));
+  try {
+    await AutorizacionService.actualizarVencidas();
+    const resultado = await NotificacionService.generarNotificacionesAutorizacionesPorVencer();
+    console.log(colors.green(`[CRON] ✓ ${resultado.message}`));
+  } catch (error) {
+    console.error(colors.red('[CRON] ✗ Error al revisar autorizaciones:'), error.message);
+  }
+});
+
+// Ejecutar todos los días a las 8:00 AM - Avisar revisiones de objetivos de tratamiento sin evaluación
+cron.schedule('0 8 * * *', async () => {
+  console.log(colors.cyan('[CRON] Revisando objetivos de planes de tratamiento...'));
+  try {
+    const resultado = await NotificacionService.generarNotificacionesRevisionesObjetivos();
+    console.log(colors.green(`[CRON] ✓ ${resultado.message}`));
+  } catch (error) {
+    console.error(colors.red('[CRON] ✗ Error al revisar objetivos de tratamiento:'), error.message);
+  }
+});
+
+// Ejecutar todos los días a la 1:00 AM - Vencer paquetes de sesiones fuera de vigencia
+cron.schedule('0 1 * * *', async () => {
+  console.log(colors.cyan('[CRON] Revisando vencimiento de paquetes de sesiones...'));
+  try {
+    const resultado = await PaqueteService.actualizarVencidos();
+    console.log(colors.green(`[CRON] ✓ ${resultado.message}`));
+  } catch (error) {
+    console.error(colors.red('[CRON] ✗ Error al vencer paquetes:'), error.message);
+  }
+});
+
 // Ejecutar todos los días a las 8:00 AM - Enviar recordatorios de sesiones (24 horas antes)
 cron.schedule('0 8 * * *', async () => {
   console.log(colors.cyan('[CRON] Enviando recordatorios de sesiones (24h antes)...'));
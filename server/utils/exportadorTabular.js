@@ -0,0 +1,142 @@
+import ExcelJS from 'exceljs';
+
+/**
+ * Formatos de exportación tabular soportados
+ */
+export const FORMATOS_TABULARES = {
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx',
+  },
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+  },
+};
+
+const FORMATOS_NUMERICOS = {
+  numero: '0',
+  moneda: '#,##0.00',
+  fecha: 'dd/mm/yyyy',
+};
+
+/**
+ * Escribe planillas (Excel o CSV) fila por fila directamente sobre un stream,
+ * sin acumular todo el contenido en memoria
+ *
+ * Columnas: [{ titulo, campo, tipo: 'texto' | 'numero' | 'moneda' | 'fecha', ancho }]
+ */
+class ExportadorTabular {
+  /**
+   * @param {Stream} stream - Stream de destino (ej: la respuesta HTTP)
+   * @param {Object} opciones - { formato, hoja, columnas }
+   */
+  constructor(stream, { formato = 'xlsx', hoja = 'Datos', columnas = [] } = {}) {
+    this.stream = stream;
+    this.formato = formato;
+    this.columnas = columnas;
+
+    if (formato === 'xlsx') {
+      this.libro = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+      this.hoja = this.libro.addWorksheet(hoja);
+      this.hoja.columns = columnas.map(c => ({
+        header: c.titulo,
+        key: c.campo,
+        width: c.ancho || 15,
+        style: FORMATOS_NUMERICOS[c.tipo] ? { numFmt: FORMATOS_NUMERICOS[c.tipo] } : {},
+      }));
+      this.hoja.getRow(1).font = { bold: true };
+    } else {
+      // BOM para que Excel detecte UTF-8 al abrir el CSV
+      this.stream.write('\uFEFF' + columnas.map(c => this._escaparCSV(c.titulo)).join(',') + '\r\n');
+    }
+  }
+
+  /**
+   * Verificar si un formato está soportado
+   * @param {String} formato - Formato solicitado
+   * @returns {Boolean}
+   */
+  static esFormatoValido(formato) {
+    return Object.prototype.hasOwnProperty.call(FORMATOS_TABULARES, formato);
+  }
+
+  /**
+   * Agregar una fila
+   * @param {Object} fila - Valores indexados por el campo de cada columna
+   */
+  async agregarFila(fila) {
+    const valores = {};
+    this.columnas.forEach(c => {
+      valores[c.campo] = this._convertirValor(fila[c.campo], c.tipo);
+    });
+
+    if (this.formato === 'xlsx') {
+      this.hoja.addRow(valores).commit();
+      return;
+    }
+
+    const linea = this.columnas.map(c => this._formatearCSV(valores[c.campo], c.tipo)).join(',');
+
+    // Respetar la contrapresión del stream
+    if (!this.stream.write(linea + '\r\n')) {
+      await new Promise(resolve => this.stream.once('drain', resolve));
+    }
+  }
+
+  /**
+   * Cerrar la planilla y el stream
+   */
+  async finalizar() {
+    if (this.formato === 'xlsx') {
+      this.hoja.commit();
+      await this.libro.commit();
+      return;
+    }
+
+    this.stream.end();
+  }
+
+  /**
+   * Convertir un valor al tipo de la columna
+   */
+  _convertirValor(valor, tipo) {
+    if (valor === null || valor === undefined || valor === '') return null;
+
+    switch (tipo) {
+      case 'numero':
+      case 'moneda': {
+        const numero = Number(valor);
+        return isNaN(numero) ? null : numero;
+      }
+      case 'fecha': {
+        const fecha = valor instanceof Date ? valor : new Date(valor);
+        return isNaN(fecha.getTime()) ? null : fecha;
+      }
+      default:
+        return String(valor);
+    }
+  }
+
+  /**
+   * Formatear un valor ya convertido para CSV
+   */
+  _formatearCSV(valor, tipo) {
+    if (valor === null) return '';
+    if (tipo === 'fecha') return valor.toISOString().slice(0, 10);
+    if (tipo === 'numero' || tipo === 'moneda') return String(valor);
+    return this._escaparCSV(valor);
+  }
+
+  /**
+   * Escapar un texto según RFC 4180
+   * Los textos que empiezan con =, +, -, @ (o tabulación / retorno) se prefijan con ' para
+   * que Excel no los ejecute como fórmulas: nombres y observaciones los carga el usuario
+   */
+  _escaparCSV(texto) {
+    const valor = /^[=+\-@\t\r]/.test(String(texto)) ? `'${texto}` : String(texto);
+    return /[",\r\n]/.test(valor) ? `"${valor.replace(/"/g, '""')}"` : valor;
+  }
+}
+
+export default ExportadorTabular;
@@ -0,0 +1,340 @@
+import PDFDocument from 'pdfkit';
+
+const COLORES = {
+  primario: '#2c3e50',
+  encabezadoTabla: '#ecf0f1',
+  borde: '#bdc3c7',
+  texto: '#333333',
+  secundario: '#7f8c8d',
+};
+
+/**
+ * Utilidades para generar documentos PDF con pdfkit
+ */
+class PdfGenerator {
+  /**
+   * Crea un documento PDF con el encabezado de la clínica
+   * @param {Object} opciones - { titulo, subtitulo, layout }
+   * @returns {PDFDocument}
+   */
+  static crearDocumento({ titulo, subtitulo = null, layout = 'portrait' } = {}) {
+    const doc = new PDFDocument({
+      size: 'A4',
+      layout,
+      margin: 40,
+      bufferPages: true,
+      info: {
+        Title: titulo,
+        Author: this.nombreClinica(),
+      },
+    });
+
+    this.dibujarEncabezado(doc, titulo, subtitulo);
+
+    return doc;
+  }
+
+  /**
+   * Dibuja el encabezado con el nombre de la clínica y el título del documento
+   * @param {PDFDocument} doc - Documento PDF
+   * @param {String} titulo - Título del documento
+   * @param {String} subtitulo - Subtítulo opcional (ej: fecha)
+   */
+  static dibujarEncabezado(doc, titulo, subtitulo = null) {
+    const { left } = doc.page.margins;
+    const ancho = this.anchoUtil(doc);
+
+    doc
+      .fillColor(COLORES.primario)
+      .font('Helvetica-Bold')
+      .fontSize(16)
+      .text(this.nombreClinica(), left, doc.page.margins.top, { width: ancho, align: 'center' });
+
+    doc
+      .font('Helvetica')
+      .fontSize(12)
+      .text(titulo, { width: ancho, align: 'center' });
+
+    if (subtitulo) {
+      doc
+        .fillColor(COLORES.secundario)
+        .fontSize(10)
+        .text(subtitulo, { width: ancho, align: 'center' });
+    }
+
+    doc.moveDown(0.5);
+    doc
+      .strokeColor(COLORES.primario)
+      .lineWidth(1)
+      .moveTo(left, doc.y)
+      .lineTo(left + ancho, doc.y)
+      .stroke();
+    doc.moveDown(1);
+    doc.fillColor(COLORES.texto);
+  }
+
+  /**
+   * Dibuja un título de sección
+   * @param {PDFDocument} doc - Documento PDF
+   * @param {String} texto - Título de la sección
+   */
+  static dibujarSeccion(doc, texto) {
+    this.asegurarEspacio(doc, 40);
+    doc.moveDown(0.5);
+    doc
+      .fillColor(COLORES.primario)
+      .font('Helvetica-Bold')
+      .fontSize(12)
+      .text(texto, doc.page.margins.left, doc.y, { width: this.anchoUtil(doc) });
+    doc.moveDown(0.3);
+    doc.fillColor(COLORES.texto).font('Helvetica').fontSize(9);
+  }
+
+  /**
+   * Dibuja pares etiqueta/valor (ej: datos personales)
+   * @param {PDFDocument} doc - Documento PDF
+   * @param {Array} campos - [{ etiqueta, valor }]
+   */
+  static dibujarCampos(doc, campos = []) {
+    const { left } = doc.page.margins;
+    const anchoEtiqueta = 130;
+
+    campos.forEach(({ etiqueta, valor }) => {
+      const texto = valor === null || valor === undefined || valor === '' ? '-' : String(valor);
+      const altura = doc.font('Helvetica').fontSize(9)
+        .heightOfString(texto, { width: this.anchoUtil(doc) - anchoEtiqueta });
+
+      this.asegurarEspacio(doc, altura + 4);
+      const y = doc.y;
+
+      doc.font('Helvetica-Bold').fontSize(9).text(`${etiqueta}:`, left, y, { width: anchoEtiqueta });
+      doc.font('Helvetica').fontSize(9).text(texto, left + anchoEtiqueta, y, {
+        width: this.anchoUtil(doc) - anchoEtiqueta,
+      });
+      doc.y = Math.max(doc.y, y + altura) + 2;
+    });
+  }
+
+  /**
+   * Dibuja una tabla, repitiendo el encabezado en cada página nueva
+   * @param {PDFDocument} doc - Documento PDF
+   * @param {Array} columnas - [{ titulo, campo, ancho (proporción), alinear }]
+   * @param {Array} filas - Objetos con los valores de cada columna
+   */
+  static dibujarTabla(doc, columnas, filas = []) {
+    const { left } = doc.page.margins;
+    const anchoTotal = this.anchoUtil(doc);
+    const sumaProporciones = columnas.reduce((sum, c) => sum + (c.ancho || 1), 0);
+    const anchos = columnas.map(c => ((c.ancho || 1) / sumaProporciones) * anchoTotal);
+    const padding = 3;
+
+    const dibujarFila = (valores, { encabezado = false } = {}) => {
+      doc.font(encabezado ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+
+      const altura = Math.max(
+        ...valores.map((valor, i) =>
+          doc.heightOfString(valor, { width: anchos[i] - padding * 2 })
+        )
+      ) + padding * 2;
+
+      if (this.asegurarEspacio(doc, altura) && !encabezado) {
+        dibujarFila(columnas.map(c => c.titulo), { encabezado: true });
+        doc.font('Helvetica').fontSize(8);
+      }
+
+      const y = doc.y;
+      let x = left;
+
+      if (encabezado) {
+        doc.rect(left, y, anchoTotal, altura).fill(COLORES.encabezadoTabla);
+      }
+
+      doc.fillColor(COLORES.texto);
+      valores.forEach((valor, i) => {
+        doc.text(valor, x + padding, y + padding, {
+          width: anchos[i] - padding * 2,
+          align: columnas[i].alinear || 'left',
+        });
+        x += anchos[i];
+      });
+
+      doc
+        .strokeColor(COLORES.borde)
+        .lineWidth(0.5)
+        .moveTo(left, y + altura)
+        .lineTo(left + anchoTotal, y + altura)
+        .stroke();
+
+      doc.y = y + altura;
+    };
+
+    dibujarFila(columnas.map(c => c.titulo), { encabezado: true });
+
+    if (filas.length === 0) {
+      doc.font('Helvetica-Oblique').fontSize(9)
+        .text('Sin registros', left, doc.y + padding, { width: anchoTotal, align: 'center' });
+      doc.moveDown(0.5);
+      return;
+    }
+
+    filas.forEach(fila => {
+      dibujarFila(columnas.map(c => {
+        const valor = fila[c.campo];
+        return valor === null || valor === undefined ? '-' : String(valor);
+      }));
+    });
+
+    doc.moveDown(0.5);
+    doc.x = left;
+  }
+
+  /**
+   * Dibuja un gráfico de líneas simple (ej: evolución del dolor)
+   * @param {PDFDocument} doc - Documento PDF
+   * @param {Array} puntos - [{ etiqueta, valor }]
+   * @param {Object} opciones - { minimo, maximo, alto, pasos }
+   */
+  static dibujarGraficoLineas(doc, puntos = [], { minimo = 0, maximo = 10, alto = 160, pasos = 5 } = {}) {
+    const { left } = doc.page.margins;
+
+    if (puntos.length === 0) {
+      doc.font('Helvetica-Oblique').fontSize(9)
+        .text('Sin datos para graficar', left, doc.y, { width: this.anchoUtil(doc), align: 'center' });
+      doc.moveDown(0.5);
+      return;
+    }
+
+    this.asegurarEspacio(doc, alto + 30);
+
+    const margenEje = 25;
+    const x0 = left + margenEje;
+    const y0 = doc.y + 5;
+    const ancho = this.anchoUtil(doc) - margenEje;
+    const rango = maximo - minimo || 1;
+    const calcularY = valor => y0 + alto - ((valor - minimo) / rango) * alto;
+    const calcularX = i => (puntos.length === 1 ? x0 + ancho / 2 : x0 + (i / (puntos.length - 1)) * ancho);
+
+    // Líneas de referencia y escala
+    doc.font('Helvetica').fontSize(7);
+    for (let i = 0; i <= pasos; i++) {
+      const valor = minimo + (rango / pasos) * i;
+      const y = calcularY(valor);
+      doc.strokeColor(COLORES.borde).lineWidth(0.3).moveTo(x0, y).lineTo(x0 + ancho, y).stroke();
+      doc.fillColor(COLORES.secundario).text(String(Math.round(valor * 10) / 10), left, y - 3, {
+        width: margenEje - 5,
+        align: 'right',
+      });
+    }
+
+    // Ejes
+    doc
+      .strokeColor(COLORES.primario)
+      .lineWidth(0.8)
+      .moveTo(x0, y0)
+      .lineTo(x0, y0 + alto)
+      .lineTo(x0 + ancho, y0 + alto)
+      .stroke();
+
+    // Serie
+    doc.strokeColor(COLORES.primario).lineWidth(1.2);
+    puntos.forEach((punto, i) => {
+      const x = calcularX(i);
+      const y = calcularY(punto.valor);
+      if (i === 0) doc.moveTo(x, y);
+      else doc.lineTo(x, y);
+    });
+    doc.stroke();
+
+    puntos.forEach((punto, i) => {
+      doc.circle(calcularX(i), calcularY(punto.valor), 2).fill(COLORES.primario);
+    });
+
+    // Etiquetas del eje X (se omiten algunas si hay muchos puntos)
+    const salto = Math.ceil(puntos.length / 12);
+    doc.fillColor(COLORES.secundario).fontSize(6);
+    puntos.forEach((punto, i) => {
+      if (i % salto !== 0 && i !== puntos.length - 1) return;
+      doc.text(punto.etiqueta, calcularX(i) - 25, y0 + alto + 4, { width: 50, align: 'center' });
+    });
+
+    doc.fillColor(COLORES.texto);
+    doc.y = y0 + alto + 20;
+    doc.x = left;
+  }
+
+  /**
+   * Agrega el número de página y la fecha de emisión al pie de cada página
+   * Debe llamarse justo antes de doc.end()
+   * @param {PDFDocument} doc - Documento PDF
+   */
+  static numerarPaginas(doc) {
+    const rango = doc.bufferedPageRange();
+    const emision = `Emitido el ${new Date().toLocaleString('es-AR')}`;
+
+    for (let i = rango.start; i < rango.start + rango.count; i++) {
+      doc.switchToPage(i);
+
+      // Evitar que el texto del pie agregue una página nueva
+      const margenInferior = doc.page.margins.bottom;
+      doc.page.margins.bottom = 0;
+
+      doc
+        .fillColor(COLORES.secundario)
+        .font('Helvetica')
+        .fontSize(8)
+        .text(
+          `${emision} - Página ${i + 1} de ${rango.count}`,
+          doc.page.margins.left,
+          doc.page.height - margenInferior + 10,
+          { width: this.anchoUtil(doc), align: 'center' }
+        );
+
+      doc.page.margins.bottom = margenInferior;
+    }
+  }
+
+  /**
+   * Agrega una página nueva si no queda espacio suficiente
+   * @param {PDFDocument} doc - Documento PDF
+   * @param {Number} alto - Alto requerido en puntos
+   * @returns {Boolean} true si se agregó una página
+   */
+  static asegurarEspacio(doc, alto) {
+    if (doc.y + alto > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Nombre de la clínica para encabezados (mismo remitente que los emails)
+   * @returns {String}
+   */
+  static nombreClinica() {
+    return process.env.SENDGRID_FROM_NAME || 'Clínica Fisioterapia';
+  }
+
+  /**
+   * Ancho disponible entre márgenes
+   * @param {PDFDocument} doc - Documento PDF
+   * @returns {Number}
+   */
+  static anchoUtil(doc) {
+    return doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  }
+
+  /**
+   * Formatea un monto en pesos
+   * @param {Number} valor - Monto
+   * @returns {String}
+   */
+  static formatearMoneda(valor = 0) {
+    return `$${Number(valor || 0).toLocaleString('es-AR', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2,
+    })}`;
+  }
+}
+
+export default PdfGenerator;
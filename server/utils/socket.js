@@ -0,0 +1,104 @@
+import { Server } from 'socket.io';
+import colors from 'colors';
+import { verificarAccessToken } from '../middlewares/authMiddleware.js';
+
+// Namespace autenticado para eventos en tiempo real
+export const NAMESPACE_TIEMPO_REAL = '/tiempo-real';
+
+export const EVENTOS_SOCKET = {
+  NOTIFICACION_NUEVA: 'notificacion:nueva',
+  NOTIFICACION_LEIDA: 'notificacion:leida',
+  NOTIFICACIONES_LEIDAS: 'notificacion:todas-leidas',
+  NOTIFICACION_ELIMINADA: 'notificacion:eliminada',
+  PLANILLA_ACTUALIZADA: 'planilla:actualizada',
+};
+
+let namespace = null;
+
+/**
+ * Sala privada de cada usuario
+ * @param {String} usuarioId - ID del usuario
+ * @returns {String}
+ */
+const salaUsuario = (usuarioId) => `usuario:${usuarioId}`;
+
+/**
+ * Obtener el access token del handshake (auth.token, header Authorization o cookie)
+ */
+const obtenerToken = (handshake) => {
+  if (handshake.auth?.token) {
+    return handshake.auth.token;
+  }
+
+  const { authorization, cookie } = handshake.headers;
+
+  if (authorization && authorization.startsWith('Bearer')) {
+    return authorization.split(' ')[1];
+  }
+
+  const coincidencia = cookie?.match(/(?:^|;\s*)token=([^;]+)/);
+  return coincidencia ? decodeURIComponent(coincidencia[1]) : null;
+};
+
+/**
+ * Inicializar Socket.IO sobre el servidor HTTP
+ * @param {http.Server} server - Servidor HTTP de Express
+ * @param {Object} corsOptions - Opciones de CORS (mismas que la API)
+ * @returns {Server}
+ */
+export const inicializarSocket = (server, corsOptions = {}) => {
+  const io = new Server(server, {
+    cors: {
+      origin: corsOptions.origin,
+      credentials: true,
+    },
+  });
+
+  namespace = io.of(NAMESPACE_TIEMPO_REAL);
+
+  // Autenticación con el mismo JWT que el middleware protect
+  namespace.use(async (socket, next) => {
+    try {
+      socket.user = await verificarAccessToken(obtenerToken(socket.handshake));
+      next();
+    } catch (error) {
+      const err = new Error(error.message);
+      err.data = { statusCode: error.statusCode };
+      next(err);
+    }
+  });
+
+  namespace.on('connection', (socket) => {
+    socket.join(salaUsuario(socket.user._id));
+
+    if (process.env.NODE_ENV === 'development') {
+      console.log(colors.cyan(`✓ Socket conectado: ${socket.user.email}`));
+    }
+  });
+
+  console.log(colors.cyan(`✓ Socket.IO escuchando en el namespace ${NAMESPACE_TIEMPO_REAL}`));
+
+  return io;
+};
+
+/**
+ * Emitir un evento a todas las conexiones de un usuario
+ * No hace nada si Socket.IO no está inicializado (ej: scripts o cron jobs aislados)
+ * @param {String} usuarioId - ID del usuario destinatario
+ * @param {String} evento - Nombre del evento
+ * @param {Object} datos - Datos del evento
+ */
+export const emitirAUsuario = (usuarioId, evento, datos) => {
+  if (!namespace || !usuarioId) return;
+  namespace.to(salaUsuario(usuarioId)).emit(evento, datos);
+};
+
+/**
+ * Emitir un evento a todos los usuarios conectados
+ * @param {String} evento - Nombre del evento
+ * @param {Object} datos - Datos del evento
+ */
+export const emitirATodos = (evento, datos) => {
+  if (!namespace) return;
+  namespace.emit(evento, datos);
+};